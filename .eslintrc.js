@@ -29,109 +29,351 @@ module.exports = {
   },
   globals: {
         'ACCUMULATION_FILE_NAME': 'readonly',
+        'ALLOWED_LINK_HOSTS': 'readonly',
+        'ANALYSIS_RESPONSE_SCHEMA': 'readonly',
+        'ANTHROPIC_API_URL': 'readonly',
+        'ANTHROPIC_API_VERSION': 'readonly',
+        'ANTHROPIC_MAX_OUTPUT_TOKENS': 'readonly',
+        'CALENDAR_LEDGER_FILE_ID_PROPERTY_KEY': 'readonly',
+        'CALENDAR_LEDGER_FILE_NAME': 'readonly',
+        'CALENDAR_LEDGER_MAX_ENTRIES': 'readonly',
+        'CALENDAR_MODE': 'readonly',
+        'CALENDAR_REMINDER_MINUTES_BEFORE': 'readonly',
+        'CALENDAR_TIMED_EVENT_MINUTES': 'readonly',
+        'CALENDAR_TIMED_REMINDER_MINUTES_BEFORE': 'readonly',
         'CHUNK_SIZE_MS': 'readonly',
+        'COMPATIBLE_ENDPOINT_URL_PREFIX': 'readonly',
+        'CalendarApp': 'readonly',
         'CardService': 'readonly',
+        'DATE_KIND': 'readonly',
         'DEBUG_USER_EMAIL': 'readonly',
+        'DEFAULT_ANTHROPIC_MODEL': 'readonly',
+        'DEFAULT_AZURE_API_VERSION': 'readonly',
+        'DEFAULT_DIGEST_TIMES': 'readonly',
+        'DEFAULT_DIGEST_WEEKDAY': 'readonly',
+        'DEFAULT_GOOGLE_TASK_LIST_ID': 'readonly',
+        'DEFAULT_MAX_THREADS_PER_SEARCH': 'readonly',
+        'DEFAULT_OPENAI_MODEL': 'readonly',
+        'DEFAULT_TIME_ZONE': 'readonly',
+        'DEFAULT_URGENCY_HORIZON_DAYS': 'readonly',
+        'DIGEST_FREQUENCY': 'readonly',
+        'DIGEST_LAYOUT': 'readonly',
+        'DIGEST_PALETTES': 'readonly',
+        'DIGEST_THEME': 'readonly',
+        'DIGEST_THREAD_PROPERTY_KEY': 'readonly',
         'DriveApp': 'readonly',
+        'EXECUTION_LIMIT_MS': 'readonly',
+        'EXECUTION_RESERVE_MS': 'readonly',
         'FILE_ID_PROPERTY_KEY': 'readonly',
+        'GMAIL_COUNT_PAGE_SIZE': 'readonly',
+        'GMAIL_SEARCH_PAGE_SIZE': 'readonly',
+        'GOOGLE_TASKS_LEDGER_FILE_ID_PROPERTY_KEY': 'readonly',
+        'GOOGLE_TASKS_LEDGER_FILE_NAME': 'readonly',
         'Gmail': 'readonly',
         'GmailApp': 'readonly',
+        'HIGH_PRIORITY_SCORE': 'readonly',
+        'IANA_TIME_ZONES': 'readonly',
+        'ITEM_IMPORTANCE': 'readonly',
+        'LEDGER_FILE_ID_PROPERTY_KEY': 'readonly',
+        'LEDGER_FILE_NAME': 'readonly',
+        'LEDGER_MAX_ENTRIES': 'readonly',
+        'LEDGER_OUTCOME': 'readonly',
+        'LLM_ERROR_KIND': 'readonly',
+        'LLM_MAX_ATTEMPTS': 'readonly',
+        'LLM_MAX_OUTPUT_TOKENS': 'readonly',
+        'LLM_PROVIDER': 'readonly',
+        'LLM_RETRY_BASE_DELAY_MS': 'readonly',
+        'LLM_RETRY_BUDGET_MS': 'readonly',
+        'LLM_RETRY_MAX_DELAY_MS': 'readonly',
+        'LOG_LEVEL': 'readonly',
+        'LOG_LEVEL_ORDER': 'readonly',
         'Logger': 'readonly',
         'MAX_TOKENS': 'readonly',
+        'MAX_URGENCY_HORIZON_DAYS': 'readonly',
+        'OPENAI_API_URL': 'readonly',
         'PROCESSING_STATUS': 'readonly',
         'PROCESSING_TIMEOUT_MS': 'readonly',
         'PropertiesService': 'readonly',
+        'QUICK_SCAN_TIME_LIMIT_MS': 'readonly',
+        'RECIPIENT_CATEGORY': 'readonly',
+        'REDACTED': 'readonly',
+        'RETRYABLE_HTTP_STATUS_CODES': 'readonly',
+        'SCAN_RESULTS_FILE_ID_PROPERTY_KEY': 'readonly',
+        'SCAN_RESULTS_FILE_NAME': 'readonly',
+        'SECRET_KEY_PATTERN': 'readonly',
+        'SENDER_RULES_PROPERTY_KEY': 'readonly',
+        'SENDER_RULE_ACTION': 'readonly',
         'STATUS_REFRESH_INTERVAL_MS': 'readonly',
+        'STILL_OPEN_NOTE_HTML': 'readonly',
+        'STRUCTURED_OUTPUT_NAME': 'readonly',
         'ScriptApp': 'readonly',
         'Session': 'readonly',
+        'TASK_MAX_OPEN_DAYS': 'readonly',
+        'TASK_STORE_FILE_ID_PROPERTY_KEY': 'readonly',
+        'TASK_STORE_FILE_NAME': 'readonly',
+        'THREAD_MESSAGES_SHOWN': 'readonly',
+        'TIME_ZONE_ALIASES': 'readonly',
+        'TIME_ZONE_SUGGESTION_LIMIT': 'readonly',
         'TOKENS_PER_CHAR': 'readonly',
+        'Tasks': 'readonly',
+        'URGENCY_MAX_BOOST': 'readonly',
         'UrlFetchApp': 'readonly',
         'Utilities': 'readonly',
+        'VIP_SENDER_BOOST': 'readonly',
+        'addCalendarEventReminder': 'readonly',
+        'addDatedItemsToCalendarIfEnabled': 'readonly',
+        'addDaysToDateString': 'readonly',
+        'addItemSection': 'readonly',
+        'addItemToCalendar': 'readonly',
+        'addItemsToCalendar': 'readonly',
+        'addSenderRuleItems': 'readonly',
         'analyzeEmailsWithOpenAI': 'readonly',
+        'applyDigestLabel': 'readonly',
         'applyLabelsToInterestingEmails': 'readonly',
+        'applySenderRules': 'readonly',
         'buildActiveWorkflowCard': 'readonly',
         'buildAnalysisPrompt': 'readonly',
+        'buildAnthropicRequest': 'readonly',
+        'buildAzureOpenAIRequest': 'readonly',
+        'buildCalendarEventDescription': 'readonly',
+        'buildCalendarResultCard': 'readonly',
+        'buildCalendarSection': 'readonly',
         'buildConfigSuccessCard': 'readonly',
         'buildConfigurationCard': 'readonly',
+        'buildDigestAppearanceSection': 'readonly',
+        'buildDigestRecipientsSection': 'readonly',
+        'buildDigestScheduleSection': 'readonly',
+        'buildEmailFromMessage': 'readonly',
         'buildEmailSettingsCard': 'readonly',
         'buildErrorCard': 'readonly',
+        'buildGmailSearchQuery': 'readonly',
+        'buildGoogleTaskResource': 'readonly',
+        'buildGoogleTasksSection': 'readonly',
+        'buildJsonRepairPrompt': 'readonly',
+        'buildJsonSchemaResponseFormat': 'readonly',
         'buildLatestRunStatsCard': 'readonly',
+        'buildLlmProviderSections': 'readonly',
+        'buildLlmRequest': 'readonly',
         'buildMainCard': 'readonly',
         'buildOnboardingCard': 'readonly',
+        'buildOpenAICompatibleRequest': 'readonly',
+        'buildOpenAIRequest': 'readonly',
+        'buildOpenTasksCard': 'readonly',
+        'buildOpenTasksSection': 'readonly',
+        'buildPrioritySection': 'readonly',
         'buildProgressCard': 'readonly',
         'buildProgressCardWithAutoRefresh': 'readonly',
         'buildProgressCardWithStatusButton': 'readonly',
         'buildQuickScanCard': 'readonly',
+        'buildQuickScanDoneCard': 'readonly',
+        'buildSenderRulesCard': 'readonly',
         'buildSummaryCard': 'readonly',
         'buildSystemSettingsCard': 'readonly',
+        'buildTimeZoneInput': 'readonly',
+        'calculateBackoffDelay': 'readonly',
         'calculateDateRange': 'readonly',
         'calculateExpectedStartBuffer': 'readonly',
         'calculatePassiveWorkflowDateRange': 'readonly',
-        'callOpenAIAPI': 'readonly',
+        'callLlmAPI': 'readonly',
         'checkAndHandleTimeout': 'readonly',
         'checkLock': 'readonly',
         'checkProcessingStatus': 'readonly',
+        'classifyLlmError': 'readonly',
         'cleanupChunkState': 'readonly',
         'cleanupChunkTiming': 'readonly',
         'cleanupProcessingState': 'readonly',
         'clearAccumulatedResults': 'readonly',
+        'clearProcessedLedger': 'readonly',
+        'clearScanResults': 'readonly',
+        'compareItemsByWhen': 'readonly',
+        'completeExportedTask': 'readonly',
+        'completeGoogleTaskForTaskId': 'readonly',
+        'completeGoogleTasksOfArchivedThreads': 'readonly',
         'console': 'readonly',
+        'consolidateThreadItems': 'readonly',
+        'createCalendarEventForItem': 'readonly',
+        'createLlmError': 'readonly',
+        'dateTimeInTimeZoneToDate': 'readonly',
         'deleteDispatcherTriggers': 'readonly',
+        'describeCalendarOutcome': 'readonly',
+        'describeErrorForEmail': 'readonly',
+        'describeSkippedThreads': 'readonly',
+        'detectUserTimeZone': 'readonly',
         'ensureDispatcherScheduled': 'readonly',
+        'escapeHtml': 'readonly',
         'estimateTokensForThread': 'readonly',
+        'exportMustDoItemToTasks': 'readonly',
+        'exportMustDoItemsToTasks': 'readonly',
+        'exportMustDoItemsToTasksIfEnabled': 'readonly',
+        'extractLlmResponseText': 'readonly',
+        'extractSenderAddress': 'readonly',
         'failProcessing': 'readonly',
         'fetchEmailThreadsForPassiveWorkflow': 'readonly',
         'fetchEmailThreadsFromGmail': 'readonly',
+        'filterItemsForRecipient': 'readonly',
+        'filterResultsForRecipient': 'readonly',
         'finalizeChunkedProcessing': 'readonly',
+        'findOpenTaskForThread': 'readonly',
+        'findSenderRule': 'readonly',
+        'findTimeZones': 'readonly',
+        'formatDateInTimeZone': 'readonly',
+        'formatDateRangeInTimeZone': 'readonly',
+        'formatItemWhen': 'readonly',
         'formatItemsForCard': 'readonly',
+        'formatLabelForQuery': 'readonly',
+        'formatMessageCount': 'readonly',
+        'generateCompactItemHTML': 'readonly',
+        'generateCompactSectionsHTML': 'readonly',
+        'generateDetailedSectionsHTML': 'readonly',
+        'generateDigestCSS': 'readonly',
         'generateGmailPermalink': 'readonly',
+        'generateItemText': 'readonly',
+        'generateLinkHTML': 'readonly',
+        'generateMustDoItemHTML': 'readonly',
+        'generateMustKnowItemHTML': 'readonly',
+        'generatePermalinkHTML': 'readonly',
+        'generateSectionHTML': 'readonly',
+        'generateSectionText': 'readonly',
         'generateSummaryHTML': 'readonly',
+        'generateSummaryText': 'readonly',
+        'generateThreadMessagesHTML': 'readonly',
+        'generateTopicSectionsHTML': 'readonly',
         'getBoolProp': 'readonly',
+        'getCalendarEventTitle': 'readonly',
+        'getCalendarModeOptions': 'readonly',
         'getConfiguration': 'readonly',
         'getCurrentDateString': 'readonly',
+        'getDatedCalendarItems': 'readonly',
+        'getDigestFrequencyOptions': 'readonly',
+        'getDigestLayoutOptions': 'readonly',
+        'getDigestPalette': 'readonly',
+        'getDigestSubjectLabel': 'readonly',
+        'getDigestThemeOptions': 'readonly',
+        'getDigestWeek': 'readonly',
+        'getDigestWeekdayOptions': 'readonly',
+        'getDueDigestSlot': 'readonly',
+        'getExecutionDeadline': 'readonly',
         'getFormBoolean': 'readonly',
         'getFormValue': 'readonly',
+        'getItemMessages': 'readonly',
+        'getItemPriority': 'readonly',
+        'getItemPriorityStyle': 'readonly',
+        'getItemRfc822MessageIds': 'readonly',
+        'getItemUrgency': 'readonly',
+        'getLabelNameForItem': 'readonly',
         'getLastSummaryDate': 'readonly',
+        'getLastSummarySlot': 'readonly',
+        'getLatestForcedEmailPerThread': 'readonly',
+        'getLlmProviderLabel': 'readonly',
+        'getLlmProviderOptions': 'readonly',
+        'getLlmSettingsFromForm': 'readonly',
+        'getLogLevel': 'readonly',
+        'getLogLevelOptions': 'readonly',
         'getOrCreateAccumulationFile': 'readonly',
+        'getOrCreateDriveJsonFile': 'readonly',
+        'getOrCreateLabel': 'readonly',
+        'getPriorityContext': 'readonly',
         'getProcessingState': 'readonly',
         'getProp': 'readonly',
-        'getTimezoneOptions': 'readonly',
+        'getRetryDelayFromHeaders': 'readonly',
+        'getSelectableLlmProviderOptions': 'readonly',
+        'getSenderRuleActionOptions': 'readonly',
+        'getStillOpenTasks': 'readonly',
+        'getSummaryFooter': 'readonly',
+        'getSummaryTitle': 'readonly',
+        'getTargetCalendar': 'readonly',
+        'getTargetTaskListId': 'readonly',
+        'getTaskId': 'readonly',
         'getUserEmailAddress': 'readonly',
+        'getWeeklyDigestSubject': 'readonly',
+        'getWeeklyDigestThread': 'readonly',
+        'handleAddResultsToCalendar': 'readonly',
+        'handleAddSenderRule': 'readonly',
         'handleConfigSubmit': 'readonly',
+        'handleDeleteSenderRule': 'readonly',
         'handleEmailSettingsSubmit': 'readonly',
         'handleEmergencyReset': 'readonly',
         'handleLabelSuggestions': 'readonly',
+        'handleMarkTaskDone': 'readonly',
         'handleNukeSettings': 'readonly',
         'handleOnboardingFinish': 'readonly',
         'handleOnboardingNavigation': 'readonly',
         'handleOnboardingSaveAndNext': 'readonly',
+        'handleQuickScanAddToCalendar': 'readonly',
+        'handleQuickScanAddToDigest': 'readonly',
+        'handleQuickScanApplyLabel': 'readonly',
         'handleReinstallDispatcher': 'readonly',
         'handleScanEmails': 'readonly',
         'handleSystemSettingsSubmit': 'readonly',
         'handleTimeRangeSelection': 'readonly',
+        'handleTimeZoneSuggestions': 'readonly',
         'handleTopicsSubmit': 'readonly',
-        'hasSentSummaryToday': 'readonly',
+        'isCompatibleBaseUrlAllowed': 'readonly',
         'isConfigurationComplete': 'readonly',
+        'isDigestDay': 'readonly',
         'isDispatcherTriggerInstalled': 'readonly',
+        'isLlmConfigured': 'readonly',
+        'isLogLevelEnabled': 'readonly',
+        'isMissingGoogleTaskError': 'readonly',
         'isProcessingRunning': 'readonly',
-        'isWithinTimeWindow': 'readonly',
+        'isSameResultItem': 'readonly',
+        'isThreadInInbox': 'readonly',
+        'isUnsafeTextCharacter': 'readonly',
+        'isVipSender': 'readonly',
         'labelEmails': 'readonly',
         'loadAccumulatedResults': 'readonly',
+        'loadCalendarLedger': 'readonly',
+        'loadExportedTasks': 'readonly',
+        'loadOpenTasks': 'readonly',
+        'loadProcessedLedger': 'readonly',
+        'loadScanResults': 'readonly',
+        'loadSenderRules': 'readonly',
+        'loadTaskStore': 'readonly',
         'lock': 'readonly',
+        'logDebug': 'readonly',
+        'logError': 'readonly',
+        'logInfo': 'readonly',
+        'logWarn': 'readonly',
         'markChunkEnded': 'readonly',
         'markChunkStarting': 'readonly',
         'markEmailAsImportantOrStarred': 'readonly',
         'markProcessedEmailsAsRead': 'readonly',
+        'markTaskDone': 'readonly',
         'mergeAccumulatedResults': 'readonly',
         'mergeConfiguration': 'readonly',
+        'mergeResultItem': 'readonly',
+        'mergeResultItems': 'readonly',
         'mergeResults': 'readonly',
         'needsOnboarding': 'readonly',
+        'normalizeAnalysisDate': 'readonly',
+        'normalizeAnalysisImportance': 'readonly',
+        'normalizeAnalysisTime': 'readonly',
+        'normalizeAnalysisWhen': 'readonly',
+        'normalizeSenderPattern': 'readonly',
+        'normalizeTimeZone': 'readonly',
+        'normalizeTopic': 'readonly',
         'onGmailMessageOpen': 'readonly',
         'onHomepageTrigger': 'readonly',
+        'parseDigestLabel': 'readonly',
+        'parseDigestRecipients': 'readonly',
+        'parseDigestTimes': 'readonly',
+        'parseLabelList': 'readonly',
+        'parseMaxThreadsPerSearch': 'readonly',
         'parseOpenAIResponse': 'readonly',
+        'parseRateLimitDuration': 'readonly',
+        'parseTopicLabels': 'readonly',
+        'parseUrgencyHorizonDays': 'readonly',
+        'parseVipSenders': 'readonly',
         'processEmails': 'readonly',
         'processEmailsChunkedStep': 'readonly',
         'processEmailsInBatches': 'readonly',
+        'providerSupportsStructuredOutput': 'readonly',
+        'pruneTaskStore': 'readonly',
+        'quickScanMessage': 'readonly',
+        'recordOpenTasks': 'readonly',
+        'recordProcessedMessages': 'readonly',
+        'redactContent': 'readonly',
+        'redactSecrets': 'readonly',
         'releaseProcessingState': 'readonly',
         'removeUninterestingEmailsFromInbox': 'readonly',
         'resetAddonState': 'readonly',
@@ -139,22 +381,50 @@ module.exports = {
         'runPassiveWorkflow': 'readonly',
         'safeBoolean': 'readonly',
         'safeString': 'readonly',
+        'sanitizeLinkUrl': 'readonly',
+        'sanitizeText': 'readonly',
         'saveAccumulatedResults': 'readonly',
+        'saveCalendarLedger': 'readonly',
         'saveConfiguration': 'readonly',
+        'saveExportedTasks': 'readonly',
         'saveLatestRunStats': 'readonly',
+        'saveProcessedLedger': 'readonly',
+        'saveScanResults': 'readonly',
+        'saveSenderRules': 'readonly',
+        'saveTaskStore': 'readonly',
+        'searchGmailThreads': 'readonly',
         'sendDailySummaryIfNeeded': 'readonly',
+        'sendDigestEmail': 'readonly',
+        'sendDigestToRecipients': 'readonly',
         'sendProcessingCompleteEmail': 'readonly',
         'sendProcessingErrorEmail': 'readonly',
         'sendProcessingTimeoutEmail': 'readonly',
         'sendSummaryEmail': 'readonly',
+        'senderMatchesPattern': 'readonly',
         'setExpectedNextChunkStart': 'readonly',
         'setLastSummaryDate': 'readonly',
+        'setLastSummarySlot': 'readonly',
         'shouldIgnoreEmail': 'readonly',
         'shouldSendDailySummary': 'readonly',
+        'sortItemsByDate': 'readonly',
+        'sortItemsByPriority': 'readonly',
         'startBackgroundEmailProcessing': 'readonly',
         'startProcessingState': 'readonly',
+        'testGmailSearchFilters': 'readonly',
+        'timeToMinutes': 'readonly',
+        'toIsoStringOrNull': 'readonly',
+        'toSystemRoleMessages': 'readonly',
+        'trashDriveJsonFile': 'readonly',
         'unlock': 'readonly',
-        'updateProcessingProgress': 'readonly'
+        'updateProcessingProgress': 'readonly',
+        'validateAnalysisResults': 'readonly',
+        'validateCustomGmailQuery': 'readonly',
+        'validateDigestRecipients': 'readonly',
+        'validateItem': 'readonly',
+        'validateTopicLabels': 'readonly',
+        'withThreadMessages': 'readonly',
+        'wrapError': 'readonly',
+        'writeLog': 'readonly'
       
       
   },
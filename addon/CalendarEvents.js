@@ -0,0 +1,258 @@
+/**
+ * Gmail Fast Reader - Google Calendar events for dated items
+ *
+ * Dated "must do" and "must know" items can be added to Google Calendar as events,
+ * either automatically after each scan or one by one from the add-on cards. Items
+ * with a time of day become timed events; the others are all-day events spanning
+ * to their end date.
+ * Created events are recorded in a Drive ledger keyed by RFC822 message ID, so
+ * re-scans and replies in the same thread never create a second event.
+ */
+
+const CALENDAR_LEDGER_FILE_NAME = 'gmail-fast-read-calendar-events.json';
+const CALENDAR_LEDGER_FILE_ID_PROPERTY_KEY = 'drive_calendar_ledger_file_id';
+const CALENDAR_LEDGER_MAX_ENTRIES = 2000;
+
+// Must-do events get a popup reminder at 09:00 the day before (minutes before midnight)
+const CALENDAR_REMINDER_MINUTES_BEFORE = 15 * 60;
+
+// Timed events last an hour, and timed must-do events remind an hour ahead
+const CALENDAR_TIMED_EVENT_MINUTES = 60;
+const CALENDAR_TIMED_REMINDER_MINUTES_BEFORE = 60;
+
+/**
+ * Load the ledger of created Calendar events from Google Drive
+ * @returns {Object} Map of RFC822 message ID to { eventId, calendarId, date, createdAt }
+ */
+function loadCalendarLedger() {
+  try {
+    const file = getOrCreateDriveJsonFile(CALENDAR_LEDGER_FILE_NAME, CALENDAR_LEDGER_FILE_ID_PROPERTY_KEY, { entries: {} });
+    const data = JSON.parse(file.getBlob().getDataAsString());
+    return data.entries || {};
+  } catch (error) {
+    logError('Error loading Calendar event ledger:', error);
+    throw new Error('Failed to load the list of Calendar events already created: ' + error.message);
+  }
+}
+
+/**
+ * Save the ledger to Google Drive, keeping only the most recently created events
+ * @param {Object} entries - Map of RFC822 message ID to { eventId, calendarId, date, createdAt }
+ */
+function saveCalendarLedger(entries) {
+  const ids = Object.keys(entries);
+  let kept = entries;
+  if (ids.length > CALENDAR_LEDGER_MAX_ENTRIES) {
+    kept = {};
+    ids
+      .sort((a, b) => (entries[b].createdAt || '').localeCompare(entries[a].createdAt || ''))
+      .slice(0, CALENDAR_LEDGER_MAX_ENTRIES)
+      .forEach(id => { kept[id] = entries[id]; });
+  }
+
+  const file = getOrCreateDriveJsonFile(CALENDAR_LEDGER_FILE_NAME, CALENDAR_LEDGER_FILE_ID_PROPERTY_KEY, { entries: {} });
+  file.setContent(JSON.stringify({ entries: kept }));
+  logInfo(`Saved Calendar event ledger: ${Object.keys(kept).length} events`);
+}
+
+/**
+ * Get the calendar events are added to
+ * @param {Object} config - Configuration object
+ * @returns {GoogleAppsScript.Calendar.Calendar} Calendar from the configured ID or name, or the default calendar
+ * @throws {Error} If the configured calendar cannot be found
+ */
+function getTargetCalendar(config) {
+  const calendarId = (config.calendarId || '').trim();
+  if (!calendarId) {
+    return CalendarApp.getDefaultCalendar();
+  }
+
+  const calendar = CalendarApp.getCalendarById(calendarId) || CalendarApp.getCalendarsByName(calendarId)[0];
+  if (!calendar) {
+    throw new Error(`Calendar "${calendarId}" not found. Enter the name or ID of a calendar you can edit`);
+  }
+  return calendar;
+}
+
+/**
+ * Get the RFC822 message IDs of all messages behind an item
+ * @param {Object} item - Result item
+ * @returns {Array<string>} Message IDs, the item's own ID first
+ */
+function getItemRfc822MessageIds(item) {
+  const ids = [];
+  [item.rfc822MessageId].concat(getItemMessages(item).map(message => message.rfc822MessageId)).forEach(id => {
+    if (id && ids.indexOf(id) === -1) ids.push(id);
+  });
+  return ids;
+}
+
+/**
+ * Get the dated items of analysis results that can be added to Calendar
+ * @param {Object} results - Results with mustDo and mustKnow arrays
+ * @returns {Array<Object>} Entries of { item, category }
+ */
+function getDatedCalendarItems(results) {
+  const datedItems = [];
+  ['mustDo', 'mustKnow'].forEach(category => {
+    (results[category] || []).forEach(item => {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(item.date || '') && item.rfc822MessageId) {
+        datedItems.push({ item: item, category: category });
+      }
+    });
+  });
+  return datedItems;
+}
+
+/**
+ * Build the title of an item's Calendar event
+ * @param {Object} item - Result item
+ * @param {string} category - 'mustDo' or 'mustKnow'
+ * @returns {string} Event title
+ */
+function getCalendarEventTitle(item, category) {
+  return category === 'mustDo' ? item.keyAction : item.subject;
+}
+
+/**
+ * Build the description of an item's Calendar event
+ * @param {Object} item - Result item
+ * @param {string} category - 'mustDo' or 'mustKnow'
+ * @param {Object} config - Configuration object
+ * @returns {string} Event description with the key action and a link to the email
+ */
+function buildCalendarEventDescription(item, category, config) {
+  const lines = [
+    category === 'mustDo' ? `Action: ${item.keyAction}` : `Key info: ${item.keyKnowledge}`,
+    `When: ${formatItemWhen(item)}`,
+    `From: ${item.sender}`,
+    `Subject: ${item.subject}`
+  ];
+
+  const permalink = generateGmailPermalink(item.rfc822MessageId);
+  if (permalink) {
+    lines.push('', `Open in Gmail: ${permalink}`);
+  }
+  lines.push('', `Added by ${config.addonName}`);
+  return lines.join('\n');
+}
+
+/**
+ * Create the Calendar event of an item at its time, or as an all-day event over its days
+ * @param {Object} calendar - Target Calendar
+ * @param {Object} item - Result item with date and optional time and endDate
+ * @param {string} category - 'mustDo' or 'mustKnow'
+ * @param {Object} config - Configuration object
+ * @returns {Object} Created Calendar event
+ */
+function createCalendarEventForItem(calendar, item, category, config) {
+  const title = getCalendarEventTitle(item, category);
+  const options = { description: buildCalendarEventDescription(item, category, config) };
+
+  if (item.time && !item.endDate) {
+    const start = dateTimeInTimeZoneToDate(item.date, item.time, config.timeZone);
+    const event = calendar.createEvent(title, start, new Date(start.getTime() + CALENDAR_TIMED_EVENT_MINUTES * 60 * 1000), options);
+    if (category === 'mustDo') {
+      addCalendarEventReminder(event, CALENDAR_TIMED_REMINDER_MINUTES_BEFORE);
+    }
+    return event;
+  }
+
+  // Noon UTC falls on the same calendar day in every time zone the add-on offers
+  const event = item.endDate ?
+    calendar.createAllDayEvent(title, new Date(`${item.date}T12:00:00Z`), new Date(`${addDaysToDateString(item.endDate, 1)}T12:00:00Z`), options) :
+    calendar.createAllDayEvent(title, new Date(`${item.date}T12:00:00Z`), options);
+  if (category === 'mustDo') {
+    addCalendarEventReminder(event, CALENDAR_REMINDER_MINUTES_BEFORE);
+  }
+  return event;
+}
+
+/**
+ * Add a popup reminder to a created event
+ * @param {Object} event - Calendar event
+ * @param {number} minutesBefore - Minutes before the event the reminder pops up
+ */
+function addCalendarEventReminder(event, minutesBefore) {
+  try {
+    event.addPopupReminder(minutesBefore);
+  } catch (error) {
+    // The event exists either way; it must still be recorded so it is not created again
+    logError('Could not add a reminder to a Calendar event:', error);
+  }
+}
+
+/**
+ * Add items to Calendar, skipping emails that already have an event
+ * @param {Array<Object>} datedItems - Entries of { item, category } (see getDatedCalendarItems)
+ * @param {Object} config - Configuration object
+ * @returns {Object} { created, skipped, failed, calendarName }
+ */
+function addItemsToCalendar(datedItems, config) {
+  const outcome = { created: 0, skipped: 0, failed: 0, calendarName: '' };
+  if (datedItems.length === 0) {
+    return outcome;
+  }
+
+  const calendar = getTargetCalendar(config);
+  const entries = loadCalendarLedger();
+  outcome.calendarName = calendar.getName();
+
+  try {
+    datedItems.forEach(datedItem => {
+      try {
+        addItemToCalendar(calendar, datedItem, entries, outcome, config);
+      } catch (error) {
+        outcome.failed++;
+        logError('Could not add an item to Calendar:', error);
+      }
+    });
+  } finally {
+    if (outcome.created > 0) {
+      saveCalendarLedger(entries);
+    }
+  }
+  logInfo(`Calendar: created ${outcome.created} events, ${outcome.skipped} already existed, ${outcome.failed} failed`);
+  return outcome;
+}
+
+/**
+ * Add one item to Calendar unless one of its emails already has an event
+ * @param {Object} calendar - Target Calendar
+ * @param {Object} datedItem - Entry of { item, category } (see getDatedCalendarItems)
+ * @param {Object} entries - Calendar ledger, updated in place
+ * @param {Object} outcome - Counts of addItemsToCalendar, updated in place
+ * @param {Object} config - Configuration object
+ * @throws {Error} If Calendar rejects the event
+ */
+function addItemToCalendar(calendar, datedItem, entries, outcome, config) {
+  const item = datedItem.item;
+  const messageIds = getItemRfc822MessageIds(item);
+  if (messageIds.some(id => entries[id])) {
+    outcome.skipped++;
+    return;
+  }
+
+  const event = createCalendarEventForItem(calendar, item, datedItem.category, config);
+  const entry = { eventId: event.getId(), calendarId: calendar.getId(), date: item.date, createdAt: new Date().toISOString() };
+  messageIds.forEach(id => { entries[id] = entry; });
+  outcome.created++;
+}
+
+/**
+ * Add the dated items of a scan to Calendar when automatic events are enabled
+ * @param {Object} results - Results with mustDo and mustKnow arrays
+ * @param {Object} config - Configuration object
+ */
+function addDatedItemsToCalendarIfEnabled(results, config) {
+  if (config.calendarMode !== CALENDAR_MODE.AUTOMATIC) {
+    return;
+  }
+
+  try {
+    addItemsToCalendar(getDatedCalendarItems(results), config);
+  } catch (error) {
+    // The scan itself succeeded; events for these items can still be added from the cards
+    logError('Error adding dated items to Calendar:', error);
+  }
+}
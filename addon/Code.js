@@ -114,7 +114,7 @@ function checkAndHandleTimeout(now = new Date()) {
         'processingMessage': 'Processing timed out after 10 minutes. Please try again with a smaller time range.'
       });
       cleanupChunkTiming(properties);
-      try { sendProcessingTimeoutEmail(); } catch (e) { console.error('Failed to send timeout email:', e); }
+      try { sendProcessingTimeoutEmail(); } catch (e) { logError('Failed to send timeout email:', e); }
       unlock();
       return true;
     }
@@ -128,7 +128,7 @@ function checkAndHandleTimeout(now = new Date()) {
           'processingStatus': PROCESSING_STATUS.TIMEOUT,
           'processingMessage': 'Processing did not start in expected time window and was timed out.'
         });
-        try { sendProcessingTimeoutEmail(); } catch (e2) { console.error('Failed to send timeout email:', e2); }
+        try { sendProcessingTimeoutEmail(); } catch (e2) { logError('Failed to send timeout email:', e2); }
         unlock();
         return true;
       }
@@ -162,7 +162,7 @@ function checkLock() {
       expired: false 
     };
   } catch (error) {
-    console.error('Error parsing lock data:', error);
+    logError('Error parsing lock data:', error);
     // Clear invalid lock data
     unlock();
     return { locked: false, type: null, expired: false };
@@ -182,18 +182,18 @@ function isProcessingRunning() {
 
 /**
  * Cleanup helpers for PropertiesService state
- * Note: Does NOT clean passive workflow properties (passiveLastProcessedTimestamp, passiveLastProcessedMessageId)
+ * Note: Does NOT clean passive workflow properties (passiveLastProcessedTimestamp)
  */
 function cleanupProcessingState(properties) {
   properties.deleteProperty('processingStatus');
   properties.deleteProperty('processingMessage');
-  properties.deleteProperty('processingResults');
   properties.deleteProperty('processingStartTime');
   properties.deleteProperty('processingProgress');
   properties.deleteProperty('processedThreads');
   properties.deleteProperty('totalThreads');
   properties.deleteProperty('processedMessages');
   properties.deleteProperty('totalMessages');
+  clearScanResults();
   // Note: Intentionally NOT cleaning passive workflow properties
 }
 
@@ -202,7 +202,7 @@ function cleanupChunkState(properties) {
   properties.deleteProperty('chunkEnd');
   properties.deleteProperty('chunkIndex');
   properties.deleteProperty('chunkTotalChunks');
-  properties.deleteProperty('accumulatedResults');
+  properties.deleteProperty('chunkRescan');
   properties.deleteProperty('chunkStartTime');
 }
 
@@ -212,15 +212,17 @@ function cleanupChunkTiming(properties) {
 
 /**
  * Passive workflow - runs hourly to process new emails
+ * A due digest is sent at the end of every run, including runs that find no new mail.
  */
 function runPassiveWorkflow() {
   const properties = PropertiesService.getUserProperties();
+  const deadline = getExecutionDeadline(Date.now());
   
   try {
     // Check if another workflow is already running
     const lockStatus = checkLock();
     if (lockStatus.locked) {
-      console.log(`Passive workflow skipped - ${lockStatus.type} workflow is already running`);
+      logInfo(`Passive workflow skipped - ${lockStatus.type} workflow is already running`);
       return;
     }
     
@@ -229,8 +231,8 @@ function runPassiveWorkflow() {
     
     // Get configuration
     const config = getConfiguration();
-    if (!config.openaiApiKey) {
-      console.log('Passive workflow skipped - OpenAI API key not configured');
+    if (!isLlmConfigured(config)) {
+      logInfo('Passive workflow skipped - AI provider not configured');
       unlock();
       return;
     }
@@ -238,38 +240,34 @@ function runPassiveWorkflow() {
     // Calculate date range for passive workflow
     const dateRange = calculatePassiveWorkflowDateRange();
     if (!dateRange) {
-      console.log('Passive workflow skipped - no new emails to process');
-      unlock();
+      logInfo('Passive workflow skipped - no new emails to process');
+      // A due digest still goes out with what earlier runs accumulated
+      sendDailySummaryIfNeeded(config);
       return;
     }
     
-    console.log(`Passive workflow processing emails from ${dateRange.start.toISOString()} to ${dateRange.end.toISOString()}`);
+    logInfo(`Passive workflow processing emails from ${dateRange.start.toISOString()} to ${dateRange.end.toISOString()}`);
     // Mark passive chunk start
     markChunkStarting(new Date().toISOString());
     
     // Fetch and filter emails for passive workflow
-    const emailThreads = fetchEmailThreadsForPassiveWorkflow(dateRange);
+    const searchStats = { matchedThreads: 0, skippedThreads: 0 };
+    const emailThreads = fetchEmailThreadsForPassiveWorkflow(dateRange, searchStats);
     
     if (emailThreads.length === 0) {
-      console.log('Passive workflow completed - no emails found in range');
-      unlock();
+      properties.setProperty('passiveLastProcessedTimestamp', dateRange.end.toISOString());
+      logInfo('Passive workflow completed - no new emails found in range');
+      sendDailySummaryIfNeeded(config);
       return;
     }
     
     // Process emails using existing batch processing logic
-    const results = processEmailsInBatches(emailThreads, config);
+    const results = processEmailsInBatches(emailThreads, config, deadline);
     
-    // Accumulate results if interesting emails were found
-    if (results.mustDo.length > 0 || results.mustKnow.length > 0) {
-      // Update tracking properties with first processed message
-      if (emailThreads.length > 0 && emailThreads[0].emails.length > 0) {
-        const firstMessage = emailThreads[0].emails[0];
-        properties.setProperties({
-          'passiveLastProcessedTimestamp': firstMessage.date.toISOString(),
-          'passiveLastProcessedMessageId': firstMessage.id
-        });
-      }
-      
+    results.skippedThreads = searchStats.skippedThreads;
+    
+    // Accumulate results if interesting emails were found or threads had to be skipped
+    if (results.mustDo.length > 0 || results.mustKnow.length > 0 || results.skippedThreads > 0) {
       // Load existing accumulated results from Drive
       const accumulated = loadAccumulatedResults();
       
@@ -284,22 +282,26 @@ function runPassiveWorkflow() {
       // Save updated accumulated results to Drive
       saveAccumulatedResults(mergedResults);
       
-      console.log(`Passive workflow completed - accumulated results: ${mergedResults.mustDo.length} actionable and ${mergedResults.mustKnow.length} informational items (total processed: ${mergedResults.totalProcessed})`);
+      logInfo(`Passive workflow completed - accumulated results: ${mergedResults.mustDo.length} actionable and ${mergedResults.mustKnow.length} informational items (total processed: ${mergedResults.totalProcessed})`);
     } else {
-      console.log('Passive workflow completed - no interesting emails found');
+      logInfo('Passive workflow completed - no interesting emails found');
     }
     
-    // Check if we should send daily summary (within time window and haven't sent today)
+    // Only now that results are stored, remember what was analyzed so it is never billed twice
+    recordProcessedMessages(emailThreads, results);
+    properties.setProperty('passiveLastProcessedTimestamp', dateRange.end.toISOString());
+    
+    // Send the digest if one of the configured delivery times is due
     sendDailySummaryIfNeeded(config);
     
   } catch (error) {
-    console.error('Error in passive workflow:', error);
+    logError('Error in passive workflow:', error);
     
     // Send error notification
     try {
       const config = getConfiguration();
-      const subject = `${config.addonName} - Passive Workflow Error - ${new Date().toLocaleDateString()}`;
-      const body = `Passive workflow failed with the following error:\n\n${error.message}\n\nPlease check your configuration and try again.`;
+      const subject = `${config.addonName} - Passive Workflow Error - ${getCurrentDateString(config.timeZone)}`;
+      const body = `Passive workflow failed with the following error:\n\n${error.message}\n\n${describeErrorForEmail(error)}`;
       
       GmailApp.sendEmail(
         getUserEmailAddress(),
@@ -310,7 +312,7 @@ function runPassiveWorkflow() {
         }
       );
     } catch (emailError) {
-      console.error('Failed to send error email:', emailError);
+      logError('Failed to send error email:', emailError);
     }
   } finally {
     // Always release lock
@@ -337,30 +339,6 @@ function setLastSummaryDate(dateString) {
   properties.setProperty('passiveLastSummaryDate', dateString);
 }
 
-/**
- * Check if current time is within the sending window (21:00-23:59) in user's timezone
- * @param {string} userTimeZone - User's timezone (e.g., 'America/New_York')
- * @returns {boolean} True if within time window
- */
-function isWithinTimeWindow(userTimeZone) {
-  try {
-    const now = new Date();
-    // Get current time in user's timezone
-    const userTimeString = Utilities.formatDate(now, userTimeZone, 'HH:mm');
-    const parts = userTimeString.split(':');
-    const hour = parseInt(parts[0], 10);
-    const minute = parseInt(parts[1], 10);
-    const timeInMinutes = hour * 60 + minute;
-    
-    // 21:00 = 21 * 60 = 1260 minutes
-    // 23:59 = 23 * 60 + 59 = 1439 minutes
-    return timeInMinutes >= 1260 && timeInMinutes < 1440; // 21:00 to 23:59 (inclusive of 21:00, exclusive of midnight)
-  } catch (error) {
-    console.error('Error checking time window:', error);
-    return false;
-  }
-}
-
 /**
  * Get current date string in user's timezone (YYYY-MM-DD format)
  * @param {string} userTimeZone - User's timezone (e.g., 'America/New_York')
@@ -371,7 +349,7 @@ function getCurrentDateString(userTimeZone) {
     const now = new Date();
     return Utilities.formatDate(now, userTimeZone, 'yyyy-MM-dd');
   } catch (error) {
-    console.error('Error getting current date string:', error);
+    logError('Error getting current date string:', error);
     // Fallback to UTC
     const now = new Date();
     return Utilities.formatDate(now, 'UTC', 'yyyy-MM-dd');
@@ -379,35 +357,88 @@ function getCurrentDateString(userTimeZone) {
 }
 
 /**
- * Check if summary has already been sent today
- * @param {string} userTimeZone - User's timezone (e.g., 'America/New_York')
- * @returns {boolean} True if summary was sent today
+ * Get the last digest slot that was sent ("yyyy-MM-dd HH:mm" in user's timezone)
+ * Before digest times were configurable only the date was stored; such a date counts as
+ * every slot of that day having been sent.
+ * @returns {string|null} Slot key or null if never sent
  */
-function hasSentSummaryToday(userTimeZone) {
-  const lastSummaryDate = getLastSummaryDate();
-  if (!lastSummaryDate) {
-    return false;
+function getLastSummarySlot() {
+  const properties = PropertiesService.getUserProperties();
+  const lastSlot = properties.getProperty('passiveLastSummarySlot');
+  if (lastSlot) {
+    return lastSlot;
   }
-  
-  const todayDateString = getCurrentDateString(userTimeZone);
-  return lastSummaryDate === todayDateString;
+  const lastSummaryDate = getLastSummaryDate();
+  return lastSummaryDate ? `${lastSummaryDate} 23:59` : null;
 }
 
 /**
- * Check if we should send the daily summary
- * @param {string} userTimeZone - User's timezone (e.g., 'America/New_York')
- * @returns {boolean} True if should send (within time window and haven't sent today)
+ * Set the last digest slot that was sent
+ * @param {string} slot - Slot key in "yyyy-MM-dd HH:mm" format
  */
-function shouldSendDailySummary(userTimeZone) {
-  if (!isWithinTimeWindow(userTimeZone)) {
-    return false;
+function setLastSummarySlot(slot) {
+  const properties = PropertiesService.getUserProperties();
+  properties.setProperty('passiveLastSummarySlot', slot);
+  setLastSummaryDate(slot.substring(0, 10));
+}
+
+/**
+ * Check if the digest is delivered today according to its frequency
+ * @param {Object} config - Configuration object
+ * @param {Date} now - Current time
+ * @returns {boolean} True if today is a digest day in user's timezone
+ */
+function isDigestDay(config, now) {
+  const frequency = config.digestFrequency || DIGEST_FREQUENCY.DAILY;
+  if (frequency === DIGEST_FREQUENCY.DAILY) {
+    return true;
   }
   
-  if (hasSentSummaryToday(userTimeZone)) {
-    return false;
+  const weekday = Utilities.formatDate(now, config.timeZone, 'EEEE');
+  if (frequency === DIGEST_FREQUENCY.WEEKDAYS) {
+    return weekday !== 'Saturday' && weekday !== 'Sunday';
+  }
+  return weekday === (config.digestWeekday || DEFAULT_DIGEST_WEEKDAY);
+}
+
+/**
+ * Find the digest slot that is due now in user's timezone
+ * The dispatcher runs hourly, so a slot becomes due at the first run at or after its time
+ * and stays due for the rest of the day until a later slot takes over. A day without any
+ * run after the slot is not caught up: its results go out with the next slot.
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Slot key ("yyyy-MM-dd HH:mm") to send, or null if nothing is due
+ */
+function getDueDigestSlot(config) {
+  try {
+    const now = new Date();
+    if (!isDigestDay(config, now)) {
+      return null;
+    }
+    
+    const currentTime = Utilities.formatDate(now, config.timeZone, 'HH:mm');
+    const dueTimes = parseDigestTimes(config.digestTimes || DEFAULT_DIGEST_TIMES)
+      .filter(time => time <= currentTime);
+    if (dueTimes.length === 0) {
+      return null;
+    }
+    
+    const slot = `${getCurrentDateString(config.timeZone)} ${dueTimes[dueTimes.length - 1]}`;
+    const lastSlot = getLastSummarySlot();
+    return lastSlot && lastSlot >= slot ? null : slot;
+  } catch (error) {
+    logError('Error checking digest schedule:', error);
+    return null;
   }
-  
-  return true;
+}
+
+/**
+ * Check if we should send the digest
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if a digest slot is due and has not been sent yet
+ */
+function shouldSendDailySummary(config) {
+  return getDueDigestSlot(config) !== null;
 }
 
 /**
@@ -420,9 +451,10 @@ function shouldSendDailySummary(userTimeZone) {
  */
 function mergeAccumulatedResults(accumulated, newResults, processingStartDate, processingEndDate) {
   const merged = {
-    mustDo: (accumulated.mustDo || []).concat(newResults.mustDo || []),
-    mustKnow: (accumulated.mustKnow || []).concat(newResults.mustKnow || []),
+    mustDo: mergeResultItems(accumulated.mustDo || [], newResults.mustDo || []),
+    mustKnow: mergeResultItems(accumulated.mustKnow || [], newResults.mustKnow || []),
     totalProcessed: (accumulated.totalProcessed || 0) + (newResults.totalProcessed || 0),
+    skippedThreads: (accumulated.skippedThreads || 0) + (newResults.skippedThreads || 0),
     firstDate: accumulated.firstDate || processingStartDate.toISOString(),
     lastDate: processingEndDate.toISOString()
   };
@@ -436,7 +468,8 @@ function mergeAccumulatedResults(accumulated, newResults, processingStartDate, p
  * @returns {boolean} True if summary was sent successfully, false otherwise
  */
 function sendDailySummaryIfNeeded(config) {
-  if (!shouldSendDailySummary(config.timeZone)) {
+  const slot = getDueDigestSlot(config);
+  if (!slot) {
     return false;
   }
   
@@ -444,9 +477,12 @@ function sendDailySummaryIfNeeded(config) {
     // Load accumulated results from Drive
     const accumulated = loadAccumulatedResults();
     
+    // Open tasks from earlier digests are carried over under "Still open"
+    const stillOpen = getStillOpenTasks(accumulated.mustDo || [], config);
+    
     // Check if there's anything to send
-    if (accumulated.mustDo.length === 0 && accumulated.mustKnow.length === 0) {
-      console.log('Daily summary check: no accumulated results to send');
+    if (accumulated.mustDo.length === 0 && accumulated.mustKnow.length === 0 && stillOpen.length === 0) {
+      logInfo('Daily summary check: no accumulated results or open tasks to send');
       return false;
     }
     
@@ -454,7 +490,9 @@ function sendDailySummaryIfNeeded(config) {
     const summaryResults = {
       mustDo: accumulated.mustDo || [],
       mustKnow: accumulated.mustKnow || [],
+      stillOpen: stillOpen,
       totalProcessed: accumulated.totalProcessed || 0,
+      skippedThreads: accumulated.skippedThreads || 0,
       message: `Daily summary: Processed ${accumulated.totalProcessed || 0} emails.`,
       timeRange: 'daily',
       actualStartDate: accumulated.firstDate || new Date().toISOString(),
@@ -463,37 +501,43 @@ function sendDailySummaryIfNeeded(config) {
     
     // Generate and send summary email
     const htmlContent = generateSummaryHTML(summaryResults, config);
-    const today = getCurrentDateString(config.timeZone);
-    const subject = `${config.addonName} - Daily Summary - ${today}`;
-    
-    GmailApp.sendEmail(
-      getUserEmailAddress(),
-      subject,
-      '',
-      {
-        htmlBody: htmlContent,
-        name: config.addonName
-      }
-    );
+    const subject = `${config.addonName} - ${getDigestSubjectLabel(config, slot)}`;
     
-    // Mark email as important or starred
-    markEmailAsImportantOrStarred(subject);
+    // Scheduled digests can share one conversation per week
+    sendDigestEmail(subject, generateSummaryText(summaryResults, config), htmlContent, config, true);
+    sendDigestToRecipients(summaryResults, subject, config);
+    
+    // Keep must-do items open until they are done or their date passes
+    recordOpenTasks(summaryResults.mustDo, config);
     
     // Clear accumulated results from Drive after successful send
     clearAccumulatedResults();
     
-    // Update last summary date
-    setLastSummaryDate(today);
+    // Remember the slot so the next hourly run does not send it again
+    setLastSummarySlot(slot);
     
-    console.log(`Daily summary sent successfully - ${summaryResults.mustDo.length} actionable and ${summaryResults.mustKnow.length} informational items`);
+    logInfo(`Daily summary sent successfully - ${summaryResults.mustDo.length} actionable, ${summaryResults.mustKnow.length} informational and ${stillOpen.length} still open items`);
     return true;
   } catch (error) {
-    console.error('Error sending daily summary:', error);
+    logError('Error sending daily summary:', error);
     // Don't clear accumulated results on error - they'll be sent next day
     return false;
   }
 }
 
+/**
+ * Build the subject line label of a digest
+ * The time is only shown when several digests are sent per day.
+ * @param {Object} config - Configuration object
+ * @param {string} slot - Slot key in "yyyy-MM-dd HH:mm" format
+ * @returns {string} Label such as "Daily Summary - 2024-01-15"
+ */
+function getDigestSubjectLabel(config, slot) {
+  const name = config.digestFrequency === DIGEST_FREQUENCY.WEEKLY ? 'Weekly Summary' : 'Daily Summary';
+  const severalPerDay = parseDigestTimes(config.digestTimes || DEFAULT_DIGEST_TIMES).length > 1;
+  return `${name} - ${severalPerDay ? slot : slot.substring(0, 10)}`;
+}
+
 /**
  * Calculate date range for passive workflow
  */
@@ -508,9 +552,8 @@ function calculatePassiveWorkflowDateRange() {
   
   if (lastProcessedTimestampStr) {
     const lastProcessedTimestamp = new Date(lastProcessedTimestampStr);
-    // Add 30 minutes safety buffer
-    const safetyBuffer = new Date(lastProcessedTimestamp.getTime() + 30 * 60 * 1000);
-    startDate = safetyBuffer;
+    // Overlap the previous run by 30 minutes to catch late-indexed mail; the ledger skips what was already analyzed
+    startDate = new Date(lastProcessedTimestamp.getTime() - 30 * 60 * 1000);
   } else {
     // First run - start from 24 hours ago
     startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
@@ -535,19 +578,16 @@ function calculatePassiveWorkflowDateRange() {
 
 /**
  * Fetch email threads for passive workflow with message filtering
- * Uses the shared fetchEmailThreadsFromGmail function with a stop condition
- * to avoid reprocessing already-processed emails.
+ * Uses the shared fetchEmailThreadsFromGmail function with the processed-message ledger
+ * to avoid reprocessing already-analyzed emails.
+ * @param {Object} dateRange - Object with start and end dates
+ * @param {Object} [searchStats] - Receives matchedThreads and skippedThreads
  */
-function fetchEmailThreadsForPassiveWorkflow(dateRange) {
+function fetchEmailThreadsForPassiveWorkflow(dateRange, searchStats) {
   try {
-    // Get last processed message ID for stopping condition
-    const properties = PropertiesService.getUserProperties();
-    const lastProcessedMessageId = properties.getProperty('passiveLastProcessedMessageId');
-    
-    // Use shared function with stop condition to avoid reprocessing
-    return fetchEmailThreadsFromGmail(dateRange, lastProcessedMessageId);
+    return fetchEmailThreadsFromGmail(dateRange, loadProcessedLedger(), searchStats);
   } catch (error) {
-    console.error('Error fetching email threads for passive workflow:', error);
+    logError('Error fetching email threads for passive workflow:', error);
     throw new Error('Failed to fetch email threads for passive workflow');
   }
 }
@@ -557,16 +597,151 @@ function fetchEmailThreadsForPassiveWorkflow(dateRange) {
  */
 function onHomepageTrigger(e) {
   // Make sure the hourly dispatcher trigger exists whenever user visits home
-  try { ensureDispatcherScheduled(); } catch (err) { console.error('Failed to ensure dispatcher:', err); }
+  try { ensureDispatcherScheduled(); } catch (err) { logError('Failed to ensure dispatcher:', err); }
   return buildMainCard();
 }
 
 /**
- * Entry point when Gmail message is opened (for future use)
+ * Entry point when Gmail message is opened - runs a Quick Scan of the message's thread
  */
 function onGmailMessageOpen(e) {
-  // Future: Quick scan single email functionality
-  return buildQuickScanCard(e);
+  const startTime = Date.now();
+  try {
+    if (!isConfigurationComplete()) {
+      return buildQuickScanCard(null, '⚠️ Please configure your topics and AI provider first.');
+    }
+    
+    const messageId = e && e.gmail && e.gmail.messageId;
+    if (!messageId) {
+      return buildQuickScanCard(null, 'No message selected.');
+    }
+    
+    // Grant access to the opened message
+    if (e.gmail.accessToken) {
+      GmailApp.setCurrentMessageAccessToken(e.gmail.accessToken);
+    }
+    
+    const config = getConfiguration();
+    const scan = quickScanMessage(messageId, config, startTime + QUICK_SCAN_TIME_LIMIT_MS);
+    return buildQuickScanCard(scan);
+  } catch (error) {
+    logError('Error in quick scan:', error);
+    return buildErrorCard('Quick scan failed: ' + error.message);
+  }
+}
+
+/**
+ * Handle Quick Scan "apply label" action
+ */
+function handleQuickScanApplyLabel(e) {
+  try {
+    const category = e.parameters.category;
+    const item = JSON.parse(e.parameters.item);
+    const config = getConfiguration();
+    
+    // Only label the selected category
+    const results = { mustDo: [], mustKnow: [] };
+    results[category] = [item];
+    applyLabelsToInterestingEmails(results, config);
+    
+    const labelName = getLabelNameForItem(item, category, config);
+    return buildQuickScanDoneCard(`✅ Label "${labelName}" applied.`);
+  } catch (error) {
+    return buildErrorCard('Failed to apply label: ' + error.message);
+  }
+}
+
+/**
+ * Handle Quick Scan "add to today's digest" action
+ */
+function handleQuickScanAddToDigest(e) {
+  try {
+    const category = e.parameters.category;
+    const item = JSON.parse(e.parameters.item);
+    
+    const newResults = { mustDo: [], mustKnow: [], totalProcessed: 0 };
+    newResults[category] = [item];
+    
+    const now = new Date();
+    const accumulated = loadAccumulatedResults();
+    saveAccumulatedResults(mergeAccumulatedResults(accumulated, newResults, now, now));
+    
+    return buildQuickScanDoneCard('✅ Added to today\'s digest.');
+  } catch (error) {
+    return buildErrorCard('Failed to add to digest: ' + error.message);
+  }
+}
+
+/**
+ * Handle Quick Scan "add to Calendar" action
+ */
+function handleQuickScanAddToCalendar(e) {
+  try {
+    const category = e.parameters.category;
+    const item = JSON.parse(e.parameters.item);
+    const results = { mustDo: [], mustKnow: [] };
+    results[category] = [item];
+    
+    const outcome = addItemsToCalendar(getDatedCalendarItems(results), getConfiguration());
+    return buildQuickScanDoneCard(describeCalendarOutcome(outcome));
+  } catch (error) {
+    logError('Error adding item to Calendar:', error);
+    return buildErrorCard('Failed to add to Calendar: ' + error.message);
+  }
+}
+
+/**
+ * Handle summary card "add dated items to Calendar" action
+ */
+function handleAddResultsToCalendar(e) {
+  try {
+    const results = JSON.parse(e.parameters.results);
+    const outcome = addItemsToCalendar(getDatedCalendarItems(results), getConfiguration());
+    return buildCalendarResultCard(describeCalendarOutcome(outcome));
+  } catch (error) {
+    logError('Error adding items to Calendar:', error);
+    return buildErrorCard('Failed to add to Calendar: ' + error.message);
+  }
+}
+
+/**
+ * Describe the outcome of adding items to Calendar
+ * @param {Object} outcome - Result of addItemsToCalendar
+ * @returns {string} Message for the confirmation card
+ */
+function describeCalendarOutcome(outcome) {
+  const failed = outcome.failed || 0;
+  if (outcome.created === 0 && failed === 0) {
+    return outcome.skipped > 0 ? 'ℹ️ Already in your calendar.' : 'ℹ️ No dated items to add.';
+  }
+  let message = outcome.created > 0 ?
+    `✅ Added ${outcome.created} event${outcome.created === 1 ? '' : 's'} to "${outcome.calendarName}".` :
+    '';
+  if (outcome.skipped > 0) {
+    message += ` ${outcome.skipped} ${outcome.skipped === 1 ? 'was' : 'were'} already in your calendar.`;
+  }
+  if (failed > 0) {
+    message += ` ⚠️ ${failed} event${failed === 1 ? '' : 's'} could not be added; try again later.`;
+  }
+  return message.trim();
+}
+
+/**
+ * Handle "Done" action on an open task, from the open tasks, summary or Quick Scan card
+ */
+function handleMarkTaskDone(e) {
+  try {
+    markTaskDone(e.parameters.taskId);
+    completeGoogleTaskForTaskId(e.parameters.taskId);
+    
+    if (e.parameters.returnTo === 'quickScan') {
+      return buildQuickScanDoneCard('✅ Task marked as done.');
+    }
+    return buildOpenTasksCard();
+  } catch (error) {
+    logError('Error marking task as done:', error);
+    return buildErrorCard('Failed to mark task as done: ' + error.message);
+  }
 }
 
 /**
@@ -624,7 +799,7 @@ function runDispatcher() {
 
     // Otherwise run passive workflow hourly (hard-coded)
     var config = getConfiguration();
-    if (config && config.openaiApiKey) {
+    if (config && isLlmConfigured(config)) {
       var lastRunIso = properties.getProperty('passiveLastRunIso');
       var now = new Date();
       var shouldRun = true;
@@ -635,10 +810,12 @@ function runDispatcher() {
       if (shouldRun) {
         properties.setProperty('passiveLastRunIso', now.toISOString());
         runPassiveWorkflow();
+        // Tasks exported to Google Tasks are completed once their thread is archived
+        completeGoogleTasksOfArchivedThreads(config);
       }
     }
   } catch (error) {
-    console.error('Dispatcher error:', error);
+    logError('Dispatcher error:', error);
   }
 }
 
@@ -651,6 +828,19 @@ function getFormValue(input, defaultValue = '') {
   return String(input);
 }
 
+/**
+ * Validate the thread ceiling entered in Email Settings
+ * @param {string} value - Form value
+ * @returns {number} Positive whole number of threads
+ */
+function parseMaxThreadsPerSearch(value) {
+  const parsed = Number(String(value).trim());
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error('Maximum threads per scan must be a positive whole number');
+  }
+  return parsed;
+}
+
 /**
  * Helper function to safely extract boolean values
  */
@@ -667,20 +857,32 @@ function getFormBoolean(input, defaultValue = false) {
  */
 function mergeConfiguration(partialConfig) {
   const existing = getConfiguration();
+  const merged = {};
+  Object.keys(existing).forEach(key => {
+    merged[key] = partialConfig[key] !== undefined ? partialConfig[key] : existing[key];
+  });
+  return merged;
+}
+
+/**
+ * Extract LLM provider settings from System Settings / onboarding form inputs
+ * @param {Object} formInputs - Form inputs from the event object
+ * @returns {Object} Partial config with provider, model, endpoint and key fields
+ */
+function getLlmSettingsFromForm(formInputs) {
   return {
-    addonName: partialConfig.addonName !== undefined ? partialConfig.addonName : existing.addonName,
-    openaiApiKey: partialConfig.openaiApiKey !== undefined ? partialConfig.openaiApiKey : existing.openaiApiKey,
-    timeZone: partialConfig.timeZone !== undefined ? partialConfig.timeZone : existing.timeZone,
-    mustDoTopics: partialConfig.mustDoTopics !== undefined ? partialConfig.mustDoTopics : existing.mustDoTopics,
-    mustKnowTopics: partialConfig.mustKnowTopics !== undefined ? partialConfig.mustKnowTopics : existing.mustKnowTopics,
-    mustDoOther: partialConfig.mustDoOther !== undefined ? partialConfig.mustDoOther : existing.mustDoOther,
-    mustKnowOther: partialConfig.mustKnowOther !== undefined ? partialConfig.mustKnowOther : existing.mustKnowOther,
-    unreadOnly: partialConfig.unreadOnly !== undefined ? partialConfig.unreadOnly : existing.unreadOnly,
-    inboxOnly: partialConfig.inboxOnly !== undefined ? partialConfig.inboxOnly : existing.inboxOnly,
-    mustDoLabel: partialConfig.mustDoLabel !== undefined ? partialConfig.mustDoLabel : existing.mustDoLabel,
-    mustKnowLabel: partialConfig.mustKnowLabel !== undefined ? partialConfig.mustKnowLabel : existing.mustKnowLabel,
-    markProcessedAsRead: partialConfig.markProcessedAsRead !== undefined ? partialConfig.markProcessedAsRead : existing.markProcessedAsRead,
-    removeUninterestingFromInbox: partialConfig.removeUninterestingFromInbox !== undefined ? partialConfig.removeUninterestingFromInbox : existing.removeUninterestingFromInbox
+    llmProvider: getFormValue(formInputs.llmProvider, LLM_PROVIDER.OPENAI),
+    openaiApiKey: getFormValue(formInputs.openaiApiKey),
+    openaiModel: getFormValue(formInputs.openaiModel, DEFAULT_OPENAI_MODEL),
+    azureEndpoint: getFormValue(formInputs.azureEndpoint),
+    azureDeployment: getFormValue(formInputs.azureDeployment),
+    azureApiVersion: getFormValue(formInputs.azureApiVersion, DEFAULT_AZURE_API_VERSION),
+    azureApiKey: getFormValue(formInputs.azureApiKey),
+    anthropicApiKey: getFormValue(formInputs.anthropicApiKey),
+    anthropicModel: getFormValue(formInputs.anthropicModel, DEFAULT_ANTHROPIC_MODEL),
+    compatibleBaseUrl: getFormValue(formInputs.compatibleBaseUrl),
+    compatibleModel: getFormValue(formInputs.compatibleModel),
+    compatibleApiKey: getFormValue(formInputs.compatibleApiKey)
   };
 }
 
@@ -693,15 +895,16 @@ function handleConfigSubmit(e) {
     
     // Save configuration
     saveConfiguration({
+      ...getLlmSettingsFromForm(formInputs),
       addonName: getFormValue(formInputs.addonName, 'Gmail Fast Reader'),
-      openaiApiKey: getFormValue(formInputs.openaiApiKey),
-      timeZone: getFormValue(formInputs.timeZone, 'Europe/Paris'),
+      timeZone: getFormValue(formInputs.timeZone, detectUserTimeZone()),
       mustDoTopics: getFormValue(formInputs.mustDoTopics),
       mustKnowTopics: getFormValue(formInputs.mustKnowTopics),
       mustDoOther: getFormBoolean(formInputs.mustDoOther),
       mustKnowOther: getFormBoolean(formInputs.mustKnowOther),
       unreadOnly: getFormBoolean(formInputs.unreadOnly),
       inboxOnly: getFormBoolean(formInputs.inboxOnly),
+      maxThreadsPerSearch: parseMaxThreadsPerSearch(getFormValue(formInputs.maxThreadsPerSearch, String(DEFAULT_MAX_THREADS_PER_SEARCH))),
       mustDoLabel: getFormValue(formInputs.mustDoLabel),
       mustKnowLabel: getFormValue(formInputs.mustKnowLabel),
       automaticScanning: getFormBoolean(formInputs.automaticScanning)
@@ -742,9 +945,13 @@ function handleSystemSettingsSubmit(e) {
   try {
     const formInputs = e.formInputs || {};
     const partialConfig = {
+      ...getLlmSettingsFromForm(formInputs),
       addonName: getFormValue(formInputs.addonName, 'Gmail Fast Reader'),
-      openaiApiKey: getFormValue(formInputs.openaiApiKey),
-      timeZone: getFormValue(formInputs.timeZone, 'Europe/Paris')
+      timeZone: getFormValue(formInputs.timeZone, detectUserTimeZone()),
+      digestTimes: getFormValue(formInputs.digestTimes, DEFAULT_DIGEST_TIMES),
+      digestFrequency: getFormValue(formInputs.digestFrequency, DIGEST_FREQUENCY.DAILY),
+      digestWeekday: getFormValue(formInputs.digestWeekday, DEFAULT_DIGEST_WEEKDAY),
+      logLevel: getFormValue(formInputs.logLevel, LOG_LEVEL.INFO)
     };
     
     const mergedConfig = mergeConfiguration(partialConfig);
@@ -765,21 +972,101 @@ function handleEmailSettingsSubmit(e) {
     const partialConfig = {
       unreadOnly: getFormBoolean(formInputs.unreadOnly),
       inboxOnly: getFormBoolean(formInputs.inboxOnly),
+      customQuery: getFormValue(formInputs.customQuery).trim(),
+      includeLabels: parseLabelList(getFormValue(formInputs.includeLabels)).join(', '),
+      excludeLabels: parseLabelList(getFormValue(formInputs.excludeLabels)).join(', '),
+      maxThreadsPerSearch: parseMaxThreadsPerSearch(getFormValue(formInputs.maxThreadsPerSearch, String(DEFAULT_MAX_THREADS_PER_SEARCH))),
       mustDoLabel: getFormValue(formInputs.mustDoLabel),
       mustKnowLabel: getFormValue(formInputs.mustKnowLabel),
+      topicLabels: getFormValue(formInputs.topicLabels).trim(),
       markProcessedAsRead: getFormBoolean(formInputs.markProcessedAsRead),
-      removeUninterestingFromInbox: getFormBoolean(formInputs.removeUninterestingFromInbox)
+      removeUninterestingFromInbox: getFormBoolean(formInputs.removeUninterestingFromInbox),
+      calendarMode: getFormValue(formInputs.calendarMode, CALENDAR_MODE.OFF),
+      calendarId: getFormValue(formInputs.calendarId).trim(),
+      tasksExport: getFormBoolean(formInputs.tasksExport),
+      tasksListId: getFormValue(formInputs.tasksListId).trim(),
+      urgencyHorizonDays: parseUrgencyHorizonDays(getFormValue(formInputs.urgencyHorizonDays, String(DEFAULT_URGENCY_HORIZON_DAYS))),
+      vipSenders: parseVipSenders(getFormValue(formInputs.vipSenders)).join('\n'),
+      digestLayout: getFormValue(formInputs.digestLayout, DIGEST_LAYOUT.DETAILED),
+      digestTheme: getFormValue(formInputs.digestTheme, DIGEST_THEME.LIGHT),
+      digestLabel: parseDigestLabel(getFormValue(formInputs.digestLabel)),
+      digestThreading: getFormBoolean(formInputs.digestThreading),
+      digestRecipients: getFormValue(formInputs.digestRecipients)
     };
     
     const mergedConfig = mergeConfiguration(partialConfig);
+    validateTopicLabels(mergedConfig.topicLabels, mergedConfig);
+    mergedConfig.digestRecipients = validateDigestRecipients(mergedConfig.digestRecipients, mergedConfig);
+    
+    // Make sure the chosen calendar and task list exist before the integrations are turned on
+    if (mergedConfig.calendarMode !== CALENDAR_MODE.OFF) {
+      getTargetCalendar(mergedConfig);
+    }
+    if (mergedConfig.tasksExport) {
+      getTargetTaskListId(mergedConfig);
+    }
+    
+    // Validate the search filters before saving them, and show what they match
+    let filterMessage = '';
+    if (mergedConfig.customQuery || mergedConfig.includeLabels || mergedConfig.excludeLabels) {
+      const searchTest = testGmailSearchFilters(mergedConfig);
+      filterMessage = `\n\n🔎 Test search over the last 7 days matched ${searchTest.matchCount}${searchTest.hasMore ? '+' : ''} threads.`;
+      if (searchTest.matchCount === 0) {
+        filterMessage += ' Check your filters - no emails would be analyzed.';
+      }
+    }
+    
     saveConfiguration(mergedConfig);
     
-    return buildConfigSuccessCard();
+    return buildConfigSuccessCard(filterMessage);
   } catch (error) {
     return buildErrorCard('Failed to save email settings: ' + error.message);
   }
 }
 
+/**
+ * Handle adding a sender rule
+ */
+function handleAddSenderRule(e) {
+  try {
+    const formInputs = e.formInputs || {};
+    const pattern = normalizeSenderPattern(getFormValue(formInputs.senderRulePattern));
+    const action = getFormValue(formInputs.senderRuleAction, SENDER_RULE_ACTION.SKIP);
+    const validActions = getSenderRuleActionOptions().map(option => option.value);
+    if (validActions.indexOf(action) === -1) {
+      throw new Error(`Unknown sender rule action "${action}"`);
+    }
+    
+    // A new rule for the same sender replaces the old one
+    const rules = loadSenderRules().filter(rule => rule.pattern !== pattern);
+    rules.push({ pattern: pattern, action: action });
+    saveSenderRules(rules);
+    
+    return buildSenderRulesCard();
+  } catch (error) {
+    return buildErrorCard('Failed to add sender rule: ' + error.message);
+  }
+}
+
+/**
+ * Handle removing a sender rule
+ */
+function handleDeleteSenderRule(e) {
+  try {
+    const index = parseInt(e.parameters.index, 10);
+    const rules = loadSenderRules();
+    if (isNaN(index) || index < 0 || index >= rules.length) {
+      throw new Error('Sender rule not found');
+    }
+    rules.splice(index, 1);
+    saveSenderRules(rules);
+    
+    return buildSenderRulesCard();
+  } catch (error) {
+    return buildErrorCard('Failed to remove sender rule: ' + error.message);
+  }
+}
+
 /**
  * Handle onboarding navigation (Previous button)
  */
@@ -806,9 +1093,9 @@ function handleOnboardingSaveAndNext(e) {
     // Step 1: System Settings
     if (currentStep === 1) {
       partialConfig = {
+        ...getLlmSettingsFromForm(formInputs),
         addonName: getFormValue(formInputs.addonName, 'Gmail Fast Reader'),
-        openaiApiKey: getFormValue(formInputs.openaiApiKey),
-        timeZone: getFormValue(formInputs.timeZone, 'Europe/Paris')
+        timeZone: getFormValue(formInputs.timeZone, detectUserTimeZone())
       };
     }
     // Step 2: Topics
@@ -867,18 +1154,51 @@ function handleNukeSettings() {
     
     // Clear all configuration properties
     properties.deleteProperty('addonName');
+    properties.deleteProperty('llmProvider');
     properties.deleteProperty('openaiApiKey');
+    properties.deleteProperty('openaiModel');
+    properties.deleteProperty('azureEndpoint');
+    properties.deleteProperty('azureDeployment');
+    properties.deleteProperty('azureApiVersion');
+    properties.deleteProperty('azureApiKey');
+    properties.deleteProperty('anthropicApiKey');
+    properties.deleteProperty('anthropicModel');
+    properties.deleteProperty('compatibleBaseUrl');
+    properties.deleteProperty('compatibleModel');
+    properties.deleteProperty('compatibleApiKey');
     properties.deleteProperty('timeZone');
+    properties.deleteProperty('logLevel');
     properties.deleteProperty('mustDoTopics');
     properties.deleteProperty('mustKnowTopics');
     properties.deleteProperty('mustDoOther');
     properties.deleteProperty('mustKnowOther');
     properties.deleteProperty('unreadOnly');
     properties.deleteProperty('inboxOnly');
+    properties.deleteProperty('customQuery');
+    properties.deleteProperty('includeLabels');
+    properties.deleteProperty('excludeLabels');
+    properties.deleteProperty('maxThreadsPerSearch');
+    properties.deleteProperty(SENDER_RULES_PROPERTY_KEY);
     properties.deleteProperty('mustDoLabel');
     properties.deleteProperty('mustKnowLabel');
+    properties.deleteProperty('topicLabels');
     properties.deleteProperty('markProcessedAsRead');
     properties.deleteProperty('removeUninterestingFromInbox');
+    properties.deleteProperty('digestTimes');
+    properties.deleteProperty('digestFrequency');
+    properties.deleteProperty('digestWeekday');
+    properties.deleteProperty('calendarMode');
+    properties.deleteProperty('calendarId');
+    properties.deleteProperty('tasksExport');
+    properties.deleteProperty('tasksListId');
+    properties.deleteProperty('urgencyHorizonDays');
+    properties.deleteProperty('vipSenders');
+    properties.deleteProperty('digestLayout');
+    properties.deleteProperty('digestTheme');
+    properties.deleteProperty('digestLabel');
+    properties.deleteProperty('digestThreading');
+    properties.deleteProperty(DIGEST_THREAD_PROPERTY_KEY);
+    properties.deleteProperty('digestRecipients');
     
     return buildOnboardingCard(1);
   } catch (error) {
@@ -888,17 +1208,20 @@ function handleNukeSettings() {
 
 /**
  * Suggestions handler for label text inputs
+ * For comma-separated label lists, the last entry is completed and the earlier ones are kept.
  */
 function handleLabelSuggestions(e) {
   try {
     const query = (e && e.parameter && e.parameter.query) || '';
+    const lastComma = query.lastIndexOf(',');
+    const prefix = lastComma === -1 ? '' : query.substring(0, lastComma + 1) + ' ';
     const labels = GmailApp.getUserLabels();
-    const normalizedQuery = query.toLowerCase();
+    const normalizedQuery = query.substring(lastComma + 1).trim().toLowerCase();
     const suggestions = CardService.newSuggestions();
     for (var i = 0; i < labels.length; i++) {
       var name = labels[i].getName();
       if (!normalizedQuery || name.toLowerCase().indexOf(normalizedQuery) !== -1) {
-        suggestions.addSuggestion(name);
+        suggestions.addSuggestion(prefix + name);
       }
     }
     return CardService.newSuggestionsResponseBuilder()
@@ -912,6 +1235,25 @@ function handleLabelSuggestions(e) {
   }
 }
 
+/**
+ * Suggestions handler for the time zone text input
+ */
+function handleTimeZoneSuggestions(e) {
+  try {
+    const query = (e && e.parameter && e.parameter.query) || '';
+    const suggestions = CardService.newSuggestions();
+    findTimeZones(query).forEach(zone => suggestions.addSuggestion(zone));
+    return CardService.newSuggestionsResponseBuilder()
+      .setSuggestions(suggestions)
+      .build();
+  } catch (error) {
+    // On error, return empty suggestions
+    return CardService.newSuggestionsResponseBuilder()
+      .setSuggestions(CardService.newSuggestions())
+      .build();
+  }
+}
+
 /**
  * Handle active workflow - scan emails
  */
@@ -923,23 +1265,26 @@ function handleScanEmails(e) {
     }
     
     const timeRange = e.parameters.timeRange || '1day';
+    const rescan = getFormBoolean((e.formInputs || {}).rescan);
     
     // Start background processing
-    startBackgroundEmailProcessing(timeRange);
+    startBackgroundEmailProcessing(timeRange, rescan);
     
     // Return progress card with Check Status button
     return buildProgressCardWithStatusButton('Email processing started in background. You will receive an email when complete.');
     
   } catch (error) {
-    console.error('Error in handleScanEmails:', error);
+    logError('Error in handleScanEmails:', error);
     return buildErrorCard('Failed to start email processing: ' + error.message);
   }
 }
 
 /**
  * Start background email processing (always uses chunked approach)
+ * @param {string} timeRange - Time range identifier
+ * @param {boolean} [rescan] - Analyze messages again even if they are in the processed-message ledger
  */
-function startBackgroundEmailProcessing(timeRange) {
+function startBackgroundEmailProcessing(timeRange, rescan) {
   // Acquire lock for active workflow
   lock('active');
 
@@ -966,8 +1311,9 @@ function startBackgroundEmailProcessing(timeRange) {
       'chunkEnd': end.toISOString(),
       'chunkIndex': '0',
       'chunkTotalChunks': String(totalChunks),
-      'accumulatedResults': JSON.stringify({ mustDo: [], mustKnow: [], totalProcessed: 0, batchesProcessed: 0 })
+      'chunkRescan': rescan ? 'true' : 'false'
     });
+    saveScanResults({ mustDo: [], mustKnow: [], totalProcessed: 0, batchesProcessed: 0 });
 
     properties.setProperty('processingMessage', `Processing emails in ${totalChunks} chunks...`);
     // Temporarily remove hourly dispatcher and schedule a one-off active step in 1 minute
@@ -978,14 +1324,14 @@ function startBackgroundEmailProcessing(timeRange) {
         .after(triggerDelayMs)
         .create();
     } catch (error) {
-      console.error('Failed to schedule one-off active trigger:', error);
+      logError('Failed to schedule one-off active trigger:', error);
       failProcessing(error.message);
-      try { sendProcessingErrorEmail(error.message); } catch (e2) { console.error('Failed to send error email:', e2); }
+      try { sendProcessingErrorEmail(error.message, error); } catch (e2) { logError('Failed to send error email:', e2); }
       // Always release lock on failure and restore dispatcher
-      try { ensureDispatcherScheduled(); } catch (e3) { console.error('Failed to restore dispatcher:', e3); }
+      try { ensureDispatcherScheduled(); } catch (e3) { logError('Failed to restore dispatcher:', e3); }
     }
   } catch (error) {
-    console.error('Failed to start background email processing:', error);
+    logError('Failed to start background email processing:', error);
     unlock();
   }
 }
@@ -995,14 +1341,15 @@ function startBackgroundEmailProcessing(timeRange) {
  */
 function processEmailsChunkedStep() {
   const properties = PropertiesService.getUserProperties();
+  const deadline = getExecutionDeadline(Date.now());
   try {
     // As soon as the one-off fires, restore the hourly dispatcher
-    try { ensureDispatcherScheduled(); } catch (e0) { console.error('Failed to ensure dispatcher at step start:', e0); }
+    try { ensureDispatcherScheduled(); } catch (e0) { logError('Failed to ensure dispatcher at step start:', e0); }
     // Mark chunk starting before heavy work
     markChunkStarting(new Date().toISOString());
     const config = getConfiguration();
-    if (!config.openaiApiKey) {
-      throw new Error('OpenAI API key not configured');
+    if (!isLlmConfigured(config)) {
+      throw new Error('AI provider not configured');
     }
 
     // Load chunk state
@@ -1010,8 +1357,7 @@ function processEmailsChunkedStep() {
     const chunkEndIso = properties.getProperty('chunkEnd');
     const chunkIndex = parseInt(properties.getProperty('chunkIndex') || '0');
     const totalChunks = parseInt(properties.getProperty('chunkTotalChunks') || '1');
-    const accumulatedStr = properties.getProperty('accumulatedResults') || '{}';
-    const accumulated = accumulatedStr ? JSON.parse(accumulatedStr) : { mustDo: [], mustKnow: [], totalProcessed: 0, batchesProcessed: 0 };
+    const accumulated = loadScanResults();
 
     if (!chunkStartIso || !chunkEndIso) {
       throw new Error('Chunked processing state is missing');
@@ -1038,16 +1384,18 @@ function processEmailsChunkedStep() {
     const dateRange = { start: currentStart, end: currentStop };
     
     // Log chunk information before fetching
-    console.log(`=== CHUNK ${chunkIndex + 1}/${totalChunks} START ===`);
-    console.log(`Chunk Date Range: ${currentStart.toISOString()} to ${currentStop.toISOString()}`);
+    logInfo(`=== CHUNK ${chunkIndex + 1}/${totalChunks} START ===`);
+    logInfo(`Chunk Date Range: ${currentStart.toISOString()} to ${currentStop.toISOString()}`);
     
-    const emailThreads = fetchEmailThreadsFromGmail(dateRange);
+    const processedLedger = properties.getProperty('chunkRescan') === 'true' ? null : loadProcessedLedger();
+    const searchStats = { matchedThreads: 0, skippedThreads: 0 };
+    const emailThreads = fetchEmailThreadsFromGmail(dateRange, processedLedger, searchStats);
     
     // Log chunk selection results
-    console.log(`=== CHUNK ${chunkIndex + 1}/${totalChunks} SELECTION RESULTS ===`);
-    console.log(`Chunk ${chunkIndex + 1} - Threads: ${emailThreads.length}`);
+    logInfo(`=== CHUNK ${chunkIndex + 1}/${totalChunks} SELECTION RESULTS ===`);
+    logInfo(`Chunk ${chunkIndex + 1} - Threads: ${emailThreads.length}`);
     const chunkEmailCount = emailThreads.reduce((sum, thread) => sum + thread.emails.length, 0);
-    console.log(`Chunk ${chunkIndex + 1} - Total Emails: ${chunkEmailCount}`);
+    logInfo(`Chunk ${chunkIndex + 1} - Total Emails: ${chunkEmailCount}`);
     
     let chunkResults = { mustDo: [], mustKnow: [], totalProcessed: 0, batchesProcessed: 0 };
     
@@ -1066,21 +1414,23 @@ function processEmailsChunkedStep() {
         'processedMessages': (currentProcessedMessages + totalMessages).toString()
       });
       
-      chunkResults = processEmailsInBatches(emailThreads, config);
+      chunkResults = processEmailsInBatches(emailThreads, config, deadline);
     }
     
     // Accumulate results from this chunk
-    accumulated.mustDo = (accumulated.mustDo || []).concat(chunkResults.mustDo || []);
-    accumulated.mustKnow = (accumulated.mustKnow || []).concat(chunkResults.mustKnow || []);
+    accumulated.mustDo = mergeResultItems(accumulated.mustDo || [], chunkResults.mustDo || []);
+    accumulated.mustKnow = mergeResultItems(accumulated.mustKnow || [], chunkResults.mustKnow || []);
     accumulated.totalProcessed = (accumulated.totalProcessed || 0) + (chunkResults.totalProcessed || 0);
     accumulated.batchesProcessed = (accumulated.batchesProcessed || 0) + (chunkResults.batchesProcessed || 0);
+    accumulated.skippedThreads = (accumulated.skippedThreads || 0) + searchStats.skippedThreads;
 
     // Advance to next chunk
     const nextChunkIndex = chunkIndex + 1;
-    properties.setProperties({
-      'accumulatedResults': JSON.stringify(accumulated),
-      'chunkIndex': String(nextChunkIndex)
-    });
+    saveScanResults(accumulated);
+    properties.setProperty('chunkIndex', String(nextChunkIndex));
+    if (emailThreads.length > 0) {
+      recordProcessedMessages(emailThreads, chunkResults);
+    }
 
     // If finished all chunks, finalize and send summary
     if (overallStart.getTime() + (nextChunkIndex * CHUNK_SIZE_MS) >= overallEnd.getTime() || nextChunkIndex >= totalChunks) {
@@ -1095,14 +1445,14 @@ function processEmailsChunkedStep() {
     ensureDispatcherScheduled();
 
   } catch (error) {
-    console.error('Error in chunked background processing:', error);
+    logError('Error in chunked background processing:', error);
     properties.setProperties({
       'processingStatus': PROCESSING_STATUS.ERROR,
       'processingMessage': 'Processing failed: ' + error.message
     });
     // Clear chunk timing on error
     cleanupChunkTiming(properties);
-    sendProcessingErrorEmail(error.message);
+    sendProcessingErrorEmail(error.message, error);
     // Release lock on error
     unlock();
     // Ensure dispatcher remains scheduled
@@ -1119,6 +1469,7 @@ function finalizeChunkedProcessing(accumulated) {
     const mustDo = (accumulated && accumulated.mustDo) ? accumulated.mustDo : [];
     const mustKnow = (accumulated && accumulated.mustKnow) ? accumulated.mustKnow : [];
     const totalProcessed = (accumulated && accumulated.totalProcessed) ? accumulated.totalProcessed : 0;
+    const skippedThreads = (accumulated && accumulated.skippedThreads) ? accumulated.skippedThreads : 0;
 
     // Get time range information before clearing properties
     const timeRange = properties.getProperty('processingTimeRange') || '1day';
@@ -1141,16 +1492,17 @@ function finalizeChunkedProcessing(accumulated) {
       mustDo: mustDo,
       mustKnow: mustKnow,
       totalProcessed: totalProcessed,
+      skippedThreads: skippedThreads,
       message: `Processed ${totalProcessed} emails across chunked processing.`,
       timeRange: timeRange,
       actualStartDate: actualStartDate.toISOString(),
       actualEndDate: actualEndDate.toISOString()
     };
 
+    saveScanResults(finalResults);
     properties.setProperties({
       'processingStatus': PROCESSING_STATUS.COMPLETED,
-      'processingMessage': `Processing complete. Found ${mustDo.length} actionable items and ${mustKnow.length} informational items.`,
-      'processingResults': JSON.stringify(finalResults)
+      'processingMessage': `Processing complete. Found ${mustDo.length} actionable items and ${mustKnow.length} informational items.`
     });
 
     // Clear chunked-specific state
@@ -1160,14 +1512,14 @@ function finalizeChunkedProcessing(accumulated) {
       sendProcessingCompleteEmail();
     }
   } catch (error) {
-    console.error('Error finalizing chunked processing:', error);
+    logError('Error finalizing chunked processing:', error);
     properties.setProperties({
       'processingStatus': PROCESSING_STATUS.ERROR,
       'processingMessage': 'Processing failed: ' + error.message
     });
     // Clear chunk timing on error
     cleanupChunkTiming(properties);
-    sendProcessingErrorEmail(error.message);
+    sendProcessingErrorEmail(error.message, error);
   } finally {
     // Always release lock for active workflow
     unlock();
@@ -1180,8 +1532,7 @@ function finalizeChunkedProcessing(accumulated) {
  * Send processing complete email
  */
 function sendProcessingCompleteEmail() {
-  const properties = PropertiesService.getUserProperties();
-  const results = JSON.parse(properties.getProperty('processingResults') || '{}');
+  const results = loadScanResults();
   const config = getConfiguration();
   
   const htmlContent = generateSummaryHTML(results, config);
@@ -1189,38 +1540,51 @@ function sendProcessingCompleteEmail() {
   // Format time range for subject
   let timeRangeSubject = 'Processing Complete';
   if (results.actualStartDate && results.actualEndDate) {
-    const startDate = new Date(results.actualStartDate);
-    const endDate = new Date(results.actualEndDate);
-    const startFormatted = startDate.toISOString().slice(0, 16).replace('T', ' ');
-    const endFormatted = endDate.toISOString().slice(0, 16).replace('T', ' ');
-    timeRangeSubject = `Summary - ${startFormatted} to ${endFormatted}`;
+    timeRangeSubject = `Summary - ${formatDateRangeInTimeZone(results.actualStartDate, results.actualEndDate, config.timeZone).replace(' - ', ' to ')}`;
   } else if (results.timeRange) {
     timeRangeSubject = `Summary (${results.timeRange})`;
   }
   
   const subject = `${config.addonName} - ${timeRangeSubject}`;
   
-  GmailApp.sendEmail(
-    getUserEmailAddress(),
-    subject,
-    '',
-    {
-      htmlBody: htmlContent,
-      name: config.addonName
-    }
-  );
+  sendDigestEmail(subject, generateSummaryText(results, config), htmlContent, config);
+  sendDigestToRecipients(results, subject, config);
+}
+
+/**
+ * Explain in an error email whether the failure is temporary or needs the user's attention
+ * @param {Error} [error] - The error, possibly classified by callLlmAPI
+ * @returns {string} Error type and advice
+ */
+function describeErrorForEmail(error) {
+  if (!error || !error.llmErrorKind) {
+    return 'Please check your configuration and try again.';
+  }
   
-  // Mark email as important or starred
-  markEmailAsImportantOrStarred(subject);
+  switch (error.llmErrorKind) {
+  case LLM_ERROR_KIND.RATE_LIMITED:
+    return 'Error type: temporary (AI provider rate limit).\n\nThe request was retried with backoff but the limit did not clear in time. No action is needed unless this keeps happening; the next scheduled run will try again, or start the scan again later.';
+  case LLM_ERROR_KIND.SERVER_ERROR:
+  case LLM_ERROR_KIND.NETWORK_ERROR:
+    return 'Error type: temporary (AI provider unavailable).\n\nThe request was retried with backoff but the provider did not recover in time. No action is needed unless this keeps happening; the next scheduled run will try again, or start the scan again later.';
+  case LLM_ERROR_KIND.AUTHENTICATION:
+    return 'Error type: fatal (invalid API key).\n\nThe AI provider rejected the API key. Update it in System Settings.';
+  case LLM_ERROR_KIND.QUOTA_EXHAUSTED:
+    return 'Error type: fatal (quota exhausted).\n\nThe AI provider account has no quota or credits left. Add credits or raise the limit with your provider.';
+  default:
+    return 'Error type: fatal (request rejected).\n\nThe AI provider rejected the request. Check the model, endpoint and deployment in System Settings.';
+  }
 }
 
 /**
  * Send processing error email
+ * @param {string} errorMessage - Error message
+ * @param {Error} [error] - The error itself, used to tell temporary from fatal failures
  */
-function sendProcessingErrorEmail(errorMessage) {
+function sendProcessingErrorEmail(errorMessage, error) {
   const config = getConfiguration();
-  const subject = `${config.addonName} - Processing Error - ${new Date().toLocaleDateString()}`;
-  const body = `Email processing failed with the following error:\n\n${errorMessage}\n\nPlease check your configuration and try again.`;
+  const subject = `${config.addonName} - Processing Error - ${getCurrentDateString(config.timeZone)}`;
+  const body = `Email processing failed with the following error:\n\n${errorMessage}\n\n${describeErrorForEmail(error)}`;
   
   GmailApp.sendEmail(
     getUserEmailAddress(),
@@ -1237,7 +1601,7 @@ function sendProcessingErrorEmail(errorMessage) {
  */
 function sendProcessingTimeoutEmail() {
   const config = getConfiguration();
-  const subject = `${config.addonName} - Processing Timeout - ${new Date().toLocaleDateString()}`;
+  const subject = `${config.addonName} - Processing Timeout - ${getCurrentDateString(config.timeZone)}`;
   const body = 'Email processing timed out.\n\nThis usually happens when processing a large number of emails. Please try:\n\n1. Using a shorter time range (e.g., 6 hours instead of 7 days)\n2. Reducing the number of topics to focus on\n3. Checking your internet connection\n\nYou can check the status in the Gmail Fast Reader add-on.';
   
   GmailApp.sendEmail(
@@ -1258,17 +1622,17 @@ function resetAddonState() {
     // Delete all triggers for this project
     ScriptApp.getProjectTriggers().forEach(function(t) { ScriptApp.deleteTrigger(t); });
   } catch (e) {
-    console.error('Failed deleting triggers:', e);
+    logError('Failed deleting triggers:', e);
   }
   try {
     releaseProcessingState();
   } catch (e2) {
-    console.error('Failed releasing processing state:', e2);
+    logError('Failed releasing processing state:', e2);
   }
   try {
     ensureDispatcherScheduled();
   } catch (e3) {
-    console.error('Failed ensuring dispatcher after reset:', e3);
+    logError('Failed ensuring dispatcher after reset:', e3);
   }
 }
 
@@ -1393,7 +1757,7 @@ function checkProcessingStatus() {
   }
   
   if (status === PROCESSING_STATUS.COMPLETED) {
-    const results = JSON.parse(properties.getProperty('processingResults') || '{}');
+    const results = loadScanResults();
     const startTimeStr = properties.getProperty('processingStartTime');
     const processedThreads = parseInt(properties.getProperty('processedThreads') || '0');
     const totalThreads = parseInt(properties.getProperty('totalThreads') || '0');
@@ -1410,7 +1774,10 @@ function checkProcessingStatus() {
     
     // Save latest run stats before clearing
     saveLatestRunStats(properties, PROCESSING_STATUS.COMPLETED, 'Processing completed successfully', {
-      results: results,
+      // Counts only: the items themselves would outgrow a user property
+      mustDoCount: results.mustDo.length,
+      mustKnowCount: results.mustKnow.length,
+      skippedThreads: results.skippedThreads || 0,
       duration: duration,
       processedThreads: processedThreads,
       totalThreads: totalThreads,
@@ -1574,14 +1941,14 @@ function buildLatestRunStatsCard() {
       statsText += `💬 Messages: ${latestStats.processedMessages || 0}/${latestStats.totalMessages}\n`;
     }
     
-    if (latestStats.results) {
-      const results = latestStats.results;
-      if (results.mustDo && results.mustDo.length > 0) {
-        statsText += `🎯 Actionable Items: ${results.mustDo.length}\n`;
-      }
-      if (results.mustKnow && results.mustKnow.length > 0) {
-        statsText += `📚 Informational Items: ${results.mustKnow.length}\n`;
-      }
+    if (latestStats.mustDoCount > 0) {
+      statsText += `🎯 Actionable Items: ${latestStats.mustDoCount}\n`;
+    }
+    if (latestStats.mustKnowCount > 0) {
+      statsText += `📚 Informational Items: ${latestStats.mustKnowCount}\n`;
+    }
+    if (latestStats.skippedThreads > 0) {
+      statsText += `⚠️ Skipped Threads: ${latestStats.skippedThreads} (thread limit reached)\n`;
     }
     
     statsText += `\n💬 Message: ${latestStats.message}`;
@@ -1613,7 +1980,7 @@ function buildLatestRunStatsCard() {
       .build();
       
   } catch (error) {
-    console.error('Error building latest run stats card:', error);
+    logError('Error building latest run stats card:', error);
     return buildMainCard();
   }
 }
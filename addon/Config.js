@@ -21,20 +21,55 @@ function getConfiguration() {
     return value === 'true';
   }
   
+  // Zero is a valid horizon (today only), so only a missing or broken value falls back
+  const urgencyHorizonDays = parseInt(getProp('urgencyHorizonDays', String(DEFAULT_URGENCY_HORIZON_DAYS)), 10);
+  
   return {
     addonName: getProp('addonName', 'Gmail Fast Reader'),
+    llmProvider: getProp('llmProvider', LLM_PROVIDER.OPENAI),
     openaiApiKey: getProp('openaiApiKey', ''),
-    timeZone: getProp('timeZone', 'Europe/Paris'), // CET timezone
+    openaiModel: getProp('openaiModel', DEFAULT_OPENAI_MODEL),
+    azureEndpoint: getProp('azureEndpoint', ''),
+    azureDeployment: getProp('azureDeployment', ''),
+    azureApiVersion: getProp('azureApiVersion', DEFAULT_AZURE_API_VERSION),
+    azureApiKey: getProp('azureApiKey', ''),
+    anthropicApiKey: getProp('anthropicApiKey', ''),
+    anthropicModel: getProp('anthropicModel', DEFAULT_ANTHROPIC_MODEL),
+    compatibleBaseUrl: getProp('compatibleBaseUrl', ''),
+    compatibleModel: getProp('compatibleModel', ''),
+    compatibleApiKey: getProp('compatibleApiKey', ''),
+    // Only look up the Calendar time zone when the user has not chosen one
+    timeZone: properties.getProperty('timeZone') || detectUserTimeZone(),
+    logLevel: getProp('logLevel', LOG_LEVEL.INFO),
     mustDoTopics: getProp('mustDoTopics', 'tax forms to file'),
     mustKnowTopics: getProp('mustKnowTopics', 'parent-teacher meetings at school\nschool trips'),
     mustDoOther: getBoolProp('mustDoOther', true),
     mustKnowOther: getBoolProp('mustKnowOther', false),
     unreadOnly: getBoolProp('unreadOnly', false),
     inboxOnly: getBoolProp('inboxOnly', true),
+    customQuery: getProp('customQuery', ''),
+    includeLabels: getProp('includeLabels', ''),
+    excludeLabels: getProp('excludeLabels', ''),
+    maxThreadsPerSearch: parseInt(getProp('maxThreadsPerSearch', String(DEFAULT_MAX_THREADS_PER_SEARCH)), 10) || DEFAULT_MAX_THREADS_PER_SEARCH,
     mustDoLabel: getProp('mustDoLabel', 'TODO'),
     mustKnowLabel: getProp('mustKnowLabel', 'FYI'),
+    topicLabels: getProp('topicLabels', ''),
     markProcessedAsRead: getBoolProp('markProcessedAsRead', false),
-    removeUninterestingFromInbox: getBoolProp('removeUninterestingFromInbox', false)
+    removeUninterestingFromInbox: getBoolProp('removeUninterestingFromInbox', false),
+    digestTimes: getProp('digestTimes', DEFAULT_DIGEST_TIMES),
+    digestFrequency: getProp('digestFrequency', DIGEST_FREQUENCY.DAILY),
+    digestWeekday: getProp('digestWeekday', DEFAULT_DIGEST_WEEKDAY),
+    calendarMode: getProp('calendarMode', CALENDAR_MODE.OFF),
+    calendarId: getProp('calendarId', ''),
+    tasksExport: getBoolProp('tasksExport', false),
+    tasksListId: getProp('tasksListId', ''),
+    urgencyHorizonDays: isNaN(urgencyHorizonDays) ? DEFAULT_URGENCY_HORIZON_DAYS : urgencyHorizonDays,
+    vipSenders: getProp('vipSenders', ''),
+    digestLayout: getProp('digestLayout', DIGEST_LAYOUT.DETAILED),
+    digestTheme: getProp('digestTheme', DIGEST_THEME.LIGHT),
+    digestLabel: getProp('digestLabel', ''),
+    digestThreading: getBoolProp('digestThreading', false),
+    digestRecipients: getProp('digestRecipients', '')
   };
 }
 
@@ -61,56 +96,449 @@ function saveConfiguration(config) {
     return false;
   }
   
+  const timeZone = normalizeTimeZone(safeString(config.timeZone, DEFAULT_TIME_ZONE));
+  if (!timeZone) {
+    throw new Error(`Unknown time zone "${config.timeZone}". Pick a zone from the suggestions, e.g. Asia/Kolkata or America/Sao_Paulo`);
+  }
+  const digestTimes = parseDigestTimes(safeString(config.digestTimes, DEFAULT_DIGEST_TIMES));
+  const llmProvider = safeString(config.llmProvider, LLM_PROVIDER.OPENAI);
+  const compatibleBaseUrl = safeString(config.compatibleBaseUrl, '').trim();
+  if (llmProvider === LLM_PROVIDER.OPENAI_COMPATIBLE && compatibleBaseUrl && !isCompatibleBaseUrlAllowed(compatibleBaseUrl)) {
+    throw new Error(COMPATIBLE_ENDPOINT_URL_PREFIX ?
+      `Base URL "${compatibleBaseUrl}" is not allowed by this deployment. Use an address starting with ${COMPATIBLE_ENDPOINT_URL_PREFIX}` :
+      'This deployment cannot reach an OpenAI-compatible endpoint. Choose another AI provider');
+  }
+  
   properties.setProperties({
     'addonName': safeString(config.addonName, 'Gmail Fast Reader'),
+    'llmProvider': llmProvider,
     'openaiApiKey': safeString(config.openaiApiKey, ''),
-    'timeZone': safeString(config.timeZone, 'Europe/Paris'), // CET timezone
+    'openaiModel': safeString(config.openaiModel, DEFAULT_OPENAI_MODEL),
+    'azureEndpoint': safeString(config.azureEndpoint, ''),
+    'azureDeployment': safeString(config.azureDeployment, ''),
+    'azureApiVersion': safeString(config.azureApiVersion, DEFAULT_AZURE_API_VERSION),
+    'azureApiKey': safeString(config.azureApiKey, ''),
+    'anthropicApiKey': safeString(config.anthropicApiKey, ''),
+    'anthropicModel': safeString(config.anthropicModel, DEFAULT_ANTHROPIC_MODEL),
+    'compatibleBaseUrl': compatibleBaseUrl,
+    'compatibleModel': safeString(config.compatibleModel, ''),
+    'compatibleApiKey': safeString(config.compatibleApiKey, ''),
+    'timeZone': timeZone,
+    'logLevel': safeString(config.logLevel, LOG_LEVEL.INFO),
     'mustDoTopics': safeString(config.mustDoTopics, ''),
     'mustKnowTopics': safeString(config.mustKnowTopics, ''),
     'mustDoOther': safeBoolean(config.mustDoOther) ? 'true' : 'false',
     'mustKnowOther': safeBoolean(config.mustKnowOther) ? 'true' : 'false',
     'unreadOnly': safeBoolean(config.unreadOnly) ? 'true' : 'false',
     'inboxOnly': safeBoolean(config.inboxOnly) ? 'true' : 'false',
+    'customQuery': safeString(config.customQuery, ''),
+    'includeLabels': safeString(config.includeLabels, ''),
+    'excludeLabels': safeString(config.excludeLabels, ''),
+    'maxThreadsPerSearch': safeString(config.maxThreadsPerSearch, String(DEFAULT_MAX_THREADS_PER_SEARCH)),
     'mustDoLabel': safeString(config.mustDoLabel, ''),
     'mustKnowLabel': safeString(config.mustKnowLabel, ''),
+    'topicLabels': safeString(config.topicLabels, ''),
     'markProcessedAsRead': safeBoolean(config.markProcessedAsRead) ? 'true' : 'false',
-    'removeUninterestingFromInbox': safeBoolean(config.removeUninterestingFromInbox) ? 'true' : 'false'
+    'removeUninterestingFromInbox': safeBoolean(config.removeUninterestingFromInbox) ? 'true' : 'false',
+    'digestTimes': digestTimes.join(', '),
+    'digestFrequency': safeString(config.digestFrequency, DIGEST_FREQUENCY.DAILY),
+    'digestWeekday': safeString(config.digestWeekday, DEFAULT_DIGEST_WEEKDAY),
+    'calendarMode': safeString(config.calendarMode, CALENDAR_MODE.OFF),
+    'calendarId': safeString(config.calendarId, ''),
+    'tasksExport': safeBoolean(config.tasksExport) ? 'true' : 'false',
+    'tasksListId': safeString(config.tasksListId, ''),
+    'urgencyHorizonDays': safeString(config.urgencyHorizonDays, String(DEFAULT_URGENCY_HORIZON_DAYS)),
+    'vipSenders': safeString(config.vipSenders, ''),
+    'digestLayout': safeString(config.digestLayout, DIGEST_LAYOUT.DETAILED),
+    'digestTheme': safeString(config.digestTheme, DIGEST_THEME.LIGHT),
+    'digestLabel': safeString(config.digestLabel, ''),
+    'digestThreading': safeBoolean(config.digestThreading) ? 'true' : 'false',
+    'digestRecipients': safeString(config.digestRecipients, '')
   });
 }
 
+/**
+ * Check whether requests to an OpenAI-compatible base URL are allowed by the manifest
+ * Apps Script only fetches URLs starting with a urlFetchWhitelist entry, and the
+ * deployment adds at most one entry for this provider (COMPATIBLE_ENDPOINT_URL_PREFIX).
+ * @param {string} baseUrl - Base URL as entered in the settings
+ * @returns {boolean} True if the chat completions URL of the base URL is whitelisted
+ */
+function isCompatibleBaseUrlAllowed(baseUrl) {
+  if (!COMPATIBLE_ENDPOINT_URL_PREFIX) return false;
+  const requestUrl = `${String(baseUrl).trim().replace(/\/+$/, '')}/chat/completions`;
+  return requestUrl.startsWith(COMPATIBLE_ENDPOINT_URL_PREFIX);
+}
+
+/**
+ * Check if the selected LLM provider has everything it needs to be called
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if the provider is usable
+ */
+function isLlmConfigured(config) {
+  switch (config.llmProvider) {
+  case LLM_PROVIDER.AZURE_OPENAI:
+    return !!(config.azureEndpoint && config.azureDeployment && config.azureApiKey);
+  case LLM_PROVIDER.ANTHROPIC:
+    return !!config.anthropicApiKey;
+  case LLM_PROVIDER.OPENAI_COMPATIBLE:
+    // Self-hosted gateways may not require a key
+    return !!(config.compatibleBaseUrl && config.compatibleModel);
+  default:
+    return !!config.openaiApiKey;
+  }
+}
+
 /**
  * Check if configuration is complete
  */
 function isConfigurationComplete() {
   const config = getConfiguration();
-  return config.openaiApiKey && 
+  return isLlmConfigured(config) && 
          (config.mustDoTopics || config.mustDoOther) && 
          (config.mustKnowTopics || config.mustKnowOther);
 }
 
 /**
  * Check if onboarding is needed (first-time setup)
- * Returns true if openaiApiKey is empty, indicating first-time setup
+ * Returns true if the LLM provider is not configured, indicating first-time setup
  */
 function needsOnboarding() {
-  const properties = PropertiesService.getUserProperties();
-  const openaiApiKey = properties.getProperty('openaiApiKey');
-  return !openaiApiKey || openaiApiKey === '';
+  return !isLlmConfigured(getConfiguration());
 }
 
+// How often the digest is delivered
+const DIGEST_FREQUENCY = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays',
+  WEEKLY: 'weekly'
+};
+
+// Delivery time(s) of the digest, HH:mm in the user's time zone
+const DEFAULT_DIGEST_TIMES = '21:00';
+
+// Day of the weekly digest, as formatted by Utilities.formatDate 'EEEE'
+const DEFAULT_DIGEST_WEEKDAY = 'Sunday';
+
 /**
- * Get timezone options for dropdown
+ * Get digest frequency options for dropdown
  */
-function getTimezoneOptions() {
+function getDigestFrequencyOptions() {
   return [
-    { label: 'Eastern Time (ET)', value: 'America/New_York' },
-    { label: 'Central Time (CT)', value: 'America/Chicago' },
-    { label: 'Mountain Time (MT)', value: 'America/Denver' },
-    { label: 'Pacific Time (PT)', value: 'America/Los_Angeles' },
-    { label: 'UTC', value: 'UTC' },
-    { label: 'London (GMT)', value: 'Europe/London' },
-    { label: 'Paris (CET)', value: 'Europe/Paris' },
-    { label: 'Tokyo (JST)', value: 'Asia/Tokyo' },
-    { label: 'Sydney (AEST)', value: 'Australia/Sydney' }
+    { label: 'Every day', value: DIGEST_FREQUENCY.DAILY },
+    { label: 'Weekdays only (Monday to Friday)', value: DIGEST_FREQUENCY.WEEKDAYS },
+    { label: 'Once a week', value: DIGEST_FREQUENCY.WEEKLY }
   ];
 }
+
+/**
+ * Get weekday options for the weekly digest dropdown
+ */
+function getDigestWeekdayOptions() {
+  return ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    .map(day => ({ label: day, value: day }));
+}
+
+// What to do with dated items in Google Calendar
+const CALENDAR_MODE = {
+  OFF: 'off',
+  PROPOSE: 'propose',
+  AUTOMATIC: 'automatic'
+};
+
+/**
+ * Get Calendar integration options for dropdown
+ */
+function getCalendarModeOptions() {
+  return [
+    { label: 'Off', value: CALENDAR_MODE.OFF },
+    { label: 'Propose events (confirm with a button)', value: CALENDAR_MODE.PROPOSE },
+    { label: 'Add events automatically', value: CALENDAR_MODE.AUTOMATIC }
+  ];
+}
+
+// How items are laid out in the digest email
+const DIGEST_LAYOUT = {
+  DETAILED: 'detailed',
+  COMPACT: 'compact',
+  BY_TOPIC: 'byTopic'
+};
+
+// Color palette of the digest email
+const DIGEST_THEME = {
+  LIGHT: 'light',
+  DARK: 'dark'
+};
+
+/**
+ * Get digest layout options for dropdown
+ */
+function getDigestLayoutOptions() {
+  return [
+    { label: 'Detailed (sender, topic and thread for every item)', value: DIGEST_LAYOUT.DETAILED },
+    { label: 'Compact (one line per item)', value: DIGEST_LAYOUT.COMPACT },
+    { label: 'Grouped by topic', value: DIGEST_LAYOUT.BY_TOPIC }
+  ];
+}
+
+/**
+ * Get digest theme options for dropdown
+ */
+function getDigestThemeOptions() {
+  return [
+    { label: 'Light', value: DIGEST_THEME.LIGHT },
+    { label: 'Dark (for mail apps in dark mode)', value: DIGEST_THEME.DARK }
+  ];
+}
+
+/**
+ * Parse the digest delivery times entered by the user
+ * The scan that sends the digest runs hourly, so times less than an hour apart
+ * would be delivered by the same run and are rejected.
+ * @param {string} value - Comma-separated times, e.g. "7:30, 18:00"
+ * @returns {Array<string>} Sorted times in HH:mm format
+ * @throws {Error} If a time is malformed or two times are less than an hour apart
+ */
+function parseDigestTimes(value) {
+  const times = String(value || '').split(/[,;\n]/)
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map(entry => {
+      const match = entry.match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+        throw new Error(`Digest time "${entry}" must be HH:mm, e.g. 07:30 or 18:00`);
+      }
+      return (match[1].length === 1 ? '0' : '') + match[1] + ':' + match[2];
+    })
+    .sort();
+  
+  if (times.length === 0) {
+    throw new Error('At least one digest time is required, e.g. 07:30');
+  }
+  
+  for (let i = 1; i < times.length; i++) {
+    const minutesApart = timeToMinutes(times[i]) - timeToMinutes(times[i - 1]);
+    if (minutesApart < 60) {
+      throw new Error(`Digest times ${times[i - 1]} and ${times[i]} must be at least an hour apart, as emails are scanned hourly`);
+    }
+  }
+  return times;
+}
+
+/**
+ * Convert an HH:mm time to minutes since midnight
+ * @param {string} time - Time in HH:mm format
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+  const parts = time.split(':');
+  return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+}
+
+// Time zones are the canonical IANA names (tz database zone.tab) plus UTC. Utilities.formatDate
+// silently falls back to GMT for names it does not know, so zones are checked against this
+// list, with exact casing, before they are saved. Older names still returned by Google
+// services, such as Asia/Calcutta, are accepted and saved under their canonical name.
+const DEFAULT_TIME_ZONE = 'Europe/Paris';
+
+// Maximum number of suggestions shown while typing a time zone
+const TIME_ZONE_SUGGESTION_LIMIT = 20;
+
+const IANA_TIME_ZONES = [
+  'Africa/Abidjan', 'Africa/Accra', 'Africa/Addis_Ababa', 'Africa/Algiers', 'Africa/Asmara',
+  'Africa/Bamako', 'Africa/Bangui', 'Africa/Banjul', 'Africa/Bissau', 'Africa/Blantyre',
+  'Africa/Brazzaville', 'Africa/Bujumbura', 'Africa/Cairo', 'Africa/Casablanca', 'Africa/Ceuta',
+  'Africa/Conakry', 'Africa/Dakar', 'Africa/Dar_es_Salaam', 'Africa/Djibouti', 'Africa/Douala',
+  'Africa/El_Aaiun', 'Africa/Freetown', 'Africa/Gaborone', 'Africa/Harare', 'Africa/Johannesburg',
+  'Africa/Juba', 'Africa/Kampala', 'Africa/Khartoum', 'Africa/Kigali', 'Africa/Kinshasa',
+  'Africa/Lagos', 'Africa/Libreville', 'Africa/Lome', 'Africa/Luanda', 'Africa/Lubumbashi',
+  'Africa/Lusaka', 'Africa/Malabo', 'Africa/Maputo', 'Africa/Maseru', 'Africa/Mbabane',
+  'Africa/Mogadishu', 'Africa/Monrovia', 'Africa/Nairobi', 'Africa/Ndjamena', 'Africa/Niamey',
+  'Africa/Nouakchott', 'Africa/Ouagadougou', 'Africa/Porto-Novo', 'Africa/Sao_Tome',
+  'Africa/Tripoli', 'Africa/Tunis', 'Africa/Windhoek', 'America/Adak', 'America/Anchorage',
+  'America/Anguilla', 'America/Antigua', 'America/Araguaina', 'America/Argentina/Buenos_Aires',
+  'America/Argentina/Catamarca', 'America/Argentina/Cordoba', 'America/Argentina/Jujuy',
+  'America/Argentina/La_Rioja', 'America/Argentina/Mendoza', 'America/Argentina/Rio_Gallegos',
+  'America/Argentina/Salta', 'America/Argentina/San_Juan', 'America/Argentina/San_Luis',
+  'America/Argentina/Tucuman', 'America/Argentina/Ushuaia', 'America/Aruba', 'America/Asuncion',
+  'America/Atikokan', 'America/Bahia', 'America/Bahia_Banderas', 'America/Barbados',
+  'America/Belem', 'America/Belize', 'America/Blanc-Sablon', 'America/Boa_Vista', 'America/Bogota',
+  'America/Boise', 'America/Cambridge_Bay', 'America/Campo_Grande', 'America/Cancun',
+  'America/Caracas', 'America/Cayenne', 'America/Cayman', 'America/Chicago', 'America/Chihuahua',
+  'America/Ciudad_Juarez', 'America/Costa_Rica', 'America/Coyhaique', 'America/Creston',
+  'America/Cuiaba', 'America/Curacao', 'America/Danmarkshavn', 'America/Dawson',
+  'America/Dawson_Creek', 'America/Denver', 'America/Detroit', 'America/Dominica',
+  'America/Edmonton', 'America/Eirunepe', 'America/El_Salvador', 'America/Fort_Nelson',
+  'America/Fortaleza', 'America/Glace_Bay', 'America/Goose_Bay', 'America/Grand_Turk',
+  'America/Grenada', 'America/Guadeloupe', 'America/Guatemala', 'America/Guayaquil',
+  'America/Guyana', 'America/Halifax', 'America/Havana', 'America/Hermosillo',
+  'America/Indiana/Indianapolis', 'America/Indiana/Knox', 'America/Indiana/Marengo',
+  'America/Indiana/Petersburg', 'America/Indiana/Tell_City', 'America/Indiana/Vevay',
+  'America/Indiana/Vincennes', 'America/Indiana/Winamac', 'America/Inuvik', 'America/Iqaluit',
+  'America/Jamaica', 'America/Juneau', 'America/Kentucky/Louisville',
+  'America/Kentucky/Monticello', 'America/Kralendijk', 'America/La_Paz', 'America/Lima',
+  'America/Los_Angeles', 'America/Lower_Princes', 'America/Maceio', 'America/Managua',
+  'America/Manaus', 'America/Marigot', 'America/Martinique', 'America/Matamoros',
+  'America/Mazatlan', 'America/Menominee', 'America/Merida', 'America/Metlakatla',
+  'America/Mexico_City', 'America/Miquelon', 'America/Moncton', 'America/Monterrey',
+  'America/Montevideo', 'America/Montserrat', 'America/Nassau', 'America/New_York', 'America/Nome',
+  'America/Noronha', 'America/North_Dakota/Beulah', 'America/North_Dakota/Center',
+  'America/North_Dakota/New_Salem', 'America/Nuuk', 'America/Ojinaga', 'America/Panama',
+  'America/Paramaribo', 'America/Phoenix', 'America/Port-au-Prince', 'America/Port_of_Spain',
+  'America/Porto_Velho', 'America/Puerto_Rico', 'America/Punta_Arenas', 'America/Rankin_Inlet',
+  'America/Recife', 'America/Regina', 'America/Resolute', 'America/Rio_Branco', 'America/Santarem',
+  'America/Santiago', 'America/Santo_Domingo', 'America/Sao_Paulo', 'America/Scoresbysund',
+  'America/Sitka', 'America/St_Barthelemy', 'America/St_Johns', 'America/St_Kitts',
+  'America/St_Lucia', 'America/St_Thomas', 'America/St_Vincent', 'America/Swift_Current',
+  'America/Tegucigalpa', 'America/Thule', 'America/Tijuana', 'America/Toronto', 'America/Tortola',
+  'America/Vancouver', 'America/Whitehorse', 'America/Winnipeg', 'America/Yakutat',
+  'Antarctica/Casey', 'Antarctica/Davis', 'Antarctica/DumontDUrville', 'Antarctica/Macquarie',
+  'Antarctica/Mawson', 'Antarctica/McMurdo', 'Antarctica/Palmer', 'Antarctica/Rothera',
+  'Antarctica/Syowa', 'Antarctica/Troll', 'Antarctica/Vostok', 'Arctic/Longyearbyen', 'Asia/Aden',
+  'Asia/Almaty', 'Asia/Amman', 'Asia/Anadyr', 'Asia/Aqtau', 'Asia/Aqtobe', 'Asia/Ashgabat',
+  'Asia/Atyrau', 'Asia/Baghdad', 'Asia/Bahrain', 'Asia/Baku', 'Asia/Bangkok', 'Asia/Barnaul',
+  'Asia/Beirut', 'Asia/Bishkek', 'Asia/Brunei', 'Asia/Chita', 'Asia/Colombo', 'Asia/Damascus',
+  'Asia/Dhaka', 'Asia/Dili', 'Asia/Dubai', 'Asia/Dushanbe', 'Asia/Famagusta', 'Asia/Gaza',
+  'Asia/Hebron', 'Asia/Ho_Chi_Minh', 'Asia/Hong_Kong', 'Asia/Hovd', 'Asia/Irkutsk', 'Asia/Jakarta',
+  'Asia/Jayapura', 'Asia/Jerusalem', 'Asia/Kabul', 'Asia/Kamchatka', 'Asia/Karachi',
+  'Asia/Kathmandu', 'Asia/Khandyga', 'Asia/Kolkata', 'Asia/Krasnoyarsk', 'Asia/Kuala_Lumpur',
+  'Asia/Kuching', 'Asia/Kuwait', 'Asia/Macau', 'Asia/Magadan', 'Asia/Makassar', 'Asia/Manila',
+  'Asia/Muscat', 'Asia/Nicosia', 'Asia/Novokuznetsk', 'Asia/Novosibirsk', 'Asia/Omsk', 'Asia/Oral',
+  'Asia/Phnom_Penh', 'Asia/Pontianak', 'Asia/Pyongyang', 'Asia/Qatar', 'Asia/Qostanay',
+  'Asia/Qyzylorda', 'Asia/Riyadh', 'Asia/Sakhalin', 'Asia/Samarkand', 'Asia/Seoul',
+  'Asia/Shanghai', 'Asia/Singapore', 'Asia/Srednekolymsk', 'Asia/Taipei', 'Asia/Tashkent',
+  'Asia/Tbilisi', 'Asia/Tehran', 'Asia/Thimphu', 'Asia/Tokyo', 'Asia/Tomsk', 'Asia/Ulaanbaatar',
+  'Asia/Urumqi', 'Asia/Ust-Nera', 'Asia/Vientiane', 'Asia/Vladivostok', 'Asia/Yakutsk',
+  'Asia/Yangon', 'Asia/Yekaterinburg', 'Asia/Yerevan', 'Atlantic/Azores', 'Atlantic/Bermuda',
+  'Atlantic/Canary', 'Atlantic/Cape_Verde', 'Atlantic/Faroe', 'Atlantic/Madeira',
+  'Atlantic/Reykjavik', 'Atlantic/South_Georgia', 'Atlantic/St_Helena', 'Atlantic/Stanley',
+  'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Broken_Hill', 'Australia/Darwin',
+  'Australia/Eucla', 'Australia/Hobart', 'Australia/Lindeman', 'Australia/Lord_Howe',
+  'Australia/Melbourne', 'Australia/Perth', 'Australia/Sydney', 'Europe/Amsterdam',
+  'Europe/Andorra', 'Europe/Astrakhan', 'Europe/Athens', 'Europe/Belgrade', 'Europe/Berlin',
+  'Europe/Bratislava', 'Europe/Brussels', 'Europe/Bucharest', 'Europe/Budapest', 'Europe/Busingen',
+  'Europe/Chisinau', 'Europe/Copenhagen', 'Europe/Dublin', 'Europe/Gibraltar', 'Europe/Guernsey',
+  'Europe/Helsinki', 'Europe/Isle_of_Man', 'Europe/Istanbul', 'Europe/Jersey',
+  'Europe/Kaliningrad', 'Europe/Kirov', 'Europe/Kyiv', 'Europe/Lisbon', 'Europe/Ljubljana',
+  'Europe/London', 'Europe/Luxembourg', 'Europe/Madrid', 'Europe/Malta', 'Europe/Mariehamn',
+  'Europe/Minsk', 'Europe/Monaco', 'Europe/Moscow', 'Europe/Oslo', 'Europe/Paris',
+  'Europe/Podgorica', 'Europe/Prague', 'Europe/Riga', 'Europe/Rome', 'Europe/Samara',
+  'Europe/San_Marino', 'Europe/Sarajevo', 'Europe/Saratov', 'Europe/Simferopol', 'Europe/Skopje',
+  'Europe/Sofia', 'Europe/Stockholm', 'Europe/Tallinn', 'Europe/Tirane', 'Europe/Ulyanovsk',
+  'Europe/Vaduz', 'Europe/Vatican', 'Europe/Vienna', 'Europe/Vilnius', 'Europe/Volgograd',
+  'Europe/Warsaw', 'Europe/Zagreb', 'Europe/Zurich', 'Indian/Antananarivo', 'Indian/Chagos',
+  'Indian/Christmas', 'Indian/Cocos', 'Indian/Comoro', 'Indian/Kerguelen', 'Indian/Mahe',
+  'Indian/Maldives', 'Indian/Mauritius', 'Indian/Mayotte', 'Indian/Reunion', 'Pacific/Apia',
+  'Pacific/Auckland', 'Pacific/Bougainville', 'Pacific/Chatham', 'Pacific/Chuuk', 'Pacific/Easter',
+  'Pacific/Efate', 'Pacific/Fakaofo', 'Pacific/Fiji', 'Pacific/Funafuti', 'Pacific/Galapagos',
+  'Pacific/Gambier', 'Pacific/Guadalcanal', 'Pacific/Guam', 'Pacific/Honolulu', 'Pacific/Kanton',
+  'Pacific/Kiritimati', 'Pacific/Kosrae', 'Pacific/Kwajalein', 'Pacific/Majuro',
+  'Pacific/Marquesas', 'Pacific/Midway', 'Pacific/Nauru', 'Pacific/Niue', 'Pacific/Norfolk',
+  'Pacific/Noumea', 'Pacific/Pago_Pago', 'Pacific/Palau', 'Pacific/Pitcairn', 'Pacific/Pohnpei',
+  'Pacific/Port_Moresby', 'Pacific/Rarotonga', 'Pacific/Saipan', 'Pacific/Tahiti',
+  'Pacific/Tarawa', 'Pacific/Tongatapu', 'Pacific/Wake', 'Pacific/Wallis', 'UTC'
+];
+
+// Backward-compatible names of the tz database (file "backward") and their canonical zone
+const TIME_ZONE_ALIASES = {
+  'Africa/Asmera': 'Africa/Asmara', 'Africa/Timbuktu': 'Africa/Bamako',
+  'America/Atka': 'America/Adak', 'America/Buenos_Aires': 'America/Argentina/Buenos_Aires',
+  'America/Catamarca': 'America/Argentina/Catamarca', 'America/Coral_Harbour': 'America/Atikokan',
+  'America/Cordoba': 'America/Argentina/Cordoba', 'America/Ensenada': 'America/Tijuana',
+  'America/Fort_Wayne': 'America/Indiana/Indianapolis', 'America/Godthab': 'America/Nuuk',
+  'America/Indianapolis': 'America/Indiana/Indianapolis', 'America/Jujuy': 'America/Argentina/Jujuy',
+  'America/Knox_IN': 'America/Indiana/Knox', 'America/Louisville': 'America/Kentucky/Louisville',
+  'America/Mendoza': 'America/Argentina/Mendoza', 'America/Montreal': 'America/Toronto',
+  'America/Porto_Acre': 'America/Rio_Branco', 'America/Rosario': 'America/Argentina/Cordoba',
+  'America/Santa_Isabel': 'America/Tijuana', 'America/Shiprock': 'America/Denver',
+  'America/Virgin': 'America/St_Thomas', 'Asia/Ashkhabad': 'Asia/Ashgabat',
+  'Asia/Calcutta': 'Asia/Kolkata', 'Asia/Chongqing': 'Asia/Shanghai', 'Asia/Chungking': 'Asia/Shanghai',
+  'Asia/Dacca': 'Asia/Dhaka', 'Asia/Harbin': 'Asia/Shanghai', 'Asia/Istanbul': 'Europe/Istanbul',
+  'Asia/Kashgar': 'Asia/Urumqi', 'Asia/Katmandu': 'Asia/Kathmandu', 'Asia/Macao': 'Asia/Macau',
+  'Asia/Rangoon': 'Asia/Yangon', 'Asia/Saigon': 'Asia/Ho_Chi_Minh', 'Asia/Tel_Aviv': 'Asia/Jerusalem',
+  'Asia/Thimbu': 'Asia/Thimphu', 'Asia/Ujung_Pandang': 'Asia/Makassar',
+  'Asia/Ulan_Bator': 'Asia/Ulaanbaatar', 'Atlantic/Faeroe': 'Atlantic/Faroe',
+  'Atlantic/Jan_Mayen': 'Arctic/Longyearbyen', 'Australia/ACT': 'Australia/Sydney',
+  'Australia/Canberra': 'Australia/Sydney', 'Australia/LHI': 'Australia/Lord_Howe',
+  'Australia/NSW': 'Australia/Sydney', 'Australia/North': 'Australia/Darwin',
+  'Australia/Queensland': 'Australia/Brisbane', 'Australia/South': 'Australia/Adelaide',
+  'Australia/Tasmania': 'Australia/Hobart', 'Australia/Victoria': 'Australia/Melbourne',
+  'Australia/West': 'Australia/Perth', 'Australia/Yancowinna': 'Australia/Broken_Hill',
+  'Brazil/Acre': 'America/Rio_Branco', 'Brazil/DeNoronha': 'America/Noronha',
+  'Brazil/East': 'America/Sao_Paulo', 'Brazil/West': 'America/Manaus',
+  'Canada/Atlantic': 'America/Halifax', 'Canada/Central': 'America/Winnipeg',
+  'Canada/Eastern': 'America/Toronto', 'Canada/Mountain': 'America/Edmonton',
+  'Canada/Newfoundland': 'America/St_Johns', 'Canada/Pacific': 'America/Vancouver',
+  'Canada/Saskatchewan': 'America/Regina', 'Canada/Yukon': 'America/Whitehorse',
+  'Chile/Continental': 'America/Santiago', 'Chile/EasterIsland': 'Pacific/Easter',
+  'Cuba': 'America/Havana', 'Egypt': 'Africa/Cairo', 'Eire': 'Europe/Dublin',
+  'Etc/GMT': 'UTC', 'Etc/GMT+0': 'UTC', 'Etc/GMT-0': 'UTC', 'Etc/GMT0': 'UTC', 'Etc/Greenwich': 'UTC',
+  'Etc/UCT': 'UTC', 'Etc/Universal': 'UTC', 'Etc/UTC': 'UTC', 'Etc/Zulu': 'UTC',
+  'Europe/Belfast': 'Europe/London', 'Europe/Kiev': 'Europe/Kyiv', 'Europe/Nicosia': 'Asia/Nicosia',
+  'Europe/Tiraspol': 'Europe/Chisinau', 'Europe/Uzhgorod': 'Europe/Kyiv',
+  'Europe/Zaporozhye': 'Europe/Kyiv', 'GB': 'Europe/London', 'GB-Eire': 'Europe/London',
+  'GMT': 'UTC', 'GMT+0': 'UTC', 'GMT-0': 'UTC', 'GMT0': 'UTC', 'Greenwich': 'UTC',
+  'Hongkong': 'Asia/Hong_Kong', 'Iceland': 'Atlantic/Reykjavik', 'Iran': 'Asia/Tehran',
+  'Israel': 'Asia/Jerusalem', 'Jamaica': 'America/Jamaica', 'Japan': 'Asia/Tokyo',
+  'Kwajalein': 'Pacific/Kwajalein', 'Libya': 'Africa/Tripoli', 'Mexico/BajaNorte': 'America/Tijuana',
+  'Mexico/BajaSur': 'America/Mazatlan', 'Mexico/General': 'America/Mexico_City',
+  'NZ': 'Pacific/Auckland', 'NZ-CHAT': 'Pacific/Chatham', 'Navajo': 'America/Denver',
+  'PRC': 'Asia/Shanghai', 'Pacific/Enderbury': 'Pacific/Kanton', 'Pacific/Johnston': 'Pacific/Honolulu',
+  'Pacific/Ponape': 'Pacific/Pohnpei', 'Pacific/Samoa': 'Pacific/Pago_Pago', 'Pacific/Truk': 'Pacific/Chuuk',
+  'Pacific/Yap': 'Pacific/Chuuk', 'Poland': 'Europe/Warsaw', 'Portugal': 'Europe/Lisbon',
+  'ROC': 'Asia/Taipei', 'ROK': 'Asia/Seoul', 'Singapore': 'Asia/Singapore', 'Turkey': 'Europe/Istanbul',
+  'UCT': 'UTC', 'US/Alaska': 'America/Anchorage', 'US/Aleutian': 'America/Adak',
+  'US/Arizona': 'America/Phoenix', 'US/Central': 'America/Chicago',
+  'US/East-Indiana': 'America/Indiana/Indianapolis', 'US/Eastern': 'America/New_York',
+  'US/Hawaii': 'Pacific/Honolulu', 'US/Indiana-Starke': 'America/Indiana/Knox',
+  'US/Michigan': 'America/Detroit', 'US/Mountain': 'America/Denver', 'US/Pacific': 'America/Los_Angeles',
+  'US/Samoa': 'Pacific/Pago_Pago', 'Universal': 'UTC', 'W-SU': 'Europe/Moscow', 'Zulu': 'UTC'
+};
+
+// Detected zone is looked up once per execution
+let detectedTimeZone = null;
+
+/**
+ * Find the canonical spelling of a time zone
+ * @param {string} value - Time zone as entered, e.g. "asia/kolkata" or the older "Asia/Calcutta"
+ * @returns {string|null} Canonical IANA name, or null if the zone is unknown
+ */
+function normalizeTimeZone(value) {
+  const wanted = String(value || '').trim().replace(/\s+/g, '_').toLowerCase();
+  if (!wanted) return null;
+  for (let i = 0; i < IANA_TIME_ZONES.length; i++) {
+    if (IANA_TIME_ZONES[i].toLowerCase() === wanted) {
+      return IANA_TIME_ZONES[i];
+    }
+  }
+  const alias = Object.keys(TIME_ZONE_ALIASES).find(name => name.toLowerCase() === wanted);
+  return alias ? TIME_ZONE_ALIASES[alias] : null;
+}
+
+/**
+ * Find time zones matching what the user typed
+ * Matches any part of the name, with spaces standing for underscores ("sao paulo").
+ * @param {string} query - Text typed so far
+ * @returns {Array<string>} Matching zones, at most TIME_ZONE_SUGGESTION_LIMIT
+ */
+function findTimeZones(query) {
+  const wanted = String(query || '').trim().replace(/\s+/g, '_').toLowerCase();
+  return IANA_TIME_ZONES
+    .filter(zone => !wanted || zone.toLowerCase().indexOf(wanted) !== -1)
+    .slice(0, TIME_ZONE_SUGGESTION_LIMIT);
+}
+
+/**
+ * Detect the user's time zone from their Google Calendar settings
+ * @returns {string} Detected zone, or DEFAULT_TIME_ZONE if it cannot be read
+ */
+function detectUserTimeZone() {
+  if (detectedTimeZone) return detectedTimeZone;
+  try {
+    detectedTimeZone = normalizeTimeZone(CalendarApp.getTimeZone()) || DEFAULT_TIME_ZONE;
+  } catch (error) {
+    logWarn('Could not read the time zone from Calendar settings:', error);
+    detectedTimeZone = DEFAULT_TIME_ZONE;
+  }
+  return detectedTimeZone;
+}
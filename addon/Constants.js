@@ -11,6 +11,19 @@ const STATUS_REFRESH_INTERVAL_MS = 5 * 1000;
 // Chunk size for email processing (2 days in milliseconds)
 const CHUNK_SIZE_MS = 2 * 24 * 60 * 60 * 1000;
 
+// Apps Script execution time limit, and the part of it kept for labeling, saving and sending after the analysis
+const EXECUTION_LIMIT_MS = 6 * 60 * 1000;
+const EXECUTION_RESERVE_MS = 60 * 1000;
+
+// Time a Quick Scan gives the model, within the 30 second limit of Gmail card triggers
+const QUICK_SCAN_TIME_LIMIT_MS = 25 * 1000;
+
+// Default ceiling on threads fetched by one Gmail search, about what one run can analyze in time
+const DEFAULT_MAX_THREADS_PER_SEARCH = 100;
+
+// Days after today whose items are flagged urgent (1: today and tomorrow)
+const DEFAULT_URGENCY_HORIZON_DAYS = 1;
+
 // Processing status constants
 const PROCESSING_STATUS = {
   RUNNING: 'running',
@@ -19,6 +32,55 @@ const PROCESSING_STATUS = {
   TIMEOUT: 'timeout'
 };
 
+// Supported LLM providers
+const LLM_PROVIDER = {
+  OPENAI: 'openai',
+  AZURE_OPENAI: 'azure',
+  ANTHROPIC: 'anthropic',
+  OPENAI_COMPATIBLE: 'compatible'
+};
+
+// Provider settings used until the user picks their own
+const DEFAULT_OPENAI_MODEL = 'gpt-5-nano';
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// URL prefix of the OpenAI-compatible endpoint in the manifest's urlFetchWhitelist
+// This will be substituted from .compatible-endpoint-url.txt during deployment; empty hides the provider
+const COMPATIBLE_ENDPOINT_URL_PREFIX = '';
+
+// Log levels, most severe first
+const LOG_LEVEL = {
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+  DEBUG: 'debug'
+};
+
+// LLM provider error kinds; the first three are transient and retried
+const LLM_ERROR_KIND = {
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  NETWORK_ERROR: 'network_error',
+  AUTHENTICATION: 'authentication',
+  QUOTA_EXHAUSTED: 'quota_exhausted',
+  INVALID_REQUEST: 'invalid_request'
+};
+
+// What the date of an analysis item stands for
+const DATE_KIND = {
+  DEADLINE: 'deadline',
+  EVENT: 'event',
+  REMINDER: 'reminder'
+};
+
+// Importance score the model gives an item, from minor to critical
+const ITEM_IMPORTANCE = {
+  MIN: 1,
+  DEFAULT: 3,
+  MAX: 5
+};
+
 // Debug user email for enabling debug features
 // This will be substituted with actual email during deployment
 const DEBUG_USER_EMAIL = 'your-email@example.com';
@@ -30,7 +92,90 @@ function getUserEmailAddress() {
   try {
     return Session.getActiveUser().getEmail();
   } catch (error) {
-    console.error('Error getting user email address:', error);
+    logError('Error getting user email address:', error);
     return null;
   }
 }
+
+/**
+ * Get the time by which an execution must be done with provider calls
+ * @param {number} startTime - Start of the execution (workflow run or chunk) in milliseconds
+ * @returns {number} Deadline in milliseconds
+ */
+function getExecutionDeadline(startTime) {
+  return startTime + EXECUTION_LIMIT_MS - EXECUTION_RESERVE_MS;
+}
+
+/**
+ * Wrap an error with extra context while keeping its LLM error classification
+ * @param {string} message - New error message
+ * @param {Error} cause - Original error
+ * @returns {Error} Wrapped error
+ */
+function wrapError(message, cause) {
+  const error = new Error(message);
+  if (cause && cause.llmErrorKind) {
+    error.llmErrorKind = cause.llmErrorKind;
+    error.retryable = cause.retryable;
+    error.httpStatus = cause.httpStatus;
+  }
+  return error;
+}
+
+/**
+ * Format a date in the user's time zone
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone (e.g., 'America/Los_Angeles'); UTC if missing
+ * @param {string} pattern - Utilities.formatDate pattern (e.g., 'yyyy-MM-dd')
+ * @returns {string} Formatted date
+ */
+function formatDateInTimeZone(date, timeZone, pattern) {
+  try {
+    return Utilities.formatDate(date, timeZone || 'UTC', pattern);
+  } catch (error) {
+    logWarn(`Could not format date in time zone ${timeZone}, using UTC:`, error);
+    return Utilities.formatDate(date, 'UTC', pattern);
+  }
+}
+
+/**
+ * Add days to a calendar date without going through a time zone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDaysToDateString(dateString, days) {
+  const parts = dateString.split('-').map(part => parseInt(part, 10));
+  return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2] + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Get the moment a wall-clock date and time occur in a time zone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:mm format
+ * @param {string} timeZone - IANA time zone; UTC if missing
+ * @returns {Date} The moment the clock in the time zone shows that date and time
+ */
+function dateTimeInTimeZoneToDate(dateString, time, timeZone) {
+  const wallClock = Date.parse(`${dateString}T${time}:00Z`);
+  let moment = wallClock;
+  // Correct by the zone's offset; the second pass settles days with a daylight saving change
+  for (let pass = 0; pass < 2; pass++) {
+    const shown = Date.parse(formatDateInTimeZone(new Date(moment), timeZone, 'yyyy-MM-dd HH:mm').replace(' ', 'T') + ':00Z');
+    moment += wallClock - shown;
+  }
+  return new Date(moment);
+}
+
+/**
+ * Format a processing time range for titles and subject lines, in the user's time zone
+ * @param {string} startIso - Range start as an ISO string
+ * @param {string} endIso - Range end as an ISO string
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} "YYYY-MM-DD HH:mm - YYYY-MM-DD HH:mm"
+ */
+function formatDateRangeInTimeZone(startIso, endIso, timeZone) {
+  const start = formatDateInTimeZone(new Date(startIso), timeZone, 'yyyy-MM-dd HH:mm');
+  const end = formatDateInTimeZone(new Date(endIso), timeZone, 'yyyy-MM-dd HH:mm');
+  return `${start} - ${end}`;
+}
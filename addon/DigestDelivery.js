@@ -0,0 +1,117 @@
+/**
+ * Gmail Fast Reader - Delivery of digest emails
+ *
+ * Digests are sent as drafts so the sent message is known right away: it is labeled,
+ * marked important and, when weekly threading is on, replied to by the next digest of
+ * the week, without searching Gmail for the email that was just sent.
+ */
+
+// User property holding the conversation of this week's digests: { week, threadId }
+const DIGEST_THREAD_PROPERTY_KEY = 'digestThread';
+
+/**
+ * Send a digest email to the user
+ * @param {string} subject - Subject line
+ * @param {string} textBody - Plain-text body
+ * @param {string} htmlBody - HTML body
+ * @param {Object} config - Configuration object
+ * @param {boolean} [weeklyThread] - Add the digest to this week's conversation when threading is on
+ * @returns {GoogleAppsScript.Gmail.GmailMessage} The sent message
+ */
+function sendDigestEmail(subject, textBody, htmlBody, config, weeklyThread = false) {
+  const options = {
+    htmlBody: htmlBody,
+    name: config.addonName
+  };
+
+  const useThread = weeklyThread && config.digestThreading;
+  const week = useThread ? getDigestWeek(new Date(), config.timeZone) : null;
+  const thread = useThread ? getWeeklyDigestThread(week) : null;
+
+  // The first digest of the week starts the conversation under a subject that fits all of them
+  const message = thread ?
+    thread.createDraftReply(textBody, options).send() :
+    GmailApp.createDraft(getUserEmailAddress(), useThread ? getWeeklyDigestSubject(config, week) : subject, textBody, options).send();
+
+  if (useThread && !thread) {
+    PropertiesService.getUserProperties().setProperty(DIGEST_THREAD_PROPERTY_KEY, JSON.stringify({
+      week: week,
+      threadId: message.getThread().getId()
+    }));
+  }
+
+  applyDigestLabel(message, config);
+  markEmailAsImportantOrStarred(message);
+  return message;
+}
+
+/**
+ * Get the week of a digest, identified by its Monday in the user's time zone
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Monday of the week in yyyy-MM-dd format
+ */
+function getDigestWeek(now, timeZone) {
+  const today = formatDateInTimeZone(now, timeZone, 'yyyy-MM-dd');
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  return addDaysToDateString(today, -((weekday + 6) % 7));
+}
+
+/**
+ * Get the subject of the conversation holding a week's digests
+ * @param {Object} config - Configuration object
+ * @param {string} week - Monday of the week (yyyy-MM-dd)
+ * @returns {string} Subject such as "Gmail Fast Reader - Digests for the week of 2024-01-15"
+ */
+function getWeeklyDigestSubject(config, week) {
+  return `${config.addonName} - Digests for the week of ${week}`;
+}
+
+/**
+ * Find the conversation of this week's digests
+ * @param {string} week - Monday of the week (yyyy-MM-dd)
+ * @returns {GoogleAppsScript.Gmail.GmailThread|null} The thread, or null when the week has none yet or it was deleted
+ */
+function getWeeklyDigestThread(week) {
+  const stored = JSON.parse(PropertiesService.getUserProperties().getProperty(DIGEST_THREAD_PROPERTY_KEY) || 'null');
+  if (!stored || stored.week !== week) {
+    return null;
+  }
+
+  try {
+    return GmailApp.getThreadById(stored.threadId);
+  } catch (error) {
+    logWarn('Could not open the digest conversation of this week, starting a new one:', error);
+    return null;
+  }
+}
+
+/**
+ * Apply the configured digest label to a sent digest
+ * Labeling is best effort: a digest that was sent is not reported as failed.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - Sent digest
+ * @param {Object} config - Configuration object
+ */
+function applyDigestLabel(message, config) {
+  if (!config.digestLabel) return;
+
+  try {
+    getOrCreateLabel(config.digestLabel).addToThread(message.getThread());
+  } catch (error) {
+    logError(`Could not apply label "${config.digestLabel}" to the digest:`, error);
+  }
+}
+
+/**
+ * Validate the digest label entered in Email Settings
+ * @param {string} value - Label name, e.g. "FastReader/Digests", or empty for none
+ * @returns {string} Trimmed label name
+ * @throws {Error} If a part of a nested label name is empty
+ */
+function parseDigestLabel(value) {
+  const labelName = String(value || '').trim();
+  if (labelName && labelName.split('/').some(part => !part.trim())) {
+    throw new Error(`Digest label "${labelName}" is not a valid label name`);
+  }
+  return labelName;
+}
@@ -0,0 +1,143 @@
+/**
+ * Gmail Fast Reader - Digests for other recipients
+ *
+ * Besides the user's own full digest, each configured recipient (a partner, an
+ * assistant, an accountant) gets the same digest limited to the topics or categories
+ * chosen for them, e.g. "partner@example.com = school trips, must know". Their digest has
+ * no links into the user's mailbox, no thread message lists and no notes about the add-on.
+ */
+
+// Filters that select a whole category rather than a topic
+const RECIPIENT_CATEGORY = {
+  MUST_DO: 'must do',
+  MUST_KNOW: 'must know'
+};
+
+/**
+ * Parse the digest recipients entered in Email Settings
+ * @param {string} value - One recipient per line: "address = topic or category, ..."
+ * @returns {Array<Object>} Recipients as { email, filters } with normalized filters
+ * @throws {Error} If a line has no valid address or no filter
+ */
+function parseDigestRecipients(value) {
+  return String(value || '').split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const separator = line.indexOf('=');
+      const email = (separator === -1 ? line : line.substring(0, separator)).trim().toLowerCase();
+      if (!/^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/.test(email)) {
+        throw new Error(`Recipient "${email}" is not a valid email address`);
+      }
+
+      const filters = separator === -1 ? [] : line.substring(separator + 1).split(',')
+        .map(normalizeTopic)
+        .filter(filter => filter);
+      if (filters.length === 0) {
+        throw new Error(`Recipient ${email} needs topics or categories, e.g. ${email} = school trips, must know`);
+      }
+      return { email: email, filters: filters };
+    });
+}
+
+/**
+ * Validate the digest recipients against the configured topics
+ * @param {string} value - Digest recipients as entered in Email Settings
+ * @param {Object} config - Configuration object with the topics
+ * @returns {string} Recipients in their normalized form, one per line
+ * @throws {Error} If a line is malformed or a filter is neither a topic nor a category
+ */
+function validateDigestRecipients(value, config) {
+  const knownFilters = (config.mustDoTopics || '').split('\n').concat((config.mustKnowTopics || '').split('\n'))
+    .map(normalizeTopic)
+    .filter(topic => topic)
+    .concat(['other', RECIPIENT_CATEGORY.MUST_DO, RECIPIENT_CATEGORY.MUST_KNOW]);
+
+  const recipients = parseDigestRecipients(value);
+  recipients.forEach(recipient => {
+    recipient.filters.forEach(filter => {
+      if (knownFilters.indexOf(filter) === -1) {
+        throw new Error(`"${filter}" for ${recipient.email} is not one of your topics, "${RECIPIENT_CATEGORY.MUST_DO}" or "${RECIPIENT_CATEGORY.MUST_KNOW}"`);
+      }
+    });
+  });
+  return recipients.map(recipient => `${recipient.email} = ${recipient.filters.join(', ')}`).join('\n');
+}
+
+/**
+ * Limit summary results to the items a recipient should see
+ * An item is kept when its category or its topic is one of the recipient's filters.
+ * @param {Object} results - Summary results with mustDo, mustKnow and stillOpen items
+ * @param {Object} recipient - Recipient (see parseDigestRecipients)
+ * @returns {Object} Copy of the results with the other items left out
+ */
+function filterResultsForRecipient(results, recipient) {
+  return Object.assign({}, results, {
+    mustDo: filterItemsForRecipient(results.mustDo, RECIPIENT_CATEGORY.MUST_DO, recipient),
+    mustKnow: filterItemsForRecipient(results.mustKnow, RECIPIENT_CATEGORY.MUST_KNOW, recipient),
+    stillOpen: filterItemsForRecipient(results.stillOpen, RECIPIENT_CATEGORY.MUST_DO, recipient)
+  });
+}
+
+/**
+ * Limit the items of one category to a recipient's filters
+ * @param {Array<Object>} items - Result items, possibly missing
+ * @param {string} category - Category of the items (see RECIPIENT_CATEGORY)
+ * @param {Object} recipient - Recipient (see parseDigestRecipients)
+ * @returns {Array<Object>} All items when the category is chosen, otherwise those of chosen topics
+ */
+function filterItemsForRecipient(items, category, recipient) {
+  if (recipient.filters.indexOf(category) !== -1) {
+    return items || [];
+  }
+  return (items || []).filter(item => recipient.filters.indexOf(normalizeTopic(item.topic || 'other')) !== -1);
+}
+
+/**
+ * Send each configured recipient the digest limited to their topics and categories
+ * Recipients without matching items get nothing. A failure for one recipient is logged
+ * and does not affect the others or the user's own digest, which was already sent.
+ * @param {Object} results - Summary results of the user's digest
+ * @param {string} subject - Subject line of the user's digest
+ * @param {Object} config - Configuration object
+ * @returns {number} Number of recipient digests sent
+ */
+function sendDigestToRecipients(results, subject, config) {
+  let recipients;
+  try {
+    recipients = parseDigestRecipients(config.digestRecipients);
+  } catch (error) {
+    logError('Ignoring invalid digest recipients:', error);
+    return 0;
+  }
+
+  // Recipients cannot open the user's emails or manage the user's tasks
+  const recipientConfig = Object.assign({}, config, { forRecipient: true });
+  let sent = 0;
+  recipients.forEach(recipient => {
+    const filtered = filterResultsForRecipient(results, recipient);
+    if (filtered.mustDo.length === 0 && filtered.mustKnow.length === 0 && filtered.stillOpen.length === 0) {
+      logDebug(`No digest items for ${recipient.email}`);
+      return;
+    }
+
+    try {
+      GmailApp.sendEmail(
+        recipient.email,
+        subject,
+        generateSummaryText(filtered, recipientConfig),
+        {
+          htmlBody: generateSummaryHTML(filtered, recipientConfig),
+          name: config.addonName
+        }
+      );
+      sent++;
+    } catch (error) {
+      logError(`Could not send the digest to ${recipient.email}:`, error);
+    }
+  });
+
+  if (sent > 0) {
+    logInfo(`Digest sent to ${sent} other recipient${sent === 1 ? '' : 's'}`);
+  }
+  return sent;
+}
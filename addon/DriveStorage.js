@@ -1,5 +1,5 @@
 /**
- * Gmail Fast Reader - Google Drive storage for accumulated results
+ * Gmail Fast Reader - Google Drive storage for accumulated results and other JSON state
  */
 
 const ACCUMULATION_FILE_NAME = 'gmail-fast-read-accumulated-results.json';
@@ -7,13 +7,31 @@ const FILE_ID_PROPERTY_KEY = 'drive_accumulation_file_id';
 
 /**
  * Get or create the accumulation file on Google Drive
- * Uses drive.file scope - stores file ID in PropertiesService to avoid needing getRootFolder()
  * @returns {GoogleAppsScript.Drive.File} The file object
  */
 function getOrCreateAccumulationFile() {
+  return getOrCreateDriveJsonFile(ACCUMULATION_FILE_NAME, FILE_ID_PROPERTY_KEY, {
+    mustDo: [],
+    mustKnow: [],
+    totalProcessed: 0,
+    skippedThreads: 0,
+    firstDate: null,
+    lastDate: null
+  });
+}
+
+/**
+ * Get or create a JSON file on Google Drive
+ * Uses drive.file scope - stores file ID in PropertiesService to avoid needing getRootFolder()
+ * @param {string} fileName - Name of the file
+ * @param {string} fileIdPropertyKey - User property holding the file ID
+ * @param {Object} initialData - Content of a newly created file
+ * @returns {GoogleAppsScript.Drive.File} The file object
+ */
+function getOrCreateDriveJsonFile(fileName, fileIdPropertyKey, initialData) {
   try {
     const properties = PropertiesService.getUserProperties();
-    let fileId = properties.getProperty(FILE_ID_PROPERTY_KEY);
+    let fileId = properties.getProperty(fileIdPropertyKey);
     
     // Try to get file by stored ID first
     if (fileId) {
@@ -24,51 +42,71 @@ function getOrCreateAccumulationFile() {
         return file;
       } catch (e) {
         // File ID is invalid or file was deleted, clear it and search/create new
-        properties.deleteProperty(FILE_ID_PROPERTY_KEY);
+        properties.deleteProperty(fileIdPropertyKey);
         fileId = null;
       }
     }
     
     // File ID not found or invalid, search for file by name
     // This only finds files created by this app (within drive.file scope)
-    const files = DriveApp.getFilesByName(ACCUMULATION_FILE_NAME);
+    const files = DriveApp.getFilesByName(fileName);
     
     if (files.hasNext()) {
       const file = files.next();
       // Store the ID for future reference
-      properties.setProperty(FILE_ID_PROPERTY_KEY, file.getId());
+      properties.setProperty(fileIdPropertyKey, file.getId());
       return file;
     }
     
-    // File doesn't exist, create it with empty structure
+    // File doesn't exist, create it with the initial structure
     // DriveApp.createFile() works with drive.file scope and creates in root
-    const initialData = {
-      mustDo: [],
-      mustKnow: [],
-      totalProcessed: 0,
-      firstDate: null,
-      lastDate: null
-    };
-    
     const file = DriveApp.createFile(
-      ACCUMULATION_FILE_NAME,
+      fileName,
       JSON.stringify(initialData, null, 2),
       'application/json'
     );
     
     // Store the file ID for future reference
-    properties.setProperty(FILE_ID_PROPERTY_KEY, file.getId());
-    console.log('Created accumulation file on Drive:', file.getId());
+    properties.setProperty(fileIdPropertyKey, file.getId());
+    logInfo(`Created ${fileName} on Drive:`, file.getId());
     return file;
   } catch (error) {
-    console.error('Error getting or creating accumulation file:', error);
+    logError(`Error getting or creating ${fileName}:`, error);
     throw new Error('Failed to access Google Drive: ' + error.message);
   }
 }
 
+/**
+ * Trash a JSON file on Google Drive and forget its ID
+ * @param {string} fileName - Name of the file
+ * @param {string} fileIdPropertyKey - User property holding the file ID
+ */
+function trashDriveJsonFile(fileName, fileIdPropertyKey) {
+  const properties = PropertiesService.getUserProperties();
+  const fileId = properties.getProperty(fileIdPropertyKey);
+  
+  if (fileId) {
+    try {
+      const file = DriveApp.getFileById(fileId);
+      file.setTrashed(true);
+      properties.deleteProperty(fileIdPropertyKey);
+    } catch (e) {
+      // File doesn't exist or isn't accessible, just clear the property
+      properties.deleteProperty(fileIdPropertyKey);
+    }
+  }
+  
+  // Also try to find and delete by name (in case ID was lost)
+  const files = DriveApp.getFilesByName(fileName);
+  while (files.hasNext()) {
+    const file = files.next();
+    file.setTrashed(true);
+  }
+}
+
 /**
  * Load accumulated results from Google Drive
- * @returns {Object} Accumulated results with structure { mustDo: [], mustKnow: [], totalProcessed: 0, firstDate: ISO, lastDate: ISO }
+ * @returns {Object} Accumulated results with structure { mustDo: [], mustKnow: [], totalProcessed: 0, skippedThreads: 0, firstDate: ISO, lastDate: ISO }
  */
 function loadAccumulatedResults() {
   try {
@@ -81,16 +119,18 @@ function loadAccumulatedResults() {
       mustDo: data.mustDo || [],
       mustKnow: data.mustKnow || [],
       totalProcessed: data.totalProcessed || 0,
+      skippedThreads: data.skippedThreads || 0,
       firstDate: data.firstDate || null,
       lastDate: data.lastDate || null
     };
   } catch (error) {
-    console.error('Error loading accumulated results:', error);
+    logError('Error loading accumulated results:', error);
     // Return empty structure on error
     return {
       mustDo: [],
       mustKnow: [],
       totalProcessed: 0,
+      skippedThreads: 0,
       firstDate: null,
       lastDate: null
     };
@@ -99,7 +139,7 @@ function loadAccumulatedResults() {
 
 /**
  * Save accumulated results to Google Drive
- * @param {Object} results - Results object with mustDo, mustKnow, totalProcessed, firstDate, lastDate
+ * @param {Object} results - Results object with mustDo, mustKnow, totalProcessed, skippedThreads, firstDate, lastDate
  */
 function saveAccumulatedResults(results) {
   try {
@@ -110,18 +150,19 @@ function saveAccumulatedResults(results) {
       mustDo: results.mustDo || [],
       mustKnow: results.mustKnow || [],
       totalProcessed: results.totalProcessed || 0,
+      skippedThreads: results.skippedThreads || 0,
       firstDate: results.firstDate || null,
       lastDate: results.lastDate || null
     };
     
     file.setContent(JSON.stringify(dataToSave, null, 2));
-    console.log('Saved accumulated results to Drive:', {
+    logInfo('Saved accumulated results to Drive:', {
       mustDo: dataToSave.mustDo.length,
       mustKnow: dataToSave.mustKnow.length,
       totalProcessed: dataToSave.totalProcessed
     });
   } catch (error) {
-    console.error('Error saving accumulated results:', error);
+    logError('Error saving accumulated results:', error);
     throw new Error('Failed to save accumulated results: ' + error.message);
   }
 }
@@ -131,31 +172,57 @@ function saveAccumulatedResults(results) {
  */
 function clearAccumulatedResults() {
   try {
-    const properties = PropertiesService.getUserProperties();
-    const fileId = properties.getProperty(FILE_ID_PROPERTY_KEY);
-    
-    if (fileId) {
-      try {
-        const file = DriveApp.getFileById(fileId);
-        file.setTrashed(true);
-        properties.deleteProperty(FILE_ID_PROPERTY_KEY);
-      } catch (e) {
-        // File doesn't exist or isn't accessible, just clear the property
-        properties.deleteProperty(FILE_ID_PROPERTY_KEY);
-      }
-    }
-    
-    // Also try to find and delete by name (in case ID was lost)
-    const files = DriveApp.getFilesByName(ACCUMULATION_FILE_NAME);
-    while (files.hasNext()) {
-      const file = files.next();
-      file.setTrashed(true);
-    }
-    
-    console.log('Cleared accumulated results from Drive');
+    trashDriveJsonFile(ACCUMULATION_FILE_NAME, FILE_ID_PROPERTY_KEY);
+    logInfo('Cleared accumulated results from Drive');
   } catch (error) {
-    console.error('Error clearing accumulated results:', error);
+    logError('Error clearing accumulated results:', error);
     throw new Error('Failed to clear accumulated results: ' + error.message);
   }
 }
 
+// Results of the active scan: accumulated chunk by chunk, then the final results until they are shown.
+// Thread items carry their message lists, which quickly outgrow a user property (about 9 KB).
+const SCAN_RESULTS_FILE_NAME = 'gmail-fast-read-scan-results.json';
+const SCAN_RESULTS_FILE_ID_PROPERTY_KEY = 'drive_scan_results_file_id';
+
+/**
+ * Load the results of the active scan from Google Drive
+ * @returns {Object} Results with mustDo, mustKnow, totalProcessed and the other fields saved with them
+ */
+function loadScanResults() {
+  try {
+    const file = getOrCreateDriveJsonFile(SCAN_RESULTS_FILE_NAME, SCAN_RESULTS_FILE_ID_PROPERTY_KEY, {});
+    const data = JSON.parse(file.getBlob().getDataAsString());
+    return Object.assign({}, data, {
+      mustDo: data.mustDo || [],
+      mustKnow: data.mustKnow || [],
+      totalProcessed: data.totalProcessed || 0
+    });
+  } catch (error) {
+    logError('Error loading scan results:', error);
+    return { mustDo: [], mustKnow: [], totalProcessed: 0 };
+  }
+}
+
+/**
+ * Save the results of the active scan to Google Drive
+ * @param {Object} results - Accumulated or final scan results
+ * @throws {Error} If Drive cannot be written
+ */
+function saveScanResults(results) {
+  const file = getOrCreateDriveJsonFile(SCAN_RESULTS_FILE_NAME, SCAN_RESULTS_FILE_ID_PROPERTY_KEY, {});
+  file.setContent(JSON.stringify(results));
+  logDebug(`Saved scan results: ${(results.mustDo || []).length} actionable and ${(results.mustKnow || []).length} informational items`);
+}
+
+/**
+ * Remove the results of the active scan from Google Drive
+ * Best effort: a file left behind is overwritten when the next scan starts.
+ */
+function clearScanResults() {
+  try {
+    trashDriveJsonFile(SCAN_RESULTS_FILE_NAME, SCAN_RESULTS_FILE_ID_PROPERTY_KEY);
+  } catch (error) {
+    logError('Error clearing scan results:', error);
+  }
+}
@@ -1,11 +1,66 @@
 /**
- * Gmail Fast Reader - Email scanning and OpenAI analysis logic
+ * Gmail Fast Reader - Email scanning and LLM analysis logic
  */
 
 // Token limit for GPT-5-nano (conservative estimate)
 const MAX_TOKENS = 200000;
 const TOKENS_PER_CHAR = 0.25; // Rough estimate for English text
 
+// GmailApp.search returns at most 500 threads per call
+const GMAIL_SEARCH_PAGE_SIZE = 100;
+const GMAIL_COUNT_PAGE_SIZE = 500;
+
+// JSON schema of the analysis response, enforced where the provider supports structured output
+const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['mustDo', 'mustKnow'],
+  properties: {
+    mustDo: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['emailId', 'rfc822MessageId', 'subject', 'sender', 'keyAction', 'date', 'time', 'endDate', 'dateKind', 'importance', 'topic'],
+        properties: {
+          emailId: { type: 'string' },
+          rfc822MessageId: { type: ['string', 'null'] },
+          subject: { type: 'string' },
+          sender: { type: 'string' },
+          keyAction: { type: 'string' },
+          date: { type: ['string', 'null'] },
+          time: { type: ['string', 'null'] },
+          endDate: { type: ['string', 'null'] },
+          dateKind: { type: ['string', 'null'], enum: ['deadline', 'event', 'reminder', null] },
+          importance: { type: 'integer', enum: [1, 2, 3, 4, 5] },
+          topic: { type: 'string' }
+        }
+      }
+    },
+    mustKnow: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['emailId', 'rfc822MessageId', 'subject', 'sender', 'keyKnowledge', 'date', 'time', 'endDate', 'dateKind', 'importance', 'topic'],
+        properties: {
+          emailId: { type: 'string' },
+          rfc822MessageId: { type: ['string', 'null'] },
+          subject: { type: 'string' },
+          sender: { type: 'string' },
+          keyKnowledge: { type: 'string' },
+          date: { type: ['string', 'null'] },
+          time: { type: ['string', 'null'] },
+          endDate: { type: ['string', 'null'] },
+          dateKind: { type: ['string', 'null'], enum: ['deadline', 'event', 'reminder', null] },
+          importance: { type: 'integer', enum: [1, 2, 3, 4, 5] },
+          topic: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
 /**
  * Process emails for a given time range
  */
@@ -13,15 +68,17 @@ function processEmails(timeRange) {
   try {
     // Get configuration
     const config = getConfiguration();
-    if (!config.openaiApiKey) {
-      throw new Error('OpenAI API key not configured');
+    if (!isLlmConfigured(config)) {
+      throw new Error('AI provider not configured');
     }
     
+    const deadline = getExecutionDeadline(Date.now());
+    
     // Calculate date range
     const dateRange = calculateDateRange(timeRange);
     
-    // Fetch email threads from Gmail (prioritizing threads)
-    const emailThreads = fetchEmailThreadsFromGmail(dateRange);
+    // Fetch email threads from Gmail (prioritizing threads), skipping already analyzed messages
+    const emailThreads = fetchEmailThreadsFromGmail(dateRange, loadProcessedLedger());
     
     if (emailThreads.length === 0) {
       return {
@@ -33,7 +90,8 @@ function processEmails(timeRange) {
     }
     
     // Process emails in batches that respect token limits
-    const results = processEmailsInBatches(emailThreads, config);
+    const results = processEmailsInBatches(emailThreads, config, deadline);
+    recordProcessedMessages(emailThreads, results);
     
     return {
       mustDo: results.mustDo || [],
@@ -43,8 +101,8 @@ function processEmails(timeRange) {
     };
     
   } catch (error) {
-    console.error('Error processing emails:', error);
-    throw new Error('Failed to process emails: ' + error.message);
+    logError('Error processing emails:', error);
+    throw wrapError('Failed to process emails: ' + error.message, error);
   }
 }
 
@@ -103,83 +161,184 @@ function shouldIgnoreEmail(email, userEmail, addonName) {
   return false;
 }
 
+/**
+ * Split a comma-separated list of label names
+ * @param {string} value - Label names as entered in Email Settings
+ * @returns {Array<string>} Trimmed, non-empty label names
+ */
+function parseLabelList(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+}
+
+/**
+ * Format a label name for a Gmail search (spaces and nesting slashes become hyphens)
+ * @param {string} labelName - Gmail label name
+ * @returns {string} label: search operator
+ */
+function formatLabelForQuery(labelName) {
+  return 'label:' + labelName.replace(/[\s/]+/g, '-');
+}
+
+/**
+ * Check a custom Gmail query for mistakes that would silently change what is analyzed
+ * @param {string} customQuery - Query entered in Email Settings
+ * @throws {Error} If the query is malformed or sets its own date range
+ */
+function validateCustomGmailQuery(customQuery) {
+  if (!customQuery) return;
+  
+  if ((customQuery.match(/"/g) || []).length % 2 !== 0) {
+    throw new Error('Custom search query has an unmatched quote');
+  }
+  
+  let depth = 0;
+  for (let i = 0; i < customQuery.length; i++) {
+    const char = customQuery.charAt(i);
+    if (char === '(' || char === '{') depth++;
+    if (char === ')' || char === '}') depth--;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) {
+    throw new Error('Custom search query has unbalanced parentheses or braces');
+  }
+  
+  // The scan time range already sets after:/before:, a second date range would narrow it unexpectedly
+  if (/(^|[\s(-])(after|before|older|newer|older_than|newer_than):/i.test(customQuery)) {
+    throw new Error('Custom search query must not contain date filters; the scan time range sets them');
+  }
+}
+
+/**
+ * Build the Gmail search query for a scan
+ * @param {Object} dateRange - Object with start and end Date objects
+ * @param {Object} config - Configuration object
+ * @returns {string} Gmail search query
+ */
+function buildGmailSearchQuery(dateRange, config) {
+  let query = `after:${Math.floor(dateRange.start.getTime() / 1000)} before:${Math.floor(dateRange.end.getTime() / 1000)}`;
+  
+  // Add filtering criteria based on configuration
+  if (config.unreadOnly) {
+    query += ' is:unread';
+  }
+  
+  if (config.inboxOnly) {
+    query += ' in:inbox';
+  }
+  
+  // Threads carrying any of the included labels
+  const includeLabels = parseLabelList(config.includeLabels);
+  if (includeLabels.length === 1) {
+    query += ' ' + formatLabelForQuery(includeLabels[0]);
+  } else if (includeLabels.length > 1) {
+    query += ' {' + includeLabels.map(formatLabelForQuery).join(' ') + '}';
+  }
+  
+  parseLabelList(config.excludeLabels).forEach(labelName => {
+    query += ' -' + formatLabelForQuery(labelName);
+  });
+  
+  const customQuery = (config.customQuery || '').trim();
+  if (customQuery) {
+    query += ` (${customQuery})`;
+  }
+  
+  return query;
+}
+
+/**
+ * Validate the search filters from Email Settings and count what they match
+ * Runs a test search over the last 7 days so the user sees the effect before the next scan.
+ * @param {Object} config - Configuration object with the new filter settings
+ * @returns {Object} { query: string, matchCount: number, hasMore: boolean }
+ * @throws {Error} If a label does not exist, the query is malformed, or Gmail rejects it
+ */
+function testGmailSearchFilters(config) {
+  validateCustomGmailQuery((config.customQuery || '').trim());
+  
+  parseLabelList(config.includeLabels).concat(parseLabelList(config.excludeLabels)).forEach(labelName => {
+    if (!GmailApp.getUserLabelByName(labelName)) {
+      throw new Error(`Label "${labelName}" does not exist`);
+    }
+  });
+  
+  const query = buildGmailSearchQuery(calculateDateRange('7days'), config);
+  let threads;
+  try {
+    threads = GmailApp.search(query, 0, GMAIL_COUNT_PAGE_SIZE);
+  } catch (error) {
+    throw new Error('Gmail rejected the search query: ' + error.message);
+  }
+  
+  return {
+    query: query,
+    matchCount: threads.length,
+    hasMore: threads.length === GMAIL_COUNT_PAGE_SIZE
+  };
+}
+
 /**
  * Fetch email threads from Gmail API (prioritizing threads)
  * @param {Object} dateRange - Object with start and end Date objects
- * @param {string} [stopAtMessageId] - Optional message ID to stop processing at (for passive workflow)
+ * @param {Object} [processedLedger] - Ledger of already analyzed messages (see loadProcessedLedger); these are skipped
+ * @param {Object} [searchStats] - If given, receives matchedThreads and skippedThreads (threads beyond the configured ceiling)
  * @returns {Array} Array of email thread objects
  */
-function fetchEmailThreadsFromGmail(dateRange, stopAtMessageId) {
+function fetchEmailThreadsFromGmail(dateRange, processedLedger, searchStats) {
   try {
     // Get configuration for filtering options
     const config = getConfiguration();
     
-    // Build base query with date range
-    let query = `after:${Math.floor(dateRange.start.getTime() / 1000)} before:${Math.floor(dateRange.end.getTime() / 1000)}`;
-    
-    // Add filtering criteria based on configuration
-    if (config.unreadOnly) {
-      query += ' is:unread';
-    }
-    
-    if (config.inboxOnly) {
-      query += ' in:inbox';
-    }
+    const query = buildGmailSearchQuery(dateRange, config);
     
     // Log the email filtering string
-    console.log('=== EMAIL FILTERING ===');
-    console.log('Filter Query:', query);
-    console.log('Date Range:', {
+    logInfo('=== EMAIL FILTERING ===');
+    logInfo('Filter Query:', query);
+    logInfo('Date Range:', {
       start: dateRange.start.toISOString(),
       end: dateRange.end.toISOString()
     });
-    console.log('Stop At Message ID:', stopAtMessageId || 'None');
-    console.log('Filter Options:', {
+    logInfo('Skipping Already Analyzed:', processedLedger ? 'Yes' : 'No (re-scan)');
+    logInfo('Filter Options:', {
       unreadOnly: config.unreadOnly,
-      inboxOnly: config.inboxOnly
+      inboxOnly: config.inboxOnly,
+      includeLabels: config.includeLabels,
+      excludeLabels: config.excludeLabels,
+      maxThreadsPerSearch: config.maxThreadsPerSearch
     });
     
-    const threads = GmailApp.search(query, 0, 100); // Get more threads initially
+    const searchResult = searchGmailThreads(query, config.maxThreadsPerSearch);
+    const threads = searchResult.threads;
+    if (searchStats) {
+      searchStats.matchedThreads = threads.length + searchResult.skippedThreads;
+      searchStats.skippedThreads = searchResult.skippedThreads;
+    }
+    if (searchResult.skippedThreads > 0) {
+      logWarn(`Search matched more than ${config.maxThreadsPerSearch} threads - ${searchResult.skippedThreads} threads skipped`);
+    }
     const emailThreads = [];
     
     // Get user email and addon name for filtering
     const userEmail = getUserEmailAddress();
     const addonName = config.addonName;
+    let skippedProcessed = 0;
     
     threads.forEach(thread => {
       const messages = thread.getMessages();
       const threadEmails = [];
-      let shouldStop = false;
       
       messages.forEach(message => {
-        // Stop if we've reached the stop message ID (for passive workflow)
-        if (stopAtMessageId && message.getId() === stopAtMessageId) {
-          shouldStop = true;
-          return;
-        }
-        
         if (message.getDate() >= dateRange.start && message.getDate() <= dateRange.end) {
-          // Get RFC822 message ID for permalink generation
-          let rfc822MessageId = null;
-          try {
-            const rawContent = message.getRawContent();
-            const messageIdMatch = rawContent.match(/Message-ID:\s*<([^>]+)>/i);
-            if (messageIdMatch) {
-              rfc822MessageId = messageIdMatch[1];
-            }
-          } catch (error) {
-            console.warn('Could not get RFC822 message ID for message:', message.getId(), error);
+          // Each message is sent to the model only once
+          if (processedLedger && processedLedger[message.getId()]) {
+            skippedProcessed++;
+            return;
           }
           
-          const email = {
-            id: message.getId(),
-            subject: message.getSubject(),
-            sender: message.getFrom(),
-            date: message.getDate(),
-            body: message.getPlainBody(),
-            snippet: message.getPlainBody().substring(0, 200),
-            rfc822MessageId: rfc822MessageId
-          };
+          const email = buildEmailFromMessage(message);
           
           // Only include emails that should not be ignored
           if (!shouldIgnoreEmail(email, userEmail, addonName)) {
@@ -199,47 +358,145 @@ function fetchEmailThreadsFromGmail(dateRange, stopAtMessageId) {
           latestDate: threadEmails[threadEmails.length - 1].date
         });
       }
-      
-      // Stop processing if we found the stop message ID
-      if (shouldStop) {
-        return false; // Break out of forEach
-      }
     });
     
     // Sort threads by latest email date (most recent first)
     emailThreads.sort((a, b) => b.latestDate - a.latestDate);
     
     // Log selected emails (subjects, dates, total quantity)
-    console.log('=== SELECTED EMAILS ===');
-    console.log('Total Threads Selected:', emailThreads.length);
+    logInfo('=== SELECTED EMAILS ===');
+    logInfo('Total Threads Selected:', emailThreads.length);
     const totalEmails = emailThreads.reduce((sum, thread) => sum + thread.emails.length, 0);
-    console.log('Total Emails Selected:', totalEmails);
-    console.log('Email Details:');
+    logInfo('Total Emails Selected:', totalEmails);
+    logInfo('Already Analyzed (skipped):', skippedProcessed);
+    logInfo('Email Details:');
     emailThreads.forEach((thread, index) => {
-      console.log(`  Thread ${index + 1}/${emailThreads.length}: "${thread.subject}"`);
-      console.log(`    Thread ID: ${thread.threadId}`);
-      console.log(`    Emails in thread: ${thread.emails.length}`);
+      logDebug(`  Thread ${index + 1}/${emailThreads.length}: "${thread.subject}"`);
+      logInfo(`    Thread ID: ${thread.threadId}`);
+      logInfo(`    Emails in thread: ${thread.emails.length}`);
       thread.emails.forEach((email, emailIndex) => {
-        console.log(`      Email ${emailIndex + 1}:`);
-        console.log(`        Subject: "${email.subject}"`);
-        console.log(`        Date: ${email.date.toISOString()}`);
-        console.log(`        Sender: ${email.sender}`);
-        console.log(`        Email ID: ${email.id}`);
+        logInfo(`      Email ${emailIndex + 1}:`);
+        logDebug(`        Subject: "${email.subject}"`);
+        logInfo(`        Date: ${email.date.toISOString()}`);
+        logDebug(`        Sender: ${email.sender}`);
+        logInfo(`        Email ID: ${email.id}`);
       });
     });
-    console.log('=== END SELECTED EMAILS ===');
+    logInfo('=== END SELECTED EMAILS ===');
     
     return emailThreads;
   } catch (error) {
-    console.error('Error fetching email threads:', error);
+    logError('Error fetching email threads:', error);
     throw new Error('Failed to fetch email threads from Gmail');
   }
 }
 
+/**
+ * Search Gmail page by page up to a ceiling, counting the threads left beyond it
+ * @param {string} query - Gmail search query
+ * @param {number} maxThreads - Maximum number of threads to return
+ * @returns {Object} { threads: GmailThread[], skippedThreads: number }
+ */
+function searchGmailThreads(query, maxThreads) {
+  const threads = [];
+  let start = 0;
+  
+  while (threads.length < maxThreads) {
+    const pageSize = Math.min(GMAIL_SEARCH_PAGE_SIZE, maxThreads - threads.length);
+    const page = GmailApp.search(query, start, pageSize);
+    page.forEach(thread => threads.push(thread));
+    start += page.length;
+    if (page.length < pageSize) {
+      return { threads: threads, skippedThreads: 0 };
+    }
+  }
+  
+  // Ceiling reached - count what is left so the summary can say what was not analyzed
+  let skippedThreads = 0;
+  let page;
+  do {
+    page = GmailApp.search(query, start, GMAIL_COUNT_PAGE_SIZE);
+    skippedThreads += page.length;
+    start += page.length;
+  } while (page.length === GMAIL_COUNT_PAGE_SIZE);
+  
+  return { threads: threads, skippedThreads: skippedThreads };
+}
+
+/**
+ * Convert a GmailMessage into the email object used by the analysis pipeline
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - Gmail message
+ * @returns {Object} Email object with id, subject, sender, date, body, snippet and rfc822MessageId
+ */
+function buildEmailFromMessage(message) {
+  // Get RFC822 message ID for permalink generation
+  let rfc822MessageId = null;
+  try {
+    const rawContent = message.getRawContent();
+    const messageIdMatch = rawContent.match(/Message-ID:\s*<([^>]+)>/i);
+    if (messageIdMatch) {
+      rfc822MessageId = messageIdMatch[1];
+    }
+  } catch (error) {
+    logWarn('Could not get RFC822 message ID for message:', message.getId(), error);
+  }
+  
+  return {
+    id: message.getId(),
+    subject: message.getSubject(),
+    sender: message.getFrom(),
+    date: message.getDate(),
+    body: message.getPlainBody(),
+    snippet: message.getPlainBody().substring(0, 200),
+    rfc822MessageId: rfc822MessageId
+  };
+}
+
+/**
+ * Analyze the thread of a single opened message (Quick Scan)
+ * @param {string} messageId - Gmail message ID of the opened message
+ * @param {Object} config - Configuration object
+ * @param {number} [deadline] - Deadline for provider calls, QUICK_SCAN_TIME_LIMIT_MS from now by default
+ * @returns {Object} Scan results with threadId, messageId, subject, mustDo, mustKnow and totalProcessed
+ */
+function quickScanMessage(messageId, config, deadline) {
+  const scanDeadline = deadline || Date.now() + QUICK_SCAN_TIME_LIMIT_MS;
+  const message = GmailApp.getMessageById(messageId);
+  if (!message) {
+    throw new Error('Message not found');
+  }
+  
+  const thread = message.getThread();
+  const threadEmails = thread.getMessages().map(buildEmailFromMessage);
+  threadEmails.sort((a, b) => a.date - b.date);
+  
+  const threadData = {
+    threadId: thread.getId(),
+    subject: thread.getFirstMessageSubject(),
+    emails: threadEmails,
+    totalEmails: threadEmails.length,
+    latestDate: threadEmails[threadEmails.length - 1].date
+  };
+  
+  const results = analyzeEmailsWithOpenAI([threadData], config, scanDeadline);
+  
+  return {
+    threadId: threadData.threadId,
+    messageId: messageId,
+    subject: threadData.subject,
+    mustDo: results.mustDo || [],
+    mustKnow: results.mustKnow || [],
+    totalProcessed: results.totalProcessed || 0
+  };
+}
+
 /**
  * Process emails in batches that respect token limits
+ * @param {Array<Object>} emailThreads - Threads to analyze
+ * @param {Object} config - Configuration object
+ * @param {number} [deadline] - Execution deadline for provider calls (see getExecutionDeadline)
  */
-function processEmailsInBatches(emailThreads, config) {
+function processEmailsInBatches(emailThreads, config, deadline) {
   const allResults = {
     mustDo: [],
     mustKnow: [],
@@ -247,9 +504,13 @@ function processEmailsInBatches(emailThreads, config) {
     batchesProcessed: 0
   };
   
+  // Skipped senders never reach the model; always-included senders are checked after analysis
+  const senderRuleResult = applySenderRules(emailThreads, loadSenderRules());
+  const threadsToAnalyze = senderRuleResult.threads;
+  
   // Calculate total threads and messages for progress tracking
-  const totalThreads = emailThreads.length;
-  const totalMessages = emailThreads.reduce((total, thread) => total + thread.emails.length, 0);
+  const totalThreads = threadsToAnalyze.length;
+  const totalMessages = threadsToAnalyze.reduce((total, thread) => total + thread.emails.length, 0);
   
   // Update initial progress
   updateProcessingProgress(0, totalThreads, 0, totalMessages, 'Starting email analysis...');
@@ -259,8 +520,8 @@ function processEmailsInBatches(emailThreads, config) {
   let processedThreads = 0;
   let processedMessages = 0;
   
-  for (let i = 0; i < emailThreads.length; i++) {
-    const thread = emailThreads[i];
+  for (let i = 0; i < threadsToAnalyze.length; i++) {
+    const thread = threadsToAnalyze[i];
     
     // Update current processing status - show which thread we're about to process
     updateProcessingProgress(processedThreads, totalThreads, processedMessages, totalMessages, 
@@ -276,21 +537,21 @@ function processEmailsInBatches(emailThreads, config) {
         `Processing batch ${allResults.batchesProcessed + 1} with ${currentBatch.length} threads...`);
       
       // Log emails being fed into LLM for this batch
-      console.log(`=== LLM BATCH ${allResults.batchesProcessed + 1} (Regular Batch) ===`);
+      logInfo(`=== LLM BATCH ${allResults.batchesProcessed + 1} (Regular Batch) ===`);
       const batchEmailCount = currentBatch.reduce((sum, thread) => sum + thread.emails.length, 0);
-      console.log(`Batch ${allResults.batchesProcessed + 1} - Threads: ${currentBatch.length}, Total Emails: ${batchEmailCount}`);
+      logInfo(`Batch ${allResults.batchesProcessed + 1} - Threads: ${currentBatch.length}, Total Emails: ${batchEmailCount}`);
       currentBatch.forEach((thread, batchIndex) => {
-        console.log(`  Thread ${batchIndex + 1}/${currentBatch.length}: "${thread.subject}"`);
+        logDebug(`  Thread ${batchIndex + 1}/${currentBatch.length}: "${thread.subject}"`);
         thread.emails.forEach((email, emailIndex) => {
-          console.log(`    Email ${emailIndex + 1}:`);
-          console.log(`      Subject: "${email.subject}"`);
-          console.log(`      Date: ${email.date.toISOString()}`);
-          console.log(`      Sender: ${email.sender}`);
+          logInfo(`    Email ${emailIndex + 1}:`);
+          logDebug(`      Subject: "${email.subject}"`);
+          logInfo(`      Date: ${email.date.toISOString()}`);
+          logDebug(`      Sender: ${email.sender}`);
         });
       });
-      console.log(`=== END LLM BATCH ${allResults.batchesProcessed + 1} ===`);
+      logInfo(`=== END LLM BATCH ${allResults.batchesProcessed + 1} ===`);
       
-      const batchResults = analyzeEmailsWithOpenAI(currentBatch, config);
+      const batchResults = analyzeEmailsWithOpenAI(currentBatch, config, deadline);
       mergeResults(allResults, batchResults);
       
       // Apply labels to interesting emails from this batch
@@ -322,18 +583,18 @@ function processEmailsInBatches(emailThreads, config) {
         `Processing large thread: ${thread.subject}`);
       
       // Log emails being fed into LLM for this single large thread
-      console.log(`=== LLM BATCH ${allResults.batchesProcessed + 1} (Single Large Thread) ===`);
-      console.log(`Batch ${allResults.batchesProcessed + 1} - Threads: 1, Total Emails: ${thread.emails.length}`);
-      console.log(`  Thread: "${thread.subject}"`);
+      logInfo(`=== LLM BATCH ${allResults.batchesProcessed + 1} (Single Large Thread) ===`);
+      logInfo(`Batch ${allResults.batchesProcessed + 1} - Threads: 1, Total Emails: ${thread.emails.length}`);
+      logDebug(`  Thread: "${thread.subject}"`);
       thread.emails.forEach((email, emailIndex) => {
-        console.log(`    Email ${emailIndex + 1}/${thread.emails.length}:`);
-        console.log(`      Subject: "${email.subject}"`);
-        console.log(`      Date: ${email.date.toISOString()}`);
-        console.log(`      Sender: ${email.sender}`);
+        logInfo(`    Email ${emailIndex + 1}/${thread.emails.length}:`);
+        logDebug(`      Subject: "${email.subject}"`);
+        logInfo(`      Date: ${email.date.toISOString()}`);
+        logDebug(`      Sender: ${email.sender}`);
       });
-      console.log(`=== END LLM BATCH ${allResults.batchesProcessed + 1} ===`);
+      logInfo(`=== END LLM BATCH ${allResults.batchesProcessed + 1} ===`);
       
-      const batchResults = analyzeEmailsWithOpenAI([thread], config);
+      const batchResults = analyzeEmailsWithOpenAI([thread], config, deadline);
       mergeResults(allResults, batchResults);
       
       // Apply labels to interesting emails from this single thread
@@ -362,21 +623,21 @@ function processEmailsInBatches(emailThreads, config) {
       `Processing final batch with ${currentBatch.length} threads...`);
     
     // Log emails being fed into LLM for final batch
-    console.log(`=== LLM BATCH ${allResults.batchesProcessed + 1} (Final Batch) ===`);
+    logInfo(`=== LLM BATCH ${allResults.batchesProcessed + 1} (Final Batch) ===`);
     const batchEmailCount = currentBatch.reduce((sum, thread) => sum + thread.emails.length, 0);
-    console.log(`Final Batch - Threads: ${currentBatch.length}, Total Emails: ${batchEmailCount}`);
+    logInfo(`Final Batch - Threads: ${currentBatch.length}, Total Emails: ${batchEmailCount}`);
     currentBatch.forEach((thread, batchIndex) => {
-      console.log(`  Thread ${batchIndex + 1}/${currentBatch.length}: "${thread.subject}"`);
+      logDebug(`  Thread ${batchIndex + 1}/${currentBatch.length}: "${thread.subject}"`);
       thread.emails.forEach((email, emailIndex) => {
-        console.log(`    Email ${emailIndex + 1}:`);
-        console.log(`      Subject: "${email.subject}"`);
-        console.log(`      Date: ${email.date.toISOString()}`);
-        console.log(`      Sender: ${email.sender}`);
+        logInfo(`    Email ${emailIndex + 1}:`);
+        logDebug(`      Subject: "${email.subject}"`);
+        logInfo(`      Date: ${email.date.toISOString()}`);
+        logDebug(`      Sender: ${email.sender}`);
       });
     });
-    console.log(`=== END LLM BATCH ${allResults.batchesProcessed + 1} ===`);
+    logInfo(`=== END LLM BATCH ${allResults.batchesProcessed + 1} ===`);
     
-    const batchResults = analyzeEmailsWithOpenAI(currentBatch, config);
+    const batchResults = analyzeEmailsWithOpenAI(currentBatch, config, deadline);
     mergeResults(allResults, batchResults);
     
     // Apply labels to interesting emails from this final batch
@@ -394,9 +655,22 @@ function processEmailsInBatches(emailThreads, config) {
       `Analysis complete! Processed ${processedThreads}/${totalThreads} threads and ${processedMessages}/${totalMessages} messages.`);
   }
   
+  // Make sure emails from always-included senders are in the summary even if the model passed on them
+  if (senderRuleResult.forcedEmails.length > 0) {
+    const ruleItems = addSenderRuleItems(allResults, senderRuleResult.forcedEmails);
+    applyLabelsToInterestingEmails(ruleItems, config);
+    markProcessedEmailsAsRead(ruleItems, config);
+  }
+  
   // Remove uninteresting emails from inbox after all batches are processed
   removeUninterestingEmailsFromInbox(emailThreads, allResults, config);
   
+  // Put dated items in Calendar when the user opted in to automatic events
+  addDatedItemsToCalendarIfEnabled(allResults, config);
+  
+  // Feed must-do items to Google Tasks when the export is enabled
+  exportMustDoItemsToTasksIfEnabled(allResults, config);
+  
   return allResults;
 }
 
@@ -453,40 +727,53 @@ function mergeResults(allResults, batchResults) {
 }
 
 /**
- * Analyze emails using OpenAI API
+ * Analyze emails using the configured LLM provider
+ * @param {Array<Object>} emailThreads - Threads to analyze
+ * @param {Object} config - Configuration object
+ * @param {number} [deadline] - Execution deadline for provider calls (see getExecutionDeadline)
  */
-function analyzeEmailsWithOpenAI(emailThreads, config) {
+function analyzeEmailsWithOpenAI(emailThreads, config, deadline) {
   try {
     // Log emails being fed into LLM iteration
-    console.log('=== LLM ITERATION START ===');
+    logInfo('=== LLM ITERATION START ===');
     const totalEmails = emailThreads.reduce((total, thread) => total + thread.emails.length, 0);
-    console.log(`LLM Iteration - Threads: ${emailThreads.length}, Total Emails: ${totalEmails}`);
+    logInfo(`LLM Iteration - Threads: ${emailThreads.length}, Total Emails: ${totalEmails}`);
     emailThreads.forEach((thread, threadIndex) => {
-      console.log(`  Thread ${threadIndex + 1}/${emailThreads.length}: "${thread.subject}"`);
-      console.log(`    Thread ID: ${thread.threadId}`);
+      logDebug(`  Thread ${threadIndex + 1}/${emailThreads.length}: "${thread.subject}"`);
+      logInfo(`    Thread ID: ${thread.threadId}`);
       thread.emails.forEach((email, emailIndex) => {
-        console.log(`      Email ${emailIndex + 1}/${thread.emails.length}:`);
-        console.log(`        Subject: "${email.subject}"`);
-        console.log(`        Date: ${email.date.toISOString()}`);
-        console.log(`        Sender: ${email.sender}`);
-        console.log(`        Email ID: ${email.id}`);
+        logInfo(`      Email ${emailIndex + 1}/${thread.emails.length}:`);
+        logDebug(`        Subject: "${email.subject}"`);
+        logInfo(`        Date: ${email.date.toISOString()}`);
+        logDebug(`        Sender: ${email.sender}`);
+        logInfo(`        Email ID: ${email.id}`);
       });
     });
-    console.log('=== LLM ITERATION END (About to call API) ===');
+    logInfo('=== LLM ITERATION END (About to call API) ===');
     
     const prompt = buildAnalysisPrompt(emailThreads, config);
     
-    const response = callOpenAIAPI(prompt, config.openaiApiKey);
+    const response = callLlmAPI(prompt, config, ANALYSIS_RESPONSE_SCHEMA, deadline);
+    
+    let parsed;
+    try {
+      parsed = parseOpenAIResponse(response);
+    } catch (parseError) {
+      // One automatic retry asking the model to fix its own reply
+      logWarn('Model response could not be parsed, requesting a JSON repair:', parseError.message);
+      const repairResponse = callLlmAPI(buildJsonRepairPrompt(response, parseError.message), config, ANALYSIS_RESPONSE_SCHEMA, deadline);
+      parsed = parseOpenAIResponse(repairResponse);
+    }
     
-    const results = parseOpenAIResponse(response);
+    const results = consolidateThreadItems(validateAnalysisResults(parsed, emailThreads), emailThreads);
     
     // Count total emails processed
     results.totalProcessed = emailThreads.reduce((total, thread) => total + thread.emails.length, 0);
     
     return results;
   } catch (error) {
-    console.error('Error analyzing emails with OpenAI:', error);
-    throw new Error('Failed to analyze emails with OpenAI: ' + error.message);
+    logError('Error analyzing emails with OpenAI:', error);
+    throw wrapError('Failed to analyze emails with OpenAI: ' + error.message, error);
   }
 }
 
@@ -496,6 +783,8 @@ function analyzeEmailsWithOpenAI(emailThreads, config) {
 function buildAnalysisPrompt(emailThreads, config) {
   const mustDoTopics = config.mustDoTopics.split('\n').filter(t => t.trim());
   const mustKnowTopics = config.mustKnowTopics.split('\n').filter(t => t.trim());
+  const timeZone = config.timeZone || 'UTC';
+  const now = new Date();
   
   // Format topics as bullet lists
   const mustDoTopicsList = mustDoTopics.length > 0 
@@ -519,7 +808,9 @@ TASK: Categorize email threads into "I must do" and "I must know" categories.
 For each email thread, determine:
 1. If it fits "I must do" category (actionable items, deadlines, tasks)
 2. If it fits "I must know" category (informational, updates, news)
-3. Extract the earliest key action or knowledge from the entire thread
+3. Extract the key action or knowledge from the entire thread, as it stands after the latest email
+
+Return at most one "I must do" item and one "I must know" item per thread. Later emails in a thread update earlier ones (a new deadline, a cancellation, a completed payment), so describe the latest state and use the Email ID of the most recent email that supports it.
 
 IMPORTANT: Not every email must make it to the output. Skipping emails is okay and even desired when they don't match any topic. Only include emails that are truly relevant to the user's specified topics.
 
@@ -541,6 +832,8 @@ Examples of invalid actions for "I must do" category (if there are no other acti
 
 If there are no valid actions, do not include the email in the "I must do" category.
 
+Rate the "importance" of every item from 1 (minor, e.g. a birthday party invitation) to 5 (critical, e.g. a tax deadline or a legal, medical, or financial obligation), by what is at stake for the user rather than by how soon it is. Use 3 when unsure.
+
 MANDATE: You MUST respond with valid JSON in exactly this structure:
 {
   "mustDo": [
@@ -551,6 +844,10 @@ MANDATE: You MUST respond with valid JSON in exactly this structure:
       "sender": "sender email",
       "keyAction": "what the user must do, and key facts and figures (numbers, locations, prices, etc.)",
       "date": "YYYY-MM-DD or null if no date found",
+      "time": "HH:mm (24-hour) or null if no time of day is given",
+      "endDate": "YYYY-MM-DD of the last day for events spanning several days, otherwise null",
+      "dateKind": "deadline, event, reminder, or null if no date found",
+      "importance": 3,
       "topic": "which topic it matches"
     }
   ],
@@ -562,6 +859,10 @@ MANDATE: You MUST respond with valid JSON in exactly this structure:
       "sender": "sender email",
       "keyKnowledge": "what the user must know, and key facts and figures (numbers, locations, prices, etc.)",
       "date": "YYYY-MM-DD or null if no date found",
+      "time": "HH:mm (24-hour) or null if no time of day is given",
+      "endDate": "YYYY-MM-DD of the last day for events spanning several days, otherwise null",
+      "dateKind": "deadline, event, reminder, or null if no date found",
+      "importance": 3,
       "topic": "which topic it matches"
     }
   ]
@@ -581,6 +882,14 @@ ${config.mustDoOther ? 'Skip the email if it does not contain any valid action.
 ${mustKnowTopicsList}
 
 ${config.mustKnowOther ? 'If an email does not fit any of my topics, but contains important facts, events, or updates, list it as "other" (for example, price changes, information from lawyers, police, disasters and emergencies). If it is not important enough, do not include it in any topic, skip it instead.' : 'If an email does not fit any of my topics, do not include it in any topic, skip it instead.'}`
+    },
+    {
+      role: 'user',
+      content: `DATE CONTEXT:
+Today is ${formatDateInTimeZone(now, timeZone, 'yyyy-MM-dd')} (${formatDateInTimeZone(now, timeZone, 'EEEE')}) in ${timeZone}. Email dates below are in the same time zone.
+Resolve relative dates such as "tomorrow" or "next Friday" against the date of the email that mentions them, and return them as YYYY-MM-DD.
+Keep the time of day when one is given ("pay by Friday 17:00", "meeting at 8:15") in "time", as HH:mm in the same time zone. For events lasting several days, put the first day in "date" and the last day in "endDate".
+Set "dateKind" to "deadline" when something must be done by that date, "event" when something takes place then, or "reminder" for any other date worth remembering.`
     }
   ];
   
@@ -596,7 +905,7 @@ Thread ID: ${thread.threadId}
 Email ID: ${email.id}
 RFC822 Message ID: ${email.rfc822MessageId || 'N/A'}
 From: ${email.sender}
-Date: ${email.date.toISOString().split('T')[0]}
+Date: ${formatDateInTimeZone(email.date, timeZone, 'yyyy-MM-dd (EEEE) HH:mm')}
 Body: ${email.body.substring(0, 800)}${email.body.length > 800 ? '...' : ''}
 ---`;
     });
@@ -611,75 +920,344 @@ Body: ${email.body.substring(0, 800)}${email.body.length > 800 ? '...' : ''}
 }
 
 /**
- * Call OpenAI API
+ * Build a follow-up prompt asking the model to fix a reply that was not valid JSON
+ * @param {string} response - The unparseable model reply
+ * @param {string} errorMessage - Why parsing failed
+ * @returns {Array} Chat messages
  */
-function callOpenAIAPI(prompt, apiKey) {
-  const url = 'https://api.openai.com/v1/chat/completions';
-  
-  const payload = {
-    model: 'gpt-5-nano',
-    messages: prompt,
-    max_completion_tokens: 40000
-  };
-  
-  const options = {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
+function buildJsonRepairPrompt(response, errorMessage) {
+  return [
+    {
+      role: 'developer',
+      content: `You fix malformed JSON. Always respond with valid JSON only, without any extra text.
+The JSON must follow this JSON schema:
+${JSON.stringify(ANALYSIS_RESPONSE_SCHEMA)}`
     },
-    payload: JSON.stringify(payload)
-  };
-  
-  // Log the full request
-  console.log('=== OPENAI API REQUEST ===');
-  console.log('URL:', url);
-  console.log('Headers:', JSON.stringify(options.headers, null, 2));
-  console.log('Payload:', JSON.stringify(payload, null, 2));
-  
-  const response = UrlFetchApp.fetch(url, options);
-  const responseText = response.getContentText();
-  
-  // Log the full response
-  console.log('=== OPENAI API RESPONSE ===');
-  console.log('Status Code:', response.getResponseCode());
-  console.log('Response Headers:', JSON.stringify(response.getHeaders(), null, 2));
-  console.log('Response Body:', responseText);
-  
-  const responseData = JSON.parse(responseText);
-  
-  if (responseData.error) {
-    console.error('OpenAI API Error:', responseData.error);
-    throw new Error('OpenAI API error: ' + responseData.error.message);
-  }
-  
-  return responseData.choices[0].message.content;
+    {
+      role: 'user',
+      content: `Fix this JSON. It could not be parsed (${errorMessage}). Keep all the information it contains.
+
+${response}`
+    }
+  ];
 }
 
 /**
- * Parse OpenAI response
+ * Parse the model response into { mustDo, mustKnow }
+ * Throws if the response does not contain a usable JSON object
  */
 function parseOpenAIResponse(response) {
   try {
     // Extract JSON from response (in case there's extra text)
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    const jsonMatch = (response || '').match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      throw new Error('No JSON found in OpenAI response');
+      throw new Error('No JSON found in model response');
     }
     
     const parsed = JSON.parse(jsonMatch[0]);
     
-    // Validate structure
-    if (!parsed.mustDo || !parsed.mustKnow) {
-      throw new Error('Invalid response structure from OpenAI');
+    // Validate structure - a missing category is treated as empty, but at least one must be present
+    if (!Array.isArray(parsed.mustDo) && !Array.isArray(parsed.mustKnow)) {
+      throw new Error('Invalid response structure from model');
     }
     
-    return parsed;
+    return {
+      mustDo: Array.isArray(parsed.mustDo) ? parsed.mustDo : [],
+      mustKnow: Array.isArray(parsed.mustKnow) ? parsed.mustKnow : []
+    };
   } catch (error) {
-    console.error('Error parsing OpenAI response:', error);
-    console.error('Response was:', response);
-    throw new Error('Failed to parse OpenAI response: ' + error.message);
+    logError('Error parsing model response:', error);
+    logDebug('Response was:', response);
+    throw new Error('Failed to parse model response: ' + error.message);
+  }
+}
+
+/**
+ * Normalize a model-provided date to YYYY-MM-DD
+ * @param {*} value - Date value from the model
+ * @returns {string|null} Normalized date or null if missing or unusable
+ */
+function normalizeAnalysisDate(value) {
+  if (value === null || value === undefined || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.toLowerCase() === 'null') return null;
+  
+  const dateMatch = trimmed.match(/^(\d{4}-\d{2}-\d{2})(T.*)?$/);
+  if (dateMatch) {
+    const parsed = new Date(dateMatch[1] + 'T00:00:00Z');
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(dateMatch[1]) ? dateMatch[1] : null;
+  }
+  
+  // Other formats (e.g., "January 15, 2024") are converted when unambiguous enough for Date
+  const parsed = new Date(trimmed);
+  if (isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a model-provided time of day to HH:mm
+ * Accepts 24-hour times with optional seconds, 12-hour times with am/pm, and the time part of an ISO date.
+ * @param {*} value - Time value from the model
+ * @returns {string|null} Normalized time or null if missing or unusable
+ */
+function normalizeAnalysisTime(value) {
+  if (value === null || value === undefined || typeof value !== 'string') return null;
+  const trimmed = value.trim().replace(/^\d{4}-\d{2}-\d{2}T/, '');
+  
+  const timeMatch = trimmed.match(/^(\d{1,2})(?:[:.](\d{2}))?(?::\d{2}(?:\.\d+)?)?\s*([ap]\.?m\.?)?/i);
+  if (!timeMatch || (!timeMatch[2] && !timeMatch[3])) return null;
+  
+  let hours = parseInt(timeMatch[1], 10);
+  const minutes = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+  if (timeMatch[3]) {
+    if (hours < 1 || hours > 12) return null;
+    const isPm = timeMatch[3].toLowerCase().startsWith('p');
+    hours = (hours % 12) + (isPm ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a model-provided importance to a whole number from ITEM_IMPORTANCE.MIN to MAX
+ * @param {*} value - Importance value from the model
+ * @returns {number} Importance, ITEM_IMPORTANCE.DEFAULT if missing or unusable
+ */
+function normalizeAnalysisImportance(value) {
+  const parsed = Math.round(Number(value));
+  if (value === null || value === undefined || value === '' || isNaN(parsed)) return ITEM_IMPORTANCE.DEFAULT;
+  return Math.min(ITEM_IMPORTANCE.MAX, Math.max(ITEM_IMPORTANCE.MIN, parsed));
+}
+
+/**
+ * Normalize the date, time, end date and date kind of a model-provided item
+ * The time is taken from an ISO date ("2024-01-19T17:00") when not given separately.
+ * Without a date the other fields are meaningless, and an end date before the date is dropped.
+ * @param {Object} item - Item from the model
+ * @returns {Object} { date, time, endDate, dateKind }
+ */
+function normalizeAnalysisWhen(item) {
+  const date = normalizeAnalysisDate(item.date);
+  if (!date) {
+    return { date: null, time: null, endDate: null, dateKind: null };
+  }
+  
+  // Midnight in an ISO date is how a plain date gets serialized, not a time of day
+  const isoTime = typeof item.date === 'string' && /T\d/.test(item.date) ? normalizeAnalysisTime(item.date.split('T')[1]) : null;
+  const endDate = normalizeAnalysisDate(item.endDate);
+  const dateKind = typeof item.dateKind === 'string' ? item.dateKind.trim().toLowerCase() : '';
+  return {
+    date: date,
+    time: normalizeAnalysisTime(item.time) || (isoTime !== '00:00' ? isoTime : null),
+    endDate: endDate && endDate > date ? endDate : null,
+    dateKind: Object.values(DATE_KIND).includes(dateKind) ? dateKind : null
+  };
+}
+
+/**
+ * Convert an email date to an ISO string
+ * @param {Date|string} date - Email date
+ * @returns {string|null} ISO string, or null if the date is missing or invalid
+ */
+function toIsoStringOrNull(date) {
+  if (!date) return null;
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Validate analysis items one by one, repairing what can be repaired and dropping the rest
+ * @param {Object} parsed - Parsed response with mustDo and mustKnow arrays
+ * @param {Array} emailThreads - Threads that were sent to the model, used to look up email details
+ * @returns {Object} Results with only valid items in mustDo and mustKnow
+ */
+function validateAnalysisResults(parsed, emailThreads) {
+  // Index analyzed emails by Gmail ID and RFC822 ID, remembering their thread
+  const emailsById = {};
+  const emailsByRfc822Id = {};
+  const threadIdsByEmailId = {};
+  (emailThreads || []).forEach(thread => {
+    (thread.emails || []).forEach(email => {
+      emailsById[email.id] = email;
+      if (email.rfc822MessageId) emailsByRfc822Id[email.rfc822MessageId] = email;
+      threadIdsByEmailId[email.id] = thread.threadId || null;
+    });
+  });
+  
+  function validateItem(item, textField, otherTextField) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+    
+    // Resolve the source email; items that do not point to an analyzed email are dropped
+    let email = emailsById[item.emailId];
+    if (!email && item.rfc822MessageId) email = emailsByRfc822Id[item.rfc822MessageId];
+    if (!email) return null;
+    
+    // The key action or knowledge is required; accept it under the other category's field name
+    let text = item[textField];
+    if (typeof text !== 'string' || !text.trim()) text = item[otherTextField];
+    if (typeof text !== 'string' || !text.trim()) return null;
+    
+    const when = normalizeAnalysisWhen(item);
+    const validItem = {
+      emailId: email.id,
+      rfc822MessageId: email.rfc822MessageId || (typeof item.rfc822MessageId === 'string' ? item.rfc822MessageId : null),
+      subject: typeof item.subject === 'string' && item.subject.trim() ? item.subject : email.subject,
+      sender: typeof item.sender === 'string' && item.sender.trim() ? item.sender : email.sender,
+      date: when.date,
+      time: when.time,
+      endDate: when.endDate,
+      dateKind: when.dateKind,
+      importance: normalizeAnalysisImportance(item.importance),
+      topic: typeof item.topic === 'string' && item.topic.trim() ? item.topic.trim() : 'other',
+      threadId: threadIdsByEmailId[email.id] || null,
+      receivedAt: toIsoStringOrNull(email.date)
+    };
+    validItem[textField] = text.trim();
+    return validItem;
+  }
+  
+  const results = { mustDo: [], mustKnow: [] };
+  let dropped = 0;
+  (parsed.mustDo || []).forEach(item => {
+    const validItem = validateItem(item, 'keyAction', 'keyKnowledge');
+    if (validItem) results.mustDo.push(validItem); else dropped++;
+  });
+  (parsed.mustKnow || []).forEach(item => {
+    const validItem = validateItem(item, 'keyKnowledge', 'keyAction');
+    if (validItem) results.mustKnow.push(validItem); else dropped++;
+  });
+  
+  if (dropped > 0) {
+    logWarn(`Dropped ${dropped} malformed item(s) from model response`);
+  }
+  
+  return results;
+}
+
+/**
+ * Consolidate analysis items into one item per thread and category
+ * The item keeps the latest state of the action or knowledge and the earliest date, and
+ * records every analyzed message of the thread so the summary can list them.
+ * @param {Object} results - Validated results with mustDo and mustKnow arrays
+ * @param {Array} emailThreads - Threads that were sent to the model
+ * @returns {Object} Results with one item per thread in mustDo and mustKnow
+ */
+function consolidateThreadItems(results, emailThreads) {
+  const threadsById = {};
+  (emailThreads || []).forEach(thread => {
+    if (thread.threadId) threadsById[thread.threadId] = thread;
+  });
+  
+  function withThreadMessages(item) {
+    const thread = threadsById[item.threadId];
+    if (!thread) return item;
+    const messages = thread.emails.map(email => ({
+      emailId: email.id,
+      rfc822MessageId: email.rfc822MessageId || null,
+      subject: email.subject,
+      sender: email.sender,
+      receivedAt: toIsoStringOrNull(email.date)
+    }));
+    return Object.assign({}, item, { messages: messages, messageCount: messages.length });
+  }
+  
+  return Object.assign({}, results, {
+    mustDo: mergeResultItems([], (results.mustDo || []).map(withThreadMessages)),
+    mustKnow: mergeResultItems([], (results.mustKnow || []).map(withThreadMessages))
+  });
+}
+
+/**
+ * Parse the topic-to-label mapping from Email Settings
+ * @param {string} value - One mapping per line, "topic = Label/Path"
+ * @returns {Object} Map of lowercase topic to label name
+ */
+function parseTopicLabels(value) {
+  const topicLabels = {};
+  String(value || '').split('\n').forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator === -1) return;
+    const topic = normalizeTopic(line.substring(0, separator));
+    const labelName = line.substring(separator + 1).trim();
+    if (topic && labelName) {
+      topicLabels[topic] = labelName;
+    }
+  });
+  return topicLabels;
+}
+
+/**
+ * Normalize a topic for matching the model's topic against configured topics
+ * @param {string} topic - Topic as configured or returned by the model
+ * @returns {string} Lowercase topic without list markers or extra whitespace
+ */
+function normalizeTopic(topic) {
+  return String(topic || '').replace(/^\s*[-*]\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Validate the topic-to-label mapping against the configured topics
+ * @param {string} value - One mapping per line, "topic = Label/Path"
+ * @param {Object} config - Configuration object with mustDoTopics and mustKnowTopics
+ * @throws {Error} If a line is malformed, names an unknown topic, or has an invalid label
+ */
+function validateTopicLabels(value, config) {
+  const knownTopics = (config.mustDoTopics || '').split('\n').concat((config.mustKnowTopics || '').split('\n'))
+    .map(normalizeTopic)
+    .filter(topic => topic);
+  
+  String(value || '').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Topic label "${line.trim()}" must look like "topic = Label"`);
+    }
+    const topic = normalizeTopic(line.substring(0, separator));
+    const labelName = line.substring(separator + 1).trim();
+    if (topic === 'other') {
+      throw new Error('Topic "other" always uses the category label');
+    }
+    if (knownTopics.indexOf(topic) === -1) {
+      throw new Error(`"${topic}" is not one of your topics`);
+    }
+    if (!labelName || labelName.split('/').some(part => !part.trim())) {
+      throw new Error(`Label for topic "${topic}" is not a valid label name`);
+    }
+  });
+}
+
+/**
+ * Get the label for an analysis item
+ * Items whose topic has its own label get that label; "other" and unmapped topics get the category label.
+ * @param {Object} item - Analysis item with a topic
+ * @param {string} category - 'mustDo' or 'mustKnow'
+ * @param {Object} config - Configuration with mustDoLabel, mustKnowLabel and topicLabels
+ * @returns {string} Label name, or an empty string for no label
+ */
+function getLabelNameForItem(item, category, config) {
+  const categoryLabel = (category === 'mustDo' ? config.mustDoLabel : config.mustKnowLabel) || '';
+  const topic = normalizeTopic(item && item.topic);
+  if (!topic || topic === 'other') return categoryLabel;
+  return parseTopicLabels(config.topicLabels)[topic] || categoryLabel;
+}
+
+/**
+ * Get a Gmail label, creating it and any missing parent labels of a nested path
+ * @param {string} labelName - Label name, e.g. "FastReader/School/Trips"
+ * @returns {GoogleAppsScript.Gmail.GmailLabel} The label
+ */
+function getOrCreateLabel(labelName) {
+  const existing = GmailApp.getUserLabelByName(labelName);
+  if (existing) return existing;
+  
+  // Gmail only shows a label as nested when its parents exist
+  const parts = labelName.split('/');
+  let label = null;
+  for (let i = 1; i <= parts.length; i++) {
+    const path = parts.slice(0, i).join('/');
+    label = GmailApp.getUserLabelByName(path) || GmailApp.createLabel(path);
   }
+  return label;
 }
 
 /**
@@ -689,14 +1267,12 @@ function applyLabelsToInterestingEmails(results, config) {
   try {
     function labelEmails(emails, labelName) {
       if (!labelName) return;
-      let label = GmailApp.getUserLabelByName(labelName);
-      if (!label) {
-        try {
-          label = GmailApp.createLabel(labelName);
-        } catch (error) {
-          console.warn(`Could not create label ${labelName}:`, error);
-          return;
-        }
+      let label;
+      try {
+        label = getOrCreateLabel(labelName);
+      } catch (error) {
+        logWarn(`Could not create label ${labelName}:`, error);
+        return;
       }
       for (const email of emails || []) {
         try {
@@ -731,19 +1307,25 @@ function applyLabelsToInterestingEmails(results, config) {
             try { message.getThread().addLabel(label); } catch (labelErr) { /* ignore */ }
           }
         } catch (error) {
-          console.error(`Error labeling email ${email.subject}:`, error);
+          logError(`Error labeling email ${redactContent(email.subject)}:`, error);
         }
       }
     }
 
-    if (config.mustDoLabel) {
-      labelEmails(results.mustDo, config.mustDoLabel);
-    }
-    if (config.mustKnowLabel) {
-      labelEmails(results.mustKnow, config.mustKnowLabel);
-    }
+    // Group items by label: the topic's own label, or the category label for unmapped topics
+    const emailsByLabel = {};
+    ['mustDo', 'mustKnow'].forEach(category => {
+      (results[category] || []).forEach(item => {
+        const labelName = getLabelNameForItem(item, category, config);
+        if (!labelName) return;
+        (emailsByLabel[labelName] = emailsByLabel[labelName] || []).push(item);
+      });
+    });
+    Object.keys(emailsByLabel).forEach(labelName => {
+      labelEmails(emailsByLabel[labelName], labelName);
+    });
   } catch (error) {
-    console.error('Error in applyLabelsToInterestingEmails:', error);
+    logError('Error in applyLabelsToInterestingEmails:', error);
   }
 }
 
@@ -798,15 +1380,15 @@ function markProcessedEmailsAsRead(results, config) {
           try {
             message.markRead();
           } catch (markErr) {
-            console.warn(`Could not mark email ${email.subject} as read:`, markErr);
+            logWarn(`Could not mark email ${redactContent(email.subject)} as read:`, markErr);
           }
         }
       } catch (error) {
-        console.error(`Error marking email ${email.subject} as read:`, error);
+        logError(`Error marking email ${redactContent(email.subject)} as read:`, error);
       }
     }
   } catch (error) {
-    console.error('Error in markProcessedEmailsAsRead:', error);
+    logError('Error in markProcessedEmailsAsRead:', error);
   }
 }
 
@@ -899,31 +1481,31 @@ function removeUninterestingEmailsFromInbox(emailThreads, results, config) {
                       }
                     } catch (apiErr) {
                       // Gmail API might not be enabled or accessible, continue without this check
-                      console.warn(`Could not check IMPORTANT status for thread ${threadData.threadId}:`, apiErr);
+                      logWarn(`Could not check IMPORTANT status for thread ${threadData.threadId}:`, apiErr);
                     }
                   }
                 }
               } catch (apiCheckErr) {
                 // Gmail Advanced Service not available, skip important check
-                console.warn(`Gmail Advanced Service not available, skipping IMPORTANT check for thread ${threadData.threadId}`);
+                logWarn(`Gmail Advanced Service not available, skipping IMPORTANT check for thread ${threadData.threadId}`);
               }
               
               if (shouldArchive) {
-                console.log(`Archiving uninteresting thread ${threadData.threadId} from inbox`);
+                logInfo(`Archiving uninteresting thread ${threadData.threadId} from inbox`);
                 thread.moveToArchive();
               } else {
-                console.log(`Skipping archive for thread ${threadData.threadId}: ${reason.join(', ')}`);
+                logInfo(`Skipping archive for thread ${threadData.threadId}: ${reason.join(', ')}`);
               }
             }
           } catch (threadErr) {
-            console.warn(`Could not process thread ${threadData.threadId} for archiving:`, threadErr);
+            logWarn(`Could not process thread ${threadData.threadId} for archiving:`, threadErr);
           }
         }
       } catch (error) {
-        console.error(`Error processing thread ${threadData.threadId}:`, error);
+        logError(`Error processing thread ${threadData.threadId}:`, error);
       }
     }
   } catch (error) {
-    console.error('Error in removeUninterestingEmailsFromInbox:', error);
+    logError('Error in removeUninterestingEmailsFromInbox:', error);
   }
 }
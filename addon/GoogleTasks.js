@@ -0,0 +1,285 @@
+/**
+ * Gmail Fast Reader - Export of "must do" items to Google Tasks
+ *
+ * When enabled, every must-do item found by a scan becomes a task in the chosen
+ * Google Tasks list. Exported tasks are recorded in a Drive ledger keyed by task ID
+ * (see getTaskId), so a reply in the thread updates its task instead of adding one.
+ * A task is completed when its thread is archived or the item is marked done.
+ */
+
+const GOOGLE_TASKS_LEDGER_FILE_NAME = 'gmail-fast-read-exported-tasks.json';
+const GOOGLE_TASKS_LEDGER_FILE_ID_PROPERTY_KEY = 'drive_google_tasks_ledger_file_id';
+const DEFAULT_GOOGLE_TASK_LIST_ID = '@default';
+
+/**
+ * Load the ledger of exported tasks from Google Drive
+ * @returns {Object} Map of task ID to { googleTaskId, taskListId, threadId, inInbox, receivedAt, exportedAt, completedAt }
+ */
+function loadExportedTasks() {
+  try {
+    const file = getOrCreateDriveJsonFile(GOOGLE_TASKS_LEDGER_FILE_NAME, GOOGLE_TASKS_LEDGER_FILE_ID_PROPERTY_KEY, { entries: {} });
+    const data = JSON.parse(file.getBlob().getDataAsString());
+    return data.entries || {};
+  } catch (error) {
+    logError('Error loading exported task ledger:', error);
+    throw new Error('Failed to load the list of exported tasks: ' + error.message);
+  }
+}
+
+/**
+ * Save the ledger to Google Drive, forgetting tasks completed more than TASK_MAX_OPEN_DAYS ago
+ * @param {Object} entries - Map of task ID to exported task entry
+ */
+function saveExportedTasks(entries) {
+  const cutoff = new Date(Date.now() - TASK_MAX_OPEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  Object.keys(entries).forEach(taskId => {
+    if (entries[taskId].completedAt && entries[taskId].completedAt < cutoff) delete entries[taskId];
+  });
+
+  const file = getOrCreateDriveJsonFile(GOOGLE_TASKS_LEDGER_FILE_NAME, GOOGLE_TASKS_LEDGER_FILE_ID_PROPERTY_KEY, { entries: {} });
+  file.setContent(JSON.stringify({ entries: entries }));
+  logInfo(`Saved exported task ledger: ${Object.keys(entries).length} tasks`);
+}
+
+/**
+ * Get the ID of the Google Tasks list items are exported to
+ * @param {Object} config - Configuration object
+ * @returns {string} Task list ID from the configured ID or title, or the default list
+ * @throws {Error} If the configured list cannot be found
+ */
+function getTargetTaskListId(config) {
+  const wanted = (config.tasksListId || '').trim();
+  if (!wanted) {
+    return DEFAULT_GOOGLE_TASK_LIST_ID;
+  }
+
+  const taskLists = Tasks.Tasklists.list({ maxResults: 100 }).items || [];
+  const taskList = taskLists.find(list => list.id === wanted) ||
+    taskLists.find(list => (list.title || '').toLowerCase() === wanted.toLowerCase());
+  if (!taskList) {
+    throw new Error(`Task list "${wanted}" not found. Enter the name or ID of one of your Google Tasks lists`);
+  }
+  return taskList.id;
+}
+
+/**
+ * Build the Google Tasks resource of a must-do item
+ * @param {Object} item - Must-do result item
+ * @returns {Object} Task with title, notes and, for dated items, due date
+ */
+function buildGoogleTaskResource(item) {
+  const notes = [`From: ${item.sender}`, `Subject: ${item.subject}`];
+  // Google Tasks has no time of day, so a due time or end date only shows in the notes
+  if (item.time || item.endDate) {
+    notes.unshift(`When: ${formatItemWhen(item)}`);
+  }
+  const permalink = generateGmailPermalink(item.rfc822MessageId);
+  if (permalink) {
+    notes.push(`Open in Gmail: ${permalink}`);
+  }
+
+  const task = { title: item.keyAction, notes: notes.join('\n') };
+  // Google Tasks keeps only the date part of the due timestamp
+  if (/^\d{4}-\d{2}-\d{2}$/.test(item.date || '')) {
+    task.due = `${item.date}T00:00:00.000Z`;
+  }
+  return task;
+}
+
+/**
+ * Check whether a Gmail thread is in the inbox
+ * @param {string|null} threadId - Gmail thread ID
+ * @returns {boolean|null} Inbox state, or null when the thread cannot be read
+ */
+function isThreadInInbox(threadId) {
+  if (!threadId) return null;
+  try {
+    const thread = GmailApp.getThreadById(threadId);
+    return thread ? thread.isInInbox() : null;
+  } catch (error) {
+    logWarn('Could not read thread inbox state:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a Google Tasks call failed because the task or its list was deleted
+ * @param {Error} error - Error thrown by the Tasks advanced service
+ * @returns {boolean} True for a "not found" error
+ */
+function isMissingGoogleTaskError(error) {
+  return /not found|404/i.test(String(error && error.message));
+}
+
+/**
+ * Export must-do items to Google Tasks, updating the task of a thread exported before
+ * Items of a thread whose task was completed are only exported again after a newer message.
+ * A task deleted in Google Tasks counts as completed. Each item is exported on its own, and
+ * the ledger is saved even when an item fails, so created tasks are never created twice.
+ * @param {Array<Object>} mustDoItems - Must-do result items
+ * @param {Object} config - Configuration object
+ * @returns {Object} { created, updated, removed, failed }
+ */
+function exportMustDoItemsToTasks(mustDoItems, config) {
+  const outcome = { created: 0, updated: 0, removed: 0, failed: 0 };
+  if (mustDoItems.length === 0) {
+    return outcome;
+  }
+
+  const taskListId = getTargetTaskListId(config);
+  const entries = loadExportedTasks();
+
+  try {
+    mustDoItems.forEach(item => {
+      try {
+        exportMustDoItemToTasks(item, entries, taskListId, outcome);
+      } catch (error) {
+        outcome.failed++;
+        logError('Could not export a must-do item to Google Tasks:', error);
+      }
+    });
+  } finally {
+    if (outcome.created > 0 || outcome.updated > 0 || outcome.removed > 0) {
+      saveExportedTasks(entries);
+    }
+  }
+  logInfo(`Google Tasks: created ${outcome.created} tasks, updated ${outcome.updated}, ${outcome.removed} deleted by the user, ${outcome.failed} failed`);
+  return outcome;
+}
+
+/**
+ * Export one must-do item to Google Tasks
+ * @param {Object} item - Must-do result item
+ * @param {Object} entries - Exported task ledger, updated in place
+ * @param {string} taskListId - Task list new tasks go to
+ * @param {Object} outcome - Counts of exportMustDoItemsToTasks, updated in place
+ * @throws {Error} If Google Tasks rejects the task
+ */
+function exportMustDoItemToTasks(item, entries, taskListId, outcome) {
+  const taskId = getTaskId(item);
+  if (!taskId || !item.keyAction) return;
+  const resource = buildGoogleTaskResource(item);
+  const existing = entries[taskId];
+
+  if (existing && !existing.completedAt) {
+    let patched = null;
+    try {
+      patched = Tasks.Tasks.patch(resource, existing.taskListId, existing.googleTaskId);
+    } catch (error) {
+      if (!isMissingGoogleTaskError(error)) throw error;
+    }
+    if (patched && !patched.deleted) {
+      existing.receivedAt = item.receivedAt || existing.receivedAt || null;
+      outcome.updated++;
+      return;
+    }
+    // The user deleted the task or its list: only a newer message brings it back
+    existing.completedAt = new Date().toISOString();
+    outcome.removed++;
+  }
+  if (existing && (!item.receivedAt || item.receivedAt <= existing.completedAt)) {
+    return;
+  }
+
+  const task = Tasks.Tasks.insert(resource, taskListId);
+  entries[taskId] = {
+    googleTaskId: task.id,
+    taskListId: taskListId,
+    threadId: item.threadId || null,
+    // Only threads that were in the inbox can be archived later
+    inInbox: isThreadInInbox(item.threadId) === true,
+    receivedAt: item.receivedAt || null,
+    exportedAt: new Date().toISOString(),
+    completedAt: null
+  };
+  outcome.created++;
+}
+
+/**
+ * Export the must-do items of a scan when the Google Tasks export is enabled
+ * @param {Object} results - Results with a mustDo array
+ * @param {Object} config - Configuration object
+ */
+function exportMustDoItemsToTasksIfEnabled(results, config) {
+  if (!config.tasksExport) {
+    return;
+  }
+
+  try {
+    exportMustDoItemsToTasks(results.mustDo || [], config);
+  } catch (error) {
+    // The scan itself succeeded; the items are still in the digest
+    logError('Error exporting must-do items to Google Tasks:', error);
+  }
+}
+
+/**
+ * Mark an exported task as completed in Google Tasks
+ * @param {Object} entry - Exported task entry, updated in place
+ */
+function completeExportedTask(entry) {
+  try {
+    Tasks.Tasks.patch({ status: 'completed' }, entry.taskListId, entry.googleTaskId);
+  } catch (error) {
+    // A task deleted in Google Tasks is as good as completed
+    if (!isMissingGoogleTaskError(error)) throw error;
+  }
+  entry.completedAt = new Date().toISOString();
+}
+
+/**
+ * Complete the Google task of an item marked done in the add-on
+ * @param {string} taskId - Task ID (see getTaskId)
+ */
+function completeGoogleTaskForTaskId(taskId) {
+  try {
+    const entries = loadExportedTasks();
+    const entry = entries[taskId];
+    if (!entry || entry.completedAt) return;
+
+    completeExportedTask(entry);
+    saveExportedTasks(entries);
+  } catch (error) {
+    // The item is done in the add-on either way; the task can be ticked off in Google Tasks
+    logError('Error completing Google task:', error);
+  }
+}
+
+/**
+ * Complete the Google tasks of threads that were archived since they were exported
+ * @param {Object} config - Configuration object
+ * @returns {number} Number of tasks completed
+ */
+function completeGoogleTasksOfArchivedThreads(config) {
+  if (!config.tasksExport) {
+    return 0;
+  }
+
+  try {
+    const entries = loadExportedTasks();
+    let completed = 0;
+    try {
+      Object.keys(entries).forEach(taskId => {
+        const entry = entries[taskId];
+        if (entry.completedAt || !entry.inInbox) return;
+        if (isThreadInInbox(entry.threadId) === false) {
+          try {
+            completeExportedTask(entry);
+            completed++;
+          } catch (error) {
+            logError('Could not complete the Google task of an archived thread:', error);
+          }
+        }
+      });
+    } finally {
+      if (completed > 0) {
+        saveExportedTasks(entries);
+        logInfo(`Google Tasks: completed ${completed} tasks of archived threads`);
+      }
+    }
+    return completed;
+  } catch (error) {
+    logError('Error completing Google tasks of archived threads:', error);
+    return 0;
+  }
+}
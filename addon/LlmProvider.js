@@ -0,0 +1,466 @@
+/**
+ * Gmail Fast Reader - LLM provider layer (OpenAI, Azure OpenAI, Anthropic, OpenAI-compatible)
+ */
+
+// Provider defaults
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const LLM_MAX_OUTPUT_TOKENS = 40000;
+const ANTHROPIC_MAX_OUTPUT_TOKENS = 8192;
+const STRUCTURED_OUTPUT_NAME = 'email_analysis';
+
+// Retry policy for transient provider errors; retries also stop at the execution deadline
+const LLM_MAX_ATTEMPTS = 5;
+const LLM_RETRY_BASE_DELAY_MS = 2000;
+const LLM_RETRY_MAX_DELAY_MS = 60 * 1000;
+// Retry budget of a call made without an execution deadline
+const LLM_RETRY_BUDGET_MS = 2 * 60 * 1000;
+const RETRYABLE_HTTP_STATUS_CODES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+/**
+ * Get LLM provider options for dropdown
+ */
+function getLlmProviderOptions() {
+  return [
+    { label: 'OpenAI', value: LLM_PROVIDER.OPENAI },
+    { label: 'Azure OpenAI', value: LLM_PROVIDER.AZURE_OPENAI },
+    { label: 'Anthropic', value: LLM_PROVIDER.ANTHROPIC },
+    { label: 'OpenAI-compatible (Ollama, vLLM, gateway)', value: LLM_PROVIDER.OPENAI_COMPATIBLE }
+  ];
+}
+
+/**
+ * Get the provider options offered in the settings
+ * The OpenAI-compatible provider is only offered when the deployment whitelists its endpoint,
+ * or when it is already selected so the user can see why it does not work.
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Options of getLlmProviderOptions the user can pick
+ */
+function getSelectableLlmProviderOptions(config) {
+  return getLlmProviderOptions().filter(option => option.value !== LLM_PROVIDER.OPENAI_COMPATIBLE ||
+    !!COMPATIBLE_ENDPOINT_URL_PREFIX || config.llmProvider === LLM_PROVIDER.OPENAI_COMPATIBLE);
+}
+
+/**
+ * Get a human-readable name of the configured provider
+ * @param {Object} config - Configuration object
+ * @returns {string} Provider label
+ */
+function getLlmProviderLabel(config) {
+  const option = getLlmProviderOptions().find(o => o.value === config.llmProvider);
+  return option ? option.label : 'OpenAI';
+}
+
+/**
+ * Check whether a provider can enforce a JSON schema on its output
+ * Generic OpenAI-compatible backends vary too much to rely on it
+ * @param {string} provider - Provider identifier
+ * @returns {boolean} True if structured output is requested from the provider
+ */
+function providerSupportsStructuredOutput(provider) {
+  return provider !== LLM_PROVIDER.OPENAI_COMPATIBLE;
+}
+
+/**
+ * Build the HTTP request for the configured provider
+ * @param {Array} prompt - Chat messages ({ role, content }) as built by buildAnalysisPrompt
+ * @param {Object} config - Configuration object
+ * @param {Object} [responseSchema] - Optional JSON schema the response must follow
+ * @returns {Object} { url, options } ready for UrlFetchApp.fetch
+ */
+function buildLlmRequest(prompt, config, responseSchema) {
+  const schema = providerSupportsStructuredOutput(config.llmProvider) ? responseSchema : null;
+  switch (config.llmProvider) {
+  case LLM_PROVIDER.AZURE_OPENAI:
+    return buildAzureOpenAIRequest(prompt, config, schema);
+  case LLM_PROVIDER.ANTHROPIC:
+    return buildAnthropicRequest(prompt, config, schema);
+  case LLM_PROVIDER.OPENAI_COMPATIBLE:
+    return buildOpenAICompatibleRequest(prompt, config);
+  default:
+    return buildOpenAIRequest(prompt, config, schema);
+  }
+}
+
+/**
+ * Build the OpenAI-style response_format for a JSON schema
+ */
+function buildJsonSchemaResponseFormat(responseSchema) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: STRUCTURED_OUTPUT_NAME,
+      strict: true,
+      schema: responseSchema
+    }
+  };
+}
+
+/**
+ * Build an OpenAI Chat Completions request
+ */
+function buildOpenAIRequest(prompt, config, responseSchema) {
+  const payload = {
+    model: config.openaiModel || DEFAULT_OPENAI_MODEL,
+    messages: prompt,
+    max_completion_tokens: LLM_MAX_OUTPUT_TOKENS
+  };
+  if (responseSchema) {
+    payload.response_format = buildJsonSchemaResponseFormat(responseSchema);
+  }
+
+  return {
+    url: OPENAI_API_URL,
+    options: {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${config.openaiApiKey}`,
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(payload)
+    }
+  };
+}
+
+/**
+ * Build an Azure OpenAI deployment request
+ */
+function buildAzureOpenAIRequest(prompt, config, responseSchema) {
+  const endpoint = (config.azureEndpoint || '').replace(/\/+$/, '');
+  const apiVersion = config.azureApiVersion || DEFAULT_AZURE_API_VERSION;
+  const url = `${endpoint}/openai/deployments/${encodeURIComponent(config.azureDeployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+
+  // The deployment determines the model, so no model name is sent
+  const payload = {
+    messages: toSystemRoleMessages(prompt),
+    max_completion_tokens: LLM_MAX_OUTPUT_TOKENS
+  };
+  if (responseSchema) {
+    payload.response_format = buildJsonSchemaResponseFormat(responseSchema);
+  }
+
+  return {
+    url: url,
+    options: {
+      method: 'POST',
+      headers: {
+        'api-key': config.azureApiKey,
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(payload)
+    }
+  };
+}
+
+/**
+ * Build an Anthropic Messages API request
+ */
+function buildAnthropicRequest(prompt, config, responseSchema) {
+  // Anthropic takes instructions as a top-level system prompt
+  const system = prompt
+    .filter(message => message.role === 'developer' || message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+  const userContent = prompt
+    .filter(message => message.role === 'user')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const payload = {
+    model: config.anthropicModel || DEFAULT_ANTHROPIC_MODEL,
+    max_tokens: ANTHROPIC_MAX_OUTPUT_TOKENS,
+    system: system,
+    messages: [{ role: 'user', content: userContent }]
+  };
+  // Anthropic enforces a schema through a forced tool call
+  if (responseSchema) {
+    payload.tools = [{
+      name: STRUCTURED_OUTPUT_NAME,
+      description: 'Report the result in the required structure',
+      input_schema: responseSchema
+    }];
+    payload.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_NAME };
+  }
+
+  return {
+    url: ANTHROPIC_API_URL,
+    options: {
+      method: 'POST',
+      headers: {
+        'x-api-key': config.anthropicApiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION,
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(payload)
+    }
+  };
+}
+
+/**
+ * Build a request for a generic OpenAI-compatible endpoint (self-hosted Ollama, vLLM, gateways)
+ */
+function buildOpenAICompatibleRequest(prompt, config) {
+  const baseUrl = (config.compatibleBaseUrl || '').replace(/\/+$/, '');
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  // Local gateways often run without authentication
+  if (config.compatibleApiKey) {
+    headers['Authorization'] = `Bearer ${config.compatibleApiKey}`;
+  }
+
+  const payload = {
+    model: config.compatibleModel,
+    messages: toSystemRoleMessages(prompt),
+    max_tokens: LLM_MAX_OUTPUT_TOKENS
+  };
+
+  return {
+    url: `${baseUrl}/chat/completions`,
+    options: {
+      method: 'POST',
+      headers: headers,
+      payload: JSON.stringify(payload)
+    }
+  };
+}
+
+/**
+ * Map the OpenAI-only "developer" role to "system" for backends that do not know it
+ */
+function toSystemRoleMessages(prompt) {
+  return prompt.map(message => ({
+    role: message.role === 'developer' ? 'system' : message.role,
+    content: message.content
+  }));
+}
+
+/**
+ * Extract the generated text from a provider response
+ * @param {string} provider - Provider identifier
+ * @param {Object} responseData - Parsed JSON response
+ * @returns {string} Response text
+ * @throws {Error} INVALID_REQUEST error if an OpenAI-style response carries no message content
+ */
+function extractLlmResponseText(provider, responseData) {
+  if (provider === LLM_PROVIDER.ANTHROPIC) {
+    const toolUse = (responseData.content || []).find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    return (responseData.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+  const choice = Array.isArray(responseData.choices) ? responseData.choices[0] : null;
+  const content = choice && choice.message ? choice.message.content : null;
+  if (typeof content !== 'string') {
+    // Gateways answer refusals, tool calls or truncated output without message content
+    const finishReason = choice && choice.finish_reason ? ` (finish reason: ${choice.finish_reason})` : '';
+    throw createLlmError(`${getLlmProviderLabel({ llmProvider: provider })} API response has no message content${finishReason}`,
+      LLM_ERROR_KIND.INVALID_REQUEST);
+  }
+  return content;
+}
+
+/**
+ * Create an error carrying the LLM error classification
+ * @param {string} message - Error message
+ * @param {string} kind - One of LLM_ERROR_KIND
+ * @param {number} [httpStatus] - HTTP status code, if any
+ * @returns {Error} Classified error
+ */
+function createLlmError(message, kind, httpStatus) {
+  const error = new Error(message);
+  error.llmErrorKind = kind;
+  error.retryable = kind === LLM_ERROR_KIND.RATE_LIMITED ||
+    kind === LLM_ERROR_KIND.SERVER_ERROR ||
+    kind === LLM_ERROR_KIND.NETWORK_ERROR;
+  error.httpStatus = httpStatus || null;
+  return error;
+}
+
+/**
+ * Classify a failed provider response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} errorBody - The "error" object of the response body, if any
+ * @returns {string} One of LLM_ERROR_KIND
+ */
+function classifyLlmError(statusCode, errorBody) {
+  const details = errorBody || {};
+  const text = `${details.code || ''} ${details.type || ''} ${details.message || ''}`;
+  // Exhausted quota is reported as 429 (OpenAI) or 400 (Anthropic) but will not recover by waiting
+  if (/insufficient_quota|exceeded your current quota|credit balance|billing/i.test(text)) {
+    return LLM_ERROR_KIND.QUOTA_EXHAUSTED;
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return LLM_ERROR_KIND.AUTHENTICATION;
+  }
+  if (statusCode === 429 || /rate_limit/i.test(text)) {
+    return LLM_ERROR_KIND.RATE_LIMITED;
+  }
+  if (RETRYABLE_HTTP_STATUS_CODES.indexOf(statusCode) !== -1 || statusCode >= 500 || /overloaded/i.test(text)) {
+    return LLM_ERROR_KIND.SERVER_ERROR;
+  }
+  return LLM_ERROR_KIND.INVALID_REQUEST;
+}
+
+/**
+ * Parse an OpenAI rate-limit reset duration such as "20ms", "1s" or "6m0s"
+ * @param {string} value - Duration string
+ * @returns {number|null} Milliseconds, or null if unparseable
+ */
+function parseRateLimitDuration(value) {
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const unitMs = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = pattern.exec(String(value))) !== null) {
+    total += parseFloat(match[1]) * unitMs[match[2]];
+    matched = true;
+  }
+  return matched ? Math.ceil(total) : null;
+}
+
+/**
+ * Work out how long the provider asks us to wait, from retry-after and rate-limit headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Milliseconds to wait, or null if the headers do not say
+ */
+function getRetryDelayFromHeaders(headers) {
+  const lower = {};
+  Object.keys(headers || {}).forEach(name => { lower[name.toLowerCase()] = String(headers[name]); });
+
+  if (lower['retry-after-ms'] && !isNaN(parseFloat(lower['retry-after-ms']))) {
+    return Math.ceil(parseFloat(lower['retry-after-ms']));
+  }
+  if (lower['retry-after']) {
+    const seconds = parseFloat(lower['retry-after']);
+    if (!isNaN(seconds)) return Math.ceil(seconds * 1000);
+    const retryDate = new Date(lower['retry-after']);
+    if (!isNaN(retryDate.getTime())) return Math.max(0, retryDate.getTime() - Date.now());
+  }
+
+  // Without retry-after, wait for the exhausted limit to reset
+  let delay = null;
+  Object.keys(lower).forEach(name => {
+    if (lower[name] !== '0') return;
+    // OpenAI / Azure: x-ratelimit-remaining-requests -> x-ratelimit-reset-requests ("6m0s")
+    const openaiMatch = name.match(/^x-ratelimit-remaining-(.+)$/);
+    if (openaiMatch && lower[`x-ratelimit-reset-${openaiMatch[1]}`]) {
+      const ms = parseRateLimitDuration(lower[`x-ratelimit-reset-${openaiMatch[1]}`]);
+      if (ms !== null) delay = Math.max(delay || 0, ms);
+    }
+    // Anthropic: anthropic-ratelimit-tokens-remaining -> anthropic-ratelimit-tokens-reset (RFC 3339)
+    const anthropicMatch = name.match(/^anthropic-ratelimit-(.+)-remaining$/);
+    if (anthropicMatch && lower[`anthropic-ratelimit-${anthropicMatch[1]}-reset`]) {
+      const resetDate = new Date(lower[`anthropic-ratelimit-${anthropicMatch[1]}-reset`]);
+      if (!isNaN(resetDate.getTime())) delay = Math.max(delay || 0, resetDate.getTime() - Date.now());
+    }
+  });
+  return delay;
+}
+
+/**
+ * Exponential backoff delay with jitter for the given attempt (1-based)
+ */
+function calculateBackoffDelay(attempt) {
+  const delay = Math.min(LLM_RETRY_MAX_DELAY_MS, LLM_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+  return Math.round(delay * (0.75 + Math.random() * 0.25));
+}
+
+/**
+ * Call the configured LLM provider
+ * Transient errors (rate limits, server errors, network failures) are retried with backoff;
+ * fatal errors (invalid key, exhausted quota, bad request) are thrown immediately.
+ * Thrown errors carry llmErrorKind and retryable properties.
+ * A retry is only made when its delay plus the duration of the last request still fits
+ * before the deadline, so the run can report the error instead of being killed by Apps Script.
+ * @param {Array} prompt - Chat messages as built by buildAnalysisPrompt
+ * @param {Object} config - Configuration object
+ * @param {Object} [responseSchema] - Optional JSON schema enforced where the provider supports it
+ * @param {number} [deadline] - Execution deadline in milliseconds (see getExecutionDeadline)
+ * @returns {string} Response text
+ */
+function callLlmAPI(prompt, config, responseSchema, deadline) {
+  const providerLabel = getLlmProviderLabel(config);
+  const request = buildLlmRequest(prompt, config, responseSchema);
+  // Handle HTTP errors ourselves instead of letting fetch throw
+  request.options.muteHttpExceptions = true;
+
+  // The payload carries email content, so it is only logged at debug level; keys are always redacted
+  logInfo(`${providerLabel} API request to ${request.url} (${request.options.payload.length} chars)`);
+  logDebug('Headers:', request.options.headers);
+  logDebug('Payload:', request.options.payload);
+
+  const retryDeadline = deadline || Date.now() + LLM_RETRY_BUDGET_MS;
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    let lastError;
+    let headerDelay = null;
+
+    const requestStart = Date.now();
+    try {
+      response = UrlFetchApp.fetch(request.url, request.options);
+    } catch (fetchError) {
+      lastError = createLlmError(`${providerLabel} API request failed: ${fetchError.message}`, LLM_ERROR_KIND.NETWORK_ERROR);
+    }
+
+    if (response) {
+      const statusCode = response.getResponseCode();
+      const responseText = response.getContentText();
+      const headers = response.getHeaders();
+
+      logInfo(`${providerLabel} API response (attempt ${attempt}): HTTP ${statusCode}`);
+      logDebug('Response Headers:', headers);
+      logDebug('Response Body:', responseText);
+
+      let responseData = null;
+      try {
+        responseData = JSON.parse(responseText);
+      } catch (parseError) {
+        // Gateways return HTML error pages on outages
+      }
+
+      if (statusCode >= 200 && statusCode < 300) {
+        if (!responseData) {
+          throw createLlmError(`${providerLabel} API returned a response that is not JSON`, LLM_ERROR_KIND.INVALID_REQUEST, statusCode);
+        }
+        if (!responseData.error) {
+          return extractLlmResponseText(config.llmProvider, responseData);
+        }
+        logError(`${providerLabel} API Error:`, responseData.error);
+        lastError = createLlmError(`${providerLabel} API error: ` + responseData.error.message,
+          classifyLlmError(statusCode, responseData.error), statusCode);
+      } else {
+        const errorBody = responseData && responseData.error && typeof responseData.error === 'object' ? responseData.error : null;
+        const errorMessage = errorBody && errorBody.message ? errorBody.message : responseText.slice(0, 200);
+        logError(`${providerLabel} API HTTP ${statusCode}:`, errorMessage);
+        lastError = createLlmError(`${providerLabel} API error (HTTP ${statusCode}): ${errorMessage}`,
+          classifyLlmError(statusCode, errorBody), statusCode);
+        headerDelay = getRetryDelayFromHeaders(headers);
+      }
+    }
+
+    if (!lastError.retryable) {
+      throw lastError;
+    }
+    if (attempt >= LLM_MAX_ATTEMPTS) {
+      lastError.message += ` (gave up after ${attempt} attempts)`;
+      throw lastError;
+    }
+
+    const delay = headerDelay !== null ? headerDelay : calculateBackoffDelay(attempt);
+    const requestDuration = Date.now() - requestStart;
+    if (delay > LLM_RETRY_MAX_DELAY_MS || Date.now() + delay + requestDuration > retryDeadline) {
+      lastError.message += ` (next retry in ${Math.ceil(delay / 1000)}s would exceed the time left in this run)`;
+      throw lastError;
+    }
+
+    logWarn(`${providerLabel} API ${lastError.llmErrorKind} on attempt ${attempt}, retrying in ${delay}ms`);
+    Utilities.sleep(delay);
+  }
+}
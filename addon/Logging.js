@@ -0,0 +1,139 @@
+/**
+ * Gmail Fast Reader - Leveled logging with redaction of secrets and message content
+ *
+ * Secrets (API keys, bearer tokens) are redacted at every level. Message content
+ * (subjects, senders, prompts, model replies) is only logged at the debug level,
+ * which the user opts into in System Settings.
+ */
+
+const LOG_LEVEL_ORDER = [LOG_LEVEL.ERROR, LOG_LEVEL.WARN, LOG_LEVEL.INFO, LOG_LEVEL.DEBUG];
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SECRET_KEY_PATTERN = /authorization|api[-_]?key|secret|token|password/i;
+
+// Log level is read once per execution
+let cachedLogLevel = null;
+
+/**
+ * Get log level options for dropdown
+ */
+function getLogLevelOptions() {
+  return [
+    { label: 'Errors only', value: LOG_LEVEL.ERROR },
+    { label: 'Warnings', value: LOG_LEVEL.WARN },
+    { label: 'Info (default)', value: LOG_LEVEL.INFO },
+    { label: 'Debug (includes email subjects, senders and prompts)', value: LOG_LEVEL.DEBUG }
+  ];
+}
+
+/**
+ * Get the configured log level
+ * @returns {string} One of LOG_LEVEL
+ */
+function getLogLevel() {
+  if (cachedLogLevel) return cachedLogLevel;
+  try {
+    const level = PropertiesService.getUserProperties().getProperty('logLevel');
+    cachedLogLevel = LOG_LEVEL_ORDER.indexOf(level) !== -1 ? level : LOG_LEVEL.INFO;
+    return cachedLogLevel;
+  } catch (error) {
+    return LOG_LEVEL.INFO;
+  }
+}
+
+/**
+ * Check whether messages of the given level are logged
+ * @param {string} level - One of LOG_LEVEL
+ * @returns {boolean} True if the level is enabled
+ */
+function isLogLevelEnabled(level) {
+  return LOG_LEVEL_ORDER.indexOf(level) <= LOG_LEVEL_ORDER.indexOf(getLogLevel());
+}
+
+/**
+ * Redact secrets from a log value
+ * Strings are scrubbed of bearer tokens and API key patterns; objects have secret keys masked.
+ * @param {*} value - Value to log
+ * @returns {*} Value safe to log
+ */
+function redactSecrets(value) {
+  if (typeof value === 'string') {
+    return value
+      .replace(/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`)
+      .replace(/\b(sk-ant-|sk-)[A-Za-z0-9_-]{8,}/g, REDACTED)
+      .replace(/(["']?(?:api[-_]?key|x-api-key|authorization)["']?\s*[:=]\s*["']?)[^"',\s}]+/gi, `$1${REDACTED}`);
+  }
+  if (value instanceof Error) {
+    return redactSecrets(value.stack || `${value.name}: ${value.message}`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  // Only plain objects are walked; dates and service objects are logged as they are
+  if (Object.prototype.toString.call(value) === '[object Object]') {
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+      redacted[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redactSecrets(value[key]);
+    });
+    return redacted;
+  }
+  return value;
+}
+
+/**
+ * Describe message content for logs: the content itself at debug level, its length otherwise
+ * @param {string} content - Subject, sender, body or model text
+ * @returns {string} Content or a redaction placeholder
+ */
+function redactContent(content) {
+  if (isLogLevelEnabled(LOG_LEVEL.DEBUG)) return content;
+  const length = content === null || content === undefined ? 0 : String(content).length;
+  return `[content redacted, ${length} chars]`;
+}
+
+/**
+ * Write a log entry if its level is enabled
+ */
+function writeLog(level, args) {
+  if (!isLogLevelEnabled(level)) return;
+  const safeArgs = Array.prototype.slice.call(args).map(redactSecrets);
+  switch (level) {
+  case LOG_LEVEL.ERROR:
+    console.error.apply(console, safeArgs);
+    break;
+  case LOG_LEVEL.WARN:
+    console.warn.apply(console, safeArgs);
+    break;
+  default:
+    console.log.apply(console, safeArgs);
+  }
+}
+
+/**
+ * Log an error
+ */
+function logError() {
+  writeLog(LOG_LEVEL.ERROR, arguments);
+}
+
+/**
+ * Log a warning
+ */
+function logWarn() {
+  writeLog(LOG_LEVEL.WARN, arguments);
+}
+
+/**
+ * Log an informational message; must not contain message content
+ */
+function logInfo() {
+  writeLog(LOG_LEVEL.INFO, arguments);
+}
+
+/**
+ * Log a debug message; may contain message content, only written when debug logging is enabled
+ */
+function logDebug() {
+  writeLog(LOG_LEVEL.DEBUG, arguments);
+}
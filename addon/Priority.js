@@ -0,0 +1,143 @@
+/**
+ * Gmail Fast Reader - Priority of summary items
+ *
+ * Items are ranked by a score combining the importance the model gave them, how soon
+ * their date falls within the urgency horizon, and whether they come from a VIP sender.
+ * An important item stays ahead of a trivial one that happens to be due sooner.
+ */
+
+// Longest urgency horizon that can be configured, in days after today
+const MAX_URGENCY_HORIZON_DAYS = 30;
+
+// Score added for VIP senders, and at most for an item due today
+const VIP_SENDER_BOOST = 2;
+const URGENCY_MAX_BOOST = 2;
+
+// Items scoring this much are highlighted even when their date is further away
+const HIGH_PRIORITY_SCORE = 5;
+
+/**
+ * Validate the urgency horizon entered in Email Settings
+ * @param {string} value - Form value
+ * @returns {number} Whole number of days from 0 to MAX_URGENCY_HORIZON_DAYS
+ */
+function parseUrgencyHorizonDays(value) {
+  const parsed = Number(String(value).trim());
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_URGENCY_HORIZON_DAYS) {
+    throw new Error(`Urgency horizon must be a whole number of days from 0 to ${MAX_URGENCY_HORIZON_DAYS}`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse the VIP senders entered in Email Settings
+ * @param {string} value - One address, domain or wildcard per line
+ * @returns {Array<string>} Normalized sender patterns (see normalizeSenderPattern)
+ * @throws {Error} If a line is not a valid sender pattern
+ */
+function parseVipSenders(value) {
+  return String(value || '').split('\n')
+    .filter(line => line.trim())
+    .map(normalizeSenderPattern);
+}
+
+/**
+ * Check whether a sender is one of the configured VIPs
+ * @param {string} sender - From header
+ * @param {Array<string>} vipPatterns - Normalized sender patterns
+ * @returns {boolean} True if a VIP pattern matches the sender
+ */
+function isVipSender(sender, vipPatterns) {
+  const address = extractSenderAddress(sender);
+  return vipPatterns.some(pattern => senderMatchesPattern(pattern, address));
+}
+
+/**
+ * Get what item priorities are judged against: the user's current day and time and settings
+ * @param {Object} config - Configuration object
+ * @param {Date} [now] - Current time, now by default
+ * @returns {Object} { today, lastUrgentDay, horizonDays, currentTime, vipPatterns }
+ */
+function getPriorityContext(config, now) {
+  const moment = now || new Date();
+  // Urgency is judged on the user's calendar day, not UTC
+  const today = formatDateInTimeZone(moment, config.timeZone, 'yyyy-MM-dd');
+  const horizonDays = Number.isInteger(config.urgencyHorizonDays) ? config.urgencyHorizonDays : DEFAULT_URGENCY_HORIZON_DAYS;
+
+  let vipPatterns = [];
+  try {
+    vipPatterns = parseVipSenders(config.vipSenders);
+  } catch (error) {
+    logWarn('Ignoring invalid VIP senders:', error);
+  }
+
+  return {
+    today: today,
+    lastUrgentDay: addDaysToDateString(today, horizonDays),
+    horizonDays: horizonDays,
+    currentTime: formatDateInTimeZone(moment, config.timeZone, 'HH:mm'),
+    vipPatterns: vipPatterns
+  };
+}
+
+/**
+ * Judge whether an item is urgent or outdated against the user's current day and time
+ * An item is urgent from the start of the urgency horizon until its last day (the end date
+ * of a multi-day event), and outdated once that day has passed or, when timed, its time has.
+ * @param {Object} item - Result item with date and optional time and endDate
+ * @param {string} today - Today in the user's time zone (yyyy-MM-dd)
+ * @param {string} lastUrgentDay - Last day of the urgency horizon (yyyy-MM-dd)
+ * @param {string} currentTime - Current time in the user's time zone (HH:mm)
+ * @returns {Object} { isUrgent, isOutdated }
+ */
+function getItemUrgency(item, today, lastUrgentDay, currentTime) {
+  if (!item.date) {
+    return { isUrgent: false, isOutdated: false };
+  }
+
+  const lastDay = item.endDate || item.date;
+  const isOutdated = lastDay < today || (lastDay === today && !item.endDate && !!item.time && item.time < currentTime);
+  return { isUrgent: !isOutdated && item.date <= lastUrgentDay, isOutdated: isOutdated };
+}
+
+/**
+ * Score an item by importance, closeness within the urgency horizon, and VIP sender
+ * @param {Object} item - Result item
+ * @param {Object} context - Priority context (see getPriorityContext)
+ * @returns {Object} { score, isUrgent, isOutdated, isVip, isHighlighted }
+ */
+function getItemPriority(item, context) {
+  const urgency = getItemUrgency(item, context.today, context.lastUrgentDay, context.currentTime);
+  const isVip = isVipSender(item.sender, context.vipPatterns);
+
+  let score = item.importance || ITEM_IMPORTANCE.DEFAULT;
+  if (isVip) {
+    score += VIP_SENDER_BOOST;
+  }
+  if (urgency.isUrgent) {
+    // Ongoing multi-day events count as due today
+    const daysUntil = Math.max(0, (Date.parse(item.date) - Date.parse(context.today)) / (24 * 60 * 60 * 1000));
+    score += URGENCY_MAX_BOOST * (1 - daysUntil / (context.horizonDays + 1));
+  }
+
+  return {
+    score: score,
+    isUrgent: urgency.isUrgent,
+    isOutdated: urgency.isOutdated,
+    isVip: isVip,
+    isHighlighted: urgency.isUrgent || score >= HIGH_PRIORITY_SCORE
+  };
+}
+
+/**
+ * Sort result items by priority, highest first, then by date and time
+ * @param {Array<Object>} items - Result items
+ * @param {Object} context - Priority context (see getPriorityContext)
+ * @returns {Array<Object>} Sorted copy of the items
+ */
+function sortItemsByPriority(items, context) {
+  return items
+    .map(item => ({ item: item, score: getItemPriority(item, context).score }))
+    .sort((a, b) => (b.score - a.score) || compareItemsByWhen(a.item, b.item))
+    .map(entry => entry.item);
+}
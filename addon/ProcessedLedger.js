@@ -0,0 +1,100 @@
+/**
+ * Gmail Fast Reader - Ledger of Gmail messages already sent to the model
+ *
+ * Each analyzed message is recorded with the time it was analyzed and its outcome,
+ * so passive and active scans never bill the same message twice. The ledger lives
+ * on Drive and keeps only the most recent LEDGER_MAX_ENTRIES messages.
+ */
+
+const LEDGER_FILE_NAME = 'gmail-fast-read-processed-ledger.json';
+const LEDGER_FILE_ID_PROPERTY_KEY = 'drive_ledger_file_id';
+const LEDGER_MAX_ENTRIES = 5000;
+
+// Outcome of analyzing a message
+const LEDGER_OUTCOME = {
+  MUST_DO: 'mustDo',
+  MUST_KNOW: 'mustKnow',
+  BOTH: 'both',
+  NONE: 'none'
+};
+
+/**
+ * Load the processed-message ledger from Google Drive
+ * @returns {Object} Map of Gmail message ID to { processedAt: ISO, outcome }
+ */
+function loadProcessedLedger() {
+  try {
+    const file = getOrCreateDriveJsonFile(LEDGER_FILE_NAME, LEDGER_FILE_ID_PROPERTY_KEY, { entries: {} });
+    const data = JSON.parse(file.getBlob().getDataAsString());
+    return data.entries || {};
+  } catch (error) {
+    logError('Error loading processed-message ledger:', error);
+    // An unreadable ledger means messages may be analyzed again, never that they are skipped
+    return {};
+  }
+}
+
+/**
+ * Save the ledger to Google Drive, keeping only the most recently analyzed messages
+ * @param {Object} entries - Map of Gmail message ID to { processedAt, outcome }
+ */
+function saveProcessedLedger(entries) {
+  const ids = Object.keys(entries);
+  let kept = entries;
+  if (ids.length > LEDGER_MAX_ENTRIES) {
+    kept = {};
+    ids
+      .sort((a, b) => (entries[b].processedAt || '').localeCompare(entries[a].processedAt || ''))
+      .slice(0, LEDGER_MAX_ENTRIES)
+      .forEach(id => { kept[id] = entries[id]; });
+  }
+
+  const file = getOrCreateDriveJsonFile(LEDGER_FILE_NAME, LEDGER_FILE_ID_PROPERTY_KEY, { entries: {} });
+  file.setContent(JSON.stringify({ entries: kept }));
+  logInfo(`Saved processed-message ledger: ${Object.keys(kept).length} messages`);
+}
+
+/**
+ * Record analyzed messages and their outcome in the ledger
+ * @param {Array} emailThreads - Threads that were analyzed
+ * @param {Object} results - Analysis results with mustDo and mustKnow arrays
+ */
+function recordProcessedMessages(emailThreads, results) {
+  const mustDoIds = new Set((results.mustDo || []).map(item => item.emailId));
+  const mustKnowIds = new Set((results.mustKnow || []).map(item => item.emailId));
+  const processedAt = new Date().toISOString();
+
+  try {
+    const entries = loadProcessedLedger();
+    emailThreads.forEach(thread => {
+      thread.emails.forEach(email => {
+        let outcome = LEDGER_OUTCOME.NONE;
+        if (mustDoIds.has(email.id) && mustKnowIds.has(email.id)) {
+          outcome = LEDGER_OUTCOME.BOTH;
+        } else if (mustDoIds.has(email.id)) {
+          outcome = LEDGER_OUTCOME.MUST_DO;
+        } else if (mustKnowIds.has(email.id)) {
+          outcome = LEDGER_OUTCOME.MUST_KNOW;
+        }
+        entries[email.id] = { processedAt: processedAt, outcome: outcome };
+      });
+    });
+    saveProcessedLedger(entries);
+  } catch (error) {
+    // Results are already stored at this point; a missed ledger update only means re-analysis later
+    logError('Error recording processed messages:', error);
+  }
+}
+
+/**
+ * Forget all analyzed messages so the next scans analyze them again
+ */
+function clearProcessedLedger() {
+  try {
+    trashDriveJsonFile(LEDGER_FILE_NAME, LEDGER_FILE_ID_PROPERTY_KEY);
+    logInfo('Cleared processed-message ledger from Drive');
+  } catch (error) {
+    logError('Error clearing processed-message ledger:', error);
+    throw new Error('Failed to clear processed-message ledger: ' + error.message);
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Gmail Fast Reader - Merging of analysis result items
+ *
+ * Items describe one email, or one thread once consolidated. The same email or thread
+ * can be reported more than once (overlapping passive runs, several chunks, replies),
+ * so items are merged rather than concatenated wherever results are combined.
+ */
+
+/**
+ * Check if two result items come from the same email or thread
+ * Items stored before thread IDs were recorded are matched by email ID or RFC822 ID only.
+ * @param {Object} a - Result item
+ * @param {Object} b - Result item
+ * @returns {boolean} True if the items describe the same email or thread
+ */
+function isSameResultItem(a, b) {
+  if (a.threadId && b.threadId && a.threadId === b.threadId) return true;
+  if (a.emailId && a.emailId === b.emailId) return true;
+  return !!(a.rfc822MessageId && a.rfc822MessageId === b.rfc822MessageId);
+}
+
+/**
+ * Get the messages that contributed to a result item
+ * Items stored before messages were recorded stand for their own email only.
+ * @param {Object} item - Result item
+ * @returns {Array<Object>} Messages with emailId, rfc822MessageId, subject, sender and receivedAt
+ */
+function getItemMessages(item) {
+  if (Array.isArray(item.messages) && item.messages.length > 0) {
+    return item.messages;
+  }
+  return [{
+    emailId: item.emailId || null,
+    rfc822MessageId: item.rfc822MessageId || null,
+    subject: item.subject,
+    sender: item.sender,
+    receivedAt: item.receivedAt || null
+  }];
+}
+
+/**
+ * Merge two result items from the same email or thread
+ * The fresher item (latest email, or the later one when unknown) provides the text,
+ * while the earliest date, with its time, end date and kind, is kept so a deadline is
+ * never pushed back, as is the highest importance. The contributing
+ * messages of both items are combined, oldest first.
+ * @param {Object} existing - Item already accumulated
+ * @param {Object} incoming - Item from the current run
+ * @returns {Object} Merged item
+ */
+function mergeResultItem(existing, incoming) {
+  const incomingIsFresher = !existing.receivedAt || !incoming.receivedAt || incoming.receivedAt >= existing.receivedAt;
+  const fresher = incomingIsFresher ? incoming : existing;
+  const older = incomingIsFresher ? existing : incoming;
+  const earliest = [existing, incoming].filter(item => item.date).sort(compareItemsByWhen)[0] || {};
+  
+  const messages = [];
+  getItemMessages(older).concat(getItemMessages(fresher)).forEach(message => {
+    if (!messages.some(known => isSameResultItem(known, message))) {
+      messages.push(message);
+    }
+  });
+  messages.sort((a, b) => (a.receivedAt || '').localeCompare(b.receivedAt || ''));
+  
+  const merged = Object.assign({}, older, fresher, {
+    threadId: fresher.threadId || older.threadId || null,
+    date: earliest.date || null,
+    time: earliest.time || null,
+    endDate: earliest.endDate || null,
+    dateKind: earliest.dateKind || null,
+    messages: messages,
+    messageCount: Math.max(existing.messageCount || 1, incoming.messageCount || 1, messages.length)
+  });
+  if (existing.importance || incoming.importance) {
+    merged.importance = Math.max(existing.importance || 0, incoming.importance || 0);
+  }
+  return merged;
+}
+
+/**
+ * Merge result items, collapsing duplicates of the same email or thread
+ * Passive runs overlap, so the same email (or a reply in its thread) can be analyzed twice.
+ * @param {Array} items - Items already accumulated
+ * @param {Array} newItems - Items from the current run
+ * @returns {Array} Items with one entry per email or thread, in order of first appearance
+ */
+function mergeResultItems(items, newItems) {
+  const merged = [];
+  items.concat(newItems).forEach(item => {
+    const index = merged.findIndex(existing => isSameResultItem(existing, item));
+    if (index === -1) {
+      merged.push(item);
+    } else {
+      merged[index] = mergeResultItem(merged[index], item);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Compare two result items by date and time of day, undated items last
+ * Items on the same day without a time sort after the timed ones.
+ * @param {Object} a - Result item
+ * @param {Object} b - Result item
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareItemsByWhen(a, b) {
+  if (!a.date && !b.date) return 0;
+  if (!a.date) return 1;
+  if (!b.date) return -1;
+  if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+  if (!a.time && !b.time) return 0;
+  if (!a.time) return 1;
+  if (!b.time) return -1;
+  return a.time.localeCompare(b.time);
+}
+
+/**
+ * Sort result items by date and time, undated items last
+ * @param {Array<Object>} items - Result items
+ * @returns {Array<Object>} Sorted copy of the items
+ */
+function sortItemsByDate(items) {
+  return items.slice().sort(compareItemsByWhen);
+}
+
+/**
+ * Describe when a result item is due or takes place
+ * @param {Object} item - Result item with date and optional time, endDate and dateKind
+ * @returns {string} For example "Due 2024-01-19 17:00" or "2024-01-19 to 2024-01-21", or an empty string when undated
+ */
+function formatItemWhen(item) {
+  if (!item.date) return '';
+  
+  let when = item.time ? `${item.date} ${item.time}` : item.date;
+  if (item.endDate && item.endDate !== item.date) {
+    when += ` to ${item.endDate}`;
+  }
+  
+  if (item.dateKind === DATE_KIND.DEADLINE) return `Due ${when}`;
+  if (item.dateKind === DATE_KIND.REMINDER) return `Reminder ${when}`;
+  return when;
+}
@@ -0,0 +1,74 @@
+/**
+ * Gmail Fast Reader - Escaping of untrusted text in digest emails and cards
+ *
+ * Subjects, sender names and everything the model returns are untrusted: a display
+ * name or a model reply can contain markup. Such text is escaped before it reaches
+ * the digest email or a card, and links are only emitted for allowlisted URLs.
+ */
+
+// Hosts that digest and card links may point to, over https only
+const ALLOWED_LINK_HOSTS = ['mail.google.com'];
+
+/**
+ * Check whether a character is a control character other than a line break or tab,
+ * or a bidirectional override or isolate, which can disguise the text around it
+ * @param {number} code - UTF-16 code unit
+ * @returns {boolean} True if the character must be removed
+ */
+function isUnsafeTextCharacter(code) {
+  return (code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) || code === 0x7F ||
+    (code >= 0x202A && code <= 0x202E) || (code >= 0x2066 && code <= 0x2069);
+}
+
+/**
+ * Convert an untrusted value to plain text without invisible or direction-changing characters
+ * @param {*} value - Untrusted value
+ * @returns {string} Text, empty for null or undefined
+ */
+function sanitizeText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).split('').filter(char => !isUnsafeTextCharacter(char.charCodeAt(0))).join('');
+}
+
+/**
+ * Escape an untrusted value for HTML text and attribute values
+ * Card text is rendered as a subset of HTML, so the same escaping applies to cards.
+ * @param {*} value - Untrusted value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return sanitizeText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a link URL against the allowlist
+ * @param {string} url - URL from generated or model-provided content
+ * @returns {string|null} The URL if it is https on an allowed host, otherwise null
+ */
+function sanitizeLinkUrl(url) {
+  const value = sanitizeText(url).trim();
+  // The host must be followed by a path, query or fragment: no port, credentials or look-alike suffix
+  const match = value.match(/^https:\/\/([^/?#:@\s\\]+)(?:[/?#]|$)/i);
+  if (!match || /[\s"'<>\\]/.test(value)) return null;
+  return ALLOWED_LINK_HOSTS.indexOf(match[1].toLowerCase()) !== -1 ? value : null;
+}
+
+/**
+ * Generate an HTML link, or only its content when the URL is not allowed
+ * @param {string} url - Link URL
+ * @param {string} contentHtml - Link content, already escaped
+ * @param {string} style - Inline CSS of the link
+ * @returns {string} HTML
+ */
+function generateLinkHTML(url, contentHtml, style) {
+  const safeUrl = sanitizeLinkUrl(url);
+  if (!safeUrl) {
+    return contentHtml;
+  }
+  return `<a href="${escapeHtml(safeUrl)}" target="_blank" style="${style}">${contentHtml}</a>`;
+}
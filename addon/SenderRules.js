@@ -0,0 +1,219 @@
+/**
+ * Gmail Fast Reader - Sender rules applied before emails are sent to the model
+ *
+ * A rule matches a sender by exact address (jane@school.org), by domain
+ * (school.org or @school.org, subdomains included) or by wildcard (*@*.gov.uk).
+ * Rules are evaluated in order and the first match wins.
+ */
+
+const SENDER_RULES_PROPERTY_KEY = 'senderRules';
+
+// What happens to an email whose sender matches a rule
+const SENDER_RULE_ACTION = {
+  SKIP: 'skip',
+  MUST_KNOW: 'mustKnow',
+  MUST_DO: 'mustDo'
+};
+
+/**
+ * Get sender rule action options for dropdown
+ */
+function getSenderRuleActionOptions() {
+  return [
+    { label: 'Always skip (never sent to the AI provider)', value: SENDER_RULE_ACTION.SKIP },
+    { label: 'Always include as "I must know"', value: SENDER_RULE_ACTION.MUST_KNOW },
+    { label: 'Always treat as "I must do"', value: SENDER_RULE_ACTION.MUST_DO }
+  ];
+}
+
+/**
+ * Load sender rules from User Properties
+ * @returns {Array<Object>} Rules with pattern and action
+ */
+function loadSenderRules() {
+  try {
+    const stored = PropertiesService.getUserProperties().getProperty(SENDER_RULES_PROPERTY_KEY);
+    const rules = stored ? JSON.parse(stored) : [];
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    logError('Error loading sender rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Save sender rules to User Properties
+ * @param {Array<Object>} rules - Rules with pattern and action
+ */
+function saveSenderRules(rules) {
+  PropertiesService.getUserProperties().setProperty(SENDER_RULES_PROPERTY_KEY, JSON.stringify(rules));
+}
+
+/**
+ * Validate and normalize a sender pattern entered by the user
+ * @param {string} pattern - Address, domain or wildcard pattern
+ * @returns {string} Lowercase pattern without surrounding whitespace
+ * @throws {Error} If the pattern cannot match a sender address
+ */
+function normalizeSenderPattern(pattern) {
+  const normalized = String(pattern || '').trim().toLowerCase();
+  if (!normalized) {
+    throw new Error('Sender pattern is required');
+  }
+  if (/[\s<>,;]/.test(normalized)) {
+    throw new Error(`Sender pattern "${normalized}" must be a single address, domain or wildcard`);
+  }
+  if ((normalized.match(/@/g) || []).length > 1 || normalized.replace(/[*@.]/g, '') === '') {
+    throw new Error(`Sender pattern "${normalized}" is not a valid address, domain or wildcard`);
+  }
+  return normalized;
+}
+
+/**
+ * Extract the email address from a From header
+ * @param {string} sender - From header, e.g. "Jane Doe <jane@example.com>"
+ * @returns {string} Lowercase address
+ */
+function extractSenderAddress(sender) {
+  const value = String(sender || '');
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Check whether a sender address matches a rule pattern
+ * @param {string} pattern - Normalized pattern (see normalizeSenderPattern)
+ * @param {string} address - Lowercase sender address
+ * @returns {boolean} True if the pattern matches
+ */
+function senderMatchesPattern(pattern, address) {
+  if (pattern.indexOf('*') !== -1) {
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(address);
+  }
+
+  // A full address matches exactly
+  if (pattern.indexOf('@') > 0) {
+    return address === pattern;
+  }
+
+  // A domain matches the domain and its subdomains
+  const domain = pattern.replace(/^@/, '');
+  const addressDomain = address.substring(address.lastIndexOf('@') + 1);
+  return addressDomain === domain || addressDomain.endsWith('.' + domain);
+}
+
+/**
+ * Find the first rule matching a sender
+ * @param {string} sender - From header
+ * @param {Array<Object>} rules - Rules with pattern and action
+ * @returns {Object|null} Matching rule or null
+ */
+function findSenderRule(sender, rules) {
+  const address = extractSenderAddress(sender);
+  for (let i = 0; i < rules.length; i++) {
+    if (senderMatchesPattern(rules[i].pattern, address)) {
+      return rules[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply sender rules to threads before they are batched for analysis
+ * Emails from skipped senders are removed; emails from always-included senders are
+ * still analyzed, so the model can extract the key action and date.
+ * @param {Array} emailThreads - Threads fetched for analysis
+ * @param {Array<Object>} rules - Rules with pattern and action
+ * @returns {Object} { threads: threads to analyze, forcedEmails: [{ email, action, threadId }], skippedEmails: number }
+ */
+function applySenderRules(emailThreads, rules) {
+  const result = { threads: emailThreads, forcedEmails: [], skippedEmails: 0 };
+  if (!rules || rules.length === 0) return result;
+
+  result.threads = [];
+  emailThreads.forEach(thread => {
+    const keptEmails = thread.emails.filter(email => {
+      const rule = findSenderRule(email.sender, rules);
+      if (!rule) return true;
+      if (rule.action === SENDER_RULE_ACTION.SKIP) {
+        result.skippedEmails++;
+        return false;
+      }
+      result.forcedEmails.push({ email: email, action: rule.action, threadId: thread.threadId || null });
+      return true;
+    });
+
+    if (keptEmails.length === thread.emails.length) {
+      result.threads.push(thread);
+    } else if (keptEmails.length > 0) {
+      result.threads.push(Object.assign({}, thread, { emails: keptEmails, totalEmails: keptEmails.length }));
+    }
+  });
+
+  if (result.skippedEmails > 0 || result.forcedEmails.length > 0) {
+    logInfo(`Sender rules: ${result.skippedEmails} emails skipped, ${result.forcedEmails.length} emails always included`);
+  }
+  return result;
+}
+
+/**
+ * Add items for always-included emails the model did not put in the required category
+ * An item the model filed under the other category is moved, so the email appears once.
+ * @param {Object} results - Analysis results with mustDo and mustKnow arrays
+ * @param {Array} forcedEmails - Emails forced by sender rules (see applySenderRules)
+ * @returns {Object} Results with only the added items, for labeling
+ */
+function addSenderRuleItems(results, forcedEmails) {
+  const added = { mustDo: [], mustKnow: [] };
+
+  getLatestForcedEmailPerThread(forcedEmails).forEach(forced => {
+    const email = forced.email;
+    const isMustDo = forced.action === SENDER_RULE_ACTION.MUST_DO;
+    const category = isMustDo ? 'mustDo' : 'mustKnow';
+    const forcedItem = { emailId: email.id, rfc822MessageId: email.rfc822MessageId || null, threadId: forced.threadId || null };
+    if (results[category].some(item => isSameResultItem(item, forcedItem))) return;
+
+    // Move what the model extracted if it filed the email or its thread under the other category
+    const otherItems = results[isMustDo ? 'mustKnow' : 'mustDo'];
+    const otherIndex = otherItems.findIndex(item => isSameResultItem(item, forcedItem));
+    const otherItem = otherIndex === -1 ? null : otherItems.splice(otherIndex, 1)[0];
+    const item = {
+      emailId: email.id,
+      rfc822MessageId: email.rfc822MessageId || null,
+      subject: email.subject,
+      sender: email.sender,
+      date: otherItem ? otherItem.date : null,
+      time: otherItem ? otherItem.time || null : null,
+      endDate: otherItem ? otherItem.endDate || null : null,
+      dateKind: otherItem ? otherItem.dateKind || null : null,
+      topic: otherItem ? otherItem.topic : 'other',
+      threadId: forced.threadId || null,
+      receivedAt: toIsoStringOrNull(email.date)
+    };
+    if (otherItem && otherItem.importance) {
+      item.importance = otherItem.importance;
+    }
+    if (otherItem && otherItem.messages) {
+      item.messages = otherItem.messages;
+      item.messageCount = otherItem.messageCount;
+    }
+    const otherText = otherItem ? (otherItem.keyAction || otherItem.keyKnowledge) : null;
+    item[isMustDo ? 'keyAction' : 'keyKnowledge'] = otherText || email.subject || '(no subject)';
+    results[category].push(item);
+    added[category].push(item);
+  });
+
+  return added;
+}
+
+/**
+ * Keep the latest forced email of each thread and category
+ * Analysis items are consolidated per thread, so a thread needs one forced item, not one per message.
+ * @param {Array} forcedEmails - Emails forced by sender rules, in thread order (see applySenderRules)
+ * @returns {Array} Forced emails with at most one per thread and category
+ */
+function getLatestForcedEmailPerThread(forcedEmails) {
+  return forcedEmails.filter((forced, index) => !forced.threadId ||
+    !forcedEmails.slice(index + 1).some(later => later.threadId === forced.threadId && later.action === forced.action));
+}
@@ -13,6 +13,12 @@ function buildSummaryCard(results) {
       .addWidget(CardService.newTextParagraph()
         .setText(`✅ ${results.message}`)));
   
+  if (results.skippedThreads > 0) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText(`⚠️ ${describeSkippedThreads(results.skippedThreads)}`)));
+  }
+  
   if (results.mustDo.length > 0) {
     card.addSection(CardService.newCardSection()
       .setHeader('📋 I Must Do')
@@ -33,17 +39,37 @@ function buildSummaryCard(results) {
         .setText('No relevant emails found in the selected time range.')));
   }
   
+  // Tasks carried over from earlier digests can be closed from here
+  const config = getConfiguration();
+  const stillOpen = getStillOpenTasks(results.mustDo, config);
+  if (stillOpen.length > 0) {
+    card.addSection(buildOpenTasksSection(stillOpen, 'openTasks'));
+  }
+  
+  const buttonSet = CardService.newButtonSet()
+    .addButton(CardService.newTextButton()
+      .setText('📧 Send Summary Email')
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName('sendSummaryEmail')
+        .setParameters({ results: JSON.stringify(results) })));
+  
+  // In propose mode dated items are only added to Calendar once the user confirms
+  const datedItems = getDatedCalendarItems(results);
+  if (config.calendarMode === CALENDAR_MODE.PROPOSE && datedItems.length > 0) {
+    buttonSet.addButton(CardService.newTextButton()
+      .setText(`📅 Add ${datedItems.length} dated item${datedItems.length === 1 ? '' : 's'} to Calendar`)
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName('handleAddResultsToCalendar')
+        .setParameters({ results: JSON.stringify({ mustDo: results.mustDo, mustKnow: results.mustKnow }) })));
+  }
+  
+  buttonSet.addButton(CardService.newTextButton()
+    .setText('🏠 Back to Main')
+    .setOnClickAction(CardService.newAction()
+      .setFunctionName('buildMainCard')));
+  
   card.addSection(CardService.newCardSection()
-    .addWidget(CardService.newButtonSet()
-      .addButton(CardService.newTextButton()
-        .setText('📧 Send Summary Email')
-        .setOnClickAction(CardService.newAction()
-          .setFunctionName('sendSummaryEmail')
-          .setParameters({ results: JSON.stringify(results) })))
-      .addButton(CardService.newTextButton()
-        .setText('🏠 Back to Main')
-        .setOnClickAction(CardService.newAction()
-          .setFunctionName('buildMainCard')))));
+    .addWidget(buttonSet));
   
   return card.build();
 }
@@ -57,66 +83,25 @@ function sendSummaryEmail(e) {
     const config = getConfiguration();
     
     const htmlContent = generateSummaryHTML(results, config);
+    const subject = `${config.addonName} - ${getSummaryTitle(results, config)}`;
     
-    // Format time range for subject
-    let timeRangeSubject = 'Email Summary';
-    if (results.actualStartDate && results.actualEndDate) {
-      const startDate = new Date(results.actualStartDate);
-      const endDate = new Date(results.actualEndDate);
-      const startFormatted = startDate.toISOString().slice(0, 16).replace('T', ' ');
-      const endFormatted = endDate.toISOString().slice(0, 16).replace('T', ' ');
-      timeRangeSubject = `Email Summary for ${startFormatted} - ${endFormatted}`;
-    } else if (results.timeRange) {
-      timeRangeSubject = `Email Summary (${results.timeRange})`;
-    }
-    
-    const subject = `${config.addonName} - ${timeRangeSubject}`;
-    
-    GmailApp.sendEmail(
-      getUserEmailAddress(),
-      subject,
-      '', // Plain text version (empty, we're using HTML)
-      {
-        htmlBody: htmlContent,
-        name: config.addonName
-      }
-    );
-    
-    // Mark email as important or starred
-    markEmailAsImportantOrStarred(subject);
+    sendDigestEmail(subject, generateSummaryText(results, config), htmlContent, config);
+    sendDigestToRecipients(results, subject, config);
     
     return buildConfigSuccessCard(); // Reuse success card for email sent
     
   } catch (error) {
-    console.error('Error sending summary email:', error);
+    logError('Error sending summary email:', error);
     return buildErrorCard('Failed to send summary email: ' + error.message);
   }
 }
 
 /**
- * Mark a recently sent email as important or starred
- * @param {string} subject - The subject line of the email to find
- * @param {number} minutesBack - How many minutes back to search (default: 2)
+ * Mark a sent email as important or starred
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The sent email
  */
-function markEmailAsImportantOrStarred(subject, minutesBack = 2) {
+function markEmailAsImportantOrStarred(message) {
   try {
-    // Search for the email by subject within the last few minutes
-    const query = `subject:"${subject}" newer_than:${minutesBack}m`;
-    const threads = GmailApp.search(query, 0, 5);
-    
-    if (threads.length === 0) {
-      console.warn('Could not find sent email to mark as important');
-      return;
-    }
-    
-    // Get the first message from the most recent thread
-    const messages = threads[0].getMessages();
-    if (messages.length === 0) {
-      console.warn('No messages found in thread');
-      return;
-    }
-    
-    const message = messages[messages.length - 1]; // Get the last message (the one we just sent)
     const messageId = message.getId();
     
     // Try to mark as important first using Gmail API
@@ -128,10 +113,10 @@ function markEmailAsImportantOrStarred(subject, minutesBack = 2) {
         'me',
         messageId
       );
-      console.log('Successfully marked email as important');
+      logInfo('Successfully marked email as important');
       return;
     } catch (importantError) {
-      console.warn('Could not mark as important, trying star:', importantError);
+      logWarn('Could not mark as important, trying star:', importantError);
       
       // Fallback to star
       try {
@@ -142,13 +127,13 @@ function markEmailAsImportantOrStarred(subject, minutesBack = 2) {
           'me',
           messageId
         );
-        console.log('Successfully starred email');
+        logInfo('Successfully starred email');
       } catch (starError) {
-        console.error('Could not mark email as important or starred:', starError);
+        logError('Could not mark email as important or starred:', starError);
       }
     }
   } catch (error) {
-    console.error('Error marking email as important/starred:', error);
+    logError('Error marking email as important/starred:', error);
     // Fail silently - don't break the email sending flow
   }
 }
@@ -166,26 +151,125 @@ function generateGmailPermalink(rfc822MessageId) {
   return `https://mail.google.com/mail/u/0/#search/rfc822msgid%3A${encodedMessageId}`;
 }
 
+/**
+ * Get the title of a summary from the time range it covers
+ * @param {Object} results - Summary results with actualStartDate and actualEndDate, or timeRange
+ * @param {Object} config - Configuration object
+ * @returns {string} Title, e.g. "Email Summary for 2024-01-15 08:00 - 2024-01-15 21:00"
+ */
+function getSummaryTitle(results, config) {
+  if (results.actualStartDate && results.actualEndDate) {
+    return `Email Summary for ${formatDateRangeInTimeZone(results.actualStartDate, results.actualEndDate, config.timeZone)}`;
+  }
+  // Fallback to time range string if actual dates not available
+  return results.timeRange ? `Email Summary (${results.timeRange})` : 'Email Summary';
+}
+
+// Colors of the digest email per theme; the light palette is the original look
+const DIGEST_PALETTES = {
+  [DIGEST_THEME.LIGHT]: {
+    colorScheme: 'light',
+    background: '#ffffff',
+    text: '#333333',
+    heading: '#2c3e50',
+    link: '#3498db',
+    muted: '#7f8c8d',
+    panel: '#f8f9fa',
+    itemBackground: '#ffffff',
+    border: '#e1e8ed',
+    urgent: '#e74c3c',
+    urgentBackground: '#fdf2f2',
+    important: '#f39c12',
+    date: '#e67e22',
+    outdated: '#95a5a6',
+    warningBackground: '#fff8e1'
+  },
+  [DIGEST_THEME.DARK]: {
+    colorScheme: 'dark',
+    background: '#1f1f1f',
+    text: '#e3e3e3',
+    heading: '#f1f3f4',
+    link: '#8ab4f8',
+    muted: '#9aa0a6',
+    panel: '#2d2e30',
+    itemBackground: '#28292c',
+    border: '#3c4043',
+    urgent: '#f28b82',
+    urgentBackground: '#3c2a2a',
+    important: '#fdd663',
+    date: '#fcad70',
+    outdated: '#80868b',
+    warningBackground: '#3a3424'
+  }
+};
+
+// Shown below open tasks carried over from earlier digests
+const STILL_OPEN_NOTE_HTML = '<p class="item-meta">Mark tasks as done from the Gmail Fast Reader add-on to stop carrying them over.</p>';
+
+/**
+ * Get the color palette of the digest email
+ * @param {Object} config - Configuration object
+ * @returns {Object} Palette, light when the configured theme is unknown
+ */
+function getDigestPalette(config) {
+  return DIGEST_PALETTES[config.digestTheme] || DIGEST_PALETTES[DIGEST_THEME.LIGHT];
+}
+
+/**
+ * Generate the style sheet of the digest email
+ * @param {Object} palette - Digest palette (see getDigestPalette)
+ * @returns {string} CSS rules
+ */
+function generateDigestCSS(palette) {
+  return `
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: ${palette.text}; background: ${palette.background}; max-width: 800px; margin: 0 auto; padding: 20px; }
+        .header { background: ${palette.panel}; padding: 20px; border-radius: 8px; margin-top: 30px; margin-bottom: 20px; }
+        .header h1 { color: ${palette.heading}; }
+        .section { margin-bottom: 30px; }
+        .section h2 { color: ${palette.heading}; border-bottom: 2px solid ${palette.link}; padding-bottom: 10px; }
+        .item { background: ${palette.itemBackground}; border: 1px solid ${palette.border}; border-radius: 6px; padding: 15px; margin-bottom: 10px; }
+        .compact { padding: 6px 10px; margin-bottom: 4px; border-radius: 4px; }
+        .urgent { border-left: 4px solid ${palette.urgent}; background: ${palette.urgentBackground}; }
+        .important { border-left: 4px solid ${palette.important}; }
+        .item-header { font-weight: bold; color: ${palette.heading}; margin-bottom: 5px; }
+        .item-meta { font-size: 0.9em; color: ${palette.muted}; margin-bottom: 8px; }
+        .item-content { margin-bottom: 5px; }
+        .date { color: ${palette.date}; font-weight: bold; }
+        .urgent-date { color: ${palette.urgent}; font-weight: bold; }
+        .outdated-date { color: ${palette.outdated}; font-weight: normal; }
+        .thread-messages { font-size: 0.9em; color: ${palette.muted}; margin-top: 8px; }
+        .thread-messages ul { margin: 5px 0 0 0; padding-left: 20px; }
+        .warning { background: ${palette.warningBackground}; border-left: 4px solid ${palette.important}; padding: 10px 15px; border-radius: 6px; margin-bottom: 20px; }
+        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid ${palette.border}; font-size: 0.9em; color: ${palette.muted}; }
+  `;
+}
+
+/**
+ * Generate the "View Email" link of an item
+ * @param {string} rfc822MessageId - RFC822 message ID of the email
+ * @param {Object} palette - Digest palette (see getDigestPalette)
+ * @param {string} [contentHtml] - Link content, "View Email" by default
+ * @returns {string} HTML link, or an empty string without an allowed permalink
+ */
+function generatePermalinkHTML(rfc822MessageId, palette, contentHtml = '&#128279; View Email') {
+  const permalink = sanitizeLinkUrl(generateGmailPermalink(rfc822MessageId));
+  return permalink ? generateLinkHTML(permalink, contentHtml, `color: ${palette.link}; text-decoration: none; font-size: 0.9em;`) : '';
+}
+
 /**
  * Generate HTML content for summary email
+ * The layout and palette come from the digest settings (see DIGEST_LAYOUT and DIGEST_THEME).
+ * Every subject, sender and model-provided text is escaped (see escapeHtml).
+ * With config.forRecipient set, the digest is meant for another recipient (see
+ * sendDigestToRecipients) and leaves out the links into the user's mailbox, the thread
+ * message lists and the notes about the add-on.
  */
 function generateSummaryHTML(results, config) {
   const now = new Date();
-  const today = now.toISOString().split('T')[0];
-  const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const priorityContext = getPriorityContext(config, now);
+  const palette = getDigestPalette(config);
   
-  // Format time range for title
-  let timeRangeTitle = 'Email Summary';
-  if (results.actualStartDate && results.actualEndDate) {
-    const startDate = new Date(results.actualStartDate);
-    const endDate = new Date(results.actualEndDate);
-    const startFormatted = startDate.toISOString().slice(0, 16).replace('T', ' ');
-    const endFormatted = endDate.toISOString().slice(0, 16).replace('T', ' ');
-    timeRangeTitle = `Email Summary for ${startFormatted} - ${endFormatted}`;
-  } else if (results.timeRange) {
-    // Fallback to time range string if actual dates not available
-    timeRangeTitle = `Email Summary (${results.timeRange})`;
-  }
+  const timeRangeTitle = getSummaryTitle(results, config);
   
   let html = `
     <!DOCTYPE html>
@@ -193,97 +277,37 @@ function generateSummaryHTML(results, config) {
     <head>
       <meta charset="utf-8">
       <meta http-equiv="Content-Type" content="text/html; charset=utf-8">
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; padding: 20px; }
-        .header { background: #f8f9fa; padding: 20px; border-radius: 8px; margin-top: 30px; margin-bottom: 20px; }
-        .section { margin-bottom: 30px; }
-        .section h2 { color: #2c3e50; border-bottom: 2px solid #3498db; padding-bottom: 10px; }
-        .item { background: #fff; border: 1px solid #e1e8ed; border-radius: 6px; padding: 15px; margin-bottom: 10px; }
-        .urgent { border-left: 4px solid #e74c3c; background: #fdf2f2; }
-        .item-header { font-weight: bold; color: #2c3e50; margin-bottom: 5px; }
-        .item-meta { font-size: 0.9em; color: #7f8c8d; margin-bottom: 8px; }
-        .item-content { margin-bottom: 5px; }
-        .date { color: #e67e22; font-weight: bold; }
-        .urgent-date { color: #e74c3c; font-weight: bold; }
-        .outdated-date { color: #95a5a6; font-weight: normal; }
-        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e1e8ed; font-size: 0.9em; color: #7f8c8d; }
-      </style>
+      <meta name="color-scheme" content="${palette.colorScheme}">
+      <meta name="supported-color-schemes" content="${palette.colorScheme}">
+      <style>${generateDigestCSS(palette)}</style>
     </head>
     <body>
   `;
   
-  // I Must Do section
-  if (results.mustDo.length > 0) {
+  if (results.skippedThreads > 0) {
     html += `
-      <div class="section">
-        <h2>&#128203; I Must Do (${results.mustDo.length} items)</h2>
+      <div class="warning">&#9888;&#65039; ${describeSkippedThreads(results.skippedThreads)}</div>
     `;
-    
-    // Sort by date
-    const sortedMustDo = results.mustDo.sort((a, b) => {
-      if (!a.date && !b.date) return 0;
-      if (!a.date) return 1;
-      if (!b.date) return -1;
-      return new Date(a.date) - new Date(b.date);
-    });
-    
-    sortedMustDo.forEach(item => {
-      const isUrgent = item.date && (item.date === today || item.date === tomorrow);
-      const isOutdated = item.date && item.date < today;
-      const dateClass = isUrgent ? 'urgent-date' : (isOutdated ? 'outdated-date' : 'date');
-      const itemClass = isUrgent ? 'item urgent' : 'item';
-      
-      // Generate permalink if RFC822 message ID is available
-      const permalink = generateGmailPermalink(item.rfc822MessageId);
-      const permalinkHtml = permalink ? `<a href="${permalink}" target="_blank" style="color: #3498db; text-decoration: none; font-size: 0.9em;">&#128279; View Email</a>` : '';
-      
-      html += `
-        <div class="${itemClass}">
-          <div class="item-header">${item.subject} ${permalinkHtml}</div>
-          <div class="item-meta">From: ${item.sender} | Topic: ${item.topic}</div>
-          <div class="item-content"><strong>Action:</strong> ${item.keyAction}</div>
-          ${item.date ? `<div class="${dateClass}">&#128197; ${item.date}${isUrgent ? ' (URGENT!)' : (isOutdated ? ' (OUTDATED)' : '')}</div>` : ''}
-        </div>
-      `;
-    });
-    
-    html += '</div>';
   }
   
-  // I Must Know section
-  if (results.mustKnow.length > 0) {
-    html += `
-      <div class="section">
-        <h2>&#128240; I Must Know (${results.mustKnow.length} items)</h2>
-    `;
-    
-    // Sort by date
-    const sortedMustKnow = results.mustKnow.sort((a, b) => {
-      if (!a.date && !b.date) return 0;
-      if (!a.date) return 1;
-      if (!b.date) return -1;
-      return new Date(a.date) - new Date(b.date);
-    });
-    
-    sortedMustKnow.forEach(item => {
-      // Generate permalink if RFC822 message ID is available
-      const permalink = generateGmailPermalink(item.rfc822MessageId);
-      const permalinkHtml = permalink ? `<a href="${permalink}" target="_blank" style="color: #3498db; text-decoration: none; font-size: 0.9em;">&#128279; View Email</a>` : '';
-      
-      html += `
-        <div class="item">
-          <div class="item-header">${item.subject} ${permalinkHtml}</div>
-          <div class="item-meta">From: ${item.sender} | Topic: ${item.topic}</div>
-          <div class="item-content"><strong>Key Info:</strong> ${item.keyKnowledge}</div>
-          ${item.date ? `<div class="date">&#128197; ${item.date}</div>` : ''}
-        </div>
-      `;
-    });
-    
-    html += '</div>';
+  // One entry per thread, however many of its messages produced an item
+  const mustDo = mergeResultItems([], results.mustDo || []);
+  const mustKnow = mergeResultItems([], results.mustKnow || []);
+  // Must-do items from earlier digests that are not done yet
+  const stillOpen = results.stillOpen || [];
+  
+  switch (config.digestLayout) {
+  case DIGEST_LAYOUT.COMPACT:
+    html += generateCompactSectionsHTML(mustDo, stillOpen, mustKnow, priorityContext, config);
+    break;
+  case DIGEST_LAYOUT.BY_TOPIC:
+    html += generateTopicSectionsHTML(mustDo, stillOpen, mustKnow, priorityContext, config);
+    break;
+  default:
+    html += generateDetailedSectionsHTML(mustDo, stillOpen, mustKnow, priorityContext, config);
   }
   
-  if (results.mustDo.length === 0 && results.mustKnow.length === 0) {
+  if (mustDo.length === 0 && mustKnow.length === 0 && stillOpen.length === 0) {
     html += `
       <div class="section">
         <h2>&#128229; No Relevant Emails Found</h2>
@@ -295,15 +319,15 @@ function generateSummaryHTML(results, config) {
   // Header block (moved to bottom)
   html += `
       <div class="header">
-        <h1>${config.addonName} - ${timeRangeTitle}</h1>
-        <p>Generated on ${now.toLocaleDateString()} at ${now.toLocaleTimeString()}</p>
+        <h1>${escapeHtml(config.addonName)} - ${escapeHtml(timeRangeTitle)}</h1>
+        <p>Generated on ${formatDateInTimeZone(now, config.timeZone, 'yyyy-MM-dd')} at ${formatDateInTimeZone(now, config.timeZone, 'HH:mm')} (${config.timeZone || 'UTC'})</p>
         <p>Total emails processed: ${results.totalProcessed}</p>
       </div>
   `;
   
   html += `
       <div class="footer">
-        <p>This summary was generated by ${config.addonName}. To configure your topics and preferences, open the Gmail Fast Reader add-on.</p>
+        <p>${escapeHtml(getSummaryFooter(config))}</p>
       </div>
     </body>
     </html>
@@ -312,15 +336,372 @@ function generateSummaryHTML(results, config) {
   return html;
 }
 
+/**
+ * Generate a digest section
+ * @param {string} titleHtml - Section title, already escaped
+ * @param {string} itemsHtml - Items of the section
+ * @param {string} [noteHtml] - Note below the items
+ * @returns {string} HTML for the section
+ */
+function generateSectionHTML(titleHtml, itemsHtml, noteHtml = '') {
+  return `
+      <div class="section">
+        <h2>${titleHtml}</h2>
+        ${itemsHtml}
+        ${noteHtml}
+      </div>
+    `;
+}
+
+/**
+ * Generate the sections of the detailed layout: one card per item with sender, topic and thread
+ * @param {Array<Object>} mustDo - Must-do items
+ * @param {Array<Object>} stillOpen - Open tasks carried over from earlier digests
+ * @param {Array<Object>} mustKnow - Must-know items
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML for the sections
+ */
+function generateDetailedSectionsHTML(mustDo, stillOpen, mustKnow, priorityContext, config) {
+  let html = '';
+  
+  if (mustDo.length > 0) {
+    html += generateSectionHTML(`&#128203; I Must Do (${mustDo.length} items)`,
+      sortItemsByPriority(mustDo, priorityContext).map(item => generateMustDoItemHTML(item, priorityContext, config)).join(''));
+  }
+  
+  if (stillOpen.length > 0) {
+    html += generateSectionHTML(`&#9203; Still open (${stillOpen.length} items)`,
+      sortItemsByPriority(stillOpen, priorityContext).map(item => generateMustDoItemHTML(item, priorityContext, config)).join(''),
+      config.forRecipient ? '' : STILL_OPEN_NOTE_HTML);
+  }
+  
+  if (mustKnow.length > 0) {
+    html += generateSectionHTML(`&#128240; I Must Know (${mustKnow.length} items)`,
+      sortItemsByPriority(mustKnow, priorityContext).map(item => generateMustKnowItemHTML(item, priorityContext, config)).join(''));
+  }
+  
+  return html;
+}
+
+/**
+ * Generate the sections of the compact layout: one line per item
+ * @param {Array<Object>} mustDo - Must-do items
+ * @param {Array<Object>} stillOpen - Open tasks carried over from earlier digests
+ * @param {Array<Object>} mustKnow - Must-know items
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML for the sections
+ */
+function generateCompactSectionsHTML(mustDo, stillOpen, mustKnow, priorityContext, config) {
+  let html = '';
+  
+  if (mustDo.length > 0) {
+    html += generateSectionHTML(`&#128203; I Must Do (${mustDo.length})`,
+      sortItemsByPriority(mustDo, priorityContext).map(item => generateCompactItemHTML(item, item.keyAction, priorityContext, config)).join(''));
+  }
+  
+  if (stillOpen.length > 0) {
+    html += generateSectionHTML(`&#9203; Still open (${stillOpen.length})`,
+      sortItemsByPriority(stillOpen, priorityContext).map(item => generateCompactItemHTML(item, item.keyAction, priorityContext, config)).join(''),
+      config.forRecipient ? '' : STILL_OPEN_NOTE_HTML);
+  }
+  
+  if (mustKnow.length > 0) {
+    html += generateSectionHTML(`&#128240; I Must Know (${mustKnow.length})`,
+      sortItemsByPriority(mustKnow, priorityContext).map(item => generateCompactItemHTML(item, item.keyKnowledge, priorityContext, config)).join(''));
+  }
+  
+  return html;
+}
+
+/**
+ * Generate the sections of the grouped layout: one section per topic, most important topic first
+ * Must-do, still-open and must-know items of a topic are listed together by priority.
+ * @param {Array<Object>} mustDo - Must-do items
+ * @param {Array<Object>} stillOpen - Open tasks carried over from earlier digests
+ * @param {Array<Object>} mustKnow - Must-know items
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML for the sections
+ */
+function generateTopicSectionsHTML(mustDo, stillOpen, mustKnow, priorityContext, config) {
+  const mustKnowItems = new Set(mustKnow);
+  const itemsByTopic = new Map();
+  
+  // Topics appear in the order of their highest-priority item
+  sortItemsByPriority(mustDo.concat(stillOpen, mustKnow), priorityContext).forEach(item => {
+    const topic = item.topic || 'other';
+    if (!itemsByTopic.has(topic)) {
+      itemsByTopic.set(topic, []);
+    }
+    itemsByTopic.get(topic).push(item);
+  });
+  
+  let html = '';
+  itemsByTopic.forEach((items, topic) => {
+    html += generateSectionHTML(`&#128193; ${escapeHtml(topic)} (${items.length} items)`,
+      items.map(item => (mustKnowItems.has(item) ?
+        generateMustKnowItemHTML(item, priorityContext, config) :
+        generateMustDoItemHTML(item, priorityContext, config))).join(''));
+  });
+  return html;
+}
+
+/**
+ * Get the CSS classes and date suffix of an item from its priority
+ * @param {Object} priority - Item priority (see getItemPriority)
+ * @returns {Object} { itemClass, dateClass, dateSuffix, marker, vipLabel }
+ */
+function getItemPriorityStyle(priority) {
+  let itemClass = 'item';
+  if (priority.isUrgent) {
+    itemClass = 'item urgent';
+  } else if (priority.isHighlighted) {
+    itemClass = 'item important';
+  }
+  
+  return {
+    itemClass: itemClass,
+    dateClass: priority.isUrgent ? 'urgent-date' : (priority.isOutdated ? 'outdated-date' : 'date'),
+    dateSuffix: priority.isUrgent ? ' (URGENT!)' : (priority.isOutdated ? ' (OUTDATED)' : ''),
+    marker: priority.isHighlighted ? '&#11088; ' : '',
+    vipLabel: priority.isVip ? ' | VIP sender' : ''
+  };
+}
+
+/**
+ * Generate HTML for a must-do item, flagged urgent, important or outdated
+ * @param {Object} item - Must-do item, or an open task carried over from an earlier digest
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML for the item
+ */
+function generateMustDoItemHTML(item, priorityContext, config) {
+  const style = getItemPriorityStyle(getItemPriority(item, priorityContext));
+  
+  const permalinkHtml = config.forRecipient ? '' : generatePermalinkHTML(item.rfc822MessageId, getDigestPalette(config));
+  const openSince = item.openSince ? ` | Open since ${formatDateInTimeZone(new Date(item.openSince), config.timeZone, 'yyyy-MM-dd')}` : '';
+  
+  return `
+        <div class="${style.itemClass}">
+          <div class="item-header">${style.marker}${escapeHtml(item.subject)} ${permalinkHtml}</div>
+          <div class="item-meta">From: ${escapeHtml(item.sender)} | Topic: ${escapeHtml(item.topic)}${style.vipLabel}${formatMessageCount(item)}${openSince}</div>
+          <div class="item-content"><strong>Action:</strong> ${escapeHtml(item.keyAction)}</div>
+          ${item.date ? `<div class="${style.dateClass}">&#128197; ${escapeHtml(formatItemWhen(item))}${style.dateSuffix}</div>` : ''}
+          ${generateThreadMessagesHTML(item, config)}
+        </div>
+      `;
+}
+
+/**
+ * Generate HTML for a must-know item, flagged urgent or important like must-do items
+ * @param {Object} item - Must-know item
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML for the item
+ */
+function generateMustKnowItemHTML(item, priorityContext, config) {
+  const style = getItemPriorityStyle(getItemPriority(item, priorityContext));
+  
+  const permalinkHtml = config.forRecipient ? '' : generatePermalinkHTML(item.rfc822MessageId, getDigestPalette(config));
+  
+  return `
+        <div class="${style.itemClass}">
+          <div class="item-header">${style.marker}${escapeHtml(item.subject)} ${permalinkHtml}</div>
+          <div class="item-meta">From: ${escapeHtml(item.sender)} | Topic: ${escapeHtml(item.topic)}${style.vipLabel}${formatMessageCount(item)}</div>
+          <div class="item-content"><strong>Key Info:</strong> ${escapeHtml(item.keyKnowledge)}</div>
+          ${item.date ? `<div class="${style.dateClass}">&#128197; ${escapeHtml(formatItemWhen(item))}${style.dateSuffix}</div>` : ''}
+          ${generateThreadMessagesHTML(item, config)}
+        </div>
+      `;
+}
+
+/**
+ * Generate a one-line item of the compact layout: key action or knowledge, date, subject and sender
+ * @param {Object} item - Result item
+ * @param {string} text - Key action or key knowledge
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML for the item
+ */
+function generateCompactItemHTML(item, text, priorityContext, config) {
+  const style = getItemPriorityStyle(getItemPriority(item, priorityContext));
+  
+  const when = item.date ? ` <span class="${style.dateClass}">&#128197; ${escapeHtml(formatItemWhen(item))}${style.dateSuffix}</span>` : '';
+  const permalinkHtml = config.forRecipient ? '' : generatePermalinkHTML(item.rfc822MessageId, getDigestPalette(config), '&#128279;');
+  
+  return `
+        <div class="${style.itemClass} compact">${style.marker}<strong>${escapeHtml(text)}</strong>${when} <span class="item-meta">${escapeHtml(item.subject)} - ${escapeHtml(item.sender)}${style.vipLabel}${formatMessageCount(item)}</span> ${permalinkHtml}</div>
+      `;
+}
+
+/**
+ * Format the message count of a thread item for the item meta line
+ * @param {Object} item - Result item
+ * @returns {string} " | N messages", or an empty string for a single message
+ */
+function formatMessageCount(item) {
+  return item.messageCount > 1 ? ` | ${item.messageCount} messages` : '';
+}
+
+// Messages of a thread listed under its item; mail clients cannot expand a longer list
+const THREAD_MESSAGES_SHOWN = 5;
+
+/**
+ * Generate the list of messages that contributed to a thread item
+ * Long threads show their first messages followed by "+N more".
+ * @param {Object} item - Result item
+ * @param {Object} config - Configuration object
+ * @returns {string} HTML, or an empty string for a single message or another recipient's digest
+ */
+function generateThreadMessagesHTML(item, config) {
+  const messages = getItemMessages(item);
+  if (messages.length < 2 || config.forRecipient) {
+    return '';
+  }
+  
+  const listItems = messages.slice(0, THREAD_MESSAGES_SHOWN).map(message => {
+    const received = message.receivedAt ? `${formatDateInTimeZone(new Date(message.receivedAt), config.timeZone, 'yyyy-MM-dd HH:mm')} - ` : '';
+    const subject = generateLinkHTML(generateGmailPermalink(message.rfc822MessageId), escapeHtml(message.subject), `color: ${getDigestPalette(config).link}; text-decoration: none;`);
+    return `<li>${received}${escapeHtml(message.sender)}: ${subject}</li>`;
+  }).join('');
+  const more = messages.length > THREAD_MESSAGES_SHOWN ? `<li>+${messages.length - THREAD_MESSAGES_SHOWN} more</li>` : '';
+  
+  return `<div class="thread-messages">Messages in this thread:<ul>${listItems}${more}</ul></div>`;
+}
+
+/**
+ * Generate the plain-text version of the summary email
+ * Mirrors generateSummaryHTML for text-only clients, watches and notification previews:
+ * the same sections and order, urgency markers in brackets, and permalinks on their own line.
+ * @param {Object} results - Summary results
+ * @param {Object} config - Configuration object
+ * @returns {string} Plain-text digest
+ */
+function generateSummaryText(results, config) {
+  const now = new Date();
+  const priorityContext = getPriorityContext(config, now);
+  const lines = [`${sanitizeText(config.addonName)} - ${sanitizeText(getSummaryTitle(results, config))}`, ''];
+  
+  if (results.skippedThreads > 0) {
+    lines.push(`WARNING: ${describeSkippedThreads(results.skippedThreads)}`, '');
+  }
+  
+  // One entry per thread, however many of its messages produced an item
+  const mustDo = mergeResultItems([], results.mustDo || []);
+  const mustKnow = mergeResultItems([], results.mustKnow || []);
+  const stillOpen = results.stillOpen || [];
+  
+  lines.push(...generateSectionText('I MUST DO', mustDo, 'keyAction', priorityContext, config));
+  lines.push(...generateSectionText('STILL OPEN', stillOpen, 'keyAction', priorityContext, config));
+  if (stillOpen.length > 0 && !config.forRecipient) {
+    lines.push('Mark tasks as done from the Gmail Fast Reader add-on to stop carrying them over.', '');
+  }
+  lines.push(...generateSectionText('I MUST KNOW', mustKnow, 'keyKnowledge', priorityContext, config));
+  
+  if (mustDo.length === 0 && mustKnow.length === 0 && stillOpen.length === 0) {
+    lines.push('No relevant emails found: no emails in the selected time range matched your configured topics of interest.', '');
+  }
+  
+  lines.push(
+    '--',
+    `Generated on ${formatDateInTimeZone(now, config.timeZone, 'yyyy-MM-dd')} at ${formatDateInTimeZone(now, config.timeZone, 'HH:mm')} (${config.timeZone || 'UTC'})`,
+    `Total emails processed: ${results.totalProcessed}`,
+    sanitizeText(getSummaryFooter(config))
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Get the closing line of a digest
+ * @param {Object} config - Configuration object
+ * @returns {string} Footer text, unescaped
+ */
+function getSummaryFooter(config) {
+  if (config.forRecipient) {
+    return `This summary was generated by ${config.addonName} and only lists the topics shared with you.`;
+  }
+  return `This summary was generated by ${config.addonName}. To configure your topics and preferences, open the Gmail Fast Reader add-on.`;
+}
+
+/**
+ * Generate the plain-text lines of a digest section, items sorted by priority
+ * @param {string} title - Section title
+ * @param {Array<Object>} items - Result items
+ * @param {string} textField - Item field shown first: keyAction or keyKnowledge
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Lines of the section, none if it has no items
+ */
+function generateSectionText(title, items, textField, priorityContext, config) {
+  if (items.length === 0) return [];
+  const lines = [`${title} (${items.length})`, ''];
+  sortItemsByPriority(items, priorityContext).forEach((item, index) => {
+    lines.push(generateItemText(item, index + 1, item[textField], priorityContext, config), '');
+  });
+  return lines;
+}
+
+/**
+ * Generate the plain-text entry of an item, its key action or knowledge first
+ * @param {Object} item - Result item
+ * @param {number} number - Position of the item in its section
+ * @param {string} text - Key action or key knowledge
+ * @param {Object} priorityContext - Priority context (see getPriorityContext)
+ * @param {Object} config - Configuration object
+ * @returns {string} Lines of the item
+ */
+function generateItemText(item, number, text, priorityContext, config) {
+  const priority = getItemPriority(item, priorityContext);
+  let marker = '';
+  if (priority.isUrgent) {
+    marker = '[URGENT] ';
+  } else if (priority.isOutdated) {
+    marker = '[OUTDATED] ';
+  } else if (priority.isHighlighted) {
+    marker = '[IMPORTANT] ';
+  }
+  
+  const details = [`Topic: ${sanitizeText(item.topic)}`];
+  if (priority.isVip) details.push('VIP sender');
+  if (item.messageCount > 1) details.push(`${item.messageCount} messages`);
+  if (item.openSince) details.push(`Open since ${formatDateInTimeZone(new Date(item.openSince), config.timeZone, 'yyyy-MM-dd')}`);
+  
+  const lines = [`${number}. ${marker}${sanitizeText(text)}`];
+  if (item.date) {
+    lines.push(`   When: ${formatItemWhen(item)}`);
+  }
+  lines.push(`   ${sanitizeText(item.subject)} - ${sanitizeText(item.sender)}`, `   ${details.join(' | ')}`);
+  
+  const permalink = config.forRecipient ? null : sanitizeLinkUrl(generateGmailPermalink(item.rfc822MessageId));
+  if (permalink) {
+    lines.push(`   ${permalink}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Describe threads left out of an analysis because the search hit the thread limit
+ * @param {number} skippedThreads - Number of threads that were not analyzed
+ * @returns {string} Message for the summary
+ */
+function describeSkippedThreads(skippedThreads) {
+  return `${skippedThreads} matching thread${skippedThreads === 1 ? ' was' : 's were'} not analyzed because the search reached the maximum threads per scan. ` +
+    'Choose a shorter time range or raise the limit in Email Settings.';
+}
+
 /**
  * Format items for card display
+ * Card text is rendered as HTML, so email and model content is escaped.
  */
 function formatItemsForCard(items) {
   if (items.length === 0) return 'No items found.';
   
   return items.map((item, index) => {
-    const dateStr = item.date ? ` (${item.date})` : '';
+    const dateStr = item.date ? ` (${escapeHtml(formatItemWhen(item))})` : '';
+    const countStr = item.messageCount > 1 ? ` [${item.messageCount} messages]` : '';
     
-    return `${index + 1}. ${item.subject}${dateStr}\n   From: ${item.sender}\n   ${item.keyAction || item.keyKnowledge}`;
+    return `${index + 1}. ${escapeHtml(item.subject)}${dateStr}${countStr}\n   From: ${escapeHtml(item.sender)}\n   ${escapeHtml(item.keyAction || item.keyKnowledge)}`;
   }).join('\n\n');
 }
@@ -0,0 +1,147 @@
+/**
+ * Gmail Fast Reader - Open must-do tasks carried over from one digest to the next
+ *
+ * Must-do items are recorded as tasks once their digest is sent. A task stays open
+ * until it is marked done or its date passes (undated tasks after TASK_MAX_OPEN_DAYS),
+ * and later digests list it under "Still open". Tasks are keyed by thread, so a reply
+ * updates the task instead of adding another one.
+ */
+
+const TASK_STORE_FILE_NAME = 'gmail-fast-read-open-tasks.json';
+const TASK_STORE_FILE_ID_PROPERTY_KEY = 'drive_task_store_file_id';
+const TASK_MAX_OPEN_DAYS = 30;
+
+/**
+ * Load the task store from Google Drive
+ * @returns {Object} { tasks: open tasks, done: map of task ID to the ISO time it was marked done }
+ */
+function loadTaskStore() {
+  try {
+    const file = getOrCreateDriveJsonFile(TASK_STORE_FILE_NAME, TASK_STORE_FILE_ID_PROPERTY_KEY, { tasks: [], done: {} });
+    const data = JSON.parse(file.getBlob().getDataAsString());
+    return { tasks: data.tasks || [], done: data.done || {} };
+  } catch (error) {
+    logError('Error loading task store:', error);
+    return { tasks: [], done: {} };
+  }
+}
+
+/**
+ * Save the task store to Google Drive
+ * @param {Object} store - { tasks, done }
+ */
+function saveTaskStore(store) {
+  const file = getOrCreateDriveJsonFile(TASK_STORE_FILE_NAME, TASK_STORE_FILE_ID_PROPERTY_KEY, { tasks: [], done: {} });
+  file.setContent(JSON.stringify(store));
+  logInfo(`Saved task store: ${store.tasks.length} open tasks`);
+}
+
+/**
+ * Get the ID of the task a must-do item belongs to
+ * @param {Object} item - Result item
+ * @returns {string|null} Thread ID, or the email ID for items without one
+ */
+function getTaskId(item) {
+  return item.threadId || item.emailId || item.rfc822MessageId || null;
+}
+
+/**
+ * Drop tasks whose date has passed or that stayed open too long, and forget old completions
+ * @param {Object} store - { tasks, done }, modified in place
+ * @param {Object} config - Configuration object, for the user's time zone
+ * @returns {Object} The same store
+ */
+function pruneTaskStore(store, config) {
+  const now = new Date();
+  const today = formatDateInTimeZone(now, config.timeZone, 'yyyy-MM-dd');
+  const cutoff = new Date(now.getTime() - TASK_MAX_OPEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  store.tasks = store.tasks.filter(task => (task.date ? (task.endDate || task.date) >= today : (task.openSince || '') >= cutoff));
+  Object.keys(store.done).forEach(taskId => {
+    if (store.done[taskId] < cutoff) delete store.done[taskId];
+  });
+  return store;
+}
+
+/**
+ * Load the tasks that are still open
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Open tasks, earliest date first
+ */
+function loadOpenTasks(config) {
+  return sortItemsByDate(pruneTaskStore(loadTaskStore(), config).tasks);
+}
+
+/**
+ * Get open tasks to carry over into a digest
+ * @param {Array<Object>} mustDoItems - Must-do items already in the digest
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Open tasks that are not about the same thread as a digest item
+ */
+function getStillOpenTasks(mustDoItems, config) {
+  return loadOpenTasks(config)
+    .filter(task => !mustDoItems.some(item => isSameResultItem(task, item)));
+}
+
+/**
+ * Record must-do items as open tasks
+ * Items from a thread marked done are skipped unless a newer message arrived since.
+ * @param {Array<Object>} mustDoItems - Must-do items of a sent digest
+ * @param {Object} config - Configuration object
+ */
+function recordOpenTasks(mustDoItems, config) {
+  try {
+    const store = pruneTaskStore(loadTaskStore(), config);
+    const openSince = new Date().toISOString();
+
+    const newTasks = [];
+    mustDoItems.forEach(item => {
+      const taskId = getTaskId(item);
+      if (!taskId) return;
+      const doneAt = store.done[taskId];
+      if (doneAt && (!item.receivedAt || item.receivedAt <= doneAt)) return;
+      delete store.done[taskId];
+
+      // A task keeps its ID and the time it was first opened when a reply updates it
+      const existing = store.tasks.find(task => isSameResultItem(task, item));
+      newTasks.push(Object.assign({}, item, {
+        taskId: existing ? existing.taskId : taskId,
+        openSince: existing ? existing.openSince : openSince
+      }));
+    });
+
+    store.tasks = mergeResultItems(store.tasks, newTasks);
+    pruneTaskStore(store, config);
+    saveTaskStore(store);
+  } catch (error) {
+    // The digest is already sent; a missed update only means the items are not carried over
+    logError('Error recording open tasks:', error);
+  }
+}
+
+/**
+ * Find the open task of a thread
+ * @param {string} threadId - Gmail thread ID
+ * @param {Object} config - Configuration object
+ * @returns {Object|null} Open task or null
+ */
+function findOpenTaskForThread(threadId, config) {
+  if (!threadId) return null;
+  return loadOpenTasks(config).find(task => task.threadId === threadId) || null;
+}
+
+/**
+ * Mark a task as done so it is no longer carried over
+ * @param {string} taskId - Task ID (see getTaskId)
+ * @throws {Error} If the task is not open
+ */
+function markTaskDone(taskId) {
+  const store = loadTaskStore();
+  const index = store.tasks.findIndex(task => task.taskId === taskId);
+  if (index === -1) {
+    throw new Error('Task is no longer open');
+  }
+  store.tasks.splice(index, 1);
+  store.done[taskId] = new Date().toISOString();
+  saveTaskStore(store);
+}
@@ -73,9 +73,18 @@ function buildMainCard() {
     .setOnClickAction(CardService.newAction()
       .setFunctionName('checkProcessingStatus'));
     
+  const statusButtons = CardService.newButtonSet()
+    .addButton(statusButton);
+    
+  if (isConfigured) {
+    statusButtons.addButton(CardService.newTextButton()
+      .setText('⏳ Open Tasks')
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName('buildOpenTasksCard')));
+  }
+    
   const statusSection = CardService.newCardSection()
-    .addWidget(CardService.newButtonSet()
-      .addButton(statusButton));
+    .addWidget(statusButtons);
     
   cardBuilder.addSection(statusSection);
     
@@ -83,7 +92,7 @@ function buildMainCard() {
   if (!isConfigured) {
     const warningSection = CardService.newCardSection()
       .addWidget(CardService.newTextParagraph()
-        .setText('⚠️ Please configure your topics and OpenAI API key first.'));
+        .setText('⚠️ Please configure your topics and AI provider first.'));
     cardBuilder.addSection(warningSection);
   }
     
@@ -123,16 +132,7 @@ function buildMainCard() {
    */
 function buildSystemSettingsCard() {
   const config = getConfiguration();
-  const timezoneOptions = getTimezoneOptions();
-    
-  const timezoneSelection = CardService.newSelectionInput()
-    .setType(CardService.SelectionInputType.DROPDOWN)
-    .setTitle('Timezone')
-    .setFieldName('timeZone');
-    
-  timezoneOptions.forEach(option => {
-    timezoneSelection.addItem(option.label, option.value, option.value === config.timeZone);
-  });
+  const timezoneInput = buildTimeZoneInput(config);
     
   const card = CardService.newCardBuilder()
     .setHeader(CardService.newCardHeader()
@@ -144,24 +144,316 @@ function buildSystemSettingsCard() {
         .setTitle('Add-on Name')
         .setValue(config.addonName)
         .setHint('A friendly name for your add-on instance'))
+      .addWidget(timezoneInput));
+    
+  card.addSection(buildDigestScheduleSection(config));
+    
+  buildLlmProviderSections(config).forEach(section => card.addSection(section));
+    
+  const logLevelSelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Log Level')
+    .setFieldName('logLevel');
+    
+  getLogLevelOptions().forEach(option => {
+    logLevelSelection.addItem(option.label, option.value, option.value === config.logLevel);
+  });
+    
+  card.addSection(CardService.newCardSection()
+    .setHeader('Logging')
+    .addWidget(CardService.newTextParagraph()
+      .setText('API keys are never logged. Email subjects, senders and prompts are only logged at the Debug level; use it for troubleshooting and switch back afterwards.'))
+    .addWidget(logLevelSelection));
+    
+  card.addSection(CardService.newCardSection()
+    .addWidget(CardService.newButtonSet()
+      .addButton(CardService.newTextButton()
+        .setText('💾 Save System Settings')
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleSystemSettingsSubmit')))
+      .addButton(CardService.newTextButton()
+        .setText('⬅️ Back to Configuration')
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('buildConfigurationCard')))));
+    
+  return card.build();
+}
+  
+/**
+   * Build digest delivery schedule section
+   * @param {Object} config - Configuration object
+   * @returns {CardSection} Digest schedule section
+   */
+function buildDigestScheduleSection(config) {
+  const frequencySelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Frequency')
+    .setFieldName('digestFrequency');
+    
+  getDigestFrequencyOptions().forEach(option => {
+    frequencySelection.addItem(option.label, option.value, option.value === config.digestFrequency);
+  });
+    
+  const weekdaySelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Day of the weekly digest')
+    .setFieldName('digestWeekday');
+    
+  getDigestWeekdayOptions().forEach(option => {
+    weekdaySelection.addItem(option.label, option.value, option.value === config.digestWeekday);
+  });
+    
+  return CardService.newCardSection()
+    .setHeader('Digest Delivery')
+    .addWidget(CardService.newTextInput()
+      .setFieldName('digestTimes')
+      .setTitle('Delivery time(s)')
+      .setValue(config.digestTimes)
+      .setHint('HH:mm in your time zone, comma-separated for several digests a day, e.g. 07:30, 18:00'))
+    .addWidget(frequencySelection)
+    .addWidget(weekdaySelection)
+    .addWidget(CardService.newTextParagraph()
+      .setText('Emails are scanned hourly, so each digest arrives within an hour after its delivery time. Times must be at least an hour apart.'));
+}
+  
+/**
+   * Build Google Calendar integration section
+   * @param {Object} config - Configuration object
+   * @returns {CardSection} Calendar section
+   */
+function buildCalendarSection(config) {
+  const modeSelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Calendar events for dated items')
+    .setFieldName('calendarMode');
+    
+  getCalendarModeOptions().forEach(option => {
+    modeSelection.addItem(option.label, option.value, option.value === config.calendarMode);
+  });
+    
+  return CardService.newCardSection()
+    .setHeader('Google Calendar')
+    .addWidget(modeSelection)
+    .addWidget(CardService.newTextInput()
+      .setFieldName('calendarId')
+      .setTitle('Calendar (optional)')
+      .setValue(config.calendarId || '')
+      .setHint('Name or ID of the calendar, e.g. Family. Leave empty for your main calendar'))
+    .addWidget(CardService.newTextParagraph()
+      .setText('Dated items become events with the key action and a link to the email: items with a time of day become one-hour events at that time, the others all-day events. Each email gets at most one event, even when it is scanned again.'));
+}
+  
+/**
+   * Build digest priority section
+   * @param {Object} config - Configuration object
+   * @returns {CardSection} Priority section
+   */
+function buildPrioritySection(config) {
+  return CardService.newCardSection()
+    .setHeader('Priorities')
+    .addWidget(CardService.newTextInput()
+      .setFieldName('urgencyHorizonDays')
+      .setTitle('Urgency horizon (days)')
+      .setValue(String(config.urgencyHorizonDays))
+      .setHint(`Items due within this many days after today are urgent: 0 for today only, 1 for today and tomorrow (up to ${MAX_URGENCY_HORIZON_DAYS})`))
+    .addWidget(CardService.newTextInput()
+      .setFieldName('vipSenders')
+      .setTitle('VIP senders (optional)')
+      .setValue(config.vipSenders || '')
+      .setHint('One per line: address (jane@school.org), domain (school.org) or wildcard (*@*.gov.uk)')
+      .setMultiline(true))
+    .addWidget(CardService.newTextParagraph()
+      .setText('The digest lists the most important items first, weighing how much is at stake, how soon it is due, and whether it comes from a VIP.'));
+}
+  
+/**
+   * Build digest layout, theme, label and threading section
+   * @param {Object} config - Configuration object
+   * @returns {CardSection} Digest appearance section
+   */
+function buildDigestAppearanceSection(config) {
+  const layoutSelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Layout')
+    .setFieldName('digestLayout');
+    
+  getDigestLayoutOptions().forEach(option => {
+    layoutSelection.addItem(option.label, option.value, option.value === config.digestLayout);
+  });
+    
+  const themeSelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Colors')
+    .setFieldName('digestTheme');
+    
+  getDigestThemeOptions().forEach(option => {
+    themeSelection.addItem(option.label, option.value, option.value === config.digestTheme);
+  });
+    
+  return CardService.newCardSection()
+    .setHeader('Digest Appearance')
+    .addWidget(layoutSelection)
+    .addWidget(themeSelection)
+    .addWidget(CardService.newTextInput()
+      .setFieldName('digestLabel')
+      .setTitle('Label for digests (optional)')
+      .setValue(config.digestLabel || '')
+      .setHint('Applied to every digest, e.g. FastReader/Digests')
+      .setSuggestionsAction(CardService.newAction().setFunctionName('handleLabelSuggestions')))
+    .addWidget(CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.CHECK_BOX)
+      .setTitle('')
+      .setFieldName('digestThreading')
+      .addItem('Keep the scheduled digests of a week in one conversation', 'true', config.digestThreading))
+    .addWidget(CardService.newTextParagraph()
+      .setText('Applies to scheduled digests and to summaries sent after a scan.'));
+}
+  
+/**
+   * Build section for digests sent to other people
+   * @param {Object} config - Configuration object
+   * @returns {CardSection} Digest recipients section
+   */
+function buildDigestRecipientsSection(config) {
+  return CardService.newCardSection()
+    .setHeader('Digest Recipients')
+    .addWidget(CardService.newTextInput()
+      .setFieldName('digestRecipients')
+      .setTitle('Other recipients (optional)')
+      .setValue(config.digestRecipients || '')
+      .setHint('One per line: address = topics or categories, e.g. partner@example.com = school trips, must know')
+      .setMultiline(true))
+    .addWidget(CardService.newTextParagraph()
+      .setText('Each recipient gets the digest with only the items of their topics, or of the "must do" and "must know" categories, without links to your emails. Your own digest stays complete.'));
+}
+  
+/**
+   * Build Google Tasks export section
+   * @param {Object} config - Configuration object
+   * @returns {CardSection} Google Tasks section
+   */
+function buildGoogleTasksSection(config) {
+  return CardService.newCardSection()
+    .setHeader('Google Tasks')
+    .addWidget(CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.CHECK_BOX)
+      .setTitle('')
+      .setFieldName('tasksExport')
+      .addItem('Add "I must do" items to Google Tasks', 'true', config.tasksExport))
+    .addWidget(CardService.newTextInput()
+      .setFieldName('tasksListId')
+      .setTitle('Task list (optional)')
+      .setValue(config.tasksListId || '')
+      .setHint('Name or ID of the list, e.g. Team. Leave empty for your default list'))
+    .addWidget(CardService.newTextParagraph()
+      .setText('Tasks get the due date and a link to the email, and are completed when you archive the email or mark the item done.'));
+}
+  
+/**
+   * Build time zone input with suggestions from the full IANA list
+   * @param {Object} config - Configuration object
+   * @returns {TextInput} Time zone input
+   */
+function buildTimeZoneInput(config) {
+  return CardService.newTextInput()
+    .setFieldName('timeZone')
+    .setTitle('Timezone')
+    .setValue(config.timeZone)
+    .setHint('Start typing a city or region, e.g. Kolkata or Sao Paulo')
+    .setSuggestionsAction(CardService.newAction().setFunctionName('handleTimeZoneSuggestions'));
+}
+  
+/**
+   * Build AI provider sections (provider choice plus per-provider model, endpoint and key)
+   * @param {Object} config - Configuration object
+   * @returns {Array} Card sections
+   */
+function buildLlmProviderSections(config) {
+  const providerSelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('AI Provider')
+    .setFieldName('llmProvider');
+    
+  const options = getSelectableLlmProviderOptions(config);
+  options.forEach(option => {
+    providerSelection.addItem(option.label, option.value, option.value === config.llmProvider);
+  });
+    
+  const sections = [
+    CardService.newCardSection()
+      .setHeader('AI Provider')
+      .addWidget(CardService.newTextParagraph()
+        .setText('Choose which service analyzes your emails. Only the settings of the selected provider are used.'))
+      .addWidget(providerSelection),
+    CardService.newCardSection()
+      .setHeader('OpenAI')
+      .setCollapsible(config.llmProvider !== LLM_PROVIDER.OPENAI)
       .addWidget(CardService.newTextInput()
         .setFieldName('openaiApiKey')
         .setTitle('OpenAI API Key')
         .setValue(config.openaiApiKey)
         .setHint('Your OpenAI API key for email analysis'))
-      .addWidget(timezoneSelection))
-    .addSection(CardService.newCardSection()
-      .addWidget(CardService.newButtonSet()
-        .addButton(CardService.newTextButton()
-          .setText('💾 Save System Settings')
-          .setOnClickAction(CardService.newAction()
-            .setFunctionName('handleSystemSettingsSubmit')))
-        .addButton(CardService.newTextButton()
-          .setText('⬅️ Back to Configuration')
-          .setOnClickAction(CardService.newAction()
-            .setFunctionName('buildConfigurationCard')))));
-    
-  return card.build();
+      .addWidget(CardService.newTextInput()
+        .setFieldName('openaiModel')
+        .setTitle('Model')
+        .setValue(config.openaiModel)),
+    CardService.newCardSection()
+      .setHeader('Azure OpenAI')
+      .setCollapsible(config.llmProvider !== LLM_PROVIDER.AZURE_OPENAI)
+      .addWidget(CardService.newTextInput()
+        .setFieldName('azureEndpoint')
+        .setTitle('Endpoint')
+        .setValue(config.azureEndpoint)
+        .setHint('e.g., https://my-resource.openai.azure.com'))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('azureDeployment')
+        .setTitle('Deployment Name')
+        .setValue(config.azureDeployment))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('azureApiVersion')
+        .setTitle('API Version')
+        .setValue(config.azureApiVersion))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('azureApiKey')
+        .setTitle('API Key')
+        .setValue(config.azureApiKey)),
+    CardService.newCardSection()
+      .setHeader('Anthropic')
+      .setCollapsible(config.llmProvider !== LLM_PROVIDER.ANTHROPIC)
+      .addWidget(CardService.newTextInput()
+        .setFieldName('anthropicApiKey')
+        .setTitle('Anthropic API Key')
+        .setValue(config.anthropicApiKey))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('anthropicModel')
+        .setTitle('Model')
+        .setValue(config.anthropicModel))
+  ];
+
+  if (options.some(option => option.value === LLM_PROVIDER.OPENAI_COMPATIBLE)) {
+    sections.push(CardService.newCardSection()
+      .setHeader('OpenAI-compatible Endpoint')
+      .setCollapsible(config.llmProvider !== LLM_PROVIDER.OPENAI_COMPATIBLE)
+      .addWidget(CardService.newTextInput()
+        .setFieldName('compatibleBaseUrl')
+        .setTitle('Base URL')
+        .setValue(config.compatibleBaseUrl)
+        .setHint(COMPATIBLE_ENDPOINT_URL_PREFIX ? `Must start with ${COMPATIBLE_ENDPOINT_URL_PREFIX}` : 'e.g., https://llm.example.com/v1'))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('compatibleModel')
+        .setTitle('Model')
+        .setValue(config.compatibleModel))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('compatibleApiKey')
+        .setTitle('API Key (optional)')
+        .setValue(config.compatibleApiKey))
+      .addWidget(CardService.newTextParagraph()
+        .setText(COMPATIBLE_ENDPOINT_URL_PREFIX ?
+          `The add-on can only reach the endpoint it was deployed with: ${COMPATIBLE_ENDPOINT_URL_PREFIX}` :
+          'This deployment cannot reach an OpenAI-compatible endpoint. Choose another provider, or deploy your own copy with the endpoint in .compatible-endpoint-url.txt.')));
+  }
+
+  return sections;
 }
   
 /**
@@ -184,7 +476,33 @@ function buildEmailSettingsCard() {
         .setType(CardService.SelectionInputType.CHECK_BOX)
         .setTitle('')
         .setFieldName('inboxOnly')
-        .addItem('Inbox only', 'true', config.inboxOnly)))
+        .addItem('Inbox only', 'true', config.inboxOnly))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('maxThreadsPerSearch')
+        .setTitle('Maximum threads per scan')
+        .setValue(String(config.maxThreadsPerSearch))
+        .setHint('Threads beyond this limit are skipped and reported in the summary')))
+    .addSection(CardService.newCardSection()
+      .setHeader('Search Filters')
+      .addWidget(CardService.newTextInput()
+        .setFieldName('customQuery')
+        .setTitle('Custom Gmail search query (optional)')
+        .setValue(config.customQuery || '')
+        .setHint('Added to every scan, e.g. -category:promotions -from:noreply@ has:attachment'))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('includeLabels')
+        .setTitle('Only emails with these labels (optional)')
+        .setValue(config.includeLabels || '')
+        .setHint('Comma-separated; emails with any of the labels are scanned')
+        .setSuggestionsAction(CardService.newAction().setFunctionName('handleLabelSuggestions')))
+      .addWidget(CardService.newTextInput()
+        .setFieldName('excludeLabels')
+        .setTitle('Skip emails with these labels (optional)')
+        .setValue(config.excludeLabels || '')
+        .setHint('Comma-separated; these emails are never sent to the AI provider')
+        .setSuggestionsAction(CardService.newAction().setFunctionName('handleLabelSuggestions')))
+      .addWidget(CardService.newTextParagraph()
+        .setText('Filters are checked with a test search when you save.')))
     .addSection(CardService.newCardSection()
       .setHeader('Processing Options')
       .addWidget(CardService.newTextInput()
@@ -197,6 +515,12 @@ function buildEmailSettingsCard() {
         .setFieldName('mustKnowLabel')
         .setValue(config.mustKnowLabel || '')
         .setSuggestionsAction(CardService.newAction().setFunctionName('handleLabelSuggestions')))
+      .addWidget(CardService.newTextInput()
+        .setTitle('Labels per topic (optional)')
+        .setFieldName('topicLabels')
+        .setValue(config.topicLabels || '')
+        .setHint('One per line: topic = label, e.g. school trips = FastReader/School/Trips. Other topics use the labels above.')
+        .setMultiline(true))
       .addWidget(CardService.newSelectionInput()
         .setType(CardService.SelectionInputType.CHECK_BOX)
         .setTitle('')
@@ -207,6 +531,11 @@ function buildEmailSettingsCard() {
         .setTitle('')
         .setFieldName('removeUninterestingFromInbox')
         .addItem('Remove uninteresting emails from inbox', 'true', config.removeUninterestingFromInbox)))
+    .addSection(buildPrioritySection(config))
+    .addSection(buildDigestAppearanceSection(config))
+    .addSection(buildDigestRecipientsSection(config))
+    .addSection(buildCalendarSection(config))
+    .addSection(buildGoogleTasksSection(config))
     .addSection(CardService.newCardSection()
       .addWidget(CardService.newButtonSet()
         .addButton(CardService.newTextButton()
@@ -221,13 +550,126 @@ function buildEmailSettingsCard() {
   return card.build();
 }
   
+/**
+   * Build sender rules card
+   */
+function buildSenderRulesCard() {
+  const rules = loadSenderRules();
+  const actionLabels = {};
+  getSenderRuleActionOptions().forEach(option => {
+    actionLabels[option.value] = option.label;
+  });
+    
+  const rulesSection = CardService.newCardSection()
+    .setHeader('Current Rules')
+    .addWidget(CardService.newTextParagraph()
+      .setText('Rules are checked in order before emails are analyzed; the first matching rule wins.'));
+    
+  if (rules.length === 0) {
+    rulesSection.addWidget(CardService.newTextParagraph()
+      .setText('No sender rules yet.'));
+  }
+    
+  rules.forEach((rule, index) => {
+    rulesSection.addWidget(CardService.newDecoratedText()
+      .setText(rule.pattern)
+      .setBottomLabel(actionLabels[rule.action] || rule.action)
+      .setButton(CardService.newTextButton()
+        .setText('🗑️ Remove')
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleDeleteSenderRule')
+          .setParameters({ index: String(index) }))));
+  });
+    
+  const actionSelection = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Action')
+    .setFieldName('senderRuleAction');
+    
+  getSenderRuleActionOptions().forEach((option, index) => {
+    actionSelection.addItem(option.label, option.value, index === 0);
+  });
+    
+  return CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader()
+      .setTitle('Sender Rules'))
+    .addSection(rulesSection)
+    .addSection(CardService.newCardSection()
+      .setHeader('Add Rule')
+      .addWidget(CardService.newTextInput()
+        .setFieldName('senderRulePattern')
+        .setTitle('Sender')
+        .setHint('Address (jane@school.org), domain (school.org) or wildcard (*@*.gov.uk)'))
+      .addWidget(actionSelection)
+      .addWidget(CardService.newButtonSet()
+        .addButton(CardService.newTextButton()
+          .setText('➕ Add Rule')
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName('handleAddSenderRule')))
+        .addButton(CardService.newTextButton()
+          .setText('⬅️ Back to Configuration')
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName('buildConfigurationCard')))))
+    .build();
+}
+  
+/**
+   * Build a section listing open tasks with a "Done" button each
+   * @param {Array<Object>} tasks - Open tasks (see loadOpenTasks)
+   * @param {string} returnTo - Card to show once a task is marked done ('openTasks' or 'quickScan')
+   * @param {string} [header] - Section header
+   */
+function buildOpenTasksSection(tasks, returnTo, header) {
+  const section = CardService.newCardSection()
+    .setHeader(header || '⏳ Still open');
+  
+  if (tasks.length === 0) {
+    section.addWidget(CardService.newTextParagraph()
+      .setText('No open tasks. 🎉'));
+  }
+  
+  tasks.forEach(task => {
+    section.addWidget(CardService.newDecoratedText()
+      .setTopLabel(task.date ? (task.dateKind ? formatItemWhen(task) : `Due ${formatItemWhen(task)}`) : `Open since ${(task.openSince || '').substring(0, 10)}`)
+      .setText(escapeHtml(task.keyAction))
+      .setBottomLabel(sanitizeText(`${task.subject} - ${task.sender}`))
+      .setWrapText(true)
+      .setButton(CardService.newTextButton()
+        .setText('✅ Done')
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleMarkTaskDone')
+          .setParameters({ taskId: task.taskId, returnTo: returnTo }))));
+  });
+  
+  return section;
+}
+  
+/**
+   * Build open tasks card
+   */
+function buildOpenTasksCard() {
+  const config = getConfiguration();
+  
+  return CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader()
+      .setTitle('Open Tasks')
+      .setSubtitle('Carried over into each digest until done or past their date'))
+    .addSection(buildOpenTasksSection(loadOpenTasks(config), 'openTasks'))
+    .addSection(CardService.newCardSection()
+      .addWidget(CardService.newButtonSet()
+        .addButton(CardService.newTextButton()
+          .setText('🏠 Back to Main')
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName('buildMainCard')))))
+    .build();
+}
+  
 /**
    * Build onboarding card (wizard-style)
    * @param {number} step - Current step (1 = System Settings, 2 = Topics, 3 = Email Settings)
    */
 function buildOnboardingCard(step = 1) {
   const config = getConfiguration();
-  const timezoneOptions = getTimezoneOptions();
   const totalSteps = 3;
     
   // Step titles
@@ -243,14 +685,7 @@ function buildOnboardingCard(step = 1) {
     
   // Step 1: System Settings
   if (step === 1) {
-    const timezoneSelection = CardService.newSelectionInput()
-      .setType(CardService.SelectionInputType.DROPDOWN)
-      .setTitle('Timezone')
-      .setFieldName('timeZone');
-      
-    timezoneOptions.forEach(option => {
-      timezoneSelection.addItem(option.label, option.value, option.value === config.timeZone);
-    });
+    const timezoneInput = buildTimeZoneInput(config);
       
     card.addSection(CardService.newCardSection()
       .setHeader('System Configuration')
@@ -259,12 +694,9 @@ function buildOnboardingCard(step = 1) {
         .setTitle('Add-on Name')
         .setValue(config.addonName)
         .setHint('A friendly name for your add-on instance'))
-      .addWidget(CardService.newTextInput()
-        .setFieldName('openaiApiKey')
-        .setTitle('OpenAI API Key')
-        .setValue(config.openaiApiKey)
-        .setHint('Your OpenAI API key for email analysis'))
-      .addWidget(timezoneSelection));
+      .addWidget(timezoneInput));
+      
+    buildLlmProviderSections(config).forEach(section => card.addSection(section));
   }
     
   // Step 2: Topics
@@ -421,6 +853,10 @@ function buildConfigurationCard() {
           .setText('📧 Email Settings')
           .setOnClickAction(CardService.newAction()
             .setFunctionName('buildEmailSettingsCard')))
+        .addButton(CardService.newTextButton()
+          .setText('🚦 Sender Rules')
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName('buildSenderRulesCard')))
         .addButton(CardService.newTextButton()
           .setText('⚙️ System Settings')
           .setOnClickAction(CardService.newAction()
@@ -480,7 +916,11 @@ function buildActiveWorkflowCard(timeRange = null) {
       .setTitle('Scan Emails'))
     .addSection(CardService.newCardSection()
       .setHeader('Select Time Range')
-      .addWidget(timeRangeSelection));
+      .addWidget(timeRangeSelection)
+      .addWidget(CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.CHECK_BOX)
+        .setFieldName('rescan')
+        .addItem('Re-analyze emails that were already scanned', 'true', false)));
     
   // Add running status message if processing is active
   if (isRunning) {
@@ -585,14 +1025,15 @@ function buildProgressCardWithAutoRefresh(message) {
   
 /**
    * Build configuration success card
+   * @param {string} [details] - Extra text shown after the confirmation
    */
-function buildConfigSuccessCard() {
+function buildConfigSuccessCard(details) {
   return CardService.newCardBuilder()
     .setHeader(CardService.newCardHeader()
       .setTitle('Configuration Saved'))
     .addSection(CardService.newCardSection()
       .addWidget(CardService.newTextParagraph()
-        .setText('✅ Configuration saved successfully! You can now scan your emails.')))
+        .setText('✅ Configuration saved successfully! You can now scan your emails.' + (details || ''))))
     .addSection(CardService.newCardSection()
       .addWidget(CardService.newButtonSet()
         .addButton(CardService.newTextButton()
@@ -622,14 +1063,109 @@ function buildErrorCard(errorMessage) {
 }
   
 /**
-   * Build quick scan card for single email (future use)
+   * Build quick scan card for a single opened email
+   * @param {Object|null} scan - Result of quickScanMessage, or null when the scan could not run
+   * @param {string} [message] - Optional message to show instead of scan results
+   */
+function buildQuickScanCard(scan, message) {
+  const config = getConfiguration();
+  const card = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader()
+      .setTitle('Quick Scan')
+      .setSubtitle(scan ? scan.subject : config.addonName));
+    
+  if (!scan) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText(message || 'Quick scan is not available for this message.')));
+    return card.build();
+  }
+    
+  // Build one section per interesting item with its actions
+  function addItemSection(item, category) {
+    const isMustDo = category === 'mustDo';
+    const labelName = getLabelNameForItem(item, category, config);
+    let text = isMustDo ? `<b>Action:</b> ${escapeHtml(item.keyAction)}` : `<b>Key Info:</b> ${escapeHtml(item.keyKnowledge)}`;
+    text += `\n<b>Date:</b> ${escapeHtml(formatItemWhen(item)) || 'None'}`;
+    text += `\n<b>Topic:</b> ${escapeHtml(item.topic || 'other')}`;
+      
+    const buttonSet = CardService.newButtonSet();
+    if (labelName) {
+      buttonSet.addButton(CardService.newTextButton()
+        .setText(`🏷️ Apply ${labelName} label`)
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleQuickScanApplyLabel')
+          .setParameters({ category: category, item: JSON.stringify(item) })));
+    }
+    buttonSet.addButton(CardService.newTextButton()
+      .setText('➕ Add to today\'s digest')
+      .setOnClickAction(CardService.newAction()
+        .setFunctionName('handleQuickScanAddToDigest')
+        .setParameters({ category: category, item: JSON.stringify(item) })));
+      
+    // Dated items can be put in Calendar once the user enabled the integration
+    const datedItems = getDatedCalendarItems({ [category]: [item] });
+    if (config.calendarMode !== CALENDAR_MODE.OFF && datedItems.length > 0) {
+      buttonSet.addButton(CardService.newTextButton()
+        .setText('📅 Add to Calendar')
+        .setOnClickAction(CardService.newAction()
+          .setFunctionName('handleQuickScanAddToCalendar')
+          .setParameters({ category: category, item: JSON.stringify(item) })));
+    }
+      
+    card.addSection(CardService.newCardSection()
+      .setHeader(isMustDo ? '📋 I Must Do' : '📰 I Must Know')
+      .addWidget(CardService.newTextParagraph()
+        .setText(text))
+      .addWidget(buttonSet));
+  }
+    
+  // A task from an earlier digest can be closed right from its message
+  const openTask = findOpenTaskForThread(scan.threadId, config);
+  if (openTask) {
+    card.addSection(buildOpenTasksSection([openTask], 'quickScan', '⏳ Open task'));
+  }
+
+  scan.mustDo.forEach(item => addItemSection(item, 'mustDo'));
+  scan.mustKnow.forEach(item => addItemSection(item, 'mustKnow'));
+    
+  if (scan.mustDo.length === 0 && scan.mustKnow.length === 0) {
+    card.addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText(`This conversation (${scan.totalProcessed} messages) does not match any of your topics.`)));
+  }
+    
+  return card.build();
+}
+  
+/**
+   * Build confirmation card for adding items to Calendar from the summary card
+   */
+function buildCalendarResultCard(message) {
+  return CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader()
+      .setTitle('Google Calendar'))
+    .addSection(CardService.newCardSection()
+      .addWidget(CardService.newTextParagraph()
+        .setText(message)))
+    .addSection(CardService.newCardSection()
+      .addWidget(CardService.newButtonSet()
+        .addButton(CardService.newTextButton()
+          .setText('🏠 Back to Main')
+          .setOnClickAction(CardService.newAction()
+            .setFunctionName('buildMainCard')))))
+    .build();
+}
+  
+/**
+   * Build confirmation card for Quick Scan actions
    */
-function buildQuickScanCard(e) {
+function buildQuickScanDoneCard(message) {
   return CardService.newCardBuilder()
     .setHeader(CardService.newCardHeader()
       .setTitle('Quick Scan'))
     .addSection(CardService.newCardSection()
       .addWidget(CardService.newTextParagraph()
-        .setText('Quick scan functionality coming soon!')))
+        .setText(message)))
     .build();
-}
\ No newline at end of file
+}
@@ -22,6 +22,8 @@ const builtInServices = [
   'Logger',
   'Utilities',
   'DriveApp',
+  'CalendarApp',
+  'Tasks',
   'console'
 ];
 
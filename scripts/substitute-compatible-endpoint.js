@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Substitute the OpenAI-compatible endpoint in Constants.js and the manifest
+ * Reads the endpoint URL from .compatible-endpoint-url.txt, adds it to urlFetchWhitelist in
+ * appsscript.json and to COMPATIBLE_ENDPOINT_URL_PREFIX in Constants.js, so the add-on offers
+ * the OpenAI-compatible provider only when the manifest allows requests to it.
+ * Without the file, the endpoint stays unset and the provider is hidden.
+ *
+ * Usage:
+ *   node scripts/substitute-compatible-endpoint.js <direction>
+ *   direction: 'real' to add the endpoint, 'dummy' to remove it again
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const projectRoot = path.join(__dirname, '..');
+const constantsPath = path.join(projectRoot, 'addon', 'Constants.js');
+const manifestPath = path.join(projectRoot, 'addon', 'appsscript.json');
+const endpointFilePath = path.join(projectRoot, '.compatible-endpoint-url.txt');
+
+const PREFIX_PATTERN = /const COMPATIBLE_ENDPOINT_URL_PREFIX = '([^']*)';/;
+
+function readFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    console.error(`Error: ${path.basename(filePath)} not found at ${filePath}`);
+    process.exit(1);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function writeManifestWhitelist(manifestContent, update) {
+  const manifest = JSON.parse(manifestContent);
+  manifest.urlFetchWhitelist = update(manifest.urlFetchWhitelist || []);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+function substituteEndpoint(direction) {
+  if (direction !== 'real' && direction !== 'dummy') {
+    console.error('Error: Direction must be "real" or "dummy"');
+    console.error('Usage: node scripts/substitute-compatible-endpoint.js <real|dummy>');
+    process.exit(1);
+  }
+
+  let constantsContent = readFile(constantsPath);
+  const manifestContent = readFile(manifestPath);
+  const match = constantsContent.match(PREFIX_PATTERN);
+  if (!match) {
+    console.error('Error: COMPATIBLE_ENDPOINT_URL_PREFIX not found in Constants.js');
+    process.exit(1);
+  }
+
+  if (direction === 'real') {
+    if (!fs.existsSync(endpointFilePath)) {
+      console.log('No .compatible-endpoint-url.txt. The OpenAI-compatible provider stays hidden.');
+      return;
+    }
+
+    const endpoint = fs.readFileSync(endpointFilePath, 'utf8').trim();
+    // Whitelist entries must be HTTPS and cover at least the host with its trailing slash
+    if (!/^https:\/\/[^/*\s']+(\/[^*\s']*)?$/.test(endpoint)) {
+      console.error('Error: .compatible-endpoint-url.txt must hold an https:// URL, e.g. https://llm.example.com/v1');
+      process.exit(1);
+    }
+    const prefix = endpoint.replace(/\/*$/, '/');
+
+    if (match[1] === prefix) {
+      console.log('Compatible endpoint already substituted. Skipping.');
+      return;
+    }
+
+    writeManifestWhitelist(manifestContent, whitelist =>
+      whitelist.filter(entry => entry !== match[1]).concat(prefix));
+    constantsContent = constantsContent.replace(PREFIX_PATTERN, `const COMPATIBLE_ENDPOINT_URL_PREFIX = '${prefix}';`);
+    fs.writeFileSync(constantsPath, constantsContent, 'utf8');
+    console.log(`✓ Substituted compatible endpoint: ${prefix}`);
+  } else {
+    if (!match[1]) {
+      console.log('Compatible endpoint already removed. Skipping.');
+      return;
+    }
+
+    writeManifestWhitelist(manifestContent, whitelist => whitelist.filter(entry => entry !== match[1]));
+    constantsContent = constantsContent.replace(PREFIX_PATTERN, 'const COMPATIBLE_ENDPOINT_URL_PREFIX = \'\';');
+    fs.writeFileSync(constantsPath, constantsContent, 'utf8');
+    console.log('✓ Removed compatible endpoint');
+  }
+}
+
+// Get direction from command line arguments
+const direction = process.argv[2];
+substituteEndpoint(direction);
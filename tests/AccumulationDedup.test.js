@@ -0,0 +1,156 @@
+/**
+ * Regression tests for deduplication of accumulated items
+ *
+ * Tests verify that:
+ * - The same email analyzed by overlapping passive runs appears once
+ * - Items from the same thread are merged, keeping the freshest text and the earliest date
+ * - Items stored before thread IDs were recorded are matched by email or RFC822 ID
+ * - Chunked processing merges items across chunks the same way, keeping them on Drive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Accumulation Dedup Regression Tests', () => {
+  const start = new Date('2024-01-15T09:00:00Z');
+  const end = new Date('2024-01-15T10:00:00Z');
+
+  function mustDoItem(emailId, threadId, keyAction, date, receivedAt) {
+    return { emailId: emailId, rfc822MessageId: emailId + '@example.com', subject: 'Trip', sender: 'school@example.com', keyAction: keyAction, date: date, topic: 'school trips', threadId: threadId, receivedAt: receivedAt };
+  }
+
+  test('keeps one item when overlapping runs analyze the same email', () => {
+    const item = mustDoItem('m1', 't1', 'Sign the form', '2024-01-19', '2024-01-15T08:00:00Z');
+    const accumulated = { mustDo: [item], mustKnow: [], totalProcessed: 1 };
+
+    const merged = scriptContext.mergeAccumulatedResults(accumulated, { mustDo: [Object.assign({}, item)], mustKnow: [], totalProcessed: 1 }, start, end);
+
+    expect(merged.mustDo).toHaveLength(1);
+    expect(merged.mustDo[0].keyAction).toBe('Sign the form');
+  });
+
+  test('merges replies in a thread into the freshest action with the earliest date', () => {
+    const accumulated = {
+      mustDo: [mustDoItem('m2', 't1', 'Sign and return the form', '2024-01-18', '2024-01-15T09:30:00Z')],
+      mustKnow: [],
+      totalProcessed: 1
+    };
+    const newResults = {
+      mustDo: [
+        mustDoItem('m1', 't1', 'Sign the form', '2024-01-19', '2024-01-15T08:00:00Z'),
+        mustDoItem('m3', 't2', 'Pay the tennis fee', null, '2024-01-15T09:45:00Z')
+      ],
+      mustKnow: [],
+      totalProcessed: 2
+    };
+
+    const merged = scriptContext.mergeAccumulatedResults(accumulated, newResults, start, end);
+
+    expect(merged.mustDo).toHaveLength(2);
+    expect(merged.mustDo[0]).toMatchObject({ emailId: 'm2', threadId: 't1', keyAction: 'Sign and return the form', date: '2024-01-18' });
+    expect(merged.mustDo[1].emailId).toBe('m3');
+    expect(merged.totalProcessed).toBe(3);
+
+    const later = scriptContext.mergeAccumulatedResults(merged, {
+      mustDo: [mustDoItem('m4', 't1', 'Trip cancelled, nothing to sign', null, '2024-01-15T10:00:00Z')],
+      mustKnow: []
+    }, start, end);
+    expect(later.mustDo[0]).toMatchObject({ emailId: 'm4', keyAction: 'Trip cancelled, nothing to sign', date: '2024-01-18' });
+  });
+
+  test('matches items stored without thread IDs by email or RFC822 ID', () => {
+    const legacyItem = { emailId: 'old-id', rfc822MessageId: 'm1@example.com', subject: 'Trip', keyAction: 'Sign', date: null };
+    const merged = scriptContext.mergeResultItems([legacyItem, { subject: 'No IDs', keyAction: 'Call back' }], [
+      mustDoItem('m1', 't1', 'Sign the form', '2024-01-19', '2024-01-15T08:00:00Z'),
+      { subject: 'No IDs either', keyAction: 'Reply' }
+    ]);
+
+    expect(merged).toHaveLength(3);
+    expect(merged[0]).toMatchObject({ emailId: 'm1', threadId: 't1', keyAction: 'Sign the form', date: '2024-01-19' });
+  });
+
+  test('chunked processing merges items across chunks', () => {
+    const mockPropertiesStore = {
+      openaiApiKey: 'test-key',
+      chunkCurrentStart: '2024-01-14T00:00:00Z',
+      chunkEnd: '2024-01-16T00:00:00Z',
+      chunkIndex: '0',
+      chunkTotalChunks: '1',
+      chunkRescan: 'true',
+      drive_scan_results_file_id: 'scan-file'
+    };
+    // Results of earlier chunks are kept on Drive, where long thread message lists fit
+    let scanFileContent = JSON.stringify({
+      mustDo: [mustDoItem('m1', 't1', 'Sign the form', '2024-01-19', '2024-01-15T08:00:00Z')],
+      mustKnow: [],
+      totalProcessed: 1,
+      batchesProcessed: 1
+    });
+    const scanFile = {
+      getId: () => 'scan-file',
+      getName: () => 'gmail-fast-read-scan-results.json',
+      getBlob: () => ({ getDataAsString: () => scanFileContent }),
+      setContent: jest.fn((content) => { scanFileContent = content; })
+    };
+    scriptContext.DriveApp = {
+      getFileById: jest.fn(() => scanFile),
+      getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+      createFile: jest.fn(() => scanFile)
+    };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.ensureDispatcherScheduled = jest.fn();
+    scriptContext.finalizeChunkedProcessing = jest.fn();
+    scriptContext.recordProcessedMessages = jest.fn();
+    scriptContext.fetchEmailThreadsFromGmail = jest.fn(() => [{ threadId: 't1', emails: [{ id: 'm2' }] }]);
+    scriptContext.processEmailsInBatches = jest.fn(() => ({
+      mustDo: [mustDoItem('m2', 't1', 'Sign and return the form', '2024-01-20', '2024-01-15T09:30:00Z')],
+      mustKnow: [],
+      totalProcessed: 1,
+      batchesProcessed: 1
+    }));
+
+    scriptContext.processEmailsChunkedStep();
+
+    const accumulated = scriptContext.finalizeChunkedProcessing.mock.calls[0][0];
+    expect(accumulated.mustDo).toHaveLength(1);
+    expect(accumulated.mustDo[0]).toMatchObject({ emailId: 'm2', keyAction: 'Sign and return the form', date: '2024-01-19' });
+    expect(JSON.parse(scanFileContent).mustDo).toHaveLength(1);
+    expect(JSON.parse(scanFileContent).totalProcessed).toBe(2);
+    expect(Object.keys(mockPropertiesStore)).not.toContain('accumulatedResults');
+  });
+});
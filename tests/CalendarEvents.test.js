@@ -0,0 +1,231 @@
+/**
+ * Regression tests for the Google Calendar integration
+ *
+ * Tests verify that:
+ * - In automatic mode every scan turns dated items into all-day events on the chosen calendar
+ * - Event descriptions hold the key action and the Gmail permalink
+ * - Re-scans and replies in the same thread never create a second event
+ * - In propose mode events are only created from the card buttons
+ * - An unknown calendar is rejected when Email Settings are saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  CalendarApp: null,
+  DriveApp: null,
+  CardService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'UI.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Calendar Events Regression Tests', () => {
+  let mockPropertiesStore;
+  let driveFiles;
+  let createdEvents;
+  let familyCalendar;
+  let actions;
+
+  const threads = [{ threadId: 't1', subject: 'Parent-teacher meeting', emails: [{ id: 'm1', subject: 'Parent-teacher meeting', sender: 'school@example.com', date: new Date('2024-01-15T08:00:00Z'), body: '' }] }];
+
+  function meetingItem(overrides) {
+    return Object.assign({
+      emailId: 'm1',
+      rfc822MessageId: 'm1@school.org',
+      subject: 'Parent-teacher meeting',
+      sender: 'school@example.com',
+      keyKnowledge: 'Meeting with Ms Smith at 17:00',
+      date: '2024-01-25',
+      topic: 'parent-teacher meetings at school',
+      threadId: 't1'
+    }, overrides);
+  }
+
+  function scanWith(results) {
+    scriptContext.analyzeEmailsWithOpenAI = jest.fn(() => Object.assign({ mustDo: [], mustKnow: [], totalProcessed: 1 }, results));
+    return scriptContext.processEmailsInBatches(threads, scriptContext.getConfiguration());
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = { calendarMode: 'automatic', calendarId: 'Family' };
+    driveFiles = {};
+    createdEvents = [];
+    actions = [];
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.DriveApp = {
+      getFileById: jest.fn((id) => {
+        if (!driveFiles[id]) throw new Error('File not found');
+        return driveFiles[id];
+      }),
+      getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+      createFile: jest.fn((name, content) => {
+        const file = {
+          content: content,
+          getId: () => name,
+          getName: () => name,
+          getBlob: () => ({ getDataAsString: () => file.content }),
+          setContent: jest.fn((newContent) => { file.content = newContent; })
+        };
+        driveFiles[name] = file;
+        return file;
+      })
+    };
+    familyCalendar = {
+      getId: () => 'family@group.calendar.google.com',
+      getName: () => 'Family',
+      createAllDayEvent: jest.fn((title, date, options) => {
+        const event = { title: title, date: date, description: options.description, addPopupReminder: jest.fn(), getId: () => 'event-' + createdEvents.length };
+        createdEvents.push(event);
+        return event;
+      })
+    };
+    scriptContext.CalendarApp = {
+      getTimeZone: jest.fn(() => 'UTC'),
+      getCalendarById: jest.fn(() => null),
+      getCalendarsByName: jest.fn((name) => (name === 'Family' ? [familyCalendar] : [])),
+      getDefaultCalendar: jest.fn(() => ({ getName: () => 'Main' }))
+    };
+    scriptContext.updateProcessingProgress = jest.fn();
+    scriptContext.applyLabelsToInterestingEmails = jest.fn();
+    scriptContext.markProcessedEmailsAsRead = jest.fn();
+    scriptContext.removeUninterestingEmailsFromInbox = jest.fn();
+
+    // Minimal CardService mock that records button actions
+    const chain = () => {
+      const obj = {};
+      ['setTitle', 'setSubtitle', 'setHeader', 'addSection', 'addWidget', 'addButton', 'setText', 'setOnClickAction']
+        .forEach(name => { obj[name] = jest.fn(() => obj); });
+      return obj;
+    };
+    scriptContext.CardService = {
+      newCardBuilder: jest.fn(() => Object.assign(chain(), { build: jest.fn(() => ({ type: 'card' })) })),
+      newCardHeader: jest.fn(chain),
+      newCardSection: jest.fn(chain),
+      newButtonSet: jest.fn(chain),
+      newTextButton: jest.fn(chain),
+      newTextParagraph: jest.fn(chain),
+      newAction: jest.fn(() => {
+        const action = {};
+        action.setFunctionName = jest.fn((name) => { action.name = name; return action; });
+        action.setParameters = jest.fn((params) => { action.params = params; actions.push(action); return action; });
+        return action;
+      })
+    };
+  });
+
+  test('adds dated items of a scan to the chosen calendar automatically', () => {
+    scanWith({
+      mustDo: [meetingItem({ emailId: 'm2', rfc822MessageId: 'm2@school.org', threadId: 't2', keyAction: 'Pay the trip fee', date: '2024-01-19' })],
+      mustKnow: [meetingItem(), meetingItem({ emailId: 'm3', rfc822MessageId: 'm3@school.org', threadId: 't3', date: null })]
+    });
+
+    expect(createdEvents.map(event => event.title)).toEqual(['Pay the trip fee', 'Parent-teacher meeting']);
+    expect(createdEvents[1].date.toISOString()).toBe('2024-01-25T12:00:00.000Z');
+    expect(createdEvents[1].description).toContain('Key info: Meeting with Ms Smith at 17:00');
+    expect(createdEvents[1].description).toContain('https://mail.google.com/mail/u/0/#search/rfc822msgid%3Am1%40school.org');
+    expect(createdEvents[0].addPopupReminder).toHaveBeenCalledWith(900);
+    expect(createdEvents[1].addPopupReminder).not.toHaveBeenCalled();
+  });
+
+  test('does not create duplicates on re-scans or replies in the same thread', () => {
+    scanWith({ mustKnow: [meetingItem()] });
+    scanWith({ mustKnow: [meetingItem()] });
+
+    // A reply consolidated with the first message keeps the first message among its messages
+    scanWith({
+      mustKnow: [meetingItem({
+        emailId: 'm4',
+        rfc822MessageId: 'm4@school.org',
+        keyKnowledge: 'Meeting moved to 18:00',
+        messages: [{ emailId: 'm1', rfc822MessageId: 'm1@school.org' }, { emailId: 'm4', rfc822MessageId: 'm4@school.org' }]
+      })]
+    });
+
+    expect(createdEvents).toHaveLength(1);
+  });
+
+  test('records the events created before an item fails', () => {
+    const createAllDayEvent = familyCalendar.createAllDayEvent.getMockImplementation();
+    familyCalendar.createAllDayEvent.mockImplementation((title, date, options) => {
+      if (title === 'Pay the trip fee') throw new Error('Calendar usage limit exceeded');
+      return createAllDayEvent(title, date, options);
+    });
+    const items = [
+      { item: meetingItem(), category: 'mustKnow' },
+      { item: meetingItem({ emailId: 'm2', rfc822MessageId: 'm2@school.org', threadId: 't2', keyAction: 'Pay the trip fee' }), category: 'mustDo' }
+    ];
+
+    const outcome = scriptContext.addItemsToCalendar(items, scriptContext.getConfiguration());
+    expect(outcome).toEqual(expect.objectContaining({ created: 1, skipped: 0, failed: 1 }));
+    expect(scriptContext.describeCalendarOutcome(outcome)).toBe('✅ Added 1 event to "Family". ⚠️ 1 event could not be added; try again later.');
+
+    familyCalendar.createAllDayEvent.mockImplementation(createAllDayEvent);
+    const retry = scriptContext.addItemsToCalendar(items, scriptContext.getConfiguration());
+    expect(retry).toEqual(expect.objectContaining({ created: 1, skipped: 1, failed: 0 }));
+    expect(createdEvents.map(event => event.title)).toEqual(['Parent-teacher meeting', 'Pay the trip fee']);
+  });
+
+  test('only proposes events when set to propose', () => {
+    mockPropertiesStore.calendarMode = 'propose';
+    scanWith({ mustKnow: [meetingItem()] });
+    expect(createdEvents).toHaveLength(0);
+
+    scriptContext.buildQuickScanCard({ threadId: 't1', subject: 'Parent-teacher meeting', mustDo: [], mustKnow: [meetingItem(), meetingItem({ date: null })], totalProcessed: 1 });
+    const calendarActions = actions.filter(action => action.name === 'handleQuickScanAddToCalendar');
+    expect(calendarActions).toHaveLength(1);
+
+    const card = scriptContext.handleQuickScanAddToCalendar({ parameters: calendarActions[0].params });
+    expect(card).toEqual({ type: 'card' });
+    expect(createdEvents).toHaveLength(1);
+    expect(scriptContext.describeCalendarOutcome({ created: 0, skipped: 1 })).toBe('ℹ️ Already in your calendar.');
+
+    actions = [];
+    scriptContext.buildSummaryCard({ message: 'Done', mustDo: [], mustKnow: [meetingItem()], totalProcessed: 1 });
+    expect(actions.map(action => action.name)).toContain('handleAddResultsToCalendar');
+  });
+
+  test('rejects an unknown calendar when saving Email Settings', () => {
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { calendarMode: ['automatic'], calendarId: ['School board'] } });
+    expect(result.error).toContain('Calendar "School board" not found');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { calendarMode: ['propose'], calendarId: ['Family'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.calendarMode).toBe('propose');
+    expect(mockPropertiesStore.calendarId).toBe('Family');
+  });
+});
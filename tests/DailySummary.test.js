@@ -3,7 +3,7 @@
  * 
  * Tests verify that:
  * - Results accumulate across multiple passive workflow runs
- * - Summary is only sent between 21:00-23:59 in user's timezone
+ * - Summary is only sent from the default 21:00 delivery time until midnight in user's timezone
  * - Summary is only sent once per day
  * - If window is missed, results accumulate and send next day
  * - Accumulated results are cleared only after successful send
@@ -57,21 +57,51 @@ const constantsJsPath = path.join(__dirname, '../addon/Constants.js');
 const constantsCode = fs.readFileSync(constantsJsPath, 'utf8');
 vm.runInContext(constantsCode, scriptContext);
 
+// Load Logging.js
+const loggingJsPath = path.join(__dirname, '../addon/Logging.js');
+const loggingCode = fs.readFileSync(loggingJsPath, 'utf8');
+vm.runInContext(loggingCode, scriptContext);
+
 // Load Config.js
 const configJsPath = path.join(__dirname, '../addon/Config.js');
 const configCode = fs.readFileSync(configJsPath, 'utf8');
 vm.runInContext(configCode, scriptContext);
 
+// Load ResultItems.js
+const resultItemsJsPath = path.join(__dirname, '../addon/ResultItems.js');
+const resultItemsCode = fs.readFileSync(resultItemsJsPath, 'utf8');
+vm.runInContext(resultItemsCode, scriptContext);
+
 // Load DriveStorage.js
 const driveStorageJsPath = path.join(__dirname, '../addon/DriveStorage.js');
 const driveStorageCode = fs.readFileSync(driveStorageJsPath, 'utf8');
 vm.runInContext(driveStorageCode, scriptContext);
 
+// Load ProcessedLedger.js
+const processedLedgerJsPath = path.join(__dirname, '../addon/ProcessedLedger.js');
+const processedLedgerCode = fs.readFileSync(processedLedgerJsPath, 'utf8');
+vm.runInContext(processedLedgerCode, scriptContext);
+
 // Load SummaryBuilder.js
 const summaryBuilderJsPath = path.join(__dirname, '../addon/SummaryBuilder.js');
 const summaryBuilderCode = fs.readFileSync(summaryBuilderJsPath, 'utf8');
 vm.runInContext(summaryBuilderCode, scriptContext);
 
+// Load DigestDelivery.js
+const digestDeliveryJsPath = path.join(__dirname, '../addon/DigestDelivery.js');
+const digestDeliveryCode = fs.readFileSync(digestDeliveryJsPath, 'utf8');
+vm.runInContext(digestDeliveryCode, scriptContext);
+
+// Load DigestRecipients.js
+const digestRecipientsJsPath = path.join(__dirname, '../addon/DigestRecipients.js');
+const digestRecipientsCode = fs.readFileSync(digestRecipientsJsPath, 'utf8');
+vm.runInContext(digestRecipientsCode, scriptContext);
+
+// Load TaskStore.js
+const taskStoreJsPath = path.join(__dirname, '../addon/TaskStore.js');
+const taskStoreCode = fs.readFileSync(taskStoreJsPath, 'utf8');
+vm.runInContext(taskStoreCode, scriptContext);
+
 // Load Code.js
 const codeJsPath = path.join(__dirname, '../addon/Code.js');
 const codeJs = fs.readFileSync(codeJsPath, 'utf8');
@@ -203,9 +233,10 @@ describe('Daily Summary Regression Tests', () => {
     // Create mock GmailApp
     mockGmailApp = {
       search: jest.fn(() => []),
-      sendEmail: jest.fn((to, subject, body, options) => {
+      createDraft: jest.fn((to, subject, body, options) => {
         emailSent.push({ to, subject, body, options });
         emailSubject = subject;
+        return { send: jest.fn(() => ({ getId: () => 'sent-message', getThread: () => ({ getId: () => 'sent-thread' }) })) };
       }),
       getUserLabels: jest.fn(() => [])
     };
@@ -261,9 +292,11 @@ describe('Daily Summary Regression Tests', () => {
     global.markEmailAsImportantOrStarred = jest.fn();
     scriptContext.markEmailAsImportantOrStarred = global.markEmailAsImportantOrStarred;
 
-    // Mock generateSummaryHTML
+    // Mock generateSummaryHTML and generateSummaryText
     global.generateSummaryHTML = jest.fn(() => '<html>Summary</html>');
     scriptContext.generateSummaryHTML = global.generateSummaryHTML;
+    global.generateSummaryText = jest.fn(() => 'Summary');
+    scriptContext.generateSummaryText = global.generateSummaryText;
 
     // Ensure DriveStorage functions are available in scriptContext
     // (they're loaded from DriveStorage.js, but we need to make sure they're accessible)
@@ -394,7 +427,7 @@ describe('Daily Summary Regression Tests', () => {
   });
 
   describe('Time Window Check', () => {
-    test('should only send summary between 21:00-23:59 in user timezone', () => {
+    test('should only send summary from 21:00 until midnight in user timezone by default', () => {
       // Mock time at 20:59 - outside window
       mockUtilities.formatDate = jest.fn((date, tz, format) => {
         if (format === 'HH:mm') return '20:59';
@@ -402,7 +435,7 @@ describe('Daily Summary Regression Tests', () => {
         return '';
       });
 
-      const result = scriptContext.shouldSendDailySummary('America/New_York');
+      const result = scriptContext.shouldSendDailySummary({ timeZone: 'America/New_York' });
       expect(result).toBe(false);
 
       // Mock time at 21:00 - inside window
@@ -412,7 +445,7 @@ describe('Daily Summary Regression Tests', () => {
         return '';
       });
 
-      const result2 = scriptContext.shouldSendDailySummary('America/New_York');
+      const result2 = scriptContext.shouldSendDailySummary({ timeZone: 'America/New_York' });
       expect(result2).toBe(true); // Assuming no summary sent today
 
       // Mock time at 23:59 - inside window
@@ -422,7 +455,7 @@ describe('Daily Summary Regression Tests', () => {
         return '';
       });
 
-      const result3 = scriptContext.shouldSendDailySummary('America/New_York');
+      const result3 = scriptContext.shouldSendDailySummary({ timeZone: 'America/New_York' });
       expect(result3).toBe(true);
 
       // Mock time at 00:00 - outside window
@@ -432,7 +465,7 @@ describe('Daily Summary Regression Tests', () => {
         return '';
       });
 
-      const result4 = scriptContext.shouldSendDailySummary('America/New_York');
+      const result4 = scriptContext.shouldSendDailySummary({ timeZone: 'America/New_York' });
       expect(result4).toBe(false);
     });
   });
@@ -449,7 +482,7 @@ describe('Daily Summary Regression Tests', () => {
         return '';
       });
 
-      const result = scriptContext.shouldSendDailySummary('America/New_York');
+      const result = scriptContext.shouldSendDailySummary({ timeZone: 'America/New_York' });
       expect(result).toBe(false); // Already sent today
 
       // Next day - should be able to send
@@ -459,7 +492,7 @@ describe('Daily Summary Regression Tests', () => {
         return '';
       });
 
-      const result2 = scriptContext.shouldSendDailySummary('America/New_York');
+      const result2 = scriptContext.shouldSendDailySummary({ timeZone: 'America/New_York' });
       expect(result2).toBe(true); // Different day
     });
   });
@@ -571,7 +604,7 @@ describe('Daily Summary Regression Tests', () => {
       };
 
       // Mock email send to throw error
-      mockGmailApp.sendEmail = jest.fn(() => {
+      mockGmailApp.createDraft = jest.fn(() => {
         throw new Error('Send failed');
       });
 
@@ -605,6 +638,7 @@ describe('Daily Summary Regression Tests', () => {
         mustDo: [],
         mustKnow: [],
         totalProcessed: 0,
+        skippedThreads: 0,
         firstDate: null,
         lastDate: null
       });
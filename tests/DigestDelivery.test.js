@@ -0,0 +1,174 @@
+/**
+ * Regression tests for the delivery of digest emails
+ *
+ * Tests verify that:
+ * - Digests are marked important through the sent message, without a subject search
+ * - The configured digest label is applied to every digest
+ * - Scheduled digests of a week share one conversation when threading is on
+ * - Invalid digest labels are rejected when Email Settings are saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Freeze time before the context captures Date: Wednesday 2024-01-17, 10:00 UTC
+jest.useFakeTimers({ now: new Date('2024-01-17T10:00:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Digest Delivery Regression Tests', () => {
+  let mockPropertiesStore;
+  let labels;
+  let threads;
+  let sentMessages;
+
+  const config = {
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader',
+    digestLabel: '',
+    digestThreading: false
+  };
+
+  // Gmail mock: new drafts start a thread, replies join the thread they answer
+  function createThread(subject) {
+    const thread = {
+      id: `thread-${Object.keys(threads).length + 1}`,
+      subject: subject,
+      getId: () => thread.id,
+      createDraftReply: jest.fn((body, options) => ({ send: jest.fn(() => createMessage(thread, thread.subject, body, options)) }))
+    };
+    threads[thread.id] = thread;
+    return thread;
+  }
+
+  function createMessage(thread, subject, body, options) {
+    const message = { id: `message-${sentMessages.length + 1}`, subject: subject, body: body, options: options, getId: () => message.id, getThread: () => thread };
+    sentMessages.push(message);
+    return message;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.setSystemTime(new Date('2024-01-17T10:00:00Z'));
+    mockPropertiesStore = {};
+    labels = {};
+    threads = {};
+    sentMessages = [];
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); })
+      }))
+    };
+    scriptContext.GmailApp = {
+      search: jest.fn(() => []),
+      createDraft: jest.fn((to, subject, body, options) => ({ send: jest.fn(() => createMessage(createThread(subject), subject, body, options)) })),
+      getThreadById: jest.fn((id) => threads[id] || null),
+      getUserLabelByName: jest.fn((name) => labels[name] || null),
+      createLabel: jest.fn((name) => {
+        labels[name] = { name: name, addToThread: jest.fn() };
+        return labels[name];
+      })
+    };
+    scriptContext.Gmail = { Users: { Messages: { modify: jest.fn() } } };
+    scriptContext.getUserEmailAddress = jest.fn(() => 'user@example.com');
+  });
+
+  test('marks the sent digest important without searching for it', () => {
+    const subject = 'Gmail Fast Reader - "Quoted" Summary';
+    const message = scriptContext.sendDigestEmail(subject, 'text', '<p>html</p>', config);
+
+    expect(scriptContext.GmailApp.createDraft).toHaveBeenCalledWith('user@example.com', subject, 'text', { htmlBody: '<p>html</p>', name: 'Gmail Fast Reader' });
+    expect(message.id).toBe('message-1');
+    expect(scriptContext.GmailApp.search).not.toHaveBeenCalled();
+    expect(scriptContext.Gmail.Users.Messages.modify).toHaveBeenCalledWith({ addLabelIds: ['IMPORTANT'] }, 'me', 'message-1');
+
+    // Star the digest when it cannot be marked important
+    scriptContext.Gmail.Users.Messages.modify.mockImplementationOnce(() => { throw new Error('Not allowed'); });
+    scriptContext.sendDigestEmail(subject, 'text', '<p>html</p>', config);
+    expect(scriptContext.Gmail.Users.Messages.modify).toHaveBeenLastCalledWith({ addLabelIds: ['STARRED'] }, 'me', 'message-2');
+  });
+
+  test('applies the digest label, creating nested labels', () => {
+    scriptContext.sendDigestEmail('Digest', 'text', '<p>html</p>', Object.assign({}, config, { digestLabel: 'FastReader/Digests' }));
+
+    expect(scriptContext.GmailApp.createLabel.mock.calls.map(call => call[0])).toEqual(['FastReader', 'FastReader/Digests']);
+    expect(labels['FastReader/Digests'].addToThread).toHaveBeenCalledWith(threads['thread-1']);
+
+    // A digest that could not be labeled still counts as sent
+    scriptContext.GmailApp.getUserLabelByName.mockImplementation(() => { throw new Error('Label service unavailable'); });
+    expect(() => scriptContext.sendDigestEmail('Digest', 'text', '<p>html</p>', Object.assign({}, config, { digestLabel: 'FastReader/Digests' }))).not.toThrow();
+    expect(sentMessages).toHaveLength(2);
+  });
+
+  test('keeps the scheduled digests of a week in one conversation', () => {
+    const threadedConfig = Object.assign({}, config, { digestThreading: true });
+
+    scriptContext.sendDigestEmail('Gmail Fast Reader - Daily Summary - 2024-01-17', 'Wednesday', '<p>Wednesday</p>', threadedConfig, true);
+    expect(sentMessages[0].subject).toBe('Gmail Fast Reader - Digests for the week of 2024-01-15');
+    expect(JSON.parse(mockPropertiesStore.digestThread)).toEqual({ week: '2024-01-15', threadId: 'thread-1' });
+
+    jest.setSystemTime(new Date('2024-01-21T20:00:00Z'));
+    scriptContext.sendDigestEmail('Gmail Fast Reader - Daily Summary - 2024-01-21', 'Sunday', '<p>Sunday</p>', threadedConfig, true);
+    expect(threads['thread-1'].createDraftReply).toHaveBeenCalledWith('Sunday', { htmlBody: '<p>Sunday</p>', name: 'Gmail Fast Reader' });
+    expect(sentMessages[1].getThread().getId()).toBe('thread-1');
+
+    // A new week starts a new conversation
+    jest.setSystemTime(new Date('2024-01-22T08:00:00Z'));
+    scriptContext.sendDigestEmail('Gmail Fast Reader - Daily Summary - 2024-01-22', 'Monday', '<p>Monday</p>', threadedConfig, true);
+    expect(sentMessages[2].subject).toBe('Gmail Fast Reader - Digests for the week of 2024-01-22');
+    expect(sentMessages[2].getThread().getId()).toBe('thread-2');
+
+    // Summaries sent after a scan, and digests with threading off, stand alone
+    scriptContext.sendDigestEmail('Gmail Fast Reader - Summary (1day)', 'text', '<p>html</p>', threadedConfig);
+    scriptContext.sendDigestEmail('Gmail Fast Reader - Daily Summary - 2024-01-22', 'text', '<p>html</p>', config, true);
+    expect(sentMessages.slice(3).map(message => message.getThread().getId())).toEqual(['thread-3', 'thread-4']);
+  });
+
+  test('starts a new conversation when this week\'s was deleted', () => {
+    mockPropertiesStore.digestThread = JSON.stringify({ week: '2024-01-15', threadId: 'deleted-thread' });
+
+    scriptContext.sendDigestEmail('Digest', 'text', '<p>html</p>', Object.assign({}, config, { digestThreading: true }), true);
+
+    expect(sentMessages[0].subject).toBe('Gmail Fast Reader - Digests for the week of 2024-01-15');
+    expect(JSON.parse(mockPropertiesStore.digestThread).threadId).toBe('thread-1');
+  });
+
+  test('validates the digest label when saving Email Settings', () => {
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestLabel: ['FastReader//Digests'] } });
+    expect(result.error).toContain('Digest label "FastReader//Digests" is not a valid label name');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestLabel: [' FastReader/Digests '], digestThreading: ['true'] } });
+    expect(result.success).toBe(true);
+    expect(scriptContext.getConfiguration()).toMatchObject({ digestLabel: 'FastReader/Digests', digestThreading: true });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Regression tests for digests sent to other recipients
+ *
+ * Tests verify that:
+ * - Each recipient gets the digest limited to their topics or categories
+ * - The user's own digest stays complete, and recipients without items get nothing
+ * - Recipient digests leave out mailbox links, thread message lists and add-on notes
+ * - A failing recipient does not stop the others or the scheduled digest
+ * - Recipients are validated against the configured topics in Email Settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Freeze time before the context captures Date: Monday 2024-01-15, 21:30 UTC
+jest.useFakeTimers({ now: new Date('2024-01-15T21:30:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Digest Recipients Regression Tests', () => {
+  let mockPropertiesStore;
+  let ownDigests;
+  let recipientDigests;
+
+  const config = {
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader',
+    mustDoTopics: 'tax forms to file\nwork deadlines',
+    mustKnowTopics: 'school trips',
+    urgencyHorizonDays: 1,
+    vipSenders: '',
+    digestTimes: '21:00',
+    digestRecipients: 'partner@example.com = school trips\naccountant@example.com = tax forms to file\nassistant@example.com = must do'
+  };
+
+  const results = {
+    mustDo: [
+      { emailId: 'tax', subject: 'Tax return', sender: 'office@tax.gov', keyAction: 'File the tax return', topic: 'tax forms to file', threadId: 't-tax' },
+      { emailId: 'work', subject: 'Quarterly report', sender: 'boss@work.example', keyAction: 'Send the quarterly report', topic: 'work deadlines', threadId: 't-work' },
+      { emailId: 'form', subject: 'Trip consent', sender: 'teacher@school.org', keyAction: 'Sign the trip consent form', topic: 'School Trips', threadId: 't-form' }
+    ],
+    mustKnow: [
+      { emailId: 'trip', subject: 'Zoo trip', sender: 'teacher@school.org', keyKnowledge: 'The zoo trip is on Friday', topic: 'school trips', threadId: 't-trip' }
+    ],
+    stillOpen: [],
+    totalProcessed: 4,
+    timeRange: '1day'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = {};
+    ownDigests = [];
+    recipientDigests = {};
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.GmailApp = {
+      createDraft: jest.fn((to, subject, body, options) => {
+        ownDigests.push({ to: to, subject: subject, body: body, html: options.htmlBody });
+        return { send: jest.fn(() => ({ getThread: () => ({ getId: () => 'digest-thread' }) })) };
+      }),
+      sendEmail: jest.fn((to, subject, body, options) => {
+        recipientDigests[to] = { subject: subject, body: body, html: options.htmlBody };
+      })
+    };
+    scriptContext.markEmailAsImportantOrStarred = jest.fn();
+    scriptContext.getUserEmailAddress = jest.fn(() => 'user@example.com');
+  });
+
+  test('sends each recipient only the items of their topics or categories', () => {
+    const sent = scriptContext.sendDigestToRecipients(results, 'Gmail Fast Reader - Email Summary (1day)', config);
+
+    expect(sent).toBe(3);
+    const partner = recipientDigests['partner@example.com'];
+    expect(partner.subject).toBe('Gmail Fast Reader - Email Summary (1day)');
+    expect(partner.html).toContain('Sign the trip consent form');
+    expect(partner.html).toContain('The zoo trip is on Friday');
+    expect(partner.html).not.toContain('Send the quarterly report');
+    expect(partner.html).not.toContain('File the tax return');
+    expect(partner.body).toContain('The zoo trip is on Friday');
+    expect(partner.body).not.toContain('Send the quarterly report');
+
+    const accountant = recipientDigests['accountant@example.com'];
+    expect(accountant.html).toContain('File the tax return');
+    expect(accountant.html).not.toContain('I Must Know');
+
+    // A category brings every item of that category, whatever its topic
+    const assistant = recipientDigests['assistant@example.com'];
+    ['File the tax return', 'Send the quarterly report', 'Sign the trip consent form'].forEach(action => {
+      expect(assistant.html).toContain(action);
+    });
+    expect(assistant.html).not.toContain('The zoo trip is on Friday');
+  });
+
+  test('leaves out links into the mailbox, thread messages and add-on notes for recipients', () => {
+    const threadItem = {
+      ...results.mustKnow[0],
+      rfc822MessageId: 'zoo@school.org',
+      messageCount: 2,
+      messages: [
+        { emailId: 'trip-1', rfc822MessageId: 'zoo-1@school.org', subject: 'Zoo trip', sender: 'teacher@school.org' },
+        { emailId: 'trip', rfc822MessageId: 'zoo@school.org', subject: 'Re: Zoo trip', sender: 'parent@example.com' }
+      ]
+    };
+    const openTask = { ...results.mustDo[2], rfc822MessageId: 'form@school.org', openSince: '2024-01-10T00:00:00Z' };
+    const digest = { mustDo: [], mustKnow: [threadItem], stillOpen: [openTask], totalProcessed: 2 };
+
+    scriptContext.sendDigestToRecipients(digest, 'Digest', { ...config, digestRecipients: 'partner@example.com = school trips' });
+
+    const partner = recipientDigests['partner@example.com'];
+    ['zoo@school.org', 'zoo%40school.org', 'form%40school.org', 'mail.google.com', 'Messages in this thread', 'parent@example.com', 'Mark tasks as done', 'open the Gmail Fast Reader add-on'].forEach(text => {
+      expect(partner.html).not.toContain(text);
+      expect(partner.body).not.toContain(text);
+    });
+    expect(partner.html).toContain('The zoo trip is on Friday');
+    expect(partner.body).toContain('Sign the trip consent form');
+    expect(partner.body).toContain('only lists the topics shared with you');
+
+    // The user's own digest keeps them
+    const own = scriptContext.generateSummaryHTML(digest, config);
+    expect(own).toContain('zoo%40school.org');
+    expect(own).toContain('Messages in this thread');
+    expect(own).toContain('Mark tasks as done');
+  });
+
+  test('leaves out recipients without items', () => {
+    const sent = scriptContext.sendDigestToRecipients({ mustDo: [results.mustDo[1]], mustKnow: [], totalProcessed: 1 }, 'Digest', config);
+
+    expect(sent).toBe(1);
+    expect(Object.keys(recipientDigests)).toEqual(['assistant@example.com']);
+  });
+
+  test('sends the full scheduled digest to the user and filtered ones to recipients', () => {
+    scriptContext.loadAccumulatedResults = jest.fn(() => ({ mustDo: results.mustDo, mustKnow: results.mustKnow, totalProcessed: 4 }));
+    scriptContext.clearAccumulatedResults = jest.fn();
+    // One recipient fails; the others and the user's digest are not affected
+    scriptContext.GmailApp.sendEmail.mockImplementationOnce(() => { throw new Error('Invalid recipient'); });
+
+    expect(scriptContext.sendDailySummaryIfNeeded(config)).toBe(true);
+
+    expect(ownDigests).toHaveLength(1);
+    expect(ownDigests[0].to).toBe('user@example.com');
+    ['File the tax return', 'Send the quarterly report', 'Sign the trip consent form', 'The zoo trip is on Friday'].forEach(text => {
+      expect(ownDigests[0].html).toContain(text);
+    });
+    expect(scriptContext.GmailApp.sendEmail).toHaveBeenCalledTimes(3);
+    expect(Object.keys(recipientDigests).sort()).toEqual(['accountant@example.com', 'assistant@example.com']);
+    expect(recipientDigests['accountant@example.com'].subject).toBe(ownDigests[0].subject);
+    expect(scriptContext.clearAccumulatedResults).toHaveBeenCalled();
+  });
+
+  test('validates recipients against the configured topics when saving Email Settings', () => {
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+    mockPropertiesStore.mustDoTopics = config.mustDoTopics;
+    mockPropertiesStore.mustKnowTopics = config.mustKnowTopics;
+
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestRecipients: ['Partner <partner@example.com> = school trips'] } });
+    expect(result.error).toContain('is not a valid email address');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestRecipients: ['partner@example.com'] } });
+    expect(result.error).toContain('Recipient partner@example.com needs topics or categories');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestRecipients: ['partner@example.com = football'] } });
+    expect(result.error).toContain('"football" for partner@example.com is not one of your topics');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestRecipients: ['Partner@Example.com =  School Trips ,must know\n\naccountant@example.com=tax forms to file'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.digestRecipients).toBe('partner@example.com = school trips, must know\naccountant@example.com = tax forms to file');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Regression tests for the configurable digest schedule
+ *
+ * Tests verify that:
+ * - A digest is sent by the first hourly run at or after each delivery time, once
+ * - Several digests a day, weekdays-only and weekly schedules are honoured
+ * - A due digest is sent by hourly runs that find no new mail
+ * - Delivery times are validated when System Settings are saved
+ * - A summary date stored before times were configurable still counts as sent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Monday 2024-01-15 01:00 UTC is 06:30 in Kolkata
+jest.useFakeTimers({ now: new Date('2024-01-15T01:00:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Digest Schedule Regression Tests', () => {
+  let mockPropertiesStore;
+  let sentSubjects;
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = {};
+    sentSubjects = [];
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.GmailApp = {
+      createDraft: jest.fn((to, subject) => {
+        sentSubjects.push(subject);
+        return { send: jest.fn(() => ({ getThread: () => ({ getId: () => 'digest-thread' }) })) };
+      })
+    };
+    scriptContext.loadAccumulatedResults = jest.fn(() => ({ mustDo: [{ subject: 'Task', keyAction: 'Do it' }], mustKnow: [], totalProcessed: 1 }));
+    scriptContext.clearAccumulatedResults = jest.fn();
+    scriptContext.generateSummaryHTML = jest.fn(() => '<html></html>');
+    scriptContext.generateSummaryText = jest.fn(() => '');
+    scriptContext.markEmailAsImportantOrStarred = jest.fn();
+    scriptContext.getUserEmailAddress = jest.fn(() => 'user@example.com');
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+  });
+
+  function runAt(isoTime, config) {
+    jest.setSystemTime(new Date(isoTime));
+    return scriptContext.sendDailySummaryIfNeeded({ addonName: 'Gmail Fast Reader', timeZone: 'Asia/Kolkata', ...config });
+  }
+
+  test('sends a morning digest once, at the first run after its time', () => {
+    const config = { digestTimes: '7:30' };
+
+    expect(runAt('2024-01-15T01:50:00Z', config)).toBe(false); // 07:20
+    expect(runAt('2024-01-15T02:45:00Z', config)).toBe(true); // 08:15
+    expect(runAt('2024-01-15T03:45:00Z', config)).toBe(false); // 09:15
+
+    expect(sentSubjects).toEqual(['Gmail Fast Reader - Daily Summary - 2024-01-15']);
+    expect(mockPropertiesStore.passiveLastSummarySlot).toBe('2024-01-15 07:30');
+  });
+
+  test('sends each of several daily digests', () => {
+    const config = { digestTimes: '18:00, 07:30' };
+
+    expect(runAt('2024-01-15T02:45:00Z', config)).toBe(true); // 08:15
+    expect(runAt('2024-01-15T11:45:00Z', config)).toBe(false); // 17:15
+    expect(runAt('2024-01-15T12:45:00Z', config)).toBe(true); // 18:15
+    expect(runAt('2024-01-15T18:45:00Z', config)).toBe(false); // 00:15 the next day
+
+    expect(sentSubjects).toEqual([
+      'Gmail Fast Reader - Daily Summary - 2024-01-15 07:30',
+      'Gmail Fast Reader - Daily Summary - 2024-01-15 18:00'
+    ]);
+  });
+
+  test('an hourly run without new mail still sends the due digest', () => {
+    Object.assign(mockPropertiesStore, {
+      openaiApiKey: 'sk-test',
+      timeZone: 'Asia/Kolkata',
+      digestTimes: '07:30',
+      digestFrequency: 'weekly',
+      digestWeekday: 'Monday'
+    });
+    scriptContext.fetchEmailThreadsForPassiveWorkflow = jest.fn(() => []);
+    scriptContext.processEmailsInBatches = jest.fn();
+
+    jest.setSystemTime(new Date('2024-01-15T02:45:00Z')); // Monday 08:15
+    scriptContext.runPassiveWorkflow();
+
+    expect(scriptContext.processEmailsInBatches).not.toHaveBeenCalled();
+    expect(sentSubjects).toEqual(['Gmail Fast Reader - Weekly Summary - 2024-01-15']);
+    expect(mockPropertiesStore.passiveLastSummarySlot).toBe('2024-01-15 07:30');
+    expect(mockPropertiesStore.processingLock).toBeUndefined();
+
+    // Nor does a run too soon after the previous one to have a range to search
+    jest.setSystemTime(new Date('2024-01-15T04:45:00Z')); // Monday 10:15
+    mockPropertiesStore.passiveLastProcessedTimestamp = new Date(Date.now() + 31 * 60 * 1000).toISOString();
+    mockPropertiesStore.digestTimes = '07:30, 10:00';
+    scriptContext.runPassiveWorkflow();
+
+    expect(scriptContext.fetchEmailThreadsForPassiveWorkflow).toHaveBeenCalledTimes(1);
+    expect(sentSubjects).toHaveLength(2);
+    expect(mockPropertiesStore.passiveLastSummarySlot).toBe('2024-01-15 10:00');
+  });
+
+  test('honours weekdays-only and weekly schedules', () => {
+    // Saturday 2024-01-20 and Sunday 2024-01-21, 08:15 in Kolkata
+    expect(runAt('2024-01-20T02:45:00Z', { digestTimes: '07:30', digestFrequency: 'weekdays' })).toBe(false);
+    expect(runAt('2024-01-15T02:45:00Z', { digestTimes: '07:30', digestFrequency: 'weekdays' })).toBe(true);
+
+    const weekly = { digestTimes: '07:30', digestFrequency: 'weekly', digestWeekday: 'Sunday' };
+    expect(runAt('2024-01-20T02:45:00Z', weekly)).toBe(false);
+    expect(runAt('2024-01-21T02:45:00Z', weekly)).toBe(true);
+    expect(sentSubjects[1]).toBe('Gmail Fast Reader - Weekly Summary - 2024-01-21');
+  });
+
+  test('validates delivery times when saving settings', () => {
+    expect(scriptContext.parseDigestTimes('18:00; 7:05')).toEqual(['07:05', '18:00']);
+
+    let result = scriptContext.handleSystemSettingsSubmit({ formInputs: { timeZone: ['Asia/Kolkata'], digestTimes: ['07:30, 08:00'] } });
+    expect(result.error).toContain('must be at least an hour apart');
+
+    result = scriptContext.handleSystemSettingsSubmit({ formInputs: { timeZone: ['Asia/Kolkata'], digestTimes: ['25:00'] } });
+    expect(result.error).toContain('must be HH:mm');
+    expect(mockPropertiesStore.digestTimes).toBeUndefined();
+
+    result = scriptContext.handleSystemSettingsSubmit({ formInputs: { timeZone: ['Asia/Kolkata'], digestTimes: ['7:30,18:00'], digestFrequency: ['weekdays'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.digestTimes).toBe('07:30, 18:00');
+    expect(mockPropertiesStore.digestFrequency).toBe('weekdays');
+  });
+
+  test('a summary date from before configurable times counts as sent for the whole day', () => {
+    mockPropertiesStore.passiveLastSummaryDate = '2024-01-15';
+
+    expect(runAt('2024-01-15T12:45:00Z', { digestTimes: '07:30, 18:00' })).toBe(false);
+    expect(runAt('2024-01-16T02:45:00Z', { digestTimes: '07:30, 18:00' })).toBe(true);
+  });
+});
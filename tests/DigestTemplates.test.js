@@ -0,0 +1,152 @@
+/**
+ * Regression tests for the layouts and color themes of the digest email
+ *
+ * Tests verify that:
+ * - The detailed layout is the default and keeps its look
+ * - The compact layout renders one line per item
+ * - The grouped layout lists items by topic, most important topic first
+ * - The dark theme changes the palette, and unknown settings fall back to the defaults
+ * - Layout and theme are saved from Email Settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Freeze time before the context captures Date: Monday 2024-01-15, 10:00 UTC
+jest.useFakeTimers({ now: new Date('2024-01-15T10:00:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Digest Template Regression Tests', () => {
+  let mockPropertiesStore;
+
+  const config = {
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader',
+    urgencyHorizonDays: 1,
+    vipSenders: ''
+  };
+
+  const results = {
+    mustDo: [
+      {
+        emailId: 'tax', rfc822MessageId: 'tax@tax.gov', subject: 'Tax return', sender: 'office@tax.gov',
+        keyAction: 'File the tax return', date: '2024-01-18', dateKind: 'deadline', importance: 5, topic: 'tax', threadId: 't-tax'
+      },
+      {
+        emailId: 'trip', rfc822MessageId: 'trip@school.org', subject: 'School trip', sender: 'teacher@school.org',
+        keyAction: 'Sign the trip form', date: '2024-01-16', importance: 3, topic: 'school', threadId: 't-trip'
+      }
+    ],
+    mustKnow: [
+      {
+        emailId: 'closed', rfc822MessageId: 'closed@school.org', subject: 'School closed', sender: 'principal@school.org',
+        keyKnowledge: 'School closed on Friday', date: null, importance: 2, topic: 'school', threadId: 't-closed'
+      }
+    ],
+    stillOpen: [],
+    totalProcessed: 3,
+    timeRange: '1day'
+  };
+
+  function summaryWith(overrides) {
+    return scriptContext.generateSummaryHTML(results, Object.assign({}, config, overrides));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = {};
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); })
+      }))
+    };
+  });
+
+  test('uses the detailed layout and light palette by default', () => {
+    const html = summaryWith({});
+
+    expect(html).toEqual(summaryWith({ digestLayout: 'detailed', digestTheme: 'light' }));
+    expect(html).toContain('I Must Do (2 items)');
+    expect(html).toContain('<strong>Action:</strong> File the tax return');
+    expect(html).toContain('From: teacher@school.org | Topic: school');
+    expect(html).toContain('color: #333333; background: #ffffff;');
+    expect(html).toContain('<meta name="color-scheme" content="light">');
+
+    // Unknown settings, e.g. from an older version, fall back to the defaults
+    expect(summaryWith({ digestLayout: 'fancy', digestTheme: 'neon' })).toEqual(html);
+  });
+
+  test('renders one line per item in the compact layout', () => {
+    const html = summaryWith({ digestLayout: 'compact' });
+
+    expect(html).toContain('I Must Do (2)');
+    expect(html).not.toContain('<strong>Action:</strong>');
+    expect(html).toMatch(/<div class="item important compact">&#11088; <strong>File the tax return<\/strong> <span class="date">&#128197; Due 2024-01-18<\/span> <span class="item-meta">Tax return - office@tax.gov<\/span> <a href="https:\/\/mail\.google\.com[^"]*"[^>]*>&#128279;<\/a><\/div>/);
+    expect(html).toContain('<strong>Sign the trip form</strong> <span class="urgent-date">&#128197; 2024-01-16 (URGENT!)</span>');
+    expect(html).toContain('<strong>School closed on Friday</strong> <span class="item-meta">');
+  });
+
+  test('groups items by topic, most important topic first', () => {
+    const html = summaryWith({ digestLayout: 'byTopic' });
+
+    expect(html).not.toContain('I Must Do');
+    expect(html).toContain('&#128193; tax (1 items)');
+    expect(html).toContain('&#128193; school (2 items)');
+    expect(html.indexOf('&#128193; tax')).toBeLessThan(html.indexOf('&#128193; school'));
+    // Must-do and must-know items of a topic keep their own labels
+    expect(html).toContain('<strong>Action:</strong> Sign the trip form');
+    expect(html).toContain('<strong>Key Info:</strong> School closed on Friday');
+    expect(html.indexOf('Sign the trip form')).toBeLessThan(html.indexOf('School closed on Friday'));
+  });
+
+  test('uses the dark palette for every layout', () => {
+    ['detailed', 'compact', 'byTopic'].forEach(layout => {
+      const html = summaryWith({ digestLayout: layout, digestTheme: 'dark' });
+      expect(html).toContain('<meta name="color-scheme" content="dark">');
+      expect(html).toContain('color: #e3e3e3; background: #1f1f1f;');
+      expect(html).toContain('color: #8ab4f8;');
+      expect(html).not.toContain('#3498db');
+    });
+  });
+
+  test('saves the layout and theme from Email Settings', () => {
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+
+    expect(scriptContext.getConfiguration()).toMatchObject({ digestLayout: 'detailed', digestTheme: 'light' });
+
+    const result = scriptContext.handleEmailSettingsSubmit({ formInputs: { digestLayout: ['compact'], digestTheme: ['dark'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.digestLayout).toBe('compact');
+    expect(mockPropertiesStore.digestTheme).toBe('dark');
+    expect(scriptContext.getConfiguration()).toMatchObject({ digestLayout: 'compact', digestTheme: 'dark' });
+  });
+});
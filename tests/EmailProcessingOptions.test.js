@@ -51,6 +51,11 @@ const constantsJsPath = path.join(__dirname, '../addon/Constants.js');
 const constantsCode = fs.readFileSync(constantsJsPath, 'utf8');
 vm.runInContext(constantsCode, scriptContext);
 
+// Load Logging.js
+const loggingJsPath = path.join(__dirname, '../addon/Logging.js');
+const loggingCode = fs.readFileSync(loggingJsPath, 'utf8');
+vm.runInContext(loggingCode, scriptContext);
+
 // Load Config.js
 const configJsPath = path.join(__dirname, '../addon/Config.js');
 const configCode = fs.readFileSync(configJsPath, 'utf8');
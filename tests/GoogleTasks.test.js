@@ -0,0 +1,228 @@
+/**
+ * Regression tests for the Google Tasks export of "must do" items
+ *
+ * Tests verify that:
+ * - Must-do items of a scan become tasks with title, due date and notes in the chosen list
+ * - A reply in the same thread updates its task instead of adding one
+ * - Tasks are completed when their thread is archived or the item is marked done
+ * - Tasks created before a failing item are recorded, and a deleted task counts as completed
+ * - An unknown task list is rejected when Email Settings are saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  DriveApp: null,
+  Tasks: null,
+  CardService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Google Tasks Export Regression Tests', () => {
+  let mockPropertiesStore;
+  let driveFiles;
+  let googleTasks;
+  let inboxThreads;
+
+  const threads = [{ threadId: 't1', subject: 'Field trip', emails: [{ id: 'm1', subject: 'Field trip', sender: 'school@example.com', date: new Date('2024-01-15T08:00:00Z'), body: '' }] }];
+
+  function mustDoItem(overrides) {
+    return Object.assign({
+      emailId: 'm1',
+      rfc822MessageId: 'm1@school.org',
+      subject: 'Field trip',
+      sender: 'school@example.com',
+      keyAction: 'Sign the trip form',
+      date: '2024-01-19',
+      topic: 'school trips',
+      threadId: 't1',
+      receivedAt: '2024-01-15T08:00:00.000Z'
+    }, overrides);
+  }
+
+  function scanWith(results) {
+    scriptContext.analyzeEmailsWithOpenAI = jest.fn(() => Object.assign({ mustDo: [], mustKnow: [], totalProcessed: 1 }, results));
+    return scriptContext.processEmailsInBatches(threads, scriptContext.getConfiguration());
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = { tasksExport: 'true', tasksListId: 'Team' };
+    driveFiles = {};
+    googleTasks = {};
+    inboxThreads = new Set(['t1', 't2']);
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.DriveApp = {
+      getFileById: jest.fn((id) => {
+        if (!driveFiles[id]) throw new Error('File not found');
+        return driveFiles[id];
+      }),
+      getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+      createFile: jest.fn((name, content) => {
+        const file = {
+          content: content,
+          getId: () => name,
+          getName: () => name,
+          getBlob: () => ({ getDataAsString: () => file.content }),
+          setContent: jest.fn((newContent) => { file.content = newContent; })
+        };
+        driveFiles[name] = file;
+        return file;
+      })
+    };
+    scriptContext.Tasks = {
+      Tasklists: {
+        list: jest.fn(() => ({ items: [{ id: 'list-default', title: 'My Tasks' }, { id: 'list-team', title: 'Team' }] }))
+      },
+      Tasks: {
+        insert: jest.fn((resource, taskListId) => {
+          const id = 'task-' + scriptContext.Tasks.Tasks.insert.mock.calls.length;
+          googleTasks[id] = Object.assign({ id: id, taskListId: taskListId, status: 'needsAction' }, resource);
+          return googleTasks[id];
+        }),
+        patch: jest.fn((resource, taskListId, taskId) => {
+          if (!googleTasks[taskId]) throw new Error('API call to tasks.tasks.patch failed with error: Not Found');
+          return Object.assign(googleTasks[taskId], resource);
+        })
+      }
+    };
+    scriptContext.GmailApp = {
+      getThreadById: jest.fn((id) => ({ isInInbox: () => inboxThreads.has(id) }))
+    };
+    scriptContext.updateProcessingProgress = jest.fn();
+    scriptContext.applyLabelsToInterestingEmails = jest.fn();
+    scriptContext.markProcessedEmailsAsRead = jest.fn();
+    scriptContext.removeUninterestingEmailsFromInbox = jest.fn();
+  });
+
+  test('exports must-do items with title, due date and notes to the chosen list', () => {
+    scanWith({
+      mustDo: [mustDoItem(), mustDoItem({ emailId: 'm2', rfc822MessageId: 'm2@club.org', threadId: 't2', keyAction: 'Pay the tennis fee', date: null })],
+      mustKnow: [mustDoItem({ emailId: 'm3', threadId: 't3', keyAction: undefined, keyKnowledge: 'School closed on Monday' })]
+    });
+
+    const exported = Object.values(googleTasks);
+    expect(exported).toHaveLength(2);
+    expect(exported[0]).toMatchObject({ taskListId: 'list-team', title: 'Sign the trip form', due: '2024-01-19T00:00:00.000Z' });
+    expect(exported[0].notes).toContain('From: school@example.com');
+    expect(exported[0].notes).toContain('Subject: Field trip');
+    expect(exported[0].notes).toContain('https://mail.google.com/mail/u/0/#search/rfc822msgid%3Am1%40school.org');
+    expect(exported[1].title).toBe('Pay the tennis fee');
+    expect(exported[1].due).toBeUndefined();
+  });
+
+  test('updates the task of a thread when a reply arrives', () => {
+    scanWith({ mustDo: [mustDoItem()] });
+    scanWith({ mustDo: [mustDoItem({ emailId: 'm4', rfc822MessageId: 'm4@school.org', keyAction: 'Sign the form by Thursday', date: '2024-01-18', receivedAt: '2024-01-16T08:00:00.000Z' })] });
+
+    expect(scriptContext.Tasks.Tasks.insert).toHaveBeenCalledTimes(1);
+    expect(googleTasks['task-1']).toMatchObject({ title: 'Sign the form by Thursday', due: '2024-01-18T00:00:00.000Z' });
+  });
+
+  test('completes tasks of archived threads only', () => {
+    inboxThreads = new Set(['t1']);
+    scanWith({ mustDo: [mustDoItem(), mustDoItem({ emailId: 'm2', rfc822MessageId: 'm2@club.org', threadId: 't2', keyAction: 'Pay the tennis fee' })] });
+
+    expect(scriptContext.completeGoogleTasksOfArchivedThreads(scriptContext.getConfiguration())).toBe(0);
+
+    // t1 is archived; t2 was never in the inbox, so it is left alone
+    inboxThreads.delete('t1');
+    expect(scriptContext.completeGoogleTasksOfArchivedThreads(scriptContext.getConfiguration())).toBe(1);
+    expect(googleTasks['task-1'].status).toBe('completed');
+    expect(googleTasks['task-2'].status).toBe('needsAction');
+
+    // A completed task is not exported again for the same message
+    scanWith({ mustDo: [mustDoItem()] });
+    expect(scriptContext.Tasks.Tasks.insert).toHaveBeenCalledTimes(2);
+  });
+
+  test('records the tasks created before an item fails', () => {
+    const tennis = mustDoItem({ emailId: 'm2', rfc822MessageId: 'm2@club.org', threadId: 't2', keyAction: 'Pay the tennis fee' });
+    const insert = scriptContext.Tasks.Tasks.insert.getMockImplementation();
+    scriptContext.Tasks.Tasks.insert.mockImplementation((resource, taskListId) => {
+      if (resource.title === 'Pay the tennis fee') throw new Error('Quota exceeded');
+      return insert(resource, taskListId);
+    });
+
+    scanWith({ mustDo: [mustDoItem(), tennis] });
+    expect(Object.keys(googleTasks)).toEqual(['task-1']);
+
+    scriptContext.Tasks.Tasks.insert.mockImplementation(insert);
+    scanWith({ mustDo: [mustDoItem(), tennis] });
+    expect(Object.values(googleTasks).map(task => task.title)).toEqual(['Sign the trip form', 'Pay the tennis fee']);
+  });
+
+  test('treats a task deleted in Google Tasks as completed', () => {
+    scanWith({ mustDo: [mustDoItem(), mustDoItem({ emailId: 'm2', rfc822MessageId: 'm2@club.org', threadId: 't2', keyAction: 'Pay the tennis fee' })] });
+    delete googleTasks['task-1'];
+
+    // The same message neither fails nor recreates the task, and other items are still exported
+    scanWith({ mustDo: [mustDoItem(), mustDoItem({ emailId: 'm2', rfc822MessageId: 'm2@club.org', threadId: 't2', keyAction: 'Pay the fee by Friday' })] });
+    expect(scriptContext.Tasks.Tasks.insert).toHaveBeenCalledTimes(2);
+    expect(googleTasks['task-2'].title).toBe('Pay the fee by Friday');
+
+    // Archiving the thread of a deleted task does not fail either
+    inboxThreads.delete('t1');
+    expect(scriptContext.completeGoogleTasksOfArchivedThreads(scriptContext.getConfiguration())).toBe(0);
+
+    // A newer message in the thread exports it again
+    scanWith({ mustDo: [mustDoItem({ emailId: 'm5', keyAction: 'Sign the new form', receivedAt: '2099-01-01T08:00:00.000Z' })] });
+    expect(scriptContext.Tasks.Tasks.insert).toHaveBeenCalledTimes(3);
+    expect(googleTasks['task-3'].title).toBe('Sign the new form');
+  });
+
+  test('completes the task when the item is marked done in the add-on', () => {
+    scanWith({ mustDo: [mustDoItem()] });
+    scriptContext.saveTaskStore({ tasks: [Object.assign(mustDoItem(), { taskId: 't1', openSince: '2024-01-15T21:00:00.000Z' })], done: {} });
+    scriptContext.buildOpenTasksCard = jest.fn(() => ({ openTasks: true }));
+
+    expect(scriptContext.handleMarkTaskDone({ parameters: { taskId: 't1', returnTo: 'openTasks' } })).toEqual({ openTasks: true });
+    expect(googleTasks['task-1'].status).toBe('completed');
+  });
+
+  test('rejects an unknown task list when saving Email Settings', () => {
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { tasksExport: ['true'], tasksListId: ['Groceries'] } });
+    expect(result.error).toContain('Task list "Groceries" not found');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { tasksExport: ['true'], tasksListId: ['team'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.tasksExport).toBe('true');
+    expect(mockPropertiesStore.tasksListId).toBe('team');
+  });
+});
@@ -48,16 +48,41 @@ const constantsJsPath = path.join(__dirname, '../addon/Constants.js');
 const constantsCode = fs.readFileSync(constantsJsPath, 'utf8');
 vm.runInContext(constantsCode, scriptContext);
 
+// Load Logging.js
+const loggingJsPath = path.join(__dirname, '../addon/Logging.js');
+const loggingCode = fs.readFileSync(loggingJsPath, 'utf8');
+vm.runInContext(loggingCode, scriptContext);
+
 // Load Config.js (needed for getConfiguration and saveConfiguration)
 const configJsPath = path.join(__dirname, '../addon/Config.js');
 const configCode = fs.readFileSync(configJsPath, 'utf8');
 vm.runInContext(configCode, scriptContext);
 
+// Load ResultItems.js
+const resultItemsJsPath = path.join(__dirname, '../addon/ResultItems.js');
+const resultItemsCode = fs.readFileSync(resultItemsJsPath, 'utf8');
+vm.runInContext(resultItemsCode, scriptContext);
+
+// Load DriveStorage.js
+const driveStorageJsPath = path.join(__dirname, '../addon/DriveStorage.js');
+const driveStorageCode = fs.readFileSync(driveStorageJsPath, 'utf8');
+vm.runInContext(driveStorageCode, scriptContext);
+
+// Load ProcessedLedger.js
+const processedLedgerJsPath = path.join(__dirname, '../addon/ProcessedLedger.js');
+const processedLedgerCode = fs.readFileSync(processedLedgerJsPath, 'utf8');
+vm.runInContext(processedLedgerCode, scriptContext);
+
 // Load EmailProcessor.js (needed for fetchEmailThreadsFromGmail)
 const emailProcessorJsPath = path.join(__dirname, '../addon/EmailProcessor.js');
 const emailProcessorCode = fs.readFileSync(emailProcessorJsPath, 'utf8');
 vm.runInContext(emailProcessorCode, scriptContext);
 
+// Load TaskStore.js
+const taskStoreJsPath = path.join(__dirname, '../addon/TaskStore.js');
+const taskStoreCode = fs.readFileSync(taskStoreJsPath, 'utf8');
+vm.runInContext(taskStoreCode, scriptContext);
+
 // Load Code.js (needed for fetchEmailThreadsForPassiveWorkflow and runPassiveWorkflow)
 const codeJsPath = path.join(__dirname, '../addon/Code.js');
 const codeJs = fs.readFileSync(codeJsPath, 'utf8');
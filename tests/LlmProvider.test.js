@@ -0,0 +1,337 @@
+/**
+ * Regression tests for the pluggable LLM provider layer
+ *
+ * Tests verify that:
+ * - Each provider builds the right URL, auth headers and payload
+ * - Provider responses are turned into plain text, and responses without text are rejected
+ * - analyzeEmailsWithOpenAI is routed through the selected provider
+ * - Provider configuration completeness is checked per provider
+ * - The OpenAI-compatible provider is only offered and saved for the endpoint whitelisted at deployment
+ * - Transient errors are retried with backoff honoring rate-limit headers, fatal ones are not
+ * - Retries stop before the execution deadline of the run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  UrlFetchApp: null,
+  Utilities: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'LlmProvider.js', 'EmailProcessor.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('LLM Provider Regression Tests', () => {
+  const prompt = [
+    { role: 'developer', content: 'You analyze emails.' },
+    { role: 'user', content: 'MY TOPICS' },
+    { role: 'user', content: 'THREAD 1' }
+  ];
+
+  const analysisJson = JSON.stringify({ mustDo: [], mustKnow: [{ emailId: 'msg1', keyKnowledge: 'Info' }] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scriptContext.UrlFetchApp = {
+      fetch: jest.fn(() => ({
+        getContentText: () => JSON.stringify({ choices: [{ message: { content: analysisJson } }] }),
+        getResponseCode: () => 200,
+        getHeaders: () => ({})
+      }))
+    };
+    scriptContext.Utilities = { sleep: jest.fn(), formatDate: global.Utilities.formatDate };
+  });
+
+  function mockHttpResponses(responses) {
+    let call = 0;
+    scriptContext.UrlFetchApp.fetch = jest.fn(() => {
+      const next = responses[Math.min(call++, responses.length - 1)];
+      if (next instanceof Error) throw next;
+      return {
+        getContentText: () => JSON.stringify(next.body),
+        getResponseCode: () => next.status,
+        getHeaders: () => next.headers || {}
+      };
+    });
+  }
+
+  const openaiConfig = { llmProvider: 'openai', openaiApiKey: 'sk-test' };
+  const okResponse = { status: 200, body: { choices: [{ message: { content: analysisJson } }] } };
+
+  describe('Request building', () => {
+    test('OpenAI uses Bearer auth, the configured model and the developer role', () => {
+      const request = scriptContext.buildLlmRequest(prompt, {
+        llmProvider: 'openai',
+        openaiApiKey: 'sk-test',
+        openaiModel: 'gpt-test'
+      });
+      const payload = JSON.parse(request.options.payload);
+
+      expect(request.url).toBe('https://api.openai.com/v1/chat/completions');
+      expect(request.options.headers.Authorization).toBe('Bearer sk-test');
+      expect(payload.model).toBe('gpt-test');
+      expect(payload.messages[0].role).toBe('developer');
+    });
+
+    test('Azure OpenAI targets the deployment with an api-key header', () => {
+      const request = scriptContext.buildLlmRequest(prompt, {
+        llmProvider: 'azure',
+        azureEndpoint: 'https://my-resource.openai.azure.com/',
+        azureDeployment: 'mail-reader',
+        azureApiVersion: '2024-10-21',
+        azureApiKey: 'azure-key'
+      });
+      const payload = JSON.parse(request.options.payload);
+
+      expect(request.url).toBe('https://my-resource.openai.azure.com/openai/deployments/mail-reader/chat/completions?api-version=2024-10-21');
+      expect(request.options.headers['api-key']).toBe('azure-key');
+      expect(request.options.headers.Authorization).toBeUndefined();
+      expect(payload.model).toBeUndefined();
+      expect(payload.messages[0].role).toBe('system');
+    });
+
+    test('Anthropic moves instructions to the system prompt and merges user messages', () => {
+      const request = scriptContext.buildLlmRequest(prompt, {
+        llmProvider: 'anthropic',
+        anthropicApiKey: 'ant-key',
+        anthropicModel: 'claude-test'
+      });
+      const payload = JSON.parse(request.options.payload);
+
+      expect(request.url).toBe('https://api.anthropic.com/v1/messages');
+      expect(request.options.headers['x-api-key']).toBe('ant-key');
+      expect(request.options.headers['anthropic-version']).toBeDefined();
+      expect(payload.model).toBe('claude-test');
+      expect(payload.system).toBe('You analyze emails.');
+      expect(payload.messages).toEqual([{ role: 'user', content: 'MY TOPICS\n\nTHREAD 1' }]);
+    });
+
+    test('OpenAI-compatible endpoint omits auth when no key is configured', () => {
+      const request = scriptContext.buildLlmRequest(prompt, {
+        llmProvider: 'compatible',
+        compatibleBaseUrl: 'https://llm.example.com/v1/',
+        compatibleModel: 'llama3'
+      });
+      const payload = JSON.parse(request.options.payload);
+
+      expect(request.url).toBe('https://llm.example.com/v1/chat/completions');
+      expect(request.options.headers.Authorization).toBeUndefined();
+      expect(payload.model).toBe('llama3');
+    });
+  });
+
+  describe('Response handling', () => {
+    test('extracts text blocks from Anthropic responses', () => {
+      const text = scriptContext.extractLlmResponseText('anthropic', {
+        content: [{ type: 'text', text: '{"mustDo":' }, { type: 'text', text: '[]}' }]
+      });
+      expect(text).toBe('{"mustDo":[]}');
+    });
+
+    test('rejects OpenAI-style responses without message content', () => {
+      const compatibleConfig = { llmProvider: 'compatible', compatibleBaseUrl: 'https://llm.example.com/v1', compatibleModel: 'llama3' };
+      mockHttpResponses([{ status: 200, body: { object: 'chat.completion', choices: [] } }]);
+      let thrown;
+      try { scriptContext.callLlmAPI(prompt, compatibleConfig); } catch (e) { thrown = e; }
+      expect(thrown.message).toBe('OpenAI-compatible (Ollama, vLLM, gateway) API response has no message content');
+      expect(thrown.llmErrorKind).toBe('invalid_request');
+      expect(scriptContext.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+
+      mockHttpResponses([{ status: 200, body: { choices: [{ message: { content: null }, finish_reason: 'tool_calls' }] } }]);
+      try { scriptContext.callLlmAPI(prompt, openaiConfig); } catch (e) { thrown = e; }
+      expect(thrown.message).toBe('OpenAI API response has no message content (finish reason: tool_calls)');
+    });
+
+    test('routes analyzeEmailsWithOpenAI through the selected provider', () => {
+      scriptContext.UrlFetchApp.fetch = jest.fn(() => ({
+        getContentText: () => JSON.stringify({ content: [{ type: 'text', text: analysisJson }] }),
+        getResponseCode: () => 200,
+        getHeaders: () => ({})
+      }));
+
+      const threads = [{
+        threadId: 'thread1',
+        subject: 'Subject',
+        emails: [{ id: 'msg1', subject: 'Subject', sender: 'a@example.com', date: new Date('2024-01-15T10:00:00Z'), body: 'Body' }]
+      }];
+      const results = scriptContext.analyzeEmailsWithOpenAI(threads, {
+        llmProvider: 'anthropic',
+        anthropicApiKey: 'ant-key',
+        mustDoTopics: 'payments',
+        mustKnowTopics: 'school'
+      });
+
+      expect(scriptContext.UrlFetchApp.fetch.mock.calls[0][0]).toBe('https://api.anthropic.com/v1/messages');
+      expect(results.mustKnow).toHaveLength(1);
+      expect(results.totalProcessed).toBe(1);
+    });
+
+    test('surfaces provider errors with the provider name', () => {
+      scriptContext.UrlFetchApp.fetch = jest.fn(() => ({
+        getContentText: () => JSON.stringify({ error: { message: 'bad key' } }),
+        getResponseCode: () => 200,
+        getHeaders: () => ({})
+      }));
+
+      expect(() => scriptContext.callLlmAPI(prompt, { llmProvider: 'azure', azureEndpoint: 'https://x', azureDeployment: 'd', azureApiKey: 'k' }))
+        .toThrow('Azure OpenAI API error: bad key');
+    });
+  });
+
+  describe('Retry policy', () => {
+    test('retries a 429 after the delay given by retry-after', () => {
+      mockHttpResponses([
+        { status: 429, body: { error: { message: 'Rate limit reached' } }, headers: { 'Retry-After': '3' } },
+        okResponse
+      ]);
+
+      expect(scriptContext.callLlmAPI(prompt, openaiConfig)).toBe(analysisJson);
+      expect(scriptContext.UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+      expect(scriptContext.UrlFetchApp.fetch.mock.calls[0][1].muteHttpExceptions).toBe(true);
+      expect(scriptContext.Utilities.sleep).toHaveBeenCalledWith(3000);
+    });
+
+    test('waits for exhausted rate limits to reset when there is no retry-after', () => {
+      expect(scriptContext.getRetryDelayFromHeaders({
+        'x-ratelimit-remaining-requests': '5',
+        'x-ratelimit-reset-requests': '1s',
+        'x-ratelimit-remaining-tokens': '0',
+        'x-ratelimit-reset-tokens': '1m30s'
+      })).toBe(90000);
+      expect(scriptContext.getRetryDelayFromHeaders({})).toBeNull();
+    });
+
+    test('retries server and network errors with exponential backoff', () => {
+      mockHttpResponses([
+        new Error('Address unavailable'),
+        { status: 503, body: { error: { message: 'Overloaded' } } },
+        okResponse
+      ]);
+
+      expect(scriptContext.callLlmAPI(prompt, openaiConfig)).toBe(analysisJson);
+      const delays = scriptContext.Utilities.sleep.mock.calls.map(call => call[0]);
+      expect(delays).toHaveLength(2);
+      expect(delays[1]).toBeGreaterThan(delays[0]);
+    });
+
+    test('gives up on transient errors after the maximum number of attempts', () => {
+      mockHttpResponses([{ status: 500, body: { error: { message: 'Server error' } } }]);
+
+      let thrown;
+      try { scriptContext.callLlmAPI(prompt, openaiConfig); } catch (e) { thrown = e; }
+
+      expect(thrown.retryable).toBe(true);
+      expect(thrown.llmErrorKind).toBe('server_error');
+      expect(thrown.message).toContain('gave up after 5 attempts');
+    });
+
+    test('stops retrying when the next attempt would not finish before the execution deadline', () => {
+      mockHttpResponses([
+        { status: 429, body: { error: { message: 'Rate limit reached' } }, headers: { 'Retry-After': '3' } },
+        okResponse
+      ]);
+
+      let thrown;
+      try { scriptContext.callLlmAPI(prompt, openaiConfig, undefined, Date.now() + 2000); } catch (e) { thrown = e; }
+      expect(thrown.llmErrorKind).toBe('rate_limited');
+      expect(thrown.message).toContain('would exceed the time left in this run');
+      expect(scriptContext.Utilities.sleep).not.toHaveBeenCalled();
+
+      // Batches pass the deadline of their run down to every call, the JSON repair included
+      mockHttpResponses([{ status: 503, body: { error: { message: 'Overloaded' } } }]);
+      const threads = [{ threadId: 't', subject: 'S', emails: [{ id: 'msg1', subject: 'S', sender: 'a', date: new Date(), body: 'B' }] }];
+      try { scriptContext.analyzeEmailsWithOpenAI(threads, { ...openaiConfig, mustDoTopics: 'a', mustKnowTopics: 'b' }, Date.now() + 1000); } catch (e) { thrown = e; }
+      expect(thrown.llmErrorKind).toBe('server_error');
+      expect(scriptContext.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(scriptContext.getExecutionDeadline(0)).toBe(5 * 60 * 1000);
+    });
+
+    test('does not retry an invalid key or exhausted quota', () => {
+      mockHttpResponses([{ status: 401, body: { error: { message: 'Incorrect API key provided' } } }]);
+      let thrown;
+      try { scriptContext.callLlmAPI(prompt, openaiConfig); } catch (e) { thrown = e; }
+      expect(thrown.llmErrorKind).toBe('authentication');
+      expect(thrown.retryable).toBe(false);
+
+      mockHttpResponses([{ status: 429, body: { error: { message: 'You exceeded your current quota', code: 'insufficient_quota' } } }]);
+      try { scriptContext.callLlmAPI(prompt, openaiConfig); } catch (e) { thrown = e; }
+      expect(thrown.llmErrorKind).toBe('quota_exhausted');
+      expect(scriptContext.UrlFetchApp.fetch).toHaveBeenCalledTimes(1);
+      expect(scriptContext.Utilities.sleep).not.toHaveBeenCalled();
+    });
+
+    test('keeps the classification when the analysis wraps the error', () => {
+      mockHttpResponses([{ status: 403, body: { error: { message: 'Forbidden' } } }]);
+      const threads = [{ threadId: 't', subject: 'S', emails: [{ id: 'msg1', subject: 'S', sender: 'a', date: new Date(), body: 'B' }] }];
+
+      let thrown;
+      try { scriptContext.analyzeEmailsWithOpenAI(threads, { ...openaiConfig, mustDoTopics: 'a', mustKnowTopics: 'b' }); } catch (e) { thrown = e; }
+
+      expect(thrown.message).toContain('Failed to analyze emails');
+      expect(thrown.llmErrorKind).toBe('authentication');
+    });
+  });
+
+  describe('Configuration completeness', () => {
+    test('checks the credentials of the selected provider only', () => {
+      expect(scriptContext.isLlmConfigured({ llmProvider: 'openai', openaiApiKey: 'sk' })).toBe(true);
+      expect(scriptContext.isLlmConfigured({ llmProvider: 'anthropic', openaiApiKey: 'sk' })).toBe(false);
+      expect(scriptContext.isLlmConfigured({ llmProvider: 'azure', azureEndpoint: 'https://x', azureDeployment: 'd' })).toBe(false);
+      expect(scriptContext.isLlmConfigured({ llmProvider: 'compatible', compatibleBaseUrl: 'https://x', compatibleModel: 'm' })).toBe(true);
+    });
+
+    test('offers the OpenAI-compatible provider only for the endpoint whitelisted at deployment', () => {
+      const offered = (context, config) => context.getSelectableLlmProviderOptions(config).map(option => option.value);
+      let savedProperties = null;
+      const propertiesService = {
+        getUserProperties: () => ({ setProperties: jest.fn((props) => { savedProperties = props; }) })
+      };
+
+      // The manifest only whitelists the built-in providers unless the deployment adds an endpoint
+      expect(offered(scriptContext, { llmProvider: 'openai' })).toEqual(['openai', 'azure', 'anthropic']);
+      expect(offered(scriptContext, { llmProvider: 'compatible' })).toContain('compatible');
+      scriptContext.PropertiesService = propertiesService;
+      expect(() => scriptContext.saveConfiguration({ llmProvider: 'compatible', compatibleBaseUrl: 'https://llm.example.com/v1' }))
+        .toThrow('This deployment cannot reach an OpenAI-compatible endpoint');
+      scriptContext.saveConfiguration({ llmProvider: 'openai', compatibleBaseUrl: 'https://llm.example.com/v1' });
+      expect(savedProperties.llmProvider).toBe('openai');
+
+      // As substituted by scripts/substitute-compatible-endpoint.js from .compatible-endpoint-url.txt
+      const deployedContext = vm.createContext({ ...scriptContext, PropertiesService: propertiesService });
+      ['Constants.js', 'Config.js', 'LlmProvider.js'].forEach(file => {
+        const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8')
+          .replace("const COMPATIBLE_ENDPOINT_URL_PREFIX = '';", "const COMPATIBLE_ENDPOINT_URL_PREFIX = 'https://llm.example.com/v1/';");
+        vm.runInContext(code, deployedContext);
+      });
+      expect(offered(deployedContext, { llmProvider: 'openai' })).toContain('compatible');
+      expect(deployedContext.isCompatibleBaseUrlAllowed('https://llm.example.com/v1/')).toBe(true);
+      expect(deployedContext.isCompatibleBaseUrlAllowed('https://llm.example.com/v2')).toBe(false);
+      expect(() => deployedContext.saveConfiguration({ llmProvider: 'compatible', compatibleBaseUrl: 'https://evil.example.com/v1' }))
+        .toThrow('Base URL "https://evil.example.com/v1" is not allowed by this deployment. Use an address starting with https://llm.example.com/v1/');
+      deployedContext.saveConfiguration({ llmProvider: 'compatible', compatibleBaseUrl: ' https://llm.example.com/v1 ' });
+      expect(savedProperties.compatibleBaseUrl).toBe('https://llm.example.com/v1');
+    });
+  });
+});
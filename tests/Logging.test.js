@@ -0,0 +1,112 @@
+/**
+ * Regression tests for leveled logging and redaction
+ *
+ * Tests verify that:
+ * - API keys never reach the logs, at any level
+ * - Email content (subjects, senders, payloads) is only logged at the debug level
+ * - The log level comes from the user's System Settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Create a fresh context per log level, since the level is read once per execution
+ */
+function createScriptContext(logLevel) {
+  const logged = [];
+  const record = (...args) => { logged.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ')); };
+  const scriptContext = vm.createContext({
+    ...global,
+    PropertiesService: {
+      getUserProperties: () => ({
+        getProperty: (key) => (key === 'logLevel' ? logLevel : null)
+      })
+    },
+    UrlFetchApp: null,
+    Utilities: { sleep: jest.fn(), formatDate: global.Utilities.formatDate },
+    console: { log: jest.fn(record), warn: jest.fn(record), error: jest.fn(record) },
+    Date: Date,
+    JSON: JSON,
+    Math: Math,
+    parseInt: parseInt,
+    parseFloat: parseFloat,
+    String: String,
+    Array: Array,
+    Object: Object,
+    Error: Error,
+    TypeError: TypeError,
+    ReferenceError: ReferenceError,
+    encodeURIComponent: encodeURIComponent
+  });
+
+  ['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'LlmProvider.js', 'EmailProcessor.js'].forEach(file => {
+    const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+    vm.runInContext(code, scriptContext);
+  });
+
+  scriptContext.UrlFetchApp = {
+    fetch: jest.fn(() => ({
+      getContentText: () => JSON.stringify({ choices: [{ message: { content: '{"mustDo":[],"mustKnow":[]}' } }] }),
+      getResponseCode: () => 200,
+      getHeaders: () => ({})
+    }))
+  };
+
+  return { scriptContext, logged };
+}
+
+describe('Logging Regression Tests', () => {
+  const config = { llmProvider: 'openai', openaiApiKey: 'sk-secretkey12345', mustDoTopics: 'bills', mustKnowTopics: 'school' };
+  const threads = [{
+    threadId: 'thread1',
+    subject: 'Confidential subject',
+    emails: [{ id: 'msg1', subject: 'Confidential subject', sender: 'ceo@example.com', date: new Date('2024-01-15T10:00:00Z'), body: 'Private body' }]
+  }];
+
+  test('info level logs neither the API key nor email content', () => {
+    const { scriptContext, logged } = createScriptContext(null);
+
+    scriptContext.analyzeEmailsWithOpenAI(threads, config);
+
+    const output = logged.join('\n');
+    expect(output).toContain('OpenAI API request');
+    expect(output).not.toContain('sk-secretkey12345');
+    expect(output).not.toContain('Confidential subject');
+    expect(output).not.toContain('ceo@example.com');
+    expect(output).not.toContain('Private body');
+  });
+
+  test('debug level logs email content but still redacts the API key', () => {
+    const { scriptContext, logged } = createScriptContext('debug');
+
+    scriptContext.analyzeEmailsWithOpenAI(threads, config);
+
+    const output = logged.join('\n');
+    expect(output).toContain('Confidential subject');
+    expect(output).toContain('Private body');
+    expect(output).not.toContain('sk-secretkey12345');
+    expect(output).toContain('[REDACTED]');
+  });
+
+  test('error level suppresses informational messages', () => {
+    const { scriptContext, logged } = createScriptContext('error');
+
+    scriptContext.logInfo('info message');
+    scriptContext.logWarn('warn message');
+    scriptContext.logError('error message');
+
+    expect(logged).toEqual(['error message']);
+  });
+
+  test('redacts secrets in strings, headers and errors', () => {
+    const { scriptContext } = createScriptContext(null);
+
+    expect(scriptContext.redactSecrets('Authorization: Bearer abc.def-123')).not.toContain('abc.def-123');
+    expect(scriptContext.redactSecrets({ 'x-api-key': 'ant-key', 'Content-Type': 'application/json' }))
+      .toEqual({ 'x-api-key': '[REDACTED]', 'Content-Type': 'application/json' });
+    expect(scriptContext.redactSecrets(new Error('bad key sk-ant-abcdefghijkl'))).not.toContain('abcdefghijkl');
+    expect(scriptContext.redactContent('Confidential subject')).toBe('[content redacted, 20 chars]');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Regression tests for the plain-text part of summary emails
+ *
+ * Tests verify that:
+ * - The plain-text digest has the sections, items and footer of the HTML digest
+ * - Urgency and importance markers and Gmail permalinks are included
+ * - Every summary email is sent with the plain-text digest as its plain body
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Freeze time before the context captures Date: Monday 2024-01-15, 10:00 UTC
+jest.useFakeTimers({ now: new Date('2024-01-15T10:00:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Plain-Text Digest Regression Tests', () => {
+  const config = {
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader',
+    urgencyHorizonDays: 1,
+    vipSenders: 'school.org'
+  };
+
+  const results = {
+    mustDo: [
+      {
+        emailId: 'party', rfc822MessageId: 'party@example.com', subject: 'Birthday party', sender: 'parent@example.com',
+        keyAction: 'Reply to the party invitation', date: '2024-01-16', time: '15:00', dateKind: 'event', importance: 2,
+        topic: 'family', threadId: 't-party'
+      },
+      {
+        emailId: 'tax', rfc822MessageId: 'tax@tax.gov', subject: 'Tax return', sender: 'Tax Office <office@tax.gov>',
+        keyAction: 'File the tax return', date: '2024-01-18', dateKind: 'deadline', importance: 5,
+        topic: 'tax', threadId: 't-tax'
+      }
+    ],
+    mustKnow: [
+      {
+        emailId: 'closed', rfc822MessageId: 'closed@school.org', subject: 'School closed', sender: 'Principal <principal@school.org>',
+        keyKnowledge: 'School closed on Friday\u202E', date: null, importance: 3, topic: 'school', threadId: 't-closed'
+      }
+    ],
+    stillOpen: [],
+    totalProcessed: 7,
+    actualStartDate: '2024-01-14T10:00:00.000Z',
+    actualEndDate: '2024-01-15T10:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scriptContext.getUserEmailAddress = jest.fn(() => 'user@example.com');
+    scriptContext.markEmailAsImportantOrStarred = jest.fn();
+    scriptContext.GmailApp = {
+      createDraft: jest.fn(() => ({ send: jest.fn(() => ({ getThread: () => ({ getId: () => 'digest-thread' }) })) }))
+    };
+    scriptContext.getConfiguration = jest.fn(() => config);
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+  });
+
+  test('renders sections, markers and permalinks as plain text', () => {
+    const text = scriptContext.generateSummaryText(results, config);
+
+    expect(text).toContain('Gmail Fast Reader - Email Summary for 2024-01-14 10:00 - 2024-01-15 10:00');
+    expect(text).toContain('I MUST DO (2)');
+    expect(text).toContain('I MUST KNOW (1)');
+    expect(text).not.toContain('STILL OPEN');
+    expect(text).toContain('1. [IMPORTANT] File the tax return\n   When: Due 2024-01-18\n   Tax return - Tax Office <office@tax.gov>');
+    expect(text).toContain('2. [URGENT] Reply to the party invitation\n   When: 2024-01-16 15:00');
+    expect(text).toContain('1. [IMPORTANT] School closed on Friday\n');
+    expect(text).toContain('Topic: school | VIP sender');
+    expect(text).toContain('https://mail.google.com/mail/u/0/#search/rfc822msgid%3Atax%40tax.gov');
+    expect(text).toContain('Total emails processed: 7');
+    expect(text).not.toMatch(/<(div|a|span|br)\b/);
+    expect(text).not.toContain('\u202E');
+  });
+
+  test('says so when there is nothing to report', () => {
+    const text = scriptContext.generateSummaryText({ mustDo: [], mustKnow: [], totalProcessed: 3, timeRange: '1day' }, config);
+
+    expect(text).toContain('Gmail Fast Reader - Email Summary (1day)');
+    expect(text).toContain('No relevant emails found');
+    expect(text).toContain('Total emails processed: 3');
+  });
+
+  test('sends every summary email with the plain-text digest as its plain body', () => {
+    const result = scriptContext.sendSummaryEmail({ parameters: { results: JSON.stringify(results) } });
+    expect(result.success).toBe(true);
+
+    const [to, subject, body, options] = scriptContext.GmailApp.createDraft.mock.calls[0];
+    expect(to).toBe('user@example.com');
+    expect(subject).toBe('Gmail Fast Reader - Email Summary for 2024-01-14 10:00 - 2024-01-15 10:00');
+    expect(body).toBe(scriptContext.generateSummaryText(results, config));
+    expect(options.htmlBody).toContain('File the tax return');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Regression tests for the priority model of the digest
+ *
+ * Tests verify that:
+ * - The model rates the importance of every item, and odd ratings are normalized
+ * - The digest is sorted by combined priority, so an important deadline beats a trivial item due sooner
+ * - The urgency horizon is configurable, and must-know items are highlighted too
+ * - VIP senders boost their items
+ * - Invalid horizons and VIP senders are rejected when Email Settings are saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Freeze time before the context captures Date: Monday 2024-01-15, 10:00 UTC
+jest.useFakeTimers({ now: new Date('2024-01-15T10:00:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'LlmProvider.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Priority Regression Tests', () => {
+  let mockPropertiesStore;
+
+  const config = {
+    llmProvider: 'openai',
+    openaiApiKey: 'sk-test',
+    mustDoTopics: 'tax forms to file',
+    mustKnowTopics: 'school',
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader',
+    urgencyHorizonDays: 1,
+    vipSenders: ''
+  };
+
+  const taxDeadline = {
+    emailId: 'tax', subject: 'Tax return', sender: 'Tax Office <office@tax.gov>', keyAction: 'File the tax return',
+    date: '2024-01-18', dateKind: 'deadline', importance: 5, topic: 'tax forms to file', threadId: 't-tax'
+  };
+  const birthdayParty = {
+    emailId: 'party', subject: 'Birthday party', sender: 'parent@example.com', keyAction: 'Reply to the party invitation',
+    date: '2024-01-16', dateKind: 'event', importance: 2, topic: 'other', threadId: 't-party'
+  };
+
+  function summaryFor(results, overrides) {
+    return scriptContext.generateSummaryHTML(Object.assign({ mustDo: [], mustKnow: [], totalProcessed: 2 }, results), Object.assign({}, config, overrides));
+  }
+
+  // Opening tag of the item block that contains the text
+  function itemTag(html, text) {
+    const tags = html.substring(0, html.indexOf(text)).match(/<div class="item( \w+)?">/g);
+    return tags[tags.length - 1];
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = {};
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); })
+      }))
+    };
+  });
+
+  test('asks the model for an importance rating and normalizes it', () => {
+    const prompt = scriptContext.buildAnalysisPrompt([], config).map(message => message.content).join('\n');
+    expect(prompt).toContain('"importance": 3');
+    expect(prompt).toContain('Rate the "importance" of every item from 1');
+
+    const schema = vm.runInContext('ANALYSIS_RESPONSE_SCHEMA', scriptContext);
+    expect(schema.properties.mustDo.items.required).toContain('importance');
+
+    expect(scriptContext.normalizeAnalysisImportance(5)).toBe(5);
+    expect(scriptContext.normalizeAnalysisImportance('4')).toBe(4);
+    expect(scriptContext.normalizeAnalysisImportance(9)).toBe(5);
+    expect(scriptContext.normalizeAnalysisImportance(0)).toBe(1);
+    expect(scriptContext.normalizeAnalysisImportance('high')).toBe(3);
+    expect(scriptContext.normalizeAnalysisImportance(undefined)).toBe(3);
+  });
+
+  test('ranks an important deadline in three days above a trivial party tomorrow', () => {
+    const html = summaryFor({ mustDo: [birthdayParty, taxDeadline] });
+
+    expect(html.indexOf('File the tax return')).toBeLessThan(html.indexOf('Reply to the party invitation'));
+    // The party is urgent by date; the tax return is highlighted by importance
+    expect(itemTag(html, 'File the tax return')).toBe('<div class="item important">');
+    expect(html).toContain('&#11088; Tax return');
+    expect(html).toContain('2024-01-16 (URGENT!)');
+    expect(html).not.toContain('2024-01-18 (URGENT!)');
+  });
+
+  test('flags items urgent within the configured horizon, must-know items included', () => {
+    const schoolClosed = {
+      emailId: 'closed', subject: 'School closed', sender: 'school@example.com', keyKnowledge: 'School closed on Thursday',
+      date: '2024-01-18', importance: 3, topic: 'school', threadId: 't-closed'
+    };
+
+    let html = summaryFor({ mustDo: [taxDeadline], mustKnow: [schoolClosed] }, { urgencyHorizonDays: 3 });
+    expect(html).toContain('Due 2024-01-18 (URGENT!)');
+    expect(itemTag(html, 'School closed on Thursday')).toBe('<div class="item urgent">');
+
+    html = summaryFor({ mustDo: [birthdayParty] }, { urgencyHorizonDays: 0 });
+    expect(html).not.toContain('(URGENT!)');
+  });
+
+  test('boosts and marks items from VIP senders', () => {
+    const fromPrincipal = {
+      emailId: 'principal', subject: 'Meeting request', sender: 'Principal <principal@school.org>', keyKnowledge: 'The principal wants to meet',
+      date: null, importance: 3, topic: 'school', threadId: 't-principal'
+    };
+    const newsletter = {
+      emailId: 'news', subject: 'Newsletter', sender: 'news@example.com', keyKnowledge: 'New library hours',
+      date: null, importance: 4, topic: 'school', threadId: 't-news'
+    };
+
+    const html = summaryFor({ mustKnow: [newsletter, fromPrincipal] }, { vipSenders: 'school.org' });
+
+    expect(html.indexOf('The principal wants to meet')).toBeLessThan(html.indexOf('New library hours'));
+    expect(html).toContain('Topic: school | VIP sender');
+    expect(itemTag(html, 'The principal wants to meet')).toBe('<div class="item important">');
+
+    const context = scriptContext.getPriorityContext(Object.assign({}, config, { vipSenders: 'school.org' }));
+    expect(scriptContext.getItemPriority(fromPrincipal, context)).toMatchObject({ score: 5, isVip: true, isHighlighted: true });
+  });
+
+  test('validates the horizon and VIP senders when saving Email Settings', () => {
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { urgencyHorizonDays: ['two'] } });
+    expect(result.error).toContain('Urgency horizon must be a whole number of days from 0 to 30');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { urgencyHorizonDays: ['3'], vipSenders: ['Jane Doe <jane@school.org>'] } });
+    expect(result.error).toContain('must be a single address, domain or wildcard');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { urgencyHorizonDays: ['0'], vipSenders: ['Jane@School.org\n\n*@*.gov.uk'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.urgencyHorizonDays).toBe('0');
+    expect(mockPropertiesStore.vipSenders).toBe('jane@school.org\n*@*.gov.uk');
+    expect(scriptContext.getConfiguration().urgencyHorizonDays).toBe(0);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Regression tests for the processed-message ledger
+ *
+ * Tests verify that:
+ * - Messages already in the ledger are not fetched for analysis again
+ * - Analyzed messages are recorded with their outcome, including uninteresting ones
+ * - The ledger stays bounded
+ * - The passive workflow records what it analyzed and overlaps its previous run safely
+ * - An explicit re-scan ignores the ledger
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  ScriptApp: null,
+  GmailApp: null,
+  DriveApp: null,
+  Session: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+// Top-level consts are not exposed on the context object
+const maxEntries = vm.runInContext('LEDGER_MAX_ENTRIES', scriptContext);
+
+describe('Processed Ledger Regression Tests', () => {
+  let mockPropertiesStore;
+  let ledgerContent;
+  let messages;
+
+  function createMockMessage(id, date) {
+    return {
+      getId: () => id,
+      getSubject: () => 'Subject ' + id,
+      getFrom: () => 'sender@example.com',
+      getDate: () => date,
+      getPlainBody: () => 'Body',
+      getRawContent: () => `Message-ID: <${id}@example.com>\n`
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ledgerContent = null;
+
+    mockPropertiesStore = { openaiApiKey: 'test-key' };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+
+    const ledgerFile = {
+      getId: () => 'ledger-id',
+      getName: () => 'ledger',
+      getBlob: () => ({ getDataAsString: () => ledgerContent || '{"entries":{}}' }),
+      setContent: jest.fn((content) => { ledgerContent = content; }),
+      setTrashed: jest.fn(() => { ledgerContent = null; })
+    };
+    scriptContext.DriveApp = {
+      getFileById: jest.fn(() => ledgerFile),
+      getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+      createFile: jest.fn(() => ledgerFile)
+    };
+
+    const now = Date.now();
+    messages = [
+      createMockMessage('msg1', new Date(now - 2 * 60 * 60 * 1000)),
+      createMockMessage('msg2', new Date(now - 60 * 60 * 1000))
+    ];
+    scriptContext.GmailApp = {
+      search: jest.fn(() => [{
+        getId: () => 'thread1',
+        getFirstMessageSubject: () => 'Subject msg1',
+        getMessages: () => messages
+      }]),
+      sendEmail: jest.fn()
+    };
+    scriptContext.getUserEmailAddress = jest.fn(() => 'me@example.com');
+  });
+
+  function ledgerEntries() {
+    return JSON.parse(ledgerContent).entries;
+  }
+
+  test('skips messages that are already in the ledger', () => {
+    const dateRange = { start: new Date(Date.now() - 24 * 60 * 60 * 1000), end: new Date() };
+
+    const threads = scriptContext.fetchEmailThreadsFromGmail(dateRange, { msg1: { processedAt: '2024-01-01T00:00:00Z', outcome: 'none' } });
+
+    expect(threads).toHaveLength(1);
+    expect(threads[0].emails.map(email => email.id)).toEqual(['msg2']);
+  });
+
+  test('records every analyzed message with its outcome', () => {
+    const threads = [{ threadId: 't', emails: [{ id: 'msg1' }, { id: 'msg2' }, { id: 'msg3' }] }];
+
+    scriptContext.recordProcessedMessages(threads, {
+      mustDo: [{ emailId: 'msg1' }, { emailId: 'msg3' }],
+      mustKnow: [{ emailId: 'msg3' }]
+    });
+
+    const entries = ledgerEntries();
+    expect(entries.msg1.outcome).toBe('mustDo');
+    expect(entries.msg2.outcome).toBe('none');
+    expect(entries.msg3.outcome).toBe('both');
+    expect(entries.msg2.processedAt).toBeDefined();
+  });
+
+  test('keeps only the most recently analyzed messages', () => {
+    const entries = {};
+    for (let i = 0; i < maxEntries; i++) {
+      entries['old' + i] = { processedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(), outcome: 'none' };
+    }
+    ledgerContent = JSON.stringify({ entries: entries });
+
+    scriptContext.recordProcessedMessages([{ threadId: 't', emails: [{ id: 'new' }] }], { mustDo: [], mustKnow: [] });
+
+    const saved = ledgerEntries();
+    expect(Object.keys(saved)).toHaveLength(maxEntries);
+    expect(saved.new).toBeDefined();
+    expect(saved.old0).toBeUndefined();
+  });
+
+  test('passive workflow records uninteresting messages so they are not analyzed again', () => {
+    scriptContext.processEmailsInBatches = jest.fn(() => ({ mustDo: [], mustKnow: [], totalProcessed: 2, batchesProcessed: 1 }));
+    scriptContext.sendDailySummaryIfNeeded = jest.fn();
+
+    scriptContext.runPassiveWorkflow();
+    expect(scriptContext.processEmailsInBatches).toHaveBeenCalledTimes(1);
+    expect(Object.keys(ledgerEntries()).sort()).toEqual(['msg1', 'msg2']);
+    expect(mockPropertiesStore.passiveLastProcessedTimestamp).toBeDefined();
+
+    // Next run overlaps the previous one but finds nothing new to analyze
+    scriptContext.runPassiveWorkflow();
+    expect(scriptContext.processEmailsInBatches).toHaveBeenCalledTimes(1);
+  });
+
+  test('passive date range overlaps the previous run', () => {
+    const lastRun = new Date(Date.now() - 60 * 60 * 1000);
+    mockPropertiesStore.passiveLastProcessedTimestamp = lastRun.toISOString();
+
+    const dateRange = scriptContext.calculatePassiveWorkflowDateRange();
+
+    expect(dateRange.start.getTime()).toBe(lastRun.getTime() - 30 * 60 * 1000);
+  });
+
+  test('explicit re-scan ignores the ledger', () => {
+    ledgerContent = JSON.stringify({ entries: { msg1: { processedAt: '2024-01-01T00:00:00Z', outcome: 'none' } } });
+    scriptContext.fetchEmailThreadsFromGmail = jest.fn(() => []);
+    scriptContext.ensureDispatcherScheduled = jest.fn();
+    scriptContext.finalizeChunkedProcessing = jest.fn();
+    Object.assign(mockPropertiesStore, {
+      chunkCurrentStart: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+      chunkEnd: new Date().toISOString(),
+      chunkIndex: '0',
+      chunkTotalChunks: '1',
+      chunkRescan: 'true'
+    });
+
+    scriptContext.processEmailsChunkedStep();
+    expect(scriptContext.fetchEmailThreadsFromGmail.mock.calls[0][1]).toBeNull();
+
+    mockPropertiesStore.chunkIndex = '0';
+    mockPropertiesStore.chunkRescan = 'false';
+    scriptContext.processEmailsChunkedStep();
+    expect(scriptContext.fetchEmailThreadsFromGmail.mock.calls[1][1]).toEqual({ msg1: { processedAt: '2024-01-01T00:00:00Z', outcome: 'none' } });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Regression tests for the single-message Quick Scan card
+ *
+ * Tests verify that:
+ * - Opening a message analyzes its whole thread within the time of a card trigger
+ * - The card shows classification, action, date and topic with action buttons
+ * - Unconfigured add-ons show a configuration hint instead of calling the model
+ * - Items can be labeled or added to today's accumulated digest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  Session: null,
+  DriveApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js', 'UI.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Quick Scan Regression Tests', () => {
+  let mockPropertiesStore;
+  let paragraphs;
+  let actions;
+  let savedContent;
+
+  function createMockMessage(id, subject, date) {
+    return {
+      getId: () => id,
+      getSubject: () => subject,
+      getFrom: () => 'school@example.com',
+      getDate: () => date,
+      getPlainBody: () => 'Please sign the trip form by Friday.',
+      getRawContent: () => `Message-ID: <${id}@example.com>\n`,
+      getThread: () => mockThread
+    };
+  }
+
+  let mockThread;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    paragraphs = [];
+    actions = [];
+    savedContent = null;
+
+    mockPropertiesStore = {
+      openaiApiKey: 'test-key',
+      mustDoTopics: 'school trips',
+      mustKnowTopics: 'school news',
+      mustDoLabel: 'TODO',
+      mustKnowLabel: 'FYI'
+    };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn(),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+
+    const messages = [
+      createMockMessage('msg2', 'Re: School trip', new Date('2024-01-15T12:00:00Z')),
+      createMockMessage('msg1', 'School trip', new Date('2024-01-15T10:00:00Z'))
+    ];
+    mockThread = {
+      getId: () => 'thread1',
+      getFirstMessageSubject: () => 'School trip',
+      getMessages: () => messages,
+      addLabel: jest.fn()
+    };
+
+    scriptContext.GmailApp = {
+      setCurrentMessageAccessToken: jest.fn(),
+      getMessageById: jest.fn((id) => messages.find(m => m.getId() === id) || null),
+      getUserLabelByName: jest.fn((name) => ({ getName: () => name })),
+      createLabel: jest.fn(),
+      search: jest.fn(() => [])
+    };
+
+    scriptContext.DriveApp = {
+      getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+      createFile: jest.fn((name, content) => ({
+        getId: () => 'file-id',
+        getName: () => name,
+        getBlob: () => ({ getDataAsString: () => content }),
+        setContent: jest.fn((newContent) => { savedContent = newContent; })
+      }))
+    };
+
+    // Minimal CardService mock that records texts and actions
+    const chain = (extra = {}) => {
+      const obj = {};
+      ['setTitle', 'setSubtitle', 'setHeader', 'addSection', 'addWidget', 'addButton', 'setText', 'setOnClickAction']
+        .forEach(name => { obj[name] = jest.fn(() => obj); });
+      return Object.assign(obj, extra);
+    };
+    scriptContext.CardService = {
+      newCardBuilder: jest.fn(() => chain({ build: jest.fn(() => ({ type: 'card' })) })),
+      newCardHeader: jest.fn(() => chain()),
+      newCardSection: jest.fn(() => chain()),
+      newButtonSet: jest.fn(() => chain()),
+      newTextButton: jest.fn(() => chain()),
+      newTextParagraph: jest.fn(() => {
+        const widget = chain();
+        widget.setText = jest.fn((text) => { paragraphs.push(text); return widget; });
+        return widget;
+      }),
+      newAction: jest.fn(() => {
+        const action = {};
+        action.setFunctionName = jest.fn((name) => { action.name = name; return action; });
+        action.setParameters = jest.fn((params) => { action.params = params; actions.push(action); return action; });
+        return action;
+      })
+    };
+
+    scriptContext.analyzeEmailsWithOpenAI = jest.fn(() => ({
+      mustDo: [{
+        emailId: 'msg1',
+        rfc822MessageId: 'msg1@example.com',
+        subject: 'School trip',
+        sender: 'school@example.com',
+        keyAction: 'Sign the trip form',
+        date: '2024-01-19',
+        topic: 'school trips'
+      }],
+      mustKnow: [],
+      totalProcessed: 2
+    }));
+  });
+
+  test('should analyze the whole thread of the opened message', () => {
+    scriptContext.onGmailMessageOpen({ gmail: { messageId: 'msg2', accessToken: 'token' } });
+
+    expect(scriptContext.GmailApp.setCurrentMessageAccessToken).toHaveBeenCalledWith('token');
+    expect(scriptContext.analyzeEmailsWithOpenAI).toHaveBeenCalledTimes(1);
+    const threads = scriptContext.analyzeEmailsWithOpenAI.mock.calls[0][0];
+    expect(threads).toHaveLength(1);
+    expect(threads[0].threadId).toBe('thread1');
+    // Emails sorted oldest first
+    expect(threads[0].emails.map(email => email.id)).toEqual(['msg1', 'msg2']);
+  });
+
+  test('should give the model only the time a card trigger allows', () => {
+    const before = Date.now();
+    scriptContext.onGmailMessageOpen({ gmail: { messageId: 'msg2' } });
+
+    const deadline = scriptContext.analyzeEmailsWithOpenAI.mock.calls[0][2];
+    expect(deadline).toBeGreaterThanOrEqual(before + 25 * 1000);
+    expect(deadline).toBeLessThanOrEqual(Date.now() + 25 * 1000);
+  });
+
+  test('should show classification, action, date and topic with action buttons', () => {
+    scriptContext.onGmailMessageOpen({ gmail: { messageId: 'msg2' } });
+
+    const itemText = paragraphs.find(text => text.includes('Sign the trip form'));
+    expect(itemText).toContain('2024-01-19');
+    expect(itemText).toContain('school trips');
+    expect(actions.map(action => action.name)).toEqual(['handleQuickScanApplyLabel', 'handleQuickScanAddToDigest']);
+    expect(actions[0].params.category).toBe('mustDo');
+  });
+
+  test('should not call the model when configuration is incomplete', () => {
+    delete mockPropertiesStore.openaiApiKey;
+
+    scriptContext.onGmailMessageOpen({ gmail: { messageId: 'msg2' } });
+
+    expect(scriptContext.analyzeEmailsWithOpenAI).not.toHaveBeenCalled();
+    expect(paragraphs.some(text => text.includes('configure'))).toBe(true);
+  });
+
+  test('should apply only the label of the selected category', () => {
+    const item = { emailId: 'msg1', subject: 'School trip' };
+
+    scriptContext.handleQuickScanApplyLabel({ parameters: { category: 'mustDo', item: JSON.stringify(item) } });
+
+    expect(scriptContext.GmailApp.getUserLabelByName).toHaveBeenCalledWith('TODO');
+    expect(scriptContext.GmailApp.getUserLabelByName).not.toHaveBeenCalledWith('FYI');
+    expect(mockThread.addLabel).toHaveBeenCalled();
+  });
+
+  test('should add the item to the accumulated digest', () => {
+    const item = { emailId: 'msg1', subject: 'School trip', keyKnowledge: 'Trip is on Friday' };
+
+    scriptContext.handleQuickScanAddToDigest({ parameters: { category: 'mustKnow', item: JSON.stringify(item) } });
+
+    const saved = JSON.parse(savedContent);
+    expect(saved.mustKnow).toEqual([item]);
+    expect(saved.mustDo).toEqual([]);
+  });
+});
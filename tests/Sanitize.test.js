@@ -0,0 +1,161 @@
+/**
+ * Regression tests for escaping of email and model content in summaries and cards
+ *
+ * Tests verify that:
+ * - Markup in subjects, sender names, topics and model replies is escaped in the digest email
+ * - Links are only emitted for https URLs on allowlisted hosts
+ * - Card text (summary card, Quick Scan, open tasks) is escaped the same way
+ * - Control and bidirectional override characters are stripped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  CardService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'UI.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Sanitization Regression Tests', () => {
+  let cardTexts;
+
+  const config = {
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader',
+    urgencyHorizonDays: 1,
+    vipSenders: ''
+  };
+
+  // Hostile content as it could come from an email header or a model reply
+  const hostileItem = {
+    emailId: 'm1',
+    rfc822MessageId: '"><script>alert(1)</script>@evil.example',
+    subject: '<script>alert("subject")</script> Invoice & receipt',
+    sender: '"Boss <b>CEO</b>" <boss@evil.example>',
+    keyAction: 'Pay now at <a href="javascript:alert(1)">your bank</a>',
+    keyKnowledge: '<img src=x onerror=alert(1)>',
+    topic: '<style>body{display:none}</style>',
+    date: '2024-01-20',
+    threadId: 't1',
+    messageCount: 2,
+    messages: [
+      { emailId: 'm1', rfc822MessageId: 'm1@example.com', subject: '<iframe src="https://evil.example">', sender: '<svg onload=alert(1)>', receivedAt: '2024-01-15T08:00:00.000Z' },
+      { emailId: 'm2', rfc822MessageId: 'm2@example.com', subject: 'Re: hi', sender: 'a\u202Egpj.exe@example.com', receivedAt: '2024-01-15T09:00:00.000Z' }
+    ]
+  };
+
+  function expectNoHostileMarkup(text) {
+    ['<script', '<a href="javascript', '<img', '<style>body', '<iframe', '<svg', '<b>CEO'].forEach(markup => {
+      expect(text).not.toContain(markup);
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cardTexts = [];
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn(() => null)
+      }))
+    };
+    scriptContext.CalendarApp = { getTimeZone: jest.fn(() => 'UTC') };
+
+    // Minimal CardService mock that records the text of every widget
+    const chain = () => {
+      const obj = {};
+      ['setTitle', 'setSubtitle', 'setHeader', 'addSection', 'addWidget', 'addButton', 'setOnClickAction', 'setParameters',
+        'setFunctionName', 'setTopLabel', 'setBottomLabel', 'setWrapText', 'setButton']
+        .forEach(name => { obj[name] = jest.fn(() => obj); });
+      obj.setText = jest.fn((text) => { cardTexts.push(text); return obj; });
+      return obj;
+    };
+    scriptContext.CardService = {
+      newCardBuilder: jest.fn(() => Object.assign(chain(), { build: jest.fn(() => ({ type: 'card' })) })),
+      newCardHeader: jest.fn(chain),
+      newCardSection: jest.fn(chain),
+      newButtonSet: jest.fn(chain),
+      newTextButton: jest.fn(chain),
+      newTextParagraph: jest.fn(chain),
+      newDecoratedText: jest.fn(chain),
+      newAction: jest.fn(chain)
+    };
+  });
+
+  test('escapes hostile email and model content in the digest email', () => {
+    const html = scriptContext.generateSummaryHTML({
+      mustDo: [hostileItem],
+      mustKnow: [Object.assign({}, hostileItem, { threadId: 't2', keyAction: undefined })],
+      totalProcessed: 2,
+      timeRange: '<b>1day</b>'
+    }, Object.assign({}, config, { addonName: 'Jeeves <i>' }));
+
+    expectNoHostileMarkup(html);
+    expect(html).toContain('&lt;script&gt;alert(&quot;subject&quot;)&lt;/script&gt; Invoice &amp; receipt');
+    expect(html).toContain('From: &quot;Boss &lt;b&gt;CEO&lt;/b&gt;&quot; &lt;boss@evil.example&gt;');
+    expect(html).toContain('Pay now at &lt;a href=&quot;javascript:alert(1)&quot;&gt;your bank&lt;/a&gt;');
+    expect(html).toContain('Jeeves &lt;i&gt; - Email Summary (&lt;b&gt;1day&lt;/b&gt;)');
+    // The crafted message ID stays inside the encoded permalink
+    expect(html).toContain('href="https://mail.google.com/mail/u/0/#search/rfc822msgid%3A%22%3E%3Cscript%3Ealert(1)%3C%2Fscript%3E%40evil.example"');
+    // The bidirectional override is stripped from the sender of the thread message
+    expect(html).toContain('agpj.exe@example.com');
+    expect(html).not.toContain('\u202E');
+  });
+
+  test('only links to https URLs on allowlisted hosts', () => {
+    expect(scriptContext.sanitizeLinkUrl('https://mail.google.com/mail/u/0/#search/x')).toBe('https://mail.google.com/mail/u/0/#search/x');
+    expect(scriptContext.sanitizeLinkUrl('javascript:alert(1)')).toBeNull();
+    expect(scriptContext.sanitizeLinkUrl('http://mail.google.com/')).toBeNull();
+    expect(scriptContext.sanitizeLinkUrl('https://mail.google.com.evil.example/')).toBeNull();
+    expect(scriptContext.sanitizeLinkUrl('https://evil.example@mail.google.com/')).toBeNull();
+    expect(scriptContext.sanitizeLinkUrl('https://mail.google.com/" onmouseover="alert(1)')).toBeNull();
+    expect(scriptContext.sanitizeLinkUrl(null)).toBeNull();
+
+    expect(scriptContext.generateLinkHTML('https://evil.example/', 'Click', '')).toBe('Click');
+    expect(scriptContext.generateLinkHTML('https://mail.google.com/a?b=1&c=2', 'Open', 'color: red;'))
+      .toBe('<a href="https://mail.google.com/a?b=1&amp;c=2" target="_blank" style="color: red;">Open</a>');
+  });
+
+  test('escapes hostile content in card text', () => {
+    const cardText = scriptContext.formatItemsForCard([hostileItem]);
+    expectNoHostileMarkup(cardText);
+    expect(cardText).toContain('1. &lt;script&gt;');
+
+    scriptContext.buildQuickScanCard({ threadId: 't1', subject: 'Invoice', mustDo: [hostileItem], mustKnow: [Object.assign({}, hostileItem, { keyAction: undefined })], totalProcessed: 1 });
+    scriptContext.buildOpenTasksSection([hostileItem], 'openTasks');
+
+    const allCardText = cardTexts.join('\n');
+    expectNoHostileMarkup(allCardText);
+    expect(allCardText).toContain('<b>Action:</b> Pay now at &lt;a href=&quot;javascript:alert(1)&quot;&gt;your bank&lt;/a&gt;');
+    expect(allCardText).toContain('<b>Key Info:</b> &lt;img src=x onerror=alert(1)&gt;');
+    expect(allCardText).toContain('<b>Topic:</b> &lt;style&gt;');
+  });
+
+  test('strips control and direction override characters', () => {
+    expect(scriptContext.sanitizeText('pay\u0000 now\u202E\u2066\nline\ttab')).toBe('pay now\nline\ttab');
+    expect(scriptContext.escapeHtml(null)).toBe('');
+    expect(scriptContext.escapeHtml("it's <ok> & \"fine\"")).toBe('it&#39;s &lt;ok&gt; &amp; &quot;fine&quot;');
+  });
+});
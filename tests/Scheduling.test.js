@@ -55,6 +55,11 @@ const constantsCode = fs.readFileSync(constantsJsPath, 'utf8');
 scriptContext.scriptContext = scriptContext;
 vm.runInContext(constantsCode, scriptContext);
 
+// Load Logging.js
+const loggingJsPath = path.join(__dirname, '../addon/Logging.js');
+const loggingCode = fs.readFileSync(loggingJsPath, 'utf8');
+vm.runInContext(loggingCode, scriptContext);
+
 // Ensure PROCESSING_STATUS is set (in case Constants.js doesn't export it properly)
 if (!scriptContext.PROCESSING_STATUS) {
   scriptContext.PROCESSING_STATUS = PROCESSING_STATUS;
@@ -69,6 +74,31 @@ if (!CHUNK_SIZE_MS) {
   throw new Error('Failed to extract CHUNK_SIZE_MS from Constants.js. Make sure Constants.js defines CHUNK_SIZE_MS.');
 }
 
+// Load Config.js (needed for isLlmConfigured)
+const configJsPath = path.join(__dirname, '../addon/Config.js');
+const configCode = fs.readFileSync(configJsPath, 'utf8');
+vm.runInContext(configCode, scriptContext);
+
+// Load ResultItems.js
+const resultItemsJsPath = path.join(__dirname, '../addon/ResultItems.js');
+const resultItemsCode = fs.readFileSync(resultItemsJsPath, 'utf8');
+vm.runInContext(resultItemsCode, scriptContext);
+
+// Load DriveStorage.js
+const driveStorageJsPath = path.join(__dirname, '../addon/DriveStorage.js');
+const driveStorageCode = fs.readFileSync(driveStorageJsPath, 'utf8');
+vm.runInContext(driveStorageCode, scriptContext);
+
+// Load ProcessedLedger.js
+const processedLedgerJsPath = path.join(__dirname, '../addon/ProcessedLedger.js');
+const processedLedgerCode = fs.readFileSync(processedLedgerJsPath, 'utf8');
+vm.runInContext(processedLedgerCode, scriptContext);
+
+// Load TaskStore.js
+const taskStoreJsPath = path.join(__dirname, '../addon/TaskStore.js');
+const taskStoreCode = fs.readFileSync(taskStoreJsPath, 'utf8');
+vm.runInContext(taskStoreCode, scriptContext);
+
 // Load Code.js to make all functions available
 const codeJsPath = path.join(__dirname, '../addon/Code.js');
 const codeJs = fs.readFileSync(codeJsPath, 'utf8');
@@ -243,6 +273,7 @@ describe('Scheduling Regression Tests', () => {
   let mockPropertiesService;
   let mockTriggers;
   let mockScriptApp;
+  let mockScanResults;
   let triggerIdCounter;
 
   // Helper to create a mock PropertiesService with persistent in-memory store
@@ -416,6 +447,12 @@ describe('Scheduling Regression Tests', () => {
     scriptContext.calculateDateRange = global.calculateDateRange;
     scriptContext.calculatePassiveWorkflowDateRange = global.calculatePassiveWorkflowDateRange;
     scriptContext.generateSummaryHTML = global.generateSummaryHTML;
+
+    // Scan results live on Drive; keep them in memory
+    mockScanResults = null;
+    scriptContext.loadScanResults = jest.fn(() => mockScanResults || { mustDo: [], mustKnow: [], totalProcessed: 0 });
+    scriptContext.saveScanResults = jest.fn((results) => { mockScanResults = results; });
+    scriptContext.clearScanResults = jest.fn(() => { mockScanResults = null; });
   });
 
   describe('Opening main page reinstates hourly passive workflow trigger', () => {
@@ -526,7 +563,7 @@ describe('Scheduling Regression Tests', () => {
       mockPropertiesStore['chunkEnd'] = chunkEnd.toISOString();
       mockPropertiesStore['chunkIndex'] = '0';
       mockPropertiesStore['chunkTotalChunks'] = '1';
-      mockPropertiesStore['accumulatedResults'] = JSON.stringify({ mustDo: [], mustKnow: [], totalProcessed: 0, batchesProcessed: 0 });
+      mockScanResults = { mustDo: [], mustKnow: [], totalProcessed: 0, batchesProcessed: 0 };
       
       const lockData = { type: 'active', timestamp: new Date().toISOString() };
       mockPropertiesStore['processingLock'] = JSON.stringify(lockData);
@@ -678,7 +715,7 @@ describe('Scheduling Regression Tests', () => {
         totalProcessed: 5,
         batchesProcessed: 1
       };
-      mockPropertiesStore['accumulatedResults'] = JSON.stringify(accumulated);
+      mockScanResults = accumulated;
 
       // Mock successful chunk processing
       global.fetchEmailThreadsFromGmail = jest.fn(() => []);
@@ -735,12 +772,12 @@ describe('Scheduling Regression Tests', () => {
       mockPropertiesStore['chunkEnd'] = chunkEnd.toISOString();
       mockPropertiesStore['chunkIndex'] = '1'; // Second chunk (0-based, so 1 means second)
       mockPropertiesStore['chunkTotalChunks'] = '3'; // 3 chunks total, so index 1 means more chunks remain
-      mockPropertiesStore['accumulatedResults'] = JSON.stringify({
+      mockScanResults = {
         mustDo: [],
         mustKnow: [],
         totalProcessed: 5,
         batchesProcessed: 1
-      });
+      };
       
       // Mock fetchEmailThreadsFromGmail to return empty (to avoid actual processing)
       global.fetchEmailThreadsFromGmail = jest.fn(() => []);
@@ -0,0 +1,120 @@
+/**
+ * Regression tests for custom Gmail search filters
+ *
+ * Tests verify that:
+ * - The custom query and include/exclude labels are added to the scan query
+ * - Filters are validated with a test search when Email Settings are saved
+ * - Invalid filters are rejected without being saved
+ * - Label suggestions complete the last entry of a comma-separated list
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  CardService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Search Filters Regression Tests', () => {
+  let mockPropertiesStore;
+  const existingLabels = ['Newsletters', 'Kids/School', 'Receipts'];
+  const dateRange = { start: new Date('2024-01-15T00:00:00Z'), end: new Date('2024-01-16T00:00:00Z') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = { openaiApiKey: 'test-key' };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.GmailApp = {
+      search: jest.fn(() => [{}, {}, {}]),
+      getUserLabelByName: jest.fn((name) => (existingLabels.indexOf(name) !== -1 ? { getName: () => name } : null)),
+      getUserLabels: jest.fn(() => existingLabels.map(name => ({ getName: () => name })))
+    };
+    scriptContext.buildConfigSuccessCard = jest.fn((details) => ({ success: true, details: details }));
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+  });
+
+  test('adds the custom query and labels to the scan query', () => {
+    const query = scriptContext.buildGmailSearchQuery(dateRange, {
+      inboxOnly: true,
+      includeLabels: 'Kids/School, Receipts',
+      excludeLabels: 'Newsletters',
+      customQuery: '-category:promotions has:attachment'
+    });
+
+    expect(query).toBe('after:1705276800 before:1705363200 in:inbox {label:Kids-School label:Receipts} -label:Newsletters (-category:promotions has:attachment)');
+    expect(scriptContext.buildGmailSearchQuery(dateRange, { inboxOnly: false })).toBe('after:1705276800 before:1705363200');
+  });
+
+  test('saving filters runs a test search and shows the match count', () => {
+    const result = scriptContext.handleEmailSettingsSubmit({
+      formInputs: { customQuery: ['-category:promotions'], excludeLabels: ['Newsletters ,'] }
+    });
+
+    expect(scriptContext.GmailApp.search).toHaveBeenCalledTimes(1);
+    expect(scriptContext.GmailApp.search.mock.calls[0][0]).toContain('-label:Newsletters (-category:promotions)');
+    expect(result.details).toContain('matched 3 threads');
+    expect(mockPropertiesStore.customQuery).toBe('-category:promotions');
+    expect(mockPropertiesStore.excludeLabels).toBe('Newsletters');
+  });
+
+  test('rejects unknown labels and malformed queries without saving', () => {
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { includeLabels: ['Missing'] } });
+    expect(result.error).toContain('Label "Missing" does not exist');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { customQuery: ['(from:a OR from:b'] } });
+    expect(result.error).toContain('unbalanced parentheses');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { customQuery: ['newer_than:2d'] } });
+    expect(result.error).toContain('must not contain date filters');
+
+    expect(mockPropertiesStore.includeLabels).toBeUndefined();
+    expect(mockPropertiesStore.customQuery).toBeUndefined();
+  });
+
+  test('label suggestions complete the last entry of a list', () => {
+    const suggestions = { addSuggestion: jest.fn() };
+    scriptContext.CardService = {
+      newSuggestions: jest.fn(() => suggestions),
+      newSuggestionsResponseBuilder: jest.fn(() => ({
+        setSuggestions: jest.fn(function () { return this; }),
+        build: jest.fn()
+      }))
+    };
+
+    scriptContext.handleLabelSuggestions({ parameter: { query: 'Newsletters, sch' } });
+
+    expect(suggestions.addSuggestion.mock.calls).toEqual([['Newsletters, Kids/School']]);
+  });
+});
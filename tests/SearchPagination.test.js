@@ -0,0 +1,164 @@
+/**
+ * Regression tests for paginated Gmail search
+ *
+ * Tests verify that:
+ * - Searches page through all matching threads instead of stopping at the first 100
+ * - The configurable thread limit is honored and the threads beyond it are counted
+ * - Skipped threads are reported in the summary and carried through chunked processing
+ * - An invalid thread limit is rejected when saving Email Settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  DriveApp: null,
+  Session: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Search Pagination Regression Tests', () => {
+  let mockPropertiesStore;
+
+  function createMockThread(index) {
+    const message = {
+      getId: () => 'msg' + index,
+      getSubject: () => 'Subject ' + index,
+      getFrom: () => 'sender@example.com',
+      getDate: () => new Date(Date.now() - 60 * 60 * 1000),
+      getPlainBody: () => 'Body',
+      getRawContent: () => `Message-ID: <msg${index}@example.com>\n`
+    };
+    return {
+      getId: () => 'thread' + index,
+      getFirstMessageSubject: () => 'Subject ' + index,
+      getMessages: () => [message]
+    };
+  }
+
+  function mockMailbox(threadCount) {
+    const threads = [];
+    for (let i = 0; i < threadCount; i++) {
+      threads.push(createMockThread(i));
+    }
+    scriptContext.GmailApp = {
+      search: jest.fn((query, start, max) => threads.slice(start, start + max))
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = { openaiApiKey: 'test-key' };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+  });
+
+  const dateRange = { start: new Date(Date.now() - 24 * 60 * 60 * 1000), end: new Date() };
+
+  test('pages through more than 100 matching threads', () => {
+    mockMailbox(250);
+    mockPropertiesStore.maxThreadsPerSearch = '500';
+    const searchStats = {};
+
+    const threads = scriptContext.fetchEmailThreadsFromGmail(dateRange, null, searchStats);
+
+    expect(threads).toHaveLength(250);
+    expect(scriptContext.GmailApp.search.mock.calls.map(call => call[1])).toEqual([0, 100, 200]);
+    expect(searchStats).toEqual({ matchedThreads: 250, skippedThreads: 0 });
+  });
+
+  test('analyzes at most 100 threads by default', () => {
+    mockMailbox(250);
+    const searchStats = {};
+
+    const threads = scriptContext.fetchEmailThreadsFromGmail(dateRange, null, searchStats);
+
+    expect(threads).toHaveLength(100);
+    expect(searchStats).toEqual({ matchedThreads: 250, skippedThreads: 150 });
+  });
+
+  test('stops at the configured limit and counts the skipped threads', () => {
+    mockMailbox(1200);
+    mockPropertiesStore.maxThreadsPerSearch = '150';
+    const searchStats = {};
+
+    const threads = scriptContext.fetchEmailThreadsFromGmail(dateRange, null, searchStats);
+
+    expect(threads).toHaveLength(150);
+    expect(searchStats).toEqual({ matchedThreads: 1200, skippedThreads: 1050 });
+  });
+
+  test('reports skipped threads in the summary email', () => {
+    const html = scriptContext.generateSummaryHTML(
+      { mustDo: [], mustKnow: [], totalProcessed: 500, skippedThreads: 42 },
+      { addonName: 'Gmail Fast Reader' }
+    );
+
+    expect(html).toContain('42 matching threads were not analyzed');
+    expect(scriptContext.generateSummaryHTML(
+      { mustDo: [], mustKnow: [], totalProcessed: 5 },
+      { addonName: 'Gmail Fast Reader' }
+    )).not.toContain('were not analyzed');
+  });
+
+  test('chunked processing carries skipped threads into the final results', () => {
+    mockMailbox(3);
+    mockPropertiesStore.maxThreadsPerSearch = '2';
+    scriptContext.processEmailsInBatches = jest.fn(() => ({ mustDo: [], mustKnow: [], totalProcessed: 2, batchesProcessed: 1 }));
+    scriptContext.recordProcessedMessages = jest.fn();
+    scriptContext.finalizeChunkedProcessing = jest.fn();
+    scriptContext.saveScanResults = jest.fn();
+    Object.assign(mockPropertiesStore, {
+      chunkCurrentStart: dateRange.start.toISOString(),
+      chunkEnd: dateRange.end.toISOString(),
+      chunkIndex: '0',
+      chunkTotalChunks: '1',
+      chunkRescan: 'true'
+    });
+
+    scriptContext.processEmailsChunkedStep();
+
+    expect(scriptContext.finalizeChunkedProcessing).toHaveBeenCalledTimes(1);
+    expect(scriptContext.finalizeChunkedProcessing.mock.calls[0][0].skippedThreads).toBe(1);
+  });
+
+  test('saves the thread limit from Email Settings and rejects invalid values', () => {
+    expect(scriptContext.parseMaxThreadsPerSearch('250')).toBe(250);
+    expect(() => scriptContext.parseMaxThreadsPerSearch('0')).toThrow('Maximum threads per scan must be a positive whole number');
+    expect(() => scriptContext.parseMaxThreadsPerSearch('many')).toThrow('Maximum threads per scan must be a positive whole number');
+
+    scriptContext.buildConfigSuccessCard = jest.fn();
+    scriptContext.handleEmailSettingsSubmit({ formInputs: { maxThreadsPerSearch: ['250'] } });
+    expect(mockPropertiesStore.maxThreadsPerSearch).toBe('250');
+  });
+});
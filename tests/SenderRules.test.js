@@ -0,0 +1,162 @@
+/**
+ * Regression tests for sender allowlist and blocklist rules
+ *
+ * Tests verify that:
+ * - Rules match exact addresses, domains (with subdomains) and wildcards
+ * - Emails from skipped senders never reach the model
+ * - Emails from always-included senders end up in the required category, once per thread
+ * - Rules are added, replaced and removed from the management card
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  RegExp: RegExp,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Sender Rules Regression Tests', () => {
+  let mockPropertiesStore;
+
+  function createEmail(id, sender) {
+    return { id: id, subject: 'Subject ' + id, sender: sender, date: new Date('2024-01-15T10:00:00Z'), body: 'Body' };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = { openaiApiKey: 'test-key' };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.buildSenderRulesCard = jest.fn(() => ({ rulesCard: true }));
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+  });
+
+  test('matches exact addresses, domains and wildcards', () => {
+    const rules = [
+      { pattern: 'teacher@school.org', action: 'mustDo' },
+      { pattern: 'tax.gov', action: 'mustKnow' },
+      { pattern: '*@*.shop.example', action: 'skip' }
+    ];
+
+    expect(scriptContext.findSenderRule('Ms Smith <Teacher@School.org>', rules).action).toBe('mustDo');
+    expect(scriptContext.findSenderRule('office@school.org', rules)).toBeNull();
+    expect(scriptContext.findSenderRule('Tax Office <noreply@mail.tax.gov>', rules).action).toBe('mustKnow');
+    expect(scriptContext.findSenderRule('noreply@notatax.gov', rules)).toBeNull();
+    expect(scriptContext.findSenderRule('deals@eu.shop.example', rules).action).toBe('skip');
+    expect(scriptContext.findSenderRule('deals@shop.example', rules)).toBeNull();
+  });
+
+  test('skipped senders never reach the model and forced senders are always included', () => {
+    mockPropertiesStore.senderRules = JSON.stringify([
+      { pattern: 'vendor.example', action: 'skip' },
+      { pattern: 'school.org', action: 'mustDo' }
+    ]);
+    scriptContext.updateProcessingProgress = jest.fn();
+    scriptContext.applyLabelsToInterestingEmails = jest.fn();
+    scriptContext.markProcessedEmailsAsRead = jest.fn();
+    scriptContext.removeUninterestingEmailsFromInbox = jest.fn();
+    scriptContext.analyzeEmailsWithOpenAI = jest.fn(() => ({ mustDo: [], mustKnow: [], totalProcessed: 1 }));
+
+    const results = scriptContext.processEmailsInBatches([
+      { threadId: 't1', subject: 'Sale', emails: [createEmail('m1', 'Deals <deals@vendor.example>')] },
+      { threadId: 't2', subject: 'Trip', emails: [createEmail('m2', 'teacher@school.org')] }
+    ], { mustDoLabel: 'TODO' });
+
+    const analyzedThreads = scriptContext.analyzeEmailsWithOpenAI.mock.calls[0][0];
+    expect(analyzedThreads.map(thread => thread.threadId)).toEqual(['t2']);
+    expect(results.mustDo).toHaveLength(1);
+    expect(results.mustDo[0].emailId).toBe('m2');
+    expect(results.mustDo[0].keyAction).toBe('Subject m2');
+    expect(scriptContext.applyLabelsToInterestingEmails).toHaveBeenLastCalledWith({ mustDo: [results.mustDo[0]], mustKnow: [] }, { mustDoLabel: 'TODO' });
+  });
+
+  test('a forced item moves what the model extracted under the other category', () => {
+    const results = {
+      mustDo: [],
+      mustKnow: [
+        { emailId: 'm1', keyKnowledge: 'Trip on Friday', date: '2024-01-19', time: '08:30', endDate: '2024-01-20', dateKind: 'event', importance: 3, topic: 'school trips' },
+        { emailId: 'm2', keyKnowledge: 'Menu of the week', topic: 'other' }
+      ]
+    };
+
+    scriptContext.addSenderRuleItems(results, [{ email: createEmail('m1', 'teacher@school.org'), action: 'mustDo' }]);
+
+    expect(results.mustDo).toHaveLength(1);
+    expect(results.mustDo[0]).toMatchObject({
+      emailId: 'm1', keyAction: 'Trip on Friday', date: '2024-01-19', time: '08:30', endDate: '2024-01-20', dateKind: 'event', importance: 3, topic: 'school trips'
+    });
+    expect(results.mustKnow.map(item => item.emailId)).toEqual(['m2']);
+  });
+
+  test('a forced sender with several messages in a thread gets one item for the thread', () => {
+    const messages = [{ emailId: 'm1' }, { emailId: 'm2' }, { emailId: 'm3' }];
+    const results = {
+      mustDo: [],
+      mustKnow: [{ emailId: 'm3', threadId: 't1', keyKnowledge: 'Trip moved to Monday', date: '2024-01-22', topic: 'school trips', messages: messages, messageCount: 3 }]
+    };
+
+    const added = scriptContext.addSenderRuleItems(results, [
+      { email: createEmail('m1', 'teacher@school.org'), action: 'mustDo', threadId: 't1' },
+      { email: createEmail('m2', 'teacher@school.org'), action: 'mustDo', threadId: 't1' }
+    ]);
+
+    expect(results.mustKnow).toHaveLength(0);
+    expect(results.mustDo).toHaveLength(1);
+    expect(results.mustDo[0]).toMatchObject({
+      emailId: 'm2', threadId: 't1', keyAction: 'Trip moved to Monday', date: '2024-01-22', messageCount: 3
+    });
+    expect(added.mustDo).toEqual(results.mustDo);
+
+    // A thread already in the required category is left alone
+    scriptContext.addSenderRuleItems(results, [{ email: createEmail('m3', 'teacher@school.org'), action: 'mustDo', threadId: 't1' }]);
+    expect(results.mustDo).toHaveLength(1);
+  });
+
+  test('adds, replaces and removes rules from the management card', () => {
+    scriptContext.handleAddSenderRule({ formInputs: { senderRulePattern: [' School.org '], senderRuleAction: ['mustKnow'] } });
+    scriptContext.handleAddSenderRule({ formInputs: { senderRulePattern: ['noisy.example'], senderRuleAction: ['skip'] } });
+    scriptContext.handleAddSenderRule({ formInputs: { senderRulePattern: ['school.org'], senderRuleAction: ['mustDo'] } });
+
+    expect(JSON.parse(mockPropertiesStore.senderRules)).toEqual([
+      { pattern: 'noisy.example', action: 'skip' },
+      { pattern: 'school.org', action: 'mustDo' }
+    ]);
+
+    scriptContext.handleDeleteSenderRule({ parameters: { index: '0' } });
+    expect(JSON.parse(mockPropertiesStore.senderRules)).toEqual([{ pattern: 'school.org', action: 'mustDo' }]);
+
+    const result = scriptContext.handleAddSenderRule({ formInputs: { senderRulePattern: ['Jane <jane@example.com>'], senderRuleAction: ['skip'] } });
+    expect(result.error).toContain('must be a single address, domain or wildcard');
+  });
+});
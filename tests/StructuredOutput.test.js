@@ -0,0 +1,178 @@
+/**
+ * Regression tests for structured model output
+ *
+ * Tests verify that:
+ * - The analysis JSON schema is sent to providers that support structured output
+ * - Malformed replies trigger a single "fix this JSON" retry
+ * - Individual items are repaired or dropped instead of failing the whole batch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  UrlFetchApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'LlmProvider.js', 'EmailProcessor.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+// Top-level consts are not exposed on the context object
+const analysisSchema = vm.runInContext('ANALYSIS_RESPONSE_SCHEMA', scriptContext);
+
+describe('Structured Output Regression Tests', () => {
+  const config = {
+    llmProvider: 'openai',
+    openaiApiKey: 'sk-test',
+    mustDoTopics: 'payments',
+    mustKnowTopics: 'school'
+  };
+
+  const threads = [{
+    threadId: 'thread1',
+    subject: 'Invoice',
+    emails: [{
+      id: 'msg1',
+      rfc822MessageId: 'abc@example.com',
+      subject: 'Invoice',
+      sender: 'billing@example.com',
+      date: new Date('2024-01-15T10:00:00Z'),
+      body: 'Please pay by January 20.'
+    }]
+  }];
+
+  function mockReplies(replies) {
+    let call = 0;
+    scriptContext.UrlFetchApp = {
+      fetch: jest.fn(() => {
+        const content = replies[Math.min(call++, replies.length - 1)];
+        return {
+          getContentText: () => JSON.stringify({ choices: [{ message: { content: content } }] }),
+          getResponseCode: () => 200,
+          getHeaders: () => ({})
+        };
+      })
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Schema enforcement', () => {
+    test('OpenAI requests a strict JSON schema response format', () => {
+      mockReplies(['{"mustDo":[],"mustKnow":[]}']);
+
+      scriptContext.analyzeEmailsWithOpenAI(threads, config);
+
+      const payload = JSON.parse(scriptContext.UrlFetchApp.fetch.mock.calls[0][1].payload);
+      expect(payload.response_format.type).toBe('json_schema');
+      expect(payload.response_format.json_schema.strict).toBe(true);
+      expect(payload.response_format.json_schema.schema.required).toEqual(['mustDo', 'mustKnow']);
+    });
+
+    test('Anthropic forces a tool call with the schema and reads its input', () => {
+      const request = scriptContext.buildLlmRequest([{ role: 'user', content: 'x' }],
+        { llmProvider: 'anthropic', anthropicApiKey: 'k' }, analysisSchema);
+      const payload = JSON.parse(request.options.payload);
+
+      expect(payload.tools[0].input_schema).toEqual(analysisSchema);
+      expect(payload.tool_choice).toEqual({ type: 'tool', name: payload.tools[0].name });
+      expect(scriptContext.extractLlmResponseText('anthropic', {
+        content: [{ type: 'tool_use', input: { mustDo: [], mustKnow: [] } }]
+      })).toBe('{"mustDo":[],"mustKnow":[]}');
+    });
+
+    test('OpenAI-compatible endpoints are not sent a schema', () => {
+      const request = scriptContext.buildLlmRequest([{ role: 'user', content: 'x' }],
+        { llmProvider: 'compatible', compatibleBaseUrl: 'https://x', compatibleModel: 'm' }, analysisSchema);
+
+      expect(JSON.parse(request.options.payload).response_format).toBeUndefined();
+    });
+  });
+
+  describe('JSON repair retry', () => {
+    test('retries once with a "fix this JSON" prompt', () => {
+      const fixed = JSON.stringify({ mustDo: [{ emailId: 'msg1', keyAction: 'Pay invoice' }], mustKnow: [] });
+      mockReplies(['{"mustDo": [ {"emailId": "msg1", ', fixed]);
+
+      const results = scriptContext.analyzeEmailsWithOpenAI(threads, config);
+
+      expect(scriptContext.UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+      const repairPayload = JSON.parse(scriptContext.UrlFetchApp.fetch.mock.calls[1][1].payload);
+      expect(repairPayload.messages[1].content).toContain('Fix this JSON');
+      expect(results.mustDo).toHaveLength(1);
+    });
+
+    test('fails after the single retry is also malformed', () => {
+      mockReplies(['not json', 'still not json']);
+
+      expect(() => scriptContext.analyzeEmailsWithOpenAI(threads, config)).toThrow('Failed to parse model response');
+      expect(scriptContext.UrlFetchApp.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Item validation', () => {
+    test('repairs fields from the analyzed email and drops unknown or empty items', () => {
+      const results = scriptContext.validateAnalysisResults({
+        mustDo: [
+          { emailId: 'msg1', keyAction: 'Pay invoice', date: '2024-01-20T00:00:00Z', topic: '' },
+          { emailId: 'unknown', keyAction: 'Hallucinated' },
+          { emailId: 'msg1', keyAction: '   ' },
+          'garbage'
+        ],
+        mustKnow: [
+          { emailId: 'wrong', rfc822MessageId: 'abc@example.com', keyAction: 'Invoice arrived', date: 'null' }
+        ]
+      }, threads);
+
+      expect(results.mustDo).toEqual([{
+        emailId: 'msg1',
+        rfc822MessageId: 'abc@example.com',
+        subject: 'Invoice',
+        sender: 'billing@example.com',
+        keyAction: 'Pay invoice',
+        date: '2024-01-20',
+        time: null,
+        endDate: null,
+        dateKind: null,
+        importance: 3,
+        topic: 'other',
+        threadId: 'thread1',
+        receivedAt: '2024-01-15T10:00:00.000Z'
+      }]);
+      expect(results.mustKnow).toHaveLength(1);
+      expect(results.mustKnow[0].emailId).toBe('msg1');
+      expect(results.mustKnow[0].keyKnowledge).toBe('Invoice arrived');
+      expect(results.mustKnow[0].date).toBeNull();
+    });
+
+    test('normalizes dates to YYYY-MM-DD or null', () => {
+      expect(scriptContext.normalizeAnalysisDate('2024-02-30')).toBeNull();
+      expect(scriptContext.normalizeAnalysisDate('someday')).toBeNull();
+      expect(scriptContext.normalizeAnalysisDate('January 15, 2024')).toBe('2024-01-15');
+      expect(scriptContext.normalizeAnalysisDate(null)).toBeNull();
+    });
+  });
+});
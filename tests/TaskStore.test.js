@@ -0,0 +1,201 @@
+/**
+ * Regression tests for open must-do tasks carried over across digests
+ *
+ * Tests verify that:
+ * - Must-do items of a sent digest are carried into later digests under "Still open"
+ * - Tasks marked done are not carried over, unless a newer reply arrives
+ * - Tasks expire once their date passes, or after 30 days without a date
+ * - The Quick Scan card offers to mark the task of the opened thread as done
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+jest.useFakeTimers({ now: new Date('2024-01-15T21:30:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  DriveApp: null,
+  CardService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'UI.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Task Store Regression Tests', () => {
+  const config = { addonName: 'Gmail Fast Reader', timeZone: 'UTC', digestTimes: '21:00' };
+  let mockPropertiesStore;
+  let driveFiles;
+  let sentBodies;
+  let accumulated;
+  let actions;
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  function mustDoItem(threadId, keyAction, date, receivedAt) {
+    return { emailId: threadId + '-msg', rfc822MessageId: threadId + '@school.org', subject: 'Field trip', sender: 'teacher@school.org', keyAction: keyAction, date: date, topic: 'school trips', threadId: threadId, receivedAt: receivedAt };
+  }
+
+  function sendDigestAt(isoTime, mustDo) {
+    jest.setSystemTime(new Date(isoTime));
+    accumulated = { mustDo: mustDo || [], mustKnow: [], totalProcessed: (mustDo || []).length };
+    return scriptContext.sendDailySummaryIfNeeded(config);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = {};
+    driveFiles = {};
+    sentBodies = [];
+    actions = [];
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.DriveApp = {
+      getFileById: jest.fn((id) => {
+        if (!driveFiles[id]) throw new Error('File not found');
+        return driveFiles[id];
+      }),
+      getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+      createFile: jest.fn((name, content) => {
+        const file = {
+          content: content,
+          getId: () => name,
+          getName: () => name,
+          getBlob: () => ({ getDataAsString: () => file.content }),
+          setContent: jest.fn((newContent) => { file.content = newContent; })
+        };
+        driveFiles[name] = file;
+        return file;
+      })
+    };
+    scriptContext.GmailApp = {
+      createDraft: jest.fn((to, subject, body, options) => {
+        sentBodies.push(options.htmlBody);
+        return { send: jest.fn(() => ({ getThread: () => ({ getId: () => 'digest-thread' }) })) };
+      })
+    };
+    scriptContext.loadAccumulatedResults = jest.fn(() => accumulated);
+    scriptContext.clearAccumulatedResults = jest.fn();
+    scriptContext.markEmailAsImportantOrStarred = jest.fn();
+    scriptContext.getUserEmailAddress = jest.fn(() => 'user@example.com');
+
+    // Minimal CardService mock that records button actions
+    const chain = () => {
+      const obj = {};
+      ['setTitle', 'setSubtitle', 'setHeader', 'addSection', 'addWidget', 'addButton', 'setText', 'setOnClickAction',
+        'setTopLabel', 'setBottomLabel', 'setWrapText', 'setButton']
+        .forEach(name => { obj[name] = jest.fn(() => obj); });
+      return obj;
+    };
+    scriptContext.CardService = {
+      newCardBuilder: jest.fn(() => Object.assign(chain(), { build: jest.fn(() => ({ type: 'card' })) })),
+      newCardHeader: jest.fn(chain),
+      newCardSection: jest.fn(chain),
+      newButtonSet: jest.fn(chain),
+      newTextButton: jest.fn(chain),
+      newTextParagraph: jest.fn(chain),
+      newDecoratedText: jest.fn(chain),
+      newAction: jest.fn(() => {
+        const action = {};
+        action.setFunctionName = jest.fn((name) => { action.name = name; return action; });
+        action.setParameters = jest.fn((params) => { action.params = params; actions.push(action); return action; });
+        return action;
+      })
+    };
+  });
+
+  test('carries open must-do items into the next digest under "Still open"', () => {
+    expect(sendDigestAt('2024-01-15T21:30:00Z', [mustDoItem('t1', 'Sign the trip form', '2024-01-19', '2024-01-15T08:00:00Z')])).toBe(true);
+    expect(sendDigestAt('2024-01-16T21:30:00Z', [])).toBe(true);
+
+    expect(sentBodies[1]).toContain('Still open (1 items)');
+    expect(sentBodies[1]).toContain('Sign the trip form');
+    expect(sentBodies[1]).toContain('Open since 2024-01-15');
+
+    // An item already in the digest is not listed again under "Still open"
+    sendDigestAt('2024-01-17T21:30:00Z', [mustDoItem('t1', 'Sign the form by tomorrow', '2024-01-18', '2024-01-17T08:00:00Z')]);
+    expect(sentBodies[2]).not.toContain('Still open');
+    const tasks = scriptContext.loadOpenTasks(config);
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toMatchObject({ taskId: 't1', keyAction: 'Sign the form by tomorrow', openSince: '2024-01-15T21:30:00.000Z' });
+  });
+
+  test('does not carry over tasks marked done unless a newer reply arrives', () => {
+    sendDigestAt('2024-01-15T21:30:00Z', [mustDoItem('t1', 'Sign the trip form', null, '2024-01-15T08:00:00Z')]);
+
+    jest.setSystemTime(new Date('2024-01-16T09:00:00Z'));
+    const card = scriptContext.handleMarkTaskDone({ parameters: { taskId: 't1', returnTo: 'openTasks' } });
+    expect(card).toEqual({ type: 'card' });
+    expect(scriptContext.loadOpenTasks(config)).toHaveLength(0);
+
+    // A digest still holding the old message does not reopen the task
+    expect(sendDigestAt('2024-01-16T21:30:00Z', [])).toBe(false);
+    sendDigestAt('2024-01-17T21:30:00Z', [mustDoItem('t1', 'Sign the trip form', null, '2024-01-15T08:00:00Z')]);
+    expect(scriptContext.loadOpenTasks(config)).toHaveLength(0);
+
+    sendDigestAt('2024-01-18T21:30:00Z', [mustDoItem('t1', 'The form was lost, sign a new one', null, '2024-01-18T08:00:00Z')]);
+    expect(scriptContext.loadOpenTasks(config).map(task => task.keyAction)).toEqual(['The form was lost, sign a new one']);
+  });
+
+  test('drops tasks once their date passes or after 30 days without a date', () => {
+    sendDigestAt('2024-01-15T21:30:00Z', [
+      mustDoItem('t1', 'Sign the trip form', '2024-01-16', '2024-01-15T08:00:00Z'),
+      mustDoItem('t2', 'Pay the tennis fee', null, '2024-01-15T09:00:00Z')
+    ]);
+
+    jest.setSystemTime(new Date('2024-01-16T23:00:00Z'));
+    expect(scriptContext.loadOpenTasks(config).map(task => task.taskId)).toEqual(['t1', 't2']);
+
+    jest.setSystemTime(new Date('2024-01-17T00:30:00Z'));
+    expect(scriptContext.loadOpenTasks(config).map(task => task.taskId)).toEqual(['t2']);
+
+    jest.setSystemTime(new Date('2024-02-15T00:00:00Z'));
+    expect(scriptContext.loadOpenTasks(config)).toHaveLength(0);
+  });
+
+  test('offers to mark the open task of the opened thread as done from Quick Scan', () => {
+    sendDigestAt('2024-01-15T21:30:00Z', [mustDoItem('t1', 'Sign the trip form', '2024-01-19', '2024-01-15T08:00:00Z')]);
+
+    scriptContext.buildQuickScanCard({ threadId: 't1', subject: 'Field trip', mustDo: [], mustKnow: [], totalProcessed: 1 });
+
+    const doneAction = actions.find(action => action.name === 'handleMarkTaskDone');
+    expect(doneAction.params).toEqual({ taskId: 't1', returnTo: 'quickScan' });
+
+    scriptContext.buildQuickScanDoneCard = jest.fn((message) => ({ done: message }));
+    expect(scriptContext.handleMarkTaskDone({ parameters: doneAction.params })).toEqual({ done: '✅ Task marked as done.' });
+    expect(scriptContext.findOpenTaskForThread('t1', config)).toBeNull();
+
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    expect(scriptContext.handleMarkTaskDone({ parameters: doneAction.params }).error).toContain('Task is no longer open');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Regression tests for time of day, end dates and date kinds of analysis items
+ *
+ * Tests verify that:
+ * - The prompt and schema ask for time, endDate and dateKind, and model values are normalized
+ * - Merging keeps the earliest date together with its time, and sorting puts timed items first
+ * - Urgent and outdated flags follow the time of a deadline and the end date of an event
+ * - Calendar events are timed in the user's time zone or span the days of an event
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Freeze time before the context captures Date; 07:30 UTC is 08:30 in Paris
+jest.useFakeTimers({ now: new Date('2024-01-19T07:30:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  DriveApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'CalendarEvents.js', 'LlmProvider.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Temporal Fields Regression Tests', () => {
+  const config = {
+    llmProvider: 'openai',
+    openaiApiKey: 'sk-test',
+    mustDoTopics: 'school payments',
+    mustKnowTopics: 'school events',
+    timeZone: 'Europe/Paris',
+    addonName: 'Gmail Fast Reader'
+  };
+
+  const threads = [{
+    threadId: 'thread1',
+    emails: [{ id: 'msg1', rfc822MessageId: 'msg1@school.org', subject: 'Trip fee', sender: 'school@example.com', date: new Date('2024-01-15T10:00:00Z'), body: '' }]
+  }];
+
+  function item(overrides) {
+    return Object.assign({
+      emailId: 'msg1',
+      rfc822MessageId: 'msg1@school.org',
+      subject: 'Trip fee',
+      sender: 'school@example.com',
+      keyAction: 'Pay the trip fee',
+      date: '2024-01-19',
+      time: null,
+      endDate: null,
+      dateKind: null,
+      topic: 'school payments',
+      threadId: 'thread1'
+    }, overrides);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Analysis', () => {
+    test('prompt and schema ask for time, end date and date kind', () => {
+      const prompt = scriptContext.buildAnalysisPrompt(threads, config).map(message => message.content).join('\n');
+      expect(prompt).toContain('"time": "HH:mm (24-hour) or null');
+      expect(prompt).toContain('"endDate"');
+      expect(prompt).toContain('"dateKind": "deadline, event, reminder, or null');
+
+      const schema = vm.runInContext('ANALYSIS_RESPONSE_SCHEMA', scriptContext);
+      expect(schema.properties.mustDo.items.required).toEqual(expect.arrayContaining(['time', 'endDate', 'dateKind']));
+      expect(schema.properties.mustKnow.items.properties.dateKind.enum).toEqual(['deadline', 'event', 'reminder', null]);
+    });
+
+    test('normalizes times, end dates and date kinds from the model', () => {
+      const results = scriptContext.validateAnalysisResults({
+        mustDo: [
+          { emailId: 'msg1', keyAction: 'Pay the trip fee', date: '2024-01-19', time: '5pm', dateKind: 'Deadline' },
+          { emailId: 'msg1', keyAction: 'Sign the form', date: '2024-01-19T08:15:00', endDate: '2024-01-18', dateKind: 'someday' },
+          { emailId: 'msg1', keyAction: 'Bring a lunch box', date: null, time: '12:00', endDate: '2024-01-20', dateKind: 'event' }
+        ],
+        mustKnow: [
+          { emailId: 'msg1', keyKnowledge: 'Ski week', date: '2024-02-12', time: null, endDate: '2024-02-16', dateKind: 'event' }
+        ]
+      }, threads);
+
+      expect(results.mustDo.map(validItem => [validItem.date, validItem.time, validItem.endDate, validItem.dateKind])).toEqual([
+        ['2024-01-19', '17:00', null, 'deadline'],
+        ['2024-01-19', '08:15', null, null],
+        [null, null, null, null]
+      ]);
+      expect(results.mustKnow[0]).toMatchObject({ date: '2024-02-12', time: null, endDate: '2024-02-16', dateKind: 'event' });
+
+      expect(scriptContext.normalizeAnalysisTime('9:05')).toBe('09:05');
+      expect(scriptContext.normalizeAnalysisTime('17:30:00')).toBe('17:30');
+      expect(scriptContext.normalizeAnalysisTime('12 am')).toBe('00:00');
+      expect(scriptContext.normalizeAnalysisTime('25:00')).toBeNull();
+      expect(scriptContext.normalizeAnalysisTime('noon')).toBeNull();
+    });
+  });
+
+  describe('Merging and sorting', () => {
+    test('keeps the time, end date and kind of the earliest date', () => {
+      const merged = scriptContext.mergeResultItem(
+        item({ date: '2024-01-19', time: '17:00', dateKind: 'deadline', receivedAt: '2024-01-15T10:00:00.000Z' }),
+        item({ keyAction: 'Pay the fee, reminder', date: '2024-01-19', time: null, dateKind: 'reminder', receivedAt: '2024-01-16T10:00:00.000Z' })
+      );
+
+      expect(merged).toMatchObject({ keyAction: 'Pay the fee, reminder', date: '2024-01-19', time: '17:00', dateKind: 'deadline' });
+    });
+
+    test('sorts timed items before untimed ones on the same day', () => {
+      const sorted = scriptContext.sortItemsByDate([
+        item({ keyAction: 'Undated', date: null }),
+        item({ keyAction: 'All day', date: '2024-01-19' }),
+        item({ keyAction: 'Evening', date: '2024-01-19', time: '18:00' }),
+        item({ keyAction: 'Morning', date: '2024-01-19', time: '08:00' }),
+        item({ keyAction: 'Earlier day', date: '2024-01-18', time: '20:00' })
+      ]);
+
+      expect(sorted.map(sortedItem => sortedItem.keyAction)).toEqual(['Earlier day', 'Morning', 'Evening', 'All day', 'Undated']);
+    });
+
+    test('describes when an item is due or takes place', () => {
+      expect(scriptContext.formatItemWhen(item({ time: '17:00', dateKind: 'deadline' }))).toBe('Due 2024-01-19 17:00');
+      expect(scriptContext.formatItemWhen(item({ endDate: '2024-01-21', dateKind: 'event' }))).toBe('2024-01-19 to 2024-01-21');
+      expect(scriptContext.formatItemWhen(item({ dateKind: 'reminder' }))).toBe('Reminder 2024-01-19');
+      expect(scriptContext.formatItemWhen(item({ date: null }))).toBe('');
+    });
+  });
+
+  describe('Urgency', () => {
+    test('a deadline whose time has passed today is outdated', () => {
+      const deadline = item({ date: '2024-01-19', time: '09:00', dateKind: 'deadline' });
+
+      expect(scriptContext.getItemUrgency(deadline, '2024-01-19', '2024-01-20', '08:30')).toEqual({ isUrgent: true, isOutdated: false });
+      expect(scriptContext.getItemUrgency(deadline, '2024-01-19', '2024-01-20', '10:00')).toEqual({ isUrgent: false, isOutdated: true });
+    });
+
+    test('a multi-day event stays urgent until its last day', () => {
+      const skiWeek = item({ date: '2024-01-15', endDate: '2024-01-19', dateKind: 'event' });
+
+      expect(scriptContext.getItemUrgency(skiWeek, '2024-01-17', '2024-01-18', '12:00')).toEqual({ isUrgent: true, isOutdated: false });
+      expect(scriptContext.getItemUrgency(skiWeek, '2024-01-20', '2024-01-21', '12:00')).toEqual({ isUrgent: false, isOutdated: true });
+    });
+
+    test('the summary shows the time and flags in the user time zone', () => {
+      // 08:30 in Paris, before the 09:00 deadline
+      jest.setSystemTime(new Date('2024-01-19T07:30:00Z'));
+
+      const html = scriptContext.generateSummaryHTML({
+        mustDo: [item({ time: '09:00', dateKind: 'deadline' })],
+        mustKnow: [item({ keyAction: undefined, keyKnowledge: 'Ski week', date: '2024-02-12', endDate: '2024-02-16', dateKind: 'event' })],
+        totalProcessed: 1
+      }, config);
+
+      expect(html).toContain('Due 2024-01-19 09:00 (URGENT!)');
+      expect(html).toContain('2024-02-12 to 2024-02-16');
+
+      jest.setSystemTime(new Date('2024-01-19T08:30:00Z'));
+      const laterHtml = scriptContext.generateSummaryHTML({ mustDo: [item({ time: '09:00', dateKind: 'deadline' })], mustKnow: [], totalProcessed: 1 }, config);
+      expect(laterHtml).toContain('Due 2024-01-19 09:00 (OUTDATED)');
+    });
+  });
+
+  describe('Calendar events', () => {
+    let calendar;
+
+    beforeEach(() => {
+      const driveFiles = {};
+      const properties = {};
+      scriptContext.PropertiesService = {
+        getUserProperties: jest.fn(() => ({
+          getProperty: jest.fn((key) => (key in properties ? properties[key] : null)),
+          setProperty: jest.fn((key, value) => { properties[key] = value; }),
+          deleteProperty: jest.fn((key) => { delete properties[key]; })
+        }))
+      };
+      scriptContext.DriveApp = {
+        getFileById: jest.fn((id) => {
+          if (!driveFiles[id]) throw new Error('File not found');
+          return driveFiles[id];
+        }),
+        getFilesByName: jest.fn(() => ({ hasNext: () => false })),
+        createFile: jest.fn((name, content) => {
+          const file = {
+            content: content,
+            getId: () => name,
+            getName: () => name,
+            getBlob: () => ({ getDataAsString: () => file.content }),
+            setContent: jest.fn((newContent) => { file.content = newContent; })
+          };
+          driveFiles[name] = file;
+          return file;
+        })
+      };
+      const newEvent = () => ({ addPopupReminder: jest.fn(), getId: () => 'event-1' });
+      calendar = {
+        getId: () => 'primary',
+        getName: () => 'Main',
+        createEvent: jest.fn(newEvent),
+        createAllDayEvent: jest.fn(newEvent)
+      };
+      scriptContext.CalendarApp = { getDefaultCalendar: jest.fn(() => calendar) };
+    });
+
+    test('creates timed events at the time in the user time zone', () => {
+      scriptContext.addItemsToCalendar([{ item: item({ time: '17:00', dateKind: 'deadline' }), category: 'mustDo' }], config);
+
+      const args = calendar.createEvent.mock.calls[0];
+      expect(args[0]).toBe('Pay the trip fee');
+      // 17:00 in Paris in winter is 16:00 UTC
+      expect(args[1].toISOString()).toBe('2024-01-19T16:00:00.000Z');
+      expect(args[2].toISOString()).toBe('2024-01-19T17:00:00.000Z');
+      expect(args[3].description).toContain('When: Due 2024-01-19 17:00');
+      expect(calendar.createEvent.mock.results[0].value.addPopupReminder).toHaveBeenCalledWith(60);
+    });
+
+    test('spans all-day events to the end date of a multi-day event', () => {
+      scriptContext.addItemsToCalendar([{ item: item({ keyKnowledge: 'Ski week', date: '2024-02-12', endDate: '2024-02-16', dateKind: 'event' }), category: 'mustKnow' }], config);
+
+      const args = calendar.createAllDayEvent.mock.calls[0];
+      expect(args[1].toISOString()).toBe('2024-02-12T12:00:00.000Z');
+      // The end date of an all-day event is exclusive
+      expect(args[2].toISOString()).toBe('2024-02-17T12:00:00.000Z');
+    });
+
+    test('converts wall-clock times across daylight saving changes', () => {
+      expect(scriptContext.dateTimeInTimeZoneToDate('2024-07-01', '09:00', 'Europe/Paris').toISOString()).toBe('2024-07-01T07:00:00.000Z');
+      expect(scriptContext.dateTimeInTimeZoneToDate('2024-03-31', '12:00', 'Europe/Paris').toISOString()).toBe('2024-03-31T10:00:00.000Z');
+      expect(scriptContext.dateTimeInTimeZoneToDate('2024-01-19', '09:00', 'America/New_York').toISOString()).toBe('2024-01-19T14:00:00.000Z');
+    });
+  });
+});
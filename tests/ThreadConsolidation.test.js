@@ -0,0 +1,152 @@
+/**
+ * Regression tests for thread-level item consolidation
+ *
+ * Tests verify that:
+ * - The analysis emits one item per thread and category, with the latest action and a message count
+ * - The prompt asks the model for the latest state of each thread
+ * - The summary groups items by thread and lists the contributing messages, long threads truncated
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  UrlFetchApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  encodeURIComponent: encodeURIComponent
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'LlmProvider.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Thread Consolidation Regression Tests', () => {
+  const config = {
+    llmProvider: 'openai',
+    openaiApiKey: 'sk-test',
+    mustDoTopics: 'school trips',
+    mustKnowTopics: 'school',
+    timeZone: 'UTC',
+    addonName: 'Gmail Fast Reader'
+  };
+
+  function createEmail(id, hour, body) {
+    return {
+      id: id,
+      rfc822MessageId: id + '@school.org',
+      subject: 'Re: Field trip',
+      sender: 'teacher@school.org',
+      date: new Date(`2024-01-15T${hour}:00:00Z`),
+      body: body
+    };
+  }
+
+  const threads = [{
+    threadId: 'trip-thread',
+    subject: 'Field trip',
+    emails: [
+      createEmail('m1', '08', 'Please sign the form by January 19.'),
+      createEmail('m2', '09', 'Reminder: the form is due January 18 now.'),
+      createEmail('m3', '10', 'Also bring 10 EUR for the bus.')
+    ]
+  }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const reply = JSON.stringify({
+      mustDo: [
+        { emailId: 'm1', keyAction: 'Sign the form', date: '2024-01-19', topic: 'school trips' },
+        { emailId: 'm3', keyAction: 'Sign the form and bring 10 EUR for the bus', date: '2024-01-18', topic: 'school trips' },
+        { emailId: 'm2', keyAction: 'Sign the form by the new deadline', date: '2024-01-18', topic: 'school trips' }
+      ],
+      mustKnow: []
+    });
+    scriptContext.UrlFetchApp = {
+      fetch: jest.fn(() => ({
+        getContentText: () => JSON.stringify({ choices: [{ message: { content: reply } }] }),
+        getResponseCode: () => 200,
+        getHeaders: () => ({})
+      }))
+    };
+  });
+
+  test('emits one item per thread with the latest action and a message count', () => {
+    const results = scriptContext.analyzeEmailsWithOpenAI(threads, config);
+
+    expect(results.mustDo).toHaveLength(1);
+    expect(results.mustDo[0]).toMatchObject({
+      emailId: 'm3',
+      threadId: 'trip-thread',
+      keyAction: 'Sign the form and bring 10 EUR for the bus',
+      date: '2024-01-18',
+      messageCount: 3
+    });
+    expect(results.mustDo[0].messages.map(message => message.emailId)).toEqual(['m1', 'm2', 'm3']);
+    expect(results.totalProcessed).toBe(3);
+  });
+
+  test('asks the model for the latest state of each thread', () => {
+    const prompt = scriptContext.buildAnalysisPrompt(threads, config).map(message => message.content).join('\n');
+
+    expect(prompt).toContain('Return at most one "I must do" item and one "I must know" item per thread');
+  });
+
+  test('groups items by thread in the summary with a list of its messages', () => {
+    const itemFor = (email, keyAction) => ({
+      emailId: email.id,
+      rfc822MessageId: email.rfc822MessageId,
+      subject: email.subject,
+      sender: email.sender,
+      keyAction: keyAction,
+      date: '2024-01-19',
+      topic: 'school trips',
+      threadId: 'trip-thread',
+      receivedAt: email.date.toISOString()
+    });
+
+    const html = scriptContext.generateSummaryHTML({
+      mustDo: [
+        itemFor(threads[0].emails[1], 'Sign the form by the new deadline'),
+        itemFor(threads[0].emails[0], 'Sign the form'),
+        { emailId: 'other', subject: 'Tennis fee', sender: 'club@example.com', keyAction: 'Pay the fee', date: null, topic: 'other' }
+      ],
+      mustKnow: [],
+      totalProcessed: 3
+    }, config);
+
+    expect(html).toContain('I Must Do (2 items)');
+    expect(html).toContain('Topic: school trips | 2 messages');
+    expect(html).toContain('Sign the form by the new deadline');
+    expect(html).not.toContain('<strong>Action:</strong> Sign the form</div>');
+    expect(html).not.toContain('<details');
+    expect(html).toContain('<div class="thread-messages">Messages in this thread:<ul>');
+    expect(html).toContain('<li>2024-01-15 08:00 - teacher@school.org: <a href="https://mail.google.com/mail/u/0/#search/rfc822msgid%3Am1%40school.org"');
+  });
+
+  test('lists the first messages of a long thread and counts the others', () => {
+    const messages = Array.from({ length: 8 }, (unused, i) => ({ emailId: `m${i}`, subject: `Update ${i}`, sender: 'teacher@school.org' }));
+    const html = scriptContext.generateThreadMessagesHTML({ messages: messages }, config);
+
+    expect(html).toContain('Update 4');
+    expect(html).not.toContain('Update 5');
+    expect(html).toContain('<li>+3 more</li>');
+  });
+});
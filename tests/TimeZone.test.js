@@ -0,0 +1,96 @@
+/**
+ * Regression tests for time zone aware dates
+ *
+ * Tests verify that:
+ * - URGENT and OUTDATED flags follow the user's calendar day, not UTC
+ * - The analysis prompt anchors "today" in the user's time zone
+ * - Summary headers and subject lines show times in the user's time zone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 2024-01-15 20:00 UTC is already Tuesday morning in Sydney and still Monday noon in Los Angeles
+jest.useFakeTimers({ now: new Date('2024-01-15T20:00:00Z') });
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'Sanitize.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'SummaryBuilder.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Time Zone Regression Tests', () => {
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  function summaryFor(timeZone) {
+    return scriptContext.generateSummaryHTML({
+      mustDo: [
+        { subject: 'Field trip form', sender: 'school@example.com', topic: 'school', keyAction: 'Sign the form', date: '2024-01-15' },
+        { subject: 'Tennis fee', sender: 'club@example.com', topic: 'tennis', keyAction: 'Pay the fee', date: '2024-01-17' }
+      ],
+      mustKnow: [],
+      totalProcessed: 2,
+      actualStartDate: '2024-01-14T20:00:00Z',
+      actualEndDate: '2024-01-15T20:00:00Z'
+    }, { addonName: 'Gmail Fast Reader', timeZone: timeZone });
+  }
+
+  test('flags urgency on the user\'s calendar day', () => {
+    const sydney = summaryFor('Australia/Sydney');
+    expect(sydney).toContain('2024-01-15 (OUTDATED)');
+    expect(sydney).toContain('2024-01-17 (URGENT!)');
+
+    const losAngeles = summaryFor('America/Los_Angeles');
+    expect(losAngeles).toContain('2024-01-15 (URGENT!)');
+    expect(losAngeles).not.toContain('2024-01-17 (URGENT!)');
+  });
+
+  test('shows summary times in the user\'s time zone', () => {
+    const sydney = summaryFor('Australia/Sydney');
+
+    expect(sydney).toContain('Email Summary for 2024-01-15 07:00 - 2024-01-16 07:00');
+    expect(sydney).toContain('Generated on 2024-01-16 at 07:00 (Australia/Sydney)');
+  });
+
+  test('anchors today and email dates in the user\'s time zone in the prompt', () => {
+    const messages = scriptContext.buildAnalysisPrompt([{
+      threadId: 'thread1',
+      subject: 'Tennis fee',
+      emails: [{ id: 'msg1', subject: 'Tennis fee', sender: 'club@example.com', date: new Date('2024-01-15T20:00:00Z'), body: 'Pay by next Friday' }]
+    }], { mustDoTopics: 'tennis', mustKnowTopics: 'school', timeZone: 'America/Los_Angeles' });
+
+    const prompt = messages.map(message => message.content).join('\n');
+    expect(prompt).toContain('Today is 2024-01-15 (Monday) in America/Los_Angeles');
+    expect(prompt).toContain('Date: 2024-01-15 (Monday) 12:00');
+  });
+
+  test('formats subject line dates in the user\'s time zone', () => {
+    expect(scriptContext.formatDateRangeInTimeZone('2024-01-14T20:00:00Z', '2024-01-15T20:00:00Z', 'Australia/Sydney'))
+      .toBe('2024-01-15 07:00 - 2024-01-16 07:00');
+    expect(scriptContext.addDaysToDateString('2024-02-28', 2)).toBe('2024-03-01');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Regression tests for the IANA time zone picker
+ *
+ * Tests verify that:
+ * - Typed zones are matched case-insensitively to their canonical name
+ * - Older zone names such as Asia/Calcutta map to their canonical zone
+ * - Suggestions match any part of a zone name, with spaces for underscores
+ * - The default zone comes from the user's Calendar settings
+ * - Unknown zones are rejected when the configuration is saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  CalendarApp: null,
+  CardService: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Time Zone Picker Regression Tests', () => {
+  let mockPropertiesStore;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    vm.runInContext('detectedTimeZone = null', scriptContext);
+    mockPropertiesStore = {};
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+    scriptContext.CalendarApp = { getTimeZone: jest.fn(() => 'America/Sao_Paulo') };
+  });
+
+  test('normalizes typed zones to their canonical name', () => {
+    expect(scriptContext.normalizeTimeZone('asia/kolkata')).toBe('Asia/Kolkata');
+    expect(scriptContext.normalizeTimeZone(' America/Sao Paulo ')).toBe('America/Sao_Paulo');
+    expect(scriptContext.normalizeTimeZone('utc')).toBe('UTC');
+    expect(scriptContext.normalizeTimeZone('Mars/Base')).toBeNull();
+    expect(scriptContext.normalizeTimeZone('')).toBeNull();
+  });
+
+  test('maps older zone names to their canonical zone', () => {
+    expect(scriptContext.normalizeTimeZone('Asia/Calcutta')).toBe('Asia/Kolkata');
+    expect(scriptContext.normalizeTimeZone('europe/kiev')).toBe('Europe/Kyiv');
+    expect(scriptContext.normalizeTimeZone('America/Buenos_Aires')).toBe('America/Argentina/Buenos_Aires');
+    expect(scriptContext.normalizeTimeZone('Asia/Saigon')).toBe('Asia/Ho_Chi_Minh');
+    expect(scriptContext.normalizeTimeZone('US/Pacific')).toBe('America/Los_Angeles');
+    expect(scriptContext.normalizeTimeZone('Etc/UTC')).toBe('UTC');
+
+    // Every alias points to a zone of the list
+    const aliases = vm.runInContext('TIME_ZONE_ALIASES', scriptContext);
+    const zones = vm.runInContext('IANA_TIME_ZONES', scriptContext);
+    Object.keys(aliases).forEach(alias => expect(zones).toContain(aliases[alias]));
+  });
+
+  test('detects the canonical zone when Calendar reports an older name', () => {
+    scriptContext.CalendarApp.getTimeZone.mockReturnValue('Asia/Calcutta');
+
+    expect(scriptContext.detectUserTimeZone()).toBe('Asia/Kolkata');
+    expect(scriptContext.getConfiguration().timeZone).toBe('Asia/Kolkata');
+  });
+
+  test('suggests zones matching any part of the name', () => {
+    const suggestions = { addSuggestion: jest.fn() };
+    scriptContext.CardService = {
+      newSuggestions: jest.fn(() => suggestions),
+      newSuggestionsResponseBuilder: jest.fn(() => ({
+        setSuggestions: jest.fn(function () { return this; }),
+        build: jest.fn()
+      }))
+    };
+
+    scriptContext.handleTimeZoneSuggestions({ parameter: { query: 'sao paulo' } });
+    expect(suggestions.addSuggestion.mock.calls).toEqual([['America/Sao_Paulo']]);
+
+    expect(scriptContext.findTimeZones('kolk')).toEqual(['Asia/Kolkata']);
+    expect(scriptContext.findTimeZones('')).toHaveLength(vm.runInContext('TIME_ZONE_SUGGESTION_LIMIT', scriptContext));
+  });
+
+  test('defaults to the Calendar time zone and falls back when it cannot be read', () => {
+    expect(scriptContext.getConfiguration().timeZone).toBe('America/Sao_Paulo');
+
+    mockPropertiesStore.timeZone = 'Asia/Kolkata';
+    expect(scriptContext.getConfiguration().timeZone).toBe('Asia/Kolkata');
+
+    vm.runInContext('detectedTimeZone = null', scriptContext);
+    scriptContext.CalendarApp.getTimeZone.mockImplementation(() => { throw new Error('Calendar unavailable'); });
+    expect(scriptContext.detectUserTimeZone()).toBe('Europe/Paris');
+  });
+
+  test('rejects unknown zones when saving the configuration', () => {
+    const config = scriptContext.getConfiguration();
+
+    expect(() => scriptContext.saveConfiguration({ ...config, timeZone: 'Mars/Base' })).toThrow('Unknown time zone "Mars/Base"');
+    expect(() => scriptContext.saveConfiguration({ ...config, timeZone: 'Europe/Pariss' })).toThrow('Unknown time zone');
+    expect(mockPropertiesStore.timeZone).toBeUndefined();
+
+    scriptContext.saveConfiguration({ ...config, timeZone: 'asia/kolkata' });
+    expect(mockPropertiesStore.timeZone).toBe('Asia/Kolkata');
+
+    scriptContext.saveConfiguration({ ...config, timeZone: 'Europe/Kiev' });
+    expect(mockPropertiesStore.timeZone).toBe('Europe/Kyiv');
+
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+    expect(scriptContext.handleSystemSettingsSubmit({ formInputs: { timeZone: ['US/Pacific'] } })).toEqual({ success: true });
+    expect(mockPropertiesStore.timeZone).toBe('America/Los_Angeles');
+  });
+});
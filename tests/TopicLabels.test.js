@@ -0,0 +1,126 @@
+/**
+ * Regression tests for per-topic label mapping
+ *
+ * Tests verify that:
+ * - Items are labeled with their topic's label, and "other" or unmapped topics with the category label
+ * - Nested labels are created together with their missing parents
+ * - The mapping is validated against the configured topics when Email Settings are saved
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Create a context for executing the Apps Script code
+const scriptContext = vm.createContext({
+  ...global,
+  PropertiesService: null,
+  GmailApp: null,
+  console: global.console,
+  Logger: global.Logger,
+  Date: Date,
+  JSON: JSON,
+  Math: Math,
+  parseInt: parseInt,
+  parseFloat: parseFloat,
+  String: String,
+  Array: Array,
+  Object: Object,
+  Error: Error,
+  TypeError: TypeError,
+  ReferenceError: ReferenceError,
+  Set: Set
+});
+
+// Load Apps Script sources
+['Constants.js', 'Logging.js', 'Config.js', 'ResultItems.js', 'DriveStorage.js', 'ProcessedLedger.js', 'TaskStore.js', 'CalendarEvents.js', 'GoogleTasks.js', 'DigestDelivery.js', 'DigestRecipients.js', 'SenderRules.js', 'Priority.js', 'EmailProcessor.js', 'Code.js'].forEach(file => {
+  const code = fs.readFileSync(path.join(__dirname, '../addon', file), 'utf8');
+  vm.runInContext(code, scriptContext);
+});
+
+describe('Topic Labels Regression Tests', () => {
+  let mockPropertiesStore;
+  let labels;
+  let threadLabels;
+
+  const config = {
+    mustDoLabel: 'TODO',
+    mustKnowLabel: 'FYI',
+    mustDoTopics: 'tennis club payments',
+    mustKnowTopics: 'school trips\nparent-teacher meetings',
+    topicLabels: 'School trips = FastReader/School/Trips\ntennis club payments = Kids/Tennis'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPropertiesStore = { openaiApiKey: 'test-key' };
+    scriptContext.PropertiesService = {
+      getUserProperties: jest.fn(() => ({
+        getProperty: jest.fn((key) => (key in mockPropertiesStore ? mockPropertiesStore[key] : null)),
+        setProperty: jest.fn((key, value) => { mockPropertiesStore[key] = value; }),
+        setProperties: jest.fn((props) => { Object.assign(mockPropertiesStore, props); }),
+        deleteProperty: jest.fn((key) => { delete mockPropertiesStore[key]; })
+      }))
+    };
+
+    labels = { TODO: { name: 'TODO' }, FYI: { name: 'FYI' }, Kids: { name: 'Kids' } };
+    threadLabels = {};
+    scriptContext.GmailApp = {
+      getUserLabelByName: jest.fn((name) => labels[name] || null),
+      createLabel: jest.fn((name) => { labels[name] = { name: name }; return labels[name]; }),
+      getMessageById: jest.fn((id) => ({
+        getThread: () => ({
+          addLabel: (label) => { (threadLabels[id] = threadLabels[id] || []).push(label.name); }
+        })
+      }))
+    };
+    scriptContext.buildConfigSuccessCard = jest.fn(() => ({ success: true }));
+    scriptContext.buildErrorCard = jest.fn((message) => ({ error: message }));
+  });
+
+  test('labels items by topic and falls back to the category label', () => {
+    scriptContext.applyLabelsToInterestingEmails({
+      mustDo: [
+        { emailId: 'm1', topic: 'Tennis club payments' },
+        { emailId: 'm2', topic: 'other' }
+      ],
+      mustKnow: [
+        { emailId: 'm3', topic: '- school trips' },
+        { emailId: 'm4', topic: 'parent-teacher meetings' }
+      ]
+    }, config);
+
+    expect(threadLabels).toEqual({
+      m1: ['Kids/Tennis'],
+      m2: ['TODO'],
+      m3: ['FastReader/School/Trips'],
+      m4: ['FYI']
+    });
+  });
+
+  test('creates missing parents of nested labels', () => {
+    scriptContext.getOrCreateLabel('FastReader/School/Trips');
+    scriptContext.getOrCreateLabel('Kids/Tennis');
+
+    expect(scriptContext.GmailApp.createLabel.mock.calls.map(call => call[0]))
+      .toEqual(['FastReader', 'FastReader/School', 'FastReader/School/Trips', 'Kids/Tennis']);
+  });
+
+  test('validates the mapping against the configured topics on save', () => {
+    Object.assign(mockPropertiesStore, { mustDoTopics: config.mustDoTopics, mustKnowTopics: config.mustKnowTopics });
+
+    let result = scriptContext.handleEmailSettingsSubmit({ formInputs: { topicLabels: ['tennis club payments = Kids/Tennis'] } });
+    expect(result.success).toBe(true);
+    expect(mockPropertiesStore.topicLabels).toBe('tennis club payments = Kids/Tennis');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { topicLabels: ['chess = Kids/Chess'] } });
+    expect(result.error).toContain('"chess" is not one of your topics');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { topicLabels: ['school trips = School//Trips'] } });
+    expect(result.error).toContain('not a valid label name');
+
+    result = scriptContext.handleEmailSettingsSubmit({ formInputs: { topicLabels: ['other = Misc'] } });
+    expect(result.error).toContain('always uses the category label');
+    expect(mockPropertiesStore.topicLabels).toBe('tennis club payments = Kids/Tennis');
+  });
+});
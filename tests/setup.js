@@ -108,6 +108,26 @@ global.UrlFetchApp = {
   }))
 };
 
+// Formats dates in a real time zone for the patterns the add-on uses (yyyy, MM, dd, HH, mm, EEEE)
+global.Utilities = {
+  formatDate: jest.fn((date, timeZone, pattern) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'long'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    const tokens = { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, EEEE: parts.weekday };
+    return pattern.replace(/yyyy|MM|dd|HH|mm|EEEE/g, token => tokens[token]);
+  }),
+  sleep: jest.fn()
+};
+
 global.console = {
   log: jest.fn(),
   error: jest.fn(),